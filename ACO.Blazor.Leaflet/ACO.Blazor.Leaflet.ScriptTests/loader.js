@@ -0,0 +1,33 @@
+import { readFile } from "node:fs/promises";
+
+/*
+ * Module hooks that serve the imports of /_content/ACO.Blazor.Leaflet/ from wwwroot. Leaflet and its plugins are
+ * classic scripts, they run in the window of jsdom and L is put into the global scope of the modules.
+ */
+
+const contentPath = "/_content/ACO.Blazor.Leaflet/";
+const wwwroot = new URL("../ACO.Blazor.Leaflet/wwwroot/", import.meta.url);
+const classicScripts = new URL("leaflet/", wwwroot);
+
+export function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(contentPath)) {
+        return { url: new URL(specifier.slice(contentPath.length), wwwroot).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(classicScripts.href)) {
+        const source = await readFile(new URL(url), "utf8");
+        return {
+            format: "module",
+            source: "window.eval(" + JSON.stringify(source) + ");\nglobalThis.L = window.L;",
+            shortCircuit: true
+        };
+    }
+    // wwwroot has no package.json declaring its scripts as modules
+    if (url.startsWith(wwwroot.href)) {
+        return nextLoad(url, { ...context, format: "module" });
+    }
+    return nextLoad(url, context);
+}
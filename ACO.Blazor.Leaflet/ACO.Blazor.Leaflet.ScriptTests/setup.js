@@ -0,0 +1,20 @@
+import { register } from "node:module";
+import { JSDOM } from "jsdom";
+
+/*
+ * Imported before the tests: the scripts of wwwroot run in the window of jsdom like on a page, their modules are
+ * loaded by loader.js and find the window, its document and Leaflet in the global scope.
+ */
+
+const dom = new JSDOM("<!DOCTYPE html><html><head></head><body></body></html>", {
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    url: "http://localhost/"
+});
+
+globalThis.window = dom.window;
+for (const name of ["document", "navigator", "DOMParser", "XMLSerializer", "HTMLElement", "Node", "Image", "getComputedStyle"]) {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+}
+
+register("./loader.js", import.meta.url);
@@ -0,0 +1,87 @@
+import { createServer } from "node:http";
+
+/*
+ * A WMS on localhost answering like GeoServer: GetMap with a PNG, GetFeatureInfo with GeoJSON, HTML or plain text
+ * depending on INFO_FORMAT, and with a service exception for unknown layers. Layers named "broken" fail with a
+ * server error. The parameters of each request are kept, with lowercase names, in requests.
+ */
+
+// a transparent PNG of 1 x 1 pixels
+const png = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==", "base64");
+
+export const knownLayers = ["roads", "parcels", "broken"];
+
+export function startStubWmsServer() {
+    const requests = [];
+    const server = createServer(function (request, response) {
+        const url = new URL(request.url, "http://localhost");
+        const params = {};
+        for (const [name, value] of url.searchParams) {
+            params[name.toLowerCase()] = value;
+        }
+        params.path = url.pathname;
+        requests.push(params);
+
+        const layers = (params.query_layers || params.layers || "").split(",");
+        if (layers.includes("broken")) {
+            response.writeHead(500, "Internal Server Error", { "Content-Type": "text/plain" });
+            response.end("broken");
+            return;
+        }
+        if (layers.some(layer => !knownLayers.includes(layer))) {
+            response.writeHead(200, { "Content-Type": "application/vnd.ogc.se_xml" });
+            response.end("<?xml version=\"1.0\" encoding=\"UTF-8\"?><ServiceExceptionReport version=\"1.1.1\">"
+                + "<ServiceException code=\"LayerNotDefined\">Could not find layer " + layers.join(",")
+                + "</ServiceException></ServiceExceptionReport>");
+            return;
+        }
+
+        switch ((params.request || "").toLowerCase()) {
+            case "getmap":
+                response.writeHead(200, { "Content-Type": "image/png" });
+                response.end(png);
+                break;
+            case "getfeatureinfo":
+                writeFeatureInfo(response, params);
+                break;
+            default:
+                response.writeHead(400, "Bad Request", { "Content-Type": "text/plain" });
+                response.end("Unknown request " + params.request);
+        }
+    });
+
+    return new Promise(function (resolve) {
+        server.listen(0, "127.0.0.1", function () {
+            resolve({
+                url: "http://127.0.0.1:" + server.address().port + "/geoserver/wms",
+                requests: requests,
+                close: () => new Promise(closed => server.close(closed))
+            });
+        });
+    });
+}
+
+function writeFeatureInfo(response, params) {
+    const layer = params.query_layers.split(",")[0];
+    switch (params.info_format) {
+        case "application/json":
+            response.writeHead(200, { "Content-Type": "application/json;charset=UTF-8" });
+            response.end(JSON.stringify({
+                type: "FeatureCollection",
+                features: [{
+                    type: "Feature",
+                    id: layer + ".1",
+                    geometry: null,
+                    properties: { name: "Feature of " + layer, time: params.time || null }
+                }]
+            }));
+            break;
+        case "text/html":
+            response.writeHead(200, { "Content-Type": "text/html;charset=UTF-8" });
+            response.end("<table><tr><td>" + layer + ".1</td></tr></table>");
+            break;
+        default:
+            response.writeHead(200, { "Content-Type": "text/plain;charset=UTF-8" });
+            response.end(layer + ".1");
+    }
+}
@@ -0,0 +1,300 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import { layers, maps } from "/_content/ACO.Blazor.Leaflet/leafletBlazorInterops.js";
+import { startStubWmsServer } from "./stubWmsServer.js";
+
+/*
+ * WMS and WMTS layers added through the interop of Map, with a stub WMS on localhost answering the GetFeatureInfo
+ * queries of clicks.
+ */
+
+const leafletBlazor = window.leafletBlazor;
+const mapId = "wms-map";
+
+// Stands in for the DotNetObjectReference of a .NET object, keeping the calls of the scripts.
+function createReference() {
+    const reference = {
+        calls: [],
+        waiting: [],
+        invokeMethodAsync: function (method, ...args) {
+            reference.calls.push({ method: method, args: args });
+            for (const wait of reference.waiting.filter(wait => wait.method === method)) {
+                wait.resolve(args[0]);
+            }
+            reference.waiting = reference.waiting.filter(wait => wait.method !== method);
+            return Promise.resolve();
+        },
+        // the first argument of the next call of the method
+        nextCall: function (method) {
+            return new Promise(resolve => reference.waiting.push({ method: method, resolve: resolve }));
+        }
+    };
+    return reference;
+}
+
+function createMap() {
+    const element = document.createElement("div");
+    element.id = mapId;
+    Object.defineProperty(element, "clientWidth", { value: 512 });
+    Object.defineProperty(element, "clientHeight", { value: 256 });
+    document.body.appendChild(element);
+    leafletBlazor.create({
+        id: mapId,
+        center: { lat: 47.5, lng: 8.5 },
+        zoom: 10,
+        zoomControl: false,
+        events: {}
+    }, createReference());
+}
+
+function removeMap() {
+    leafletBlazor.disposeMap(mapId);
+    document.getElementById(mapId).remove();
+}
+
+const gridLayer = {
+    pane: "tilePane",
+    attribution: null,
+    tileSize: { width: 256, height: 256 },
+    opacity: 1,
+    updateWhenZooming: true,
+    updateInterval: 200,
+    zIndex: 1,
+    minimumZoom: 0,
+    maximumZoom: 18,
+    crossOrigin: null
+};
+
+function addWmsLayer(url, options) {
+    const reference = createReference();
+    leafletBlazor.addWmsLayer(mapId, {
+        ...gridLayer,
+        id: "wms",
+        url: url,
+        layers: "roads",
+        styles: "",
+        format: "image/png",
+        transparent: true,
+        version: "1.1.1",
+        crs: null,
+        uppercase: false,
+        parameters: {},
+        featureInfoFormat: "application/json",
+        featureInfoCount: 10,
+        queryLayers: null,
+        events: { featureinfo: null, featureinfoerror: null },
+        ...options
+    }, reference);
+    return reference;
+}
+
+// The parameters of the first tile of a layer, with lowercase names.
+function getTileParams(layerId) {
+    const tile = Object.values(layers[mapId].get(layerId)._tiles)[0];
+    return getParams(new URL(tile.el.src).searchParams);
+}
+
+function getParams(searchParams) {
+    return Object.fromEntries(Array.from(searchParams, ([name, value]) => [name.toLowerCase(), value]));
+}
+
+function clickMap(lat, lng) {
+    const map = maps[mapId];
+    const latlng = L.latLng(lat, lng);
+    const point = map.latLngToContainerPoint(latlng);
+    map.fire("click", { latlng: latlng, layerPoint: map.containerPointToLayerPoint(point), containerPoint: point });
+}
+
+describe("WMS layer", () => {
+    let server;
+
+    before(async () => {
+        server = await startStubWmsServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        createMap();
+    });
+
+    afterEach(removeMap);
+
+    test("requests tiles with the standard and custom parameters", () => {
+        addWmsLayer(server.url, { parameters: { TIME: "2024-01-01", CQL_FILTER: "type='road'" } });
+
+        const params = getTileParams("wms");
+        assert.equal(params.service, "WMS");
+        assert.equal(params.request, "GetMap");
+        assert.equal(params.layers, "roads");
+        assert.equal(params.format, "image/png");
+        assert.equal(params.transparent, "true");
+        assert.equal(params.version, "1.1.1");
+        assert.equal(params.srs, "EPSG:3857");
+        assert.equal(params.time, "2024-01-01");
+        assert.equal(params.cql_filter, "type='road'");
+    });
+
+    test("replaces the custom parameters and the version when updated", () => {
+        addWmsLayer(server.url, { parameters: { TIME: "2024-01-01", CQL_FILTER: "type='road'" } });
+
+        leafletBlazor.updateLayer(mapId, "wms", {
+            parameters: { TIME: "2024-02-01" },
+            version: "1.3.0",
+            crs: "EPSG:4326"
+        });
+
+        const params = getTileParams("wms");
+        assert.equal(params.time, "2024-02-01");
+        assert.equal(params.cql_filter, undefined);
+        assert.equal(params.version, "1.3.0");
+        assert.equal(params.crs, "EPSG:4326");
+        assert.equal(params.srs, undefined);
+        // WMS 1.3.0 has the latitude first in EPSG:4326
+        const [minLat, minLng] = params.bbox.split(",").map(Number);
+        assert.ok(minLat > 40 && minLat < 50 && minLng > 0 && minLng < 10, params.bbox);
+    });
+
+    test("sends the GeoJSON of the features at a clicked position to .NET", async () => {
+        const reference = addWmsLayer(server.url, {
+            parameters: { TIME: "2024-01-01" },
+            queryLayers: "parcels",
+            featureInfoCount: 5
+        });
+
+        const featureInfo = reference.nextCall("NotifyFeatureInfo");
+        clickMap(47.5, 8.5);
+        const eventArgs = await featureInfo;
+
+        const query = server.requests.find(request => request.request === "GetFeatureInfo");
+        assert.equal(query.path, "/geoserver/wms");
+        assert.equal(query.query_layers, "parcels");
+        assert.equal(query.layers, "roads");
+        assert.equal(query.info_format, "application/json");
+        assert.equal(query.feature_count, "5");
+        assert.equal(query.width, "512");
+        assert.equal(query.height, "256");
+        assert.equal(query.x, "256");
+        assert.equal(query.y, "128");
+        assert.equal(query.time, "2024-01-01");
+
+        assert.equal(eventArgs.type, "featureinfo");
+        assert.equal(eventArgs.contentType, "application/json;charset=UTF-8");
+        assert.equal(eventArgs.content, null);
+        assert.deepEqual(eventArgs.data.features.map(feature => feature.properties), [
+            { name: "Feature of parcels", time: "2024-01-01" }
+        ]);
+        assert.equal(eventArgs.latlng.lat, 47.5);
+        assert.equal(eventArgs.latlng.lng, 8.5);
+    });
+
+    test("queries with i and j from WMS 1.3.0 on", async () => {
+        const reference = addWmsLayer(server.url, { version: "1.3.0" });
+
+        const featureInfo = reference.nextCall("NotifyFeatureInfo");
+        clickMap(47.5, 8.5);
+        await featureInfo;
+
+        const query = server.requests.find(request => request.request === "GetFeatureInfo");
+        assert.equal(query.i, "256");
+        assert.equal(query.j, "128");
+        assert.equal(query.crs, "EPSG:3857");
+        assert.equal(query.x, undefined);
+    });
+
+    test("passes other formats on as text", async () => {
+        const reference = addWmsLayer(server.url, { featureInfoFormat: "text/html" });
+
+        const featureInfo = reference.nextCall("NotifyFeatureInfo");
+        clickMap(47.5, 8.5);
+        const eventArgs = await featureInfo;
+
+        assert.equal(eventArgs.contentType, "text/html;charset=UTF-8");
+        assert.equal(eventArgs.content, "<table><tr><td>roads.1</td></tr></table>");
+        assert.equal(eventArgs.data, null);
+    });
+
+    test("reports service exceptions as errors", async () => {
+        const reference = addWmsLayer(server.url, { queryLayers: "rivers" });
+
+        const featureInfoError = reference.nextCall("NotifyFeatureInfoError");
+        clickMap(47.5, 8.5);
+        const eventArgs = await featureInfoError;
+
+        assert.equal(eventArgs.message, "The server reported an error: Could not find layer rivers");
+        assert.ok(!reference.calls.some(call => call.method === "NotifyFeatureInfo"));
+    });
+
+    test("reports failed requests as errors", async () => {
+        const reference = addWmsLayer(server.url, { queryLayers: "broken" });
+
+        const featureInfoError = reference.nextCall("NotifyFeatureInfoError");
+        clickMap(47.5, 8.5);
+        const eventArgs = await featureInfoError;
+
+        assert.equal(eventArgs.message, "GetFeatureInfo failed: 500 Internal Server Error");
+    });
+
+    test("does not query without subscriptions to the feature info", async () => {
+        addWmsLayer(server.url, { events: {} });
+
+        clickMap(47.5, 8.5);
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.ok(!server.requests.some(request => request.request === "GetFeatureInfo"));
+    });
+});
+
+describe("WMTS layer", () => {
+    beforeEach(createMap);
+
+    afterEach(removeMap);
+
+    function addWmtsLayer(url, options) {
+        leafletBlazor.addWmtsLayer(mapId, {
+            ...gridLayer,
+            id: "wmts",
+            url: url,
+            layer: "topp:states",
+            style: "",
+            tileMatrixSet: "EPSG:900913",
+            tileMatrixPrefix: "EPSG:900913:",
+            format: "image/png",
+            parameters: {},
+            events: {},
+            ...options
+        }, createReference());
+    }
+
+    test("requests tiles with key-value pairs", () => {
+        addWmtsLayer("http://localhost/geoserver/gwc/service/wmts", { parameters: { TIME: "2020" } });
+
+        const params = getTileParams("wmts");
+        assert.equal(params.service, "WMTS");
+        assert.equal(params.request, "GetTile");
+        assert.equal(params.layer, "topp:states");
+        assert.equal(params.tilematrixset, "EPSG:900913");
+        assert.equal(params.tilematrix, "EPSG:900913:10");
+        assert.equal(params.time, "2020");
+    });
+
+    test("fills in RESTful URL templates and updates them", () => {
+        addWmtsLayer("http://localhost/wmts/{Layer}/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png?time={TIME}", {
+            layer: "ortho",
+            style: "default",
+            tileMatrixSet: "GoogleMapsCompatible",
+            tileMatrixPrefix: "",
+            parameters: { TIME: "2021" }
+        });
+        const tile = () => Object.values(layers[mapId].get("wmts")._tiles)[0];
+
+        assert.match(tile().el.src, /^http:\/\/localhost\/wmts\/ortho\/default\/GoogleMapsCompatible\/10\/\d+\/\d+\.png\?time=2021$/);
+
+        leafletBlazor.updateLayer(mapId, "wmts", { parameters: { TIME: "2022" }, style: "dark" });
+
+        const coords = tile().coords;
+        assert.equal(tile().el.src,
+            "http://localhost/wmts/ortho/dark/GoogleMapsCompatible/10/" + coords.y + "/" + coords.x + ".png?time=2022");
+    });
+});
@@ -0,0 +1,128 @@
+﻿using System;
+using System.Drawing;
+using ACO.Blazor.Leaflet.Models;
+using ACO.Blazor.Leaflet.Utils;
+using Xunit;
+
+namespace ACO.Blazor.Leaflet.Tests.Utils
+{
+	public class GeodesyTests
+	{
+		// a degree of a great circle in meters
+		private const double Degree = Geodesy.EarthRadius * Math.PI / 180;
+
+		private static readonly LatLng[] Square =
+		{
+			new LatLng(0, 0), new LatLng(0, 1), new LatLng(1, 1), new LatLng(1, 0)
+		};
+
+		[Fact]
+		public void Distance_AlongTheEquator_IsTheArcLength()
+		{
+			Assert.Equal(Degree, Geodesy.Distance(new LatLng(0, 0), new LatLng(0, 1)), 6);
+		}
+
+		[Fact]
+		public void Distance_BetweenCities_MatchesLeaflet()
+		{
+			// map.distance of Leaflet gives 877463.33 for the same positions as doubles, rounding them to the floats
+			// of LatLng moves the result by about a decimeter
+			var berlin = new LatLng(52.52f, 13.405f);
+			var paris = new LatLng(48.8566f, 2.3522f);
+
+			Assert.Equal(877_463.33, Geodesy.Distance(berlin, paris), 0.5);
+		}
+
+		[Fact]
+		public void Length_OfAClosedLine_AddsTheLastSegment()
+		{
+			Assert.Equal(2 * Degree, Geodesy.Length(Square[..3]), 6);
+			Assert.Equal(Geodesy.Length(Square) + Degree, Geodesy.Length(Square, closed: true), 6);
+		}
+
+		[Fact]
+		public void Length_OfAPolygon_IsItsPerimeter()
+		{
+			var polygon = new Polygon { Shape = new[] { ToShape(Square) } };
+
+			Assert.Equal(Geodesy.Length(Square, closed: true), Geodesy.Length(polygon), 6);
+		}
+
+		[Fact]
+		public void Area_OfASquareDegreeAtTheEquator_IsTheAreaOnTheSphere()
+		{
+			var expected = Geodesy.EarthRadius * Geodesy.EarthRadius * (Math.PI / 180) * Math.Sin(Math.PI / 180);
+
+			Assert.Equal(expected, Geodesy.Area(Square), 0);
+		}
+
+		[Fact]
+		public void Area_OfAPolygon_SubtractsItsHoles()
+		{
+			var hole = new[]
+			{
+				new LatLng(0.25f, 0.25f), new LatLng(0.25f, 0.75f), new LatLng(0.75f, 0.75f), new LatLng(0.75f, 0.25f)
+			};
+			var polygon = new Polygon { Shape = new[] { ToShape(Square), ToShape(hole) } };
+
+			Assert.Equal(Geodesy.Area(Square) - Geodesy.Area(hole), Geodesy.Area(polygon), 0);
+		}
+
+		[Theory]
+		[InlineData(0, 1, 90)]
+		[InlineData(1, 0, 0)]
+		[InlineData(0, -1, 270)]
+		[InlineData(-1, 0, 180)]
+		public void Bearing_FromTheOrigin_IsClockwiseFromNorth(float lat, float lng, double expected)
+		{
+			Assert.Equal(expected, Geodesy.Bearing(new LatLng(0, 0), new LatLng(lat, lng)), 6);
+		}
+
+		[Fact]
+		public void Destination_GoesTheDistanceInTheBearing()
+		{
+			var from = new LatLng(47.5f, 8.5f);
+
+			var to = Geodesy.Destination(from, 45, 10_000);
+
+			Assert.Equal(10_000, Geodesy.Distance(from, to), 0);
+			Assert.Equal(45, Geodesy.Bearing(from, to), 1);
+		}
+
+		[Fact]
+		public void Destination_AcrossTheAntimeridian_WrapsTheLongitude()
+		{
+			var to = Geodesy.Destination(new LatLng(0, 179.5f), 90, Degree);
+
+			Assert.Equal(-179.5, to.Lng, 4);
+		}
+
+		[Fact]
+		public void Contains_IsFalseInTheHolesOfAPolygon()
+		{
+			var hole = new[]
+			{
+				new LatLng(0.25f, 0.25f), new LatLng(0.25f, 0.75f), new LatLng(0.75f, 0.75f), new LatLng(0.75f, 0.25f)
+			};
+			var polygon = new Polygon { Shape = new[] { ToShape(Square), ToShape(hole) } };
+
+			Assert.True(Geodesy.Contains(polygon, new LatLng(0.1f, 0.1f)));
+			Assert.False(Geodesy.Contains(polygon, new LatLng(0.5f, 0.5f)));
+			Assert.False(Geodesy.Contains(polygon, new LatLng(1.5f, 0.5f)));
+		}
+
+		[Fact]
+		public void Contains_WithoutRings_IsFalse()
+		{
+			Assert.False(Geodesy.Contains(new Polygon(), new LatLng(0, 0)));
+		}
+
+		[Fact]
+		public void Distance_WithoutPosition_Throws()
+		{
+			Assert.Throws<ArgumentNullException>(() => Geodesy.Distance(null, new LatLng(0, 0)));
+		}
+
+		private static PointF[] ToShape(LatLng[] ring) => Array.ConvertAll(ring, latLng => latLng.ToPointF());
+	}
+}
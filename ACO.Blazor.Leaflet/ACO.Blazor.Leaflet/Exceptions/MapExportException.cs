@@ -0,0 +1,23 @@
+﻿using System;
+
+namespace ACO.Blazor.Leaflet.Exceptions
+{
+	/// <summary>
+	/// Exception thrown when the image of a map could not be exported or printed, e.g. because tiles of another
+	/// origin without CORS headers can not be read.
+	/// </summary>
+	public class MapExportException : Exception
+	{
+
+		public MapExportException(string message) : base(message)
+		{
+
+		}
+
+		public MapExportException(string message, Exception innerException) : base(message, innerException)
+		{
+
+		}
+
+	}
+}
@@ -1,3 +1,4 @@
+﻿using Microsoft.AspNetCore.Components;
 using Microsoft.AspNetCore.Components.Web;
 using Microsoft.JSInterop;
 using System;
@@ -5,8 +6,12 @@ using System.Collections;
 using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Drawing;
+using System.Linq;
+using System.Text.Json;
+using System.Text.Json.Nodes;
 using System.Threading.Tasks;
 using ACO.Blazor.Leaflet.Models;
+using ACO.Blazor.Leaflet.Utils;
 using Rectangle = ACO.Blazor.Leaflet.Models.Rectangle;
 
 namespace ACO.Blazor.Leaflet
@@ -16,53 +21,162 @@ namespace ACO.Blazor.Leaflet
 		private static ConcurrentDictionary<string, (IDisposable, string, Layer)> LayerReferences { get; }
 			= new ConcurrentDictionary<string, (IDisposable, string, Layer)>();
 
+		private static ConcurrentDictionary<string, IDisposable> MapReferences { get; }
+			= new ConcurrentDictionary<string, IDisposable>();
+
+		// Serialized state of every layer as last sent to the client, used to only send changed properties on updates.
+		private static ConcurrentDictionary<string, JsonElement> LayerStates { get; }
+			= new ConcurrentDictionary<string, JsonElement>();
+
 		private static readonly string _BaseObjectContainer = "window.leafletBlazor";
 
-		public static ValueTask Create(IJSRuntime jsRuntime, Map map) =>
-			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.create", map, DotNetObjectReference.Create(map));
+		// e.g. a PNG of 4000 x 4000 pixels
+		private const long MaxExportedImageSize = 64 * 1024 * 1024;
+
+		private static readonly JsonSerializerOptions _SerializerOptions = new JsonSerializerOptions
+		{
+			PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+		};
+
+		public static ValueTask Create(IJSRuntime jsRuntime, Map map)
+		{
+			var reference = DotNetObjectReference.Create(map);
+			MapReferences.AddOrUpdate(map.Id, reference, (_, previous) =>
+			{
+				previous.Dispose();
+				return reference;
+			});
+			return jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.create", map, reference);
+		}
+
+		/// <summary>
+		/// Removes the map from the page, drops everything the client keeps for it and disposes the references to
+		/// the map and its layers.
+		/// </summary>
+		public static async ValueTask DisposeMap(IJSRuntime jsRuntime, string mapId)
+		{
+			try
+			{
+				await jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.disposeMap", mapId);
+			}
+			catch (JSDisconnectedException)
+			{
+				// The client is already gone and the map with it.
+			}
+			finally
+			{
+				var layerIds = LayerReferences.Where(r => r.Value.Item2 == mapId).Select(r => r.Key).ToList();
+				foreach (var layerId in layerIds)
+				{
+					DisposeLayerReference(layerId);
+				}
+
+				if (MapReferences.TryRemove(mapId, out var reference))
+					reference.Dispose();
+			}
+		}
 
-		private static DotNetObjectReference<T> CreateLayerReference<T>(string mapId, T layer) where T : Layer
+		private static DotNetObjectReference<T> CreateLayerReference<T>(string mapId, T layer, JsonElement state)
+			where T : Layer
 		{
 			var result = DotNetObjectReference.Create(layer);
 			LayerReferences.TryAdd(layer.Id, (result, mapId, layer));
+			LayerStates[layer.Id] = state;
 			return result;
 		}
 
 		private static void DisposeLayerReference(string layerId)
 		{
+			LayerStates.TryRemove(layerId, out _);
 			if (LayerReferences.TryRemove(layerId, out var value))
 				value.Item1.Dispose();
 		}
 
-		public static ValueTask AddLayer(IJSRuntime jsRuntime, string mapId, Layer layer)
+		private static JsonElement SerializeLayer(Layer layer) =>
+			JsonSerializer.SerializeToElement(layer, layer.GetType(), _SerializerOptions);
+
+		private static Dictionary<string, JsonElement> GetChangedProperties(JsonElement previous, JsonElement current)
+		{
+			var previousProperties = previous.EnumerateObject().ToDictionary(p => p.Name, p => p.Value.GetRawText());
+			return current.EnumerateObject()
+				.Where(p => !previousProperties.TryGetValue(p.Name, out var value) || value != p.Value.GetRawText())
+				.ToDictionary(p => p.Name, p => p.Value);
+		}
+
+		public static async ValueTask AddLayer(IJSRuntime jsRuntime, string mapId, Layer layer)
+		{
+			var (function, args) = GetAddLayerCall(mapId, layer);
+			try
+			{
+				await jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.{function}", args.Prepend(mapId).ToArray());
+			}
+			catch (JSException)
+			{
+				DisposeLayerReference(layer.Id);
+				throw;
+			}
+		}
+
+		/// <summary>
+		/// Adds many layers to the map in a single call. A layer the client fails to add does not keep the others
+		/// from being added, the references of the failed layers are disposed and the errors returned by layer id.
+		/// </summary>
+		public static async ValueTask<IReadOnlyDictionary<string, string>> AddLayers(IJSRuntime jsRuntime,
+			string mapId, IEnumerable<Layer> layers)
+		{
+			var calls = layers.Select(layer =>
+			{
+				var (function, args) = GetAddLayerCall(mapId, layer);
+				return new { LayerId = layer.Id, Function = function, Args = args };
+			}).ToList();
+			var failures = await jsRuntime.InvokeAsync<_LayerFailure[]>($"{_BaseObjectContainer}.addLayers", mapId, calls);
+			foreach (var failure in failures)
+			{
+				DisposeLayerReference(failure.LayerId);
+			}
+
+			return failures.ToDictionary(f => f.LayerId, f => f.Message);
+		}
+
+		// A layer the client could not add, with the message of the error.
+		private class _LayerFailure
+		{
+			public string LayerId { get; set; }
+			public string Message { get; set; }
+		}
+
+		// Name and arguments (besides the map id) of the client side function adding the layer.
+		private static (string, object[]) GetAddLayerCall(string mapId, Layer layer)
 		{
+			// the layer is sent as the state kept for its updates, so that it is serialized once
+			var state = SerializeLayer(layer);
 			return layer switch
 			{
-				TileLayer tileLayer => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addTilelayer", mapId,
-					tileLayer, CreateLayerReference(mapId, tileLayer)),
-				MbTilesLayer mbTilesLayer => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addMbTilesLayer", mapId,
-					mbTilesLayer, CreateLayerReference(mapId, mbTilesLayer)),
-				ShapefileLayer shapefileLayer => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addShapefileLayer",
-					mapId, shapefileLayer, CreateLayerReference(mapId, shapefileLayer)),
-				Marker marker => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addMarker", mapId, marker,
-					CreateLayerReference(mapId, marker)),
-				Rectangle rectangle => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addRectangle", mapId,
-					rectangle, CreateLayerReference(mapId, rectangle)),
-				Circle circle => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addCircle", mapId, circle,
-					CreateLayerReference(mapId, circle)),
-				Polygon polygon => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addPolygon", mapId, polygon,
-					CreateLayerReference(mapId, polygon)),
-				Polyline polyline => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addPolyline", mapId, polyline,
-					CreateLayerReference(mapId, polyline)),
-				ImageRotatedLayer imageRotated => jsRuntime.InvokeVoidAsync(
-					$"{_BaseObjectContainer}.addImageRotatedLayer", mapId, imageRotated,
-					CreateLayerReference(mapId, imageRotated)),
-				ImageLayer image => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addImageLayer", mapId, image,
-					CreateLayerReference(mapId, image)),
-				GeoJsonDataLayer geo => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addGeoJsonLayer", mapId, geo,
-					CreateLayerReference(mapId, geo)),
-				HeatmapLayer heat => jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addHeatLayer", mapId, heat,
-					CreateLayerReference(mapId, heat)),
+				TileLayer tileLayer => ("addTilelayer", new object[] { state, CreateLayerReference(mapId, tileLayer, state) }),
+				MbTilesLayer mbTilesLayer => ("addMbTilesLayer",
+					new object[] { state, CreateLayerReference(mapId, mbTilesLayer, state) }),
+				VectorTileLayer vectorTileLayer => ("addVectorTileLayer",
+					new object[] { state, CreateLayerReference(mapId, vectorTileLayer, state) }),
+				ShapefileLayer shapefileLayer => ("addShapefileLayer",
+					new object[] { state, CreateLayerReference(mapId, shapefileLayer, state) }),
+				FeatureFileLayer fileLayer => ("addFeatureFileLayer",
+					new object[] { state, CreateLayerReference(mapId, fileLayer, state) }),
+				WmsLayer wmsLayer => ("addWmsLayer", new object[] { state, CreateLayerReference(mapId, wmsLayer, state) }),
+				WmtsLayer wmtsLayer => ("addWmtsLayer", new object[] { state, CreateLayerReference(mapId, wmtsLayer, state) }),
+				Marker marker => ("addMarker", new object[] { state, CreateLayerReference(mapId, marker, state) }),
+				MarkerClusterLayer cluster => ("addMarkerClusterLayer",
+					new object[] { state, cluster.Markers, CreateLayerReference(mapId, cluster, state) }),
+				Rectangle rectangle => ("addRectangle",
+					new object[] { state, CreateLayerReference(mapId, rectangle, state) }),
+				Circle circle => ("addCircle", new object[] { state, CreateLayerReference(mapId, circle, state) }),
+				Polygon polygon => ("addPolygon", new object[] { state, CreateLayerReference(mapId, polygon, state) }),
+				Polyline polyline => ("addPolyline", new object[] { state, CreateLayerReference(mapId, polyline, state) }),
+				ImageRotatedLayer imageRotated => ("addImageRotatedLayer",
+					new object[] { state, CreateLayerReference(mapId, imageRotated, state) }),
+				ImageLayer image => ("addImageLayer", new object[] { state, CreateLayerReference(mapId, image, state) }),
+				GeoJsonDataLayer geo => ("addGeoJsonLayer", new object[] { state, CreateLayerReference(mapId, geo, state) }),
+				HeatmapLayer heat => ("addHeatLayer",
+					new object[] { state, heat.Points.Select(SerializeHeatmapPoint), CreateLayerReference(mapId, heat, state) }),
 				_ => throw new NotImplementedException($"The layer {typeof(Layer).Name} has not been implemented."),
 			};
 		}
@@ -73,6 +187,200 @@ namespace ACO.Blazor.Leaflet
 			DisposeLayerReference(layerId);
 		}
 
+		/// <summary>
+		/// Removes many layers from the map in a single call.
+		/// </summary>
+		public static async Task RemoveLayers(IJSRuntime jsRuntime, string mapId, IEnumerable<string> layerIds)
+		{
+			var ids = layerIds.ToList();
+			await jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.removeLayers", mapId, ids);
+			foreach (var layerId in ids)
+			{
+				DisposeLayerReference(layerId);
+			}
+		}
+
+		/// <summary>
+		/// Sends the properties of the layer that changed since it was added or last updated to the client,
+		/// where they are applied onto the existing Leaflet layer.
+		/// </summary>
+		public static ValueTask UpdateLayer(IJSRuntime jsRuntime, string mapId, Layer layer)
+		{
+			var current = SerializeLayer(layer);
+			var changes = LayerStates.TryGetValue(layer.Id, out var previous)
+				? GetChangedProperties(previous, current)
+				: current.EnumerateObject().ToDictionary(p => p.Name, p => p.Value);
+			LayerStates[layer.Id] = current;
+
+			return changes.Count == 0
+				? ValueTask.CompletedTask
+				: jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.updateLayer", mapId, layer.Id, changes);
+		}
+
+		/// <summary>
+		/// Starts or stops sending an event of the map, or of one of its layers if a layer id is given, or changes its rate.
+		/// </summary>
+		internal static ValueTask UpdateEventSubscription(IJSRuntime jsRuntime, string mapId, string layerId,
+			EventSubscriptions eventSubscriptions, string eventName) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.updateEventSubscription", mapId, layerId, eventName,
+				eventSubscriptions.IsSubscribed(eventName), eventSubscriptions.GetRate(eventName));
+
+		public static ValueTask AddLayerControl(IJSRuntime jsRuntime, string mapId, LayerControl control) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addLayerControl", mapId,
+				SerializeLayerControl(control));
+
+		public static ValueTask UpdateLayerControl(IJSRuntime jsRuntime, string mapId, LayerControl control) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.updateLayerControl", mapId,
+				SerializeLayerControl(control));
+
+		public static ValueTask RemoveLayerControl(IJSRuntime jsRuntime, string mapId, LayerControl control) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.removeLayerControl", mapId, control.Id);
+
+		private static object SerializeLayerControl(LayerControl control) => new
+		{
+			control.Id,
+			Position = control.Position.ToString().ToLowerInvariant(),
+			control.Collapsed,
+			control.HideSingleBase,
+			control.SortLayers,
+			BaseLayers = control.BaseLayers.Select(e => new { e.Name, LayerId = e.Layer.Id, e.Visible }),
+			Overlays = control.Overlays.Select(e => new { e.Name, LayerId = e.Layer.Id, e.Group, e.Visible })
+		};
+
+		public static ValueTask AddControl(IJSRuntime jsRuntime, string mapId, string controlId,
+			ElementReference element, ControlPosition position) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addControl", mapId, controlId, element,
+				position.ToString().ToLowerInvariant());
+
+		public static ValueTask SetControlPosition(IJSRuntime jsRuntime, string mapId, string controlId,
+			ControlPosition position) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setControlPosition", mapId, controlId,
+				position.ToString().ToLowerInvariant());
+
+		public static ValueTask RemoveControl(IJSRuntime jsRuntime, string mapId, string controlId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.removeControl", mapId, controlId);
+
+		public static ValueTask AddControl(IJSRuntime jsRuntime, string mapId, Control control) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addBuiltInControl", mapId, SerializeControl(control));
+
+		public static ValueTask UpdateControl(IJSRuntime jsRuntime, string mapId, Control control) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.updateBuiltInControl", mapId,
+				SerializeControl(control));
+
+		private static JsonNode SerializeControl(Control control)
+		{
+			var node = JsonSerializer.SerializeToNode(control, control.GetType(), _SerializerOptions);
+			node["position"] = control.Position.ToString().ToLowerInvariant();
+			if (control is CoordinatesControl coordinates)
+			{
+				node["format"] = coordinates.Format.ToString().ToLowerInvariant();
+			}
+
+			return node;
+		}
+
+		public static ValueTask SetOverlayElements(IJSRuntime jsRuntime, string mapId,
+			IEnumerable<(Layer Layer, DivOverlay Overlay, ElementReference Element)> overlays) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setOverlayElements", mapId, overlays.Select(o => new
+			{
+				LayerId = o.Layer.Id,
+				Kind = o.Overlay is Popup ? "popup" : "tooltip",
+				o.Element
+			}));
+
+		public static ValueTask SetGeoJsonData(IJSRuntime jsRuntime, string mapId, GeoJsonDataLayer layer)
+		{
+			// the client has the new data already, a later UpdateLayer must not send it again
+			if (LayerStates.TryGetValue(layer.Id, out var state))
+			{
+				var node = JsonNode.Parse(state.GetRawText());
+				node["geoJsonData"] = layer.GeoJsonData;
+				LayerStates[layer.Id] = JsonSerializer.SerializeToElement(node);
+			}
+
+			return jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setGeoJsonData", mapId, layer.Id,
+				layer.GeoJsonData);
+		}
+
+		public static ValueTask AddGeoJsonData(IJSRuntime jsRuntime, string mapId, GeoJsonDataLayer layer,
+			string geoJsonData) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addGeoJsonData", mapId, layer.Id, geoJsonData);
+
+		public static ValueTask ClearGeoJsonData(IJSRuntime jsRuntime, string mapId, GeoJsonDataLayer layer) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.clearGeoJsonData", mapId, layer.Id);
+
+		public static ValueTask<string> GetGeoJsonData(IJSRuntime jsRuntime, string mapId, GeoJsonDataLayer layer) =>
+			jsRuntime.InvokeAsync<string>($"{_BaseObjectContainer}.getGeoJsonData", mapId, layer.Id);
+
+		/// <summary>
+		/// Sends points to a heatmap in chunks of at most <paramref name="chunkSize"/> points per call. The first
+		/// chunk replaces the points of the heatmap if <paramref name="replace"/> is set, the others are appended.
+		/// </summary>
+		public static async ValueTask AddHeatmapPoints(IJSRuntime jsRuntime, string mapId, HeatmapLayer layer,
+			List<HeatmapLatLng> points, bool replace, int chunkSize)
+		{
+			var offset = 0;
+			do
+			{
+				var chunk = points.GetRange(offset, Math.Min(chunkSize, points.Count - offset));
+				await jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addHeatPoints", mapId, layer.Id,
+					chunk.Select(SerializeHeatmapPoint), replace && offset == 0);
+				offset += chunk.Count;
+			} while (offset < points.Count);
+		}
+
+		// as [lat, lng, intensity], the most compact form understood by Leaflet.heat
+		private static float[] SerializeHeatmapPoint(HeatmapLatLng point) => new[] { point.Lat, point.Lng, point.Alt };
+
+		public static async ValueTask LoadMbTilesData(IJSRuntime jsRuntime, string mapId, GridLayer layer,
+			System.IO.Stream stream)
+		{
+			using var streamReference = new DotNetStreamReference(stream, leaveOpen: true);
+			await jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.loadMbTilesData", mapId, layer.Id,
+				streamReference);
+		}
+
+		public static ValueTask LoadMbTilesFile(IJSRuntime jsRuntime, string mapId, GridLayer layer,
+			ElementReference fileInput) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.loadMbTilesFile", mapId, layer.Id, fileInput);
+
+		public static ValueTask LoadShapefileData(IJSRuntime jsRuntime, string mapId, ShapefileLayer layer,
+			byte[] data) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.loadShapefileData", mapId, layer.Id, data);
+
+		public static ValueTask<string> LoadFeatureFileData(IJSRuntime jsRuntime, string mapId,
+			FeatureFileLayer layer, string data) =>
+			jsRuntime.InvokeAsync<string>($"{_BaseObjectContainer}.loadFeatureFileData", mapId, layer.Id, data);
+
+		public static ValueTask<string> LoadFeatureFile(IJSRuntime jsRuntime, string mapId, FeatureFileLayer layer,
+			ElementReference fileInput) =>
+			jsRuntime.InvokeAsync<string>($"{_BaseObjectContainer}.loadFeatureFile", mapId, layer.Id, fileInput);
+
+		// The image is streamed, it is usually larger than a SignalR message may be.
+		public static async Task<byte[]> ExportImage(IJSRuntime jsRuntime, string mapId, MapExportOptions options)
+		{
+			await using var image = await jsRuntime.InvokeAsync<IJSStreamReference>($"{_BaseObjectContainer}.exportImage", mapId,
+				SerializeExportOptions(options));
+			await using var stream = await image.OpenReadStreamAsync(MaxExportedImageSize);
+			using var memoryStream = new System.IO.MemoryStream();
+			await stream.CopyToAsync(memoryStream);
+			return memoryStream.ToArray();
+		}
+
+		public static ValueTask PrintImage(IJSRuntime jsRuntime, string mapId, MapExportOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.printImage", mapId, SerializeExportOptions(options));
+
+		private static object SerializeExportOptions(MapExportOptions options) => new
+		{
+			Format = options.Format.ToString().ToLowerInvariant(),
+			options.Width,
+			options.Height,
+			options.Dpi,
+			options.Title,
+			options.ScaleBar,
+			options.Legend
+		};
+
 		public static ValueTask UpdatePopupContent(IJSRuntime jsRuntime, string mapId, Layer layer) =>
 			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.updatePopupContent", mapId, layer.Id,
 				layer.Popup?.Content);
@@ -100,8 +408,42 @@ namespace ACO.Blazor.Leaflet
 			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.bringPathToBack", mapId, path);
 
 
-		public static ValueTask OpenLayerPopup(IJSRuntime jsRuntime, string mapId, Marker marker)
-			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.openLayerPopup", mapId, marker.Id);
+		public static ValueTask OpenLayerPopup(IJSRuntime jsRuntime, string mapId, Layer layer, LatLng position = null)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.openLayerPopup", mapId, layer.Id, position);
+
+		public static ValueTask CloseLayerPopup(IJSRuntime jsRuntime, string mapId, Layer layer)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.closeLayerPopup", mapId, layer.Id);
+
+		public static ValueTask OpenLayerTooltip(IJSRuntime jsRuntime, string mapId, Layer layer, LatLng position = null)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.openLayerTooltip", mapId, layer.Id, position);
+
+		public static ValueTask CloseLayerTooltip(IJSRuntime jsRuntime, string mapId, Layer layer)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.closeLayerTooltip", mapId, layer.Id);
+
+		public static ValueTask SetMarkerPosition(IJSRuntime jsRuntime, string mapId, Marker marker)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setMarkerPosition", mapId, marker.Id,
+				marker.Position, marker.RotationAngle);
+
+		public static ValueTask SetMarkerPositions(IJSRuntime jsRuntime, string mapId, IEnumerable<Marker> markers)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setMarkerPositions", mapId,
+				markers.Select(m => new { m.Id, m.Position, m.RotationAngle }));
+
+		public static ValueTask AnimateMarker(IJSRuntime jsRuntime, string mapId, Marker marker,
+			IEnumerable<LatLng> path, TimeSpan duration, bool autoRotate, int progressInterval)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.animateMarker", mapId, marker.Id, path,
+				duration.TotalMilliseconds, autoRotate, progressInterval);
+
+		public static ValueTask AddClusterMarkers(IJSRuntime jsRuntime, string mapId, MarkerClusterLayer cluster,
+			IEnumerable<Marker> markers)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.addClusterMarkers", mapId, cluster.Id, markers);
+
+		public static ValueTask RemoveClusterMarkers(IJSRuntime jsRuntime, string mapId, MarkerClusterLayer cluster,
+			IEnumerable<Marker> markers)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.removeClusterMarkers", mapId, cluster.Id,
+				markers.Select(m => m.Id));
+
+		public static ValueTask StopMarkerAnimation(IJSRuntime jsRuntime, string mapId, Marker marker)
+			=> jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.stopMarkerAnimation", mapId, marker.Id);
 
 		public static ValueTask FitBounds(IJSRuntime jsRuntime, string mapId, PointF corner1, PointF corner2,
 			PointF? padding, float? maxZoom) =>
@@ -114,6 +456,47 @@ namespace ACO.Blazor.Leaflet
 				easeLinearity, noMoveStart);
 
 
+		public static ValueTask SetView(IJSRuntime jsRuntime, string mapId, LatLng center, float zoom,
+			ZoomPanOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setView", mapId, center, zoom, options);
+
+		public static ValueTask FlyTo(IJSRuntime jsRuntime, string mapId, LatLng center, float? zoom,
+			ZoomPanOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.flyTo", mapId, center, zoom, options);
+
+		public static ValueTask FlyToBounds(IJSRuntime jsRuntime, string mapId, Bounds bounds, PointF? padding,
+			float? maxZoom, ZoomPanOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.flyToBounds", mapId, bounds, padding, maxZoom, options);
+
+		public static ValueTask SetZoom(IJSRuntime jsRuntime, string mapId, float zoom, ZoomPanOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setZoom", mapId, zoom, options);
+
+		public static ValueTask PanBy(IJSRuntime jsRuntime, string mapId, PointF offset, ZoomPanOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.panBy", mapId, offset, options);
+
+		public static ValueTask SetMinZoom(IJSRuntime jsRuntime, string mapId, float? zoom) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setMinZoom", mapId, zoom);
+
+		public static ValueTask SetMaxZoom(IJSRuntime jsRuntime, string mapId, float? zoom) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setMaxZoom", mapId, zoom);
+
+		public static ValueTask SetMaxBounds(IJSRuntime jsRuntime, string mapId, Bounds bounds) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setMaxBounds", mapId, bounds);
+
+		public static ValueTask CreatePane(IJSRuntime jsRuntime, string mapId, string name, int? zIndex,
+			bool pointerEvents, Renderer renderer) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.createPane", mapId, name, zIndex, pointerEvents,
+				renderer);
+
+		public static ValueTask SetPaneZIndex(IJSRuntime jsRuntime, string mapId, string name, int? zIndex) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.setPaneZIndex", mapId, name, zIndex);
+
+		public static ValueTask EnableUrlHash(IJSRuntime jsRuntime, string mapId, string key, string overlaysKey) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.enableUrlHash", mapId, key, overlaysKey);
+
+		public static ValueTask DisableUrlHash(IJSRuntime jsRuntime, string mapId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.disableUrlHash", mapId);
+
 		public static async ValueTask<Bounds> GetBoundsFromMarkers(IJSRuntime jsRuntime, IEnumerable<Marker> markers)
 			=> (await jsRuntime.InvokeAsync<_Bounds>($"{_BaseObjectContainer}.getBoundsFromMarker", new[] { markers }))
 				.AsBounds();
@@ -124,6 +507,12 @@ namespace ACO.Blazor.Leaflet
 		public static ValueTask<float> GetZoom(IJSRuntime jsRuntime, string mapId) =>
 			jsRuntime.InvokeAsync<float>($"{_BaseObjectContainer}.getZoom", mapId);
 
+		public static ValueTask<ProjectedPoint> Project(IJSRuntime jsRuntime, string mapId, LatLng position) =>
+			jsRuntime.InvokeAsync<ProjectedPoint>($"{_BaseObjectContainer}.project", mapId, position);
+
+		public static ValueTask<LatLng> Unproject(IJSRuntime jsRuntime, string mapId, ProjectedPoint point) =>
+			jsRuntime.InvokeAsync<LatLng>($"{_BaseObjectContainer}.unproject", mapId, point);
+
 		// Private class only for deserialization from JSON (since the JSON names on the bounds are "_southWest"
 		// with the _). Since deserialization in JSRuntime is non-customizable, this is a good solution for now.
 		private class _Bounds
@@ -144,5 +533,56 @@ namespace ACO.Blazor.Leaflet
 
 		public static ValueTask ZoomOut(IJSRuntime jsRuntime, string mapId, MouseEventArgs e) =>
 			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.zoomOut", mapId, e);
+
+		public static ValueTask ZoomInBy(IJSRuntime jsRuntime, string mapId, float delta) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.zoomIn", mapId, null, delta);
+
+		public static ValueTask ZoomOutBy(IJSRuntime jsRuntime, string mapId, float delta) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.zoomOut", mapId, null, delta);
+
+		public static ValueTask StartDrawing(IJSRuntime jsRuntime, string mapId, DrawShape shape, DrawOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.startDrawing", mapId,
+				shape.ToString().ToLowerInvariant(), options);
+
+		public static ValueTask StopDrawing(IJSRuntime jsRuntime, string mapId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.stopDrawing", mapId);
+
+		public static ValueTask StartMeasuring(IJSRuntime jsRuntime, string mapId, DrawShape shape,
+			MeasurementUnits units, DrawOptions options) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.startMeasuring", mapId,
+				shape.ToString().ToLowerInvariant(), units.ToString().ToLowerInvariant(), options);
+
+		public static ValueTask StopMeasuring(IJSRuntime jsRuntime, string mapId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.stopMeasuring", mapId);
+
+		public static ValueTask<string[]> GetLayersAt(IJSRuntime jsRuntime, string mapId, LatLng position,
+			double tolerance) =>
+			jsRuntime.InvokeAsync<string[]>($"{_BaseObjectContainer}.getLayersAt", mapId, position, tolerance);
+
+		public static ValueTask<string[]> GetLayersWithin(IJSRuntime jsRuntime, string mapId, Bounds bounds) =>
+			jsRuntime.InvokeAsync<string[]>($"{_BaseObjectContainer}.getLayersWithin", mapId, bounds, null);
+
+		public static ValueTask<string[]> GetLayersWithin(IJSRuntime jsRuntime, string mapId, LatLng[][] rings) =>
+			jsRuntime.InvokeAsync<string[]>($"{_BaseObjectContainer}.getLayersWithin", mapId, null, rings);
+
+		public static ValueTask StartBoxSelection(IJSRuntime jsRuntime, string mapId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.startBoxSelection", mapId);
+
+		public static ValueTask StopBoxSelection(IJSRuntime jsRuntime, string mapId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.stopBoxSelection", mapId);
+
+		public static ValueTask EnableEditing(IJSRuntime jsRuntime, string mapId, Layer layer,
+			string featureId = null) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.enableEditing", mapId, layer.Id, featureId);
+
+		public static ValueTask DisableEditing(IJSRuntime jsRuntime, string mapId, Layer layer,
+			string featureId = null) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.disableEditing", mapId, layer.Id, featureId);
+
+		public static ValueTask StartDeleting(IJSRuntime jsRuntime, string mapId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.startDeleting", mapId);
+
+		public static ValueTask StopDeleting(IJSRuntime jsRuntime, string mapId) =>
+			jsRuntime.InvokeVoidAsync($"{_BaseObjectContainer}.stopDeleting", mapId);
 	}
 }
\ No newline at end of file
@@ -1,11 +1,12 @@
+﻿using Microsoft.AspNetCore.Components;
 using Microsoft.AspNetCore.Components.Web;
 using Microsoft.JSInterop;
 using System;
 using System.Collections.Generic;
-using System.Collections.ObjectModel;
 using System.Collections.Specialized;
 using System.Drawing;
 using System.Linq;
+using System.Text.Json.Serialization;
 using System.Threading.Tasks;
 using ACO.Blazor.Leaflet.Exceptions;
 using ACO.Blazor.Leaflet.Models;
@@ -14,7 +15,7 @@ using ACO.Blazor.Leaflet.Utils;
 
 namespace ACO.Blazor.Leaflet
 {
-	public class Map
+	public class Map : IAsyncDisposable
 	{
 		/// <summary>
 		/// Initial geographic center of the map
@@ -60,6 +61,22 @@ namespace ACO.Blazor.Leaflet
 		/// </summary>
 		public bool ZoomControl { get; set; } = true;
 
+		/// <summary>
+		/// The coordinate reference system of the map, set before it is rendered. The layers of the map have to
+		/// be in this system, e.g. tiles of a national grid or an image with <see cref="Crs.Simple"/>.
+		/// <para/>
+		/// Defaults to null, for <see cref="Crs.EPSG3857"/>.
+		/// </summary>
+		public Crs Crs { get; set; }
+
+		/// <summary>
+		/// How the paths of the map are drawn, set before it is rendered. <see cref="Renderer.Canvas"/> also
+		/// becomes the default of panes created without a renderer of their own.
+		/// <para/>
+		/// Defaults to null, for <see cref="Renderer.Svg"/>.
+		/// </summary>
+		public Renderer Renderer { get; set; }
+
 		/// <summary>
 		/// Event raised when the component has finished its first render.
 		/// </summary>
@@ -67,255 +84,1969 @@ namespace ACO.Blazor.Leaflet
 
 		public string Id { get; }
 
-		private readonly ObservableCollection<Layer> _layers = new ObservableCollection<Layer>();
+		private readonly LayerCollection _layers = new LayerCollection();
 
 		private readonly IJSRuntime _jsRuntime;
 
+		private readonly EventSubscriptions _eventSubscriptions = new EventSubscriptions();
+
+		// points of a heatmap sent in one call, keeping the messages to the client reasonably small
+		private const int DefaultHeatmapChunkSize = 10000;
+
+		/// <summary>
+		/// The events of the map that have .NET handlers, the client only sends those.
+		/// </summary>
+		[JsonInclude]
+		internal Dictionary<string, EventRate> Events => _eventSubscriptions.ToDictionary();
+
 		public bool IsInitialized { get; private set; }
 
+		/// <summary>
+		/// Raised after layers have been added, removed or updated, so that <see cref="LeafletMap"/> renders the
+		/// content fragments of their popups and tooltips.
+		/// </summary>
+		internal event Action LayersChanged;
+
 		public Map(IJSRuntime jsRuntime)
 		{
 			_jsRuntime = jsRuntime ?? throw new ArgumentNullException(nameof(jsRuntime));
 			Id = StringHelper.GetRandomString(10);
 
-			_layers.CollectionChanged += OnLayersChanged;
+			_layers.CollectionChanged += OnLayersChanged;
+
+			// keep the bounds up to date
+			_eventSubscriptions.Require("moveend");
+			_eventSubscriptions.Require("zoomend");
+			_eventSubscriptions.Changed = eventName =>
+			{
+				if (IsInitialized)
+				{
+					RunTaskInBackground(() => LeafletInterops
+						.UpdateEventSubscription(_jsRuntime, Id, null, _eventSubscriptions, eventName).AsTask());
+				}
+			};
+		}
+
+		/// <summary>
+		/// Limits how often an event of the map is sent from the client, e.g.
+		/// <c>SetEventRate(nameof(OnMouseMove), EventRate.Throttled(50))</c> or
+		/// <c>SetEventRate(nameof(OnMove), EventRate.Debounced(100))</c>.
+		/// </summary>
+		/// <param name="eventName">The name of the event, like <c>nameof(OnMouseMove)</c> or its Leaflet name "mousemove".</param>
+		/// <param name="rate">The rate, or null to send every event.</param>
+		public void SetEventRate(string eventName, EventRate rate) => _eventSubscriptions.SetRate(eventName, rate);
+
+		/// <summary>
+		/// This method MUST be called only once by the Blazor component upon rendering, and never by the user.
+		/// </summary>
+		public void RaiseOnInitialized()
+		{
+			IsInitialized = true;
+			OnInitialized?.Invoke();
+			RunTaskInBackground(UpdateBounds);
+		}
+
+		/// <summary>
+		/// Removes the map from the page and releases its layers on the client and in .NET. Called by
+		/// <see cref="LeafletMap"/> when it is disposed. The layers are removed from the map as well, a map rendered
+		/// again afterwards starts without layers and they have to be added again.
+		/// </summary>
+		public async ValueTask DisposeAsync()
+		{
+			if (!IsInitialized)
+			{
+				return;
+			}
+
+			IsInitialized = false;
+			foreach (var layer in _layers)
+			{
+				DetachEventSubscriptions(layer);
+			}
+
+			_layers.Clear();
+			await LeafletInterops.DisposeMap(_jsRuntime, Id);
+		}
+
+		private async void RunTaskInBackground(Func<Task> task)
+		{
+			try
+			{
+				await task();
+			}
+			catch (Exception ex)
+			{
+				NotifyBackgroundExceptionOccurred(ex);
+			}
+		}
+
+		/// <summary>
+		/// Add a layer to the map.
+		/// </summary>
+		/// <param name="layer">The layer to be added.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public void AddLayer(Layer layer)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			_layers.Add(layer);
+		}
+
+		/// <summary>
+		/// Add many layers to the map. The layers are sent to the client in a single call.
+		/// </summary>
+		/// <param name="layers">The layers to be added.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layers or one of them are null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public void AddLayers(IEnumerable<Layer> layers)
+		{
+			var layerList = layers?.ToList() ?? throw new ArgumentNullException(nameof(layers));
+			if (layerList.Any(l => l is null))
+			{
+				throw new ArgumentNullException(nameof(layers));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			_layers.AddRange(layerList);
+		}
+
+		public ValueTask OpenMarkerPopup(Marker marker) => OpenPopup(marker);
+
+		/// <summary>
+		/// Opens the <see cref="Layer.Popup"/> of a layer, like a click on it would.
+		/// </summary>
+		/// <param name="layer">A layer of this map or a marker of one of its clusters.</param>
+		/// <param name="position">Where to open the popup, by default at the marker or the center of the shape.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		public ValueTask OpenPopup(Layer layer, LatLng position = null)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			return LeafletInterops.OpenLayerPopup(_jsRuntime, Id, layer, position);
+		}
+
+		/// <summary>
+		/// Closes the popup of a layer if it is open.
+		/// </summary>
+		/// <param name="layer">A layer of this map or a marker of one of its clusters.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		public ValueTask ClosePopup(Layer layer)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			return LeafletInterops.CloseLayerPopup(_jsRuntime, Id, layer);
+		}
+
+		/// <summary>
+		/// Opens the <see cref="Layer.Tooltip"/> of a layer, like hovering it would.
+		/// </summary>
+		/// <param name="layer">A layer of this map or a marker of one of its clusters.</param>
+		/// <param name="position">Where to open the tooltip, by default at the marker or the center of the shape.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		public ValueTask OpenTooltip(Layer layer, LatLng position = null)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			return LeafletInterops.OpenLayerTooltip(_jsRuntime, Id, layer, position);
+		}
+
+		/// <summary>
+		/// Closes the tooltip of a layer if it is open.
+		/// </summary>
+		/// <param name="layer">A layer of this map or a marker of one of its clusters.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		public ValueTask CloseTooltip(Layer layer)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			return LeafletInterops.CloseLayerTooltip(_jsRuntime, Id, layer);
+		}
+
+		/// <summary>
+		/// Moves a marker of this map to a new position, optionally rotating it.
+		/// </summary>
+		/// <param name="marker">The marker to be moved.</param>
+		/// <param name="position">The new position of the marker.</param>
+		/// <param name="rotationAngle">The new rotation of the marker icon in degrees, or null to keep it.</param>
+		/// <param name="duration">If set, the marker moves to the new position in an animation of this duration.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the marker or the position is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetMarkerPosition(Marker marker, LatLng position, double? rotationAngle = null,
+			TimeSpan? duration = null)
+		{
+			if (marker is null)
+			{
+				throw new ArgumentNullException(nameof(marker));
+			}
+
+			if (position is null)
+			{
+				throw new ArgumentNullException(nameof(position));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			if (rotationAngle.HasValue)
+			{
+				marker.RotationAngle = rotationAngle.Value;
+			}
+
+			if (duration.HasValue)
+			{
+				return AnimateMarker(marker, new[] { position }, duration.Value);
+			}
+
+			marker.Position = position;
+			return LeafletInterops.SetMarkerPosition(_jsRuntime, Id, marker);
+		}
+
+		/// <summary>
+		/// Sends the current <see cref="Marker.Position"/> and <see cref="Marker.RotationAngle"/> of many markers
+		/// to the map in a single call.
+		/// </summary>
+		/// <param name="markers">Markers of this map whose position or rotation changed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the markers or one of them are null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetMarkerPositions(IEnumerable<Marker> markers)
+		{
+			var markerList = markers?.ToList() ?? throw new ArgumentNullException(nameof(markers));
+			if (markerList.Any(m => m is null))
+			{
+				throw new ArgumentNullException(nameof(markers));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.SetMarkerPositions(_jsRuntime, Id, markerList);
+		}
+
+		/// <summary>
+		/// Moves a marker along a path at constant speed. The animation runs on the client side, its progress and
+		/// arrival are reported through <see cref="Marker.OnAnimationProgress"/> and <see cref="Marker.OnAnimationEnd"/>.
+		/// Starting another animation or setting the position of the marker stops a running animation.
+		/// </summary>
+		/// <param name="marker">The marker to be moved.</param>
+		/// <param name="path">The positions to pass, starting from the current position of the marker.</param>
+		/// <param name="duration">The duration of the whole animation.</param>
+		/// <param name="autoRotate">Whether to rotate the marker icon in the direction of the path.</param>
+		/// <param name="progressInterval">Minimum interval between two progress events in milliseconds, 0 disables them.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the marker or the path is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask AnimateMarker(Marker marker, IEnumerable<LatLng> path, TimeSpan duration,
+			bool autoRotate = false, int progressInterval = 250)
+		{
+			if (marker is null)
+			{
+				throw new ArgumentNullException(nameof(marker));
+			}
+
+			if (path is null)
+			{
+				throw new ArgumentNullException(nameof(path));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.AnimateMarker(_jsRuntime, Id, marker, path, duration, autoRotate, progressInterval);
+		}
+
+		/// <summary>
+		/// Stops the animation of a marker at its current position.
+		/// </summary>
+		/// <param name="marker">The marker to be stopped.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the marker is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StopMarkerAnimation(Marker marker)
+		{
+			if (marker is null)
+			{
+				throw new ArgumentNullException(nameof(marker));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.StopMarkerAnimation(_jsRuntime, Id, marker);
+		}
+
+		/// <summary>
+		/// Adds markers to a cluster layer of this map in a single call.
+		/// </summary>
+		/// <param name="cluster">The cluster layer the markers are added to.</param>
+		/// <param name="markers">The markers to be added.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the cluster layer, the markers or one of them are null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask AddClusterMarkers(MarkerClusterLayer cluster, IEnumerable<Marker> markers)
+		{
+			if (cluster is null)
+			{
+				throw new ArgumentNullException(nameof(cluster));
+			}
+
+			var markerList = markers?.ToList() ?? throw new ArgumentNullException(nameof(markers));
+			if (markerList.Any(m => m is null))
+			{
+				throw new ArgumentNullException(nameof(markers));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			cluster.AddMarkers(markerList);
+			if (_layers.Contains(cluster))
+			{
+				markerList.ForEach(AttachEventSubscriptions);
+			}
+
+			var task = LeafletInterops.AddClusterMarkers(_jsRuntime, Id, cluster, markerList);
+			LayersChanged?.Invoke();
+			return task;
+		}
+
+		/// <summary>
+		/// Removes markers from a cluster layer of this map in a single call.
+		/// </summary>
+		/// <param name="cluster">The cluster layer the markers are removed from.</param>
+		/// <param name="markers">The markers to be removed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the cluster layer, the markers or one of them are null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask RemoveClusterMarkers(MarkerClusterLayer cluster, IEnumerable<Marker> markers)
+		{
+			if (cluster is null)
+			{
+				throw new ArgumentNullException(nameof(cluster));
+			}
+
+			var markerList = markers?.ToList() ?? throw new ArgumentNullException(nameof(markers));
+			if (markerList.Any(m => m is null))
+			{
+				throw new ArgumentNullException(nameof(markers));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			cluster.RemoveMarkers(markerList);
+			markerList.ForEach(DetachEventSubscriptions);
+			var task = LeafletInterops.RemoveClusterMarkers(_jsRuntime, Id, cluster, markerList);
+			LayersChanged?.Invoke();
+			return task;
+		}
+
+		/// <summary>
+		/// Replaces the points of a heatmap of this map. Large sets of points are sent in several calls.
+		/// </summary>
+		/// <param name="layer">A heatmap of this map.</param>
+		/// <param name="points">The new points of the heatmap.</param>
+		/// <param name="chunkSize">The maximum number of points sent to the client in one call.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or the points are null.</exception>
+		/// <exception cref="System.ArgumentOutOfRangeException">Throws when the chunk size is not positive.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetHeatmapPoints(HeatmapLayer layer, IEnumerable<HeatmapLatLng> points,
+			int chunkSize = DefaultHeatmapChunkSize)
+			=> SendHeatmapPoints(layer, points, true, chunkSize);
+
+		/// <summary>
+		/// Adds points to a heatmap of this map, keeping its current ones. Large sets of points are sent in
+		/// several calls.
+		/// </summary>
+		/// <param name="layer">A heatmap of this map.</param>
+		/// <param name="points">The points to be added.</param>
+		/// <param name="chunkSize">The maximum number of points sent to the client in one call.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or the points are null.</exception>
+		/// <exception cref="System.ArgumentOutOfRangeException">Throws when the chunk size is not positive.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask AddHeatmapPoints(HeatmapLayer layer, IEnumerable<HeatmapLatLng> points,
+			int chunkSize = DefaultHeatmapChunkSize)
+			=> SendHeatmapPoints(layer, points, false, chunkSize);
+
+		private ValueTask SendHeatmapPoints(HeatmapLayer layer, IEnumerable<HeatmapLatLng> points, bool replace,
+			int chunkSize)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (points is null)
+			{
+				throw new ArgumentNullException(nameof(points));
+			}
+
+			if (chunkSize <= 0)
+			{
+				throw new ArgumentOutOfRangeException(nameof(chunkSize), chunkSize, "The chunk size must be positive.");
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			var pointList = points.ToList();
+			if (replace)
+			{
+				layer.Points.Clear();
+			}
+			else if (pointList.Count == 0)
+			{
+				return ValueTask.CompletedTask;
+			}
+
+			layer.Points.AddRange(pointList);
+			return LeafletInterops.AddHeatmapPoints(_jsRuntime, Id, layer, pointList, replace, chunkSize);
+		}
+
+		/// <summary>
+		/// Add a control to switch between base layers and to show or hide overlays. Layers of the control that are
+		/// not on the map yet are added to it, after which the layers that are not visible initially are hidden.
+		/// </summary>
+		/// <param name="control">The layer control to be added.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the control is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask AddLayerControl(LayerControl control)
+		{
+			if (control is null)
+			{
+				throw new ArgumentNullException(nameof(control));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			_layers.AddRange(control.Layers.Distinct().Where(l => !_layers.Contains(l)).ToList());
+			return LeafletInterops.AddLayerControl(_jsRuntime, Id, control);
+		}
+
+		/// <summary>
+		/// Applies the changed options and layers of a layer control of this map. Added layers that are not on the
+		/// map yet are added to it, the layers already in the control keep their visibility.
+		/// </summary>
+		/// <param name="control">The layer control to be updated.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the control is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask UpdateLayerControl(LayerControl control)
+		{
+			if (control is null)
+			{
+				throw new ArgumentNullException(nameof(control));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			_layers.AddRange(control.Layers.Distinct().Where(l => !_layers.Contains(l)).ToList());
+			return LeafletInterops.UpdateLayerControl(_jsRuntime, Id, control);
+		}
+
+		/// <summary>
+		/// Remove a layer control from the map. Its layers stay on the map.
+		/// </summary>
+		/// <param name="control">The layer control to be removed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the control is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask RemoveLayerControl(LayerControl control)
+		{
+			if (control is null)
+			{
+				throw new ArgumentNullException(nameof(control));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.RemoveLayerControl(_jsRuntime, Id, control);
+		}
+
+		/// <summary>
+		/// Add a scale bar, overview map, fullscreen button, cursor position or another control drawn by Leaflet.
+		/// A control that is not <see cref="Control.Visible"/> takes its place in the corner but is not shown until
+		/// it is made visible with <see cref="UpdateControl"/>.
+		/// </summary>
+		/// <param name="control">The control to be added.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the control is null.</exception>
+		/// <exception cref="System.ArgumentException">Throws when the control is an overview map without a layer.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask AddControl(Control control)
+		{
+			ValidateControl(control);
+			return LeafletInterops.AddControl(_jsRuntime, Id, control);
+		}
+
+		/// <summary>
+		/// Applies the changed position, visibility and options of a control added with <see cref="AddControl"/>.
+		/// </summary>
+		/// <param name="control">The control to be updated.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the control is null.</exception>
+		/// <exception cref="System.ArgumentException">Throws when the control is an overview map without a layer.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask UpdateControl(Control control)
+		{
+			ValidateControl(control);
+			return LeafletInterops.UpdateControl(_jsRuntime, Id, control);
+		}
+
+		private void ValidateControl(Control control)
+		{
+			if (control is null)
+			{
+				throw new ArgumentNullException(nameof(control));
+			}
+
+			if (control is MiniMapControl miniMap && miniMap.Layer is null)
+			{
+				throw new ArgumentException("The overview map needs a layer.", nameof(control));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+		}
+
+		/// <summary>
+		/// Remove a control added with <see cref="AddControl"/> from the map.
+		/// </summary>
+		/// <param name="control">The control to be removed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the control is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask RemoveControl(Control control)
+		{
+			if (control is null)
+			{
+				throw new ArgumentNullException(nameof(control));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.RemoveControl(_jsRuntime, Id, control.Id);
+		}
+
+		/// <summary>
+		/// Remove a layer from the map.
+		/// </summary>
+		/// <param name="layer">The layer to be removed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public void RemoveLayer(Layer layer)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			_layers.Remove(layer);
+		}
+
+		/// <summary>
+		/// Remove many layers from the map. The layers are removed on the client in a single call.
+		/// </summary>
+		/// <param name="layers">The layers to be removed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layers are null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public void RemoveLayers(IEnumerable<Layer> layers)
+		{
+			if (layers is null)
+			{
+				throw new ArgumentNullException(nameof(layers));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			_layers.RemoveRange(layers);
+		}
+
+		/// <summary>
+		/// Applies the changed properties of a layer to the map, without removing and re-adding it. Only the
+		/// properties changed since the layer was added or last updated are sent to the client.
+		/// <para/>
+		/// Supported are the style and geometry of paths, the position, icon, opacity, z-index offset, title and
+		/// dragging of markers, the url, opacity, z-index and corners of image overlays, the url template, opacity
+		/// and z-index of tile layers, the styles and url of vector tile layers, the request parameters of WMS and
+		/// WMTS layers, the radius, blur, gradient and intensities of heatmaps as well as the attribution, tooltip
+		/// and popup of every layer.
+		/// </summary>
+		/// <param name="layer">The layer to be updated.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask UpdateLayer(Layer layer)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			var task = LeafletInterops.UpdateLayer(_jsRuntime, Id, layer);
+			LayersChanged?.Invoke();
+			return task;
+		}
+
+		/// <summary>
+		/// Replaces the features of a GeoJSON layer.
+		/// </summary>
+		/// <param name="layer">A GeoJSON layer of this map.</param>
+		/// <param name="geoJsonData">A GeoJSON object, feature collection or array of features.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetGeoJsonData(GeoJsonDataLayer layer, string geoJsonData)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			layer.GeoJsonData = geoJsonData;
+			return LeafletInterops.SetGeoJsonData(_jsRuntime, Id, layer);
+		}
+
+		/// <summary>
+		/// Adds features to a GeoJSON layer, keeping its current ones.
+		/// </summary>
+		/// <param name="layer">A GeoJSON layer of this map.</param>
+		/// <param name="geoJsonData">A GeoJSON object, feature collection or array of features.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask AddGeoJsonData(GeoJsonDataLayer layer, string geoJsonData)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.AddGeoJsonData(_jsRuntime, Id, layer, geoJsonData);
+		}
+
+		/// <summary>
+		/// Removes all features of a GeoJSON layer, the layer itself stays on the map.
+		/// </summary>
+		/// <param name="layer">A GeoJSON layer of this map.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask ClearGeoJsonData(GeoJsonDataLayer layer)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.ClearGeoJsonData(_jsRuntime, Id, layer);
+		}
+
+		/// <summary>
+		/// Reads the current features of a GeoJSON layer as a feature collection, including added and edited ones.
+		/// </summary>
+		/// <param name="layer">A GeoJSON layer of this map.</param>
+		/// <returns>The GeoJSON, or null if the layer is not on the map.</returns>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask<string> GetGeoJsonData(GeoJsonDataLayer layer)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.GetGeoJsonData(_jsRuntime, Id, layer);
+		}
+
+		/// <summary>
+		/// Opens an MBTiles file read from a stream in the browser, replacing the file the layer showed before.
+		/// <see cref="MbTilesLayer.OnDatabaseLoaded"/> or <see cref="MbTilesLayer.OnDatabaseError"/> is raised
+		/// before the returned task completes, or once the layer is shown if it is hidden, e.g. by a layer control.
+		/// </summary>
+		/// <param name="layer">An MBTiles layer of this map.</param>
+		/// <param name="stream">The content of the file, it is read to the end but not disposed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or the stream is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask LoadMbTilesData(MbTilesLayer layer, System.IO.Stream stream)
+			=> LoadMbTilesStream(layer, stream);
+
+		/// <summary>
+		/// Opens an MBTiles file with vector tiles read from a stream in the browser, replacing the file or URL
+		/// template the layer showed before. <see cref="VectorTileLayer.OnDatabaseLoaded"/> or
+		/// <see cref="VectorTileLayer.OnDatabaseError"/> is raised before the returned task completes, or once the
+		/// layer is shown if it is hidden.
+		/// </summary>
+		/// <param name="layer">A vector tile layer of this map.</param>
+		/// <param name="stream">The content of the file, it is read to the end but not disposed.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or the stream is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask LoadMbTilesData(VectorTileLayer layer, System.IO.Stream stream)
+			=> LoadMbTilesStream(layer, stream);
+
+		private ValueTask LoadMbTilesStream(GridLayer layer, System.IO.Stream stream)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (stream is null)
+			{
+				throw new ArgumentNullException(nameof(stream));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.LoadMbTilesData(_jsRuntime, Id, layer, stream);
+		}
+
+		/// <summary>
+		/// Opens the MBTiles file selected in a file input, e.g. <c>InputFile.Element</c>, without sending it
+		/// through .NET. Does nothing if no file is selected.
+		/// </summary>
+		/// <param name="layer">An MBTiles layer of this map.</param>
+		/// <param name="fileInput">An input element of type file.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask LoadMbTilesFile(MbTilesLayer layer, ElementReference fileInput)
+			=> LoadMbTilesInput(layer, fileInput);
+
+		/// <summary>
+		/// Opens the MBTiles file with vector tiles selected in a file input, e.g. <c>InputFile.Element</c>,
+		/// without sending it through .NET. Does nothing if no file is selected.
+		/// </summary>
+		/// <param name="layer">A vector tile layer of this map.</param>
+		/// <param name="fileInput">An input element of type file.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask LoadMbTilesFile(VectorTileLayer layer, ElementReference fileInput)
+			=> LoadMbTilesInput(layer, fileInput);
+
+		private ValueTask LoadMbTilesInput(GridLayer layer, ElementReference fileInput)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.LoadMbTilesFile(_jsRuntime, Id, layer, fileInput);
+		}
+
+		/// <summary>
+		/// Reads a zipped shapefile into a shapefile layer, replacing its features.
+		/// <see cref="ShapefileLayer.OnDataLoad"/> or <see cref="ShapefileLayer.OnDataError"/> is raised before the
+		/// returned task completes.
+		/// </summary>
+		/// <param name="layer">A shapefile layer of this map.</param>
+		/// <param name="zipData">The content of the zip file.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or the data is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask LoadShapefileData(ShapefileLayer layer, byte[] zipData)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (zipData is null)
+			{
+				throw new ArgumentNullException(nameof(zipData));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.LoadShapefileData(_jsRuntime, Id, layer, zipData);
+		}
+
+		/// <summary>
+		/// Reads the text of a GPX, KML or CSV file into a layer of that format, replacing its features.
+		/// <see cref="FeatureFileLayer.OnDataLoad"/> or <see cref="FeatureFileLayer.OnDataError"/> is raised before
+		/// the returned task completes.
+		/// </summary>
+		/// <param name="layer">A GPX, KML or CSV layer of this map.</param>
+		/// <param name="data">The content of the file.</param>
+		/// <returns>The features read as a GeoJSON feature collection, null if the file is malformed.</returns>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or the data is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public async Task<string> LoadFeatureFileData(FeatureFileLayer layer, string data)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (data is null)
+			{
+				throw new ArgumentNullException(nameof(data));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return await LeafletInterops.LoadFeatureFileData(_jsRuntime, Id, layer, data);
+		}
+
+		/// <summary>
+		/// Reads the GPX, KML or CSV file selected in a file input, e.g. <c>InputFile.Element</c>, into a layer of
+		/// that format without sending it through .NET, replacing its features.
+		/// </summary>
+		/// <param name="layer">A GPX, KML or CSV layer of this map.</param>
+		/// <param name="fileInput">An input element of type file.</param>
+		/// <returns>The features read as a GeoJSON feature collection, null if the file is malformed or no file is
+		/// selected.</returns>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public async Task<string> LoadFeatureFile(FeatureFileLayer layer, ElementReference fileInput)
+		{
+			if (layer is null)
+			{
+				throw new ArgumentNullException(nameof(layer));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return await LeafletInterops.LoadFeatureFile(_jsRuntime, Id, layer, fileInput);
+		}
+
+		/// <summary>
+		/// Renders the current view of the map as an image, composing its tiles, image overlays, heatmaps, paths
+		/// and the icons of markers and clusters. The HTML of div icons is drawn without the images and web fonts
+		/// it uses, popups, tooltips and controls are left out.
+		/// </summary>
+		/// <param name="options">The format, size and resolution of the image and whether it has a title, a scale
+		/// bar and a legend. A PNG image of the map at its size if null.</param>
+		/// <returns>The content of the PNG or SVG file.</returns>
+		/// <exception cref="System.ArgumentOutOfRangeException">Throws when the size or resolution is not positive.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		/// <exception cref="MapExportException">Throws when the image could not be rendered, e.g. because tiles of
+		/// another origin without CORS headers can not be read into a PNG image.</exception>
+		public async Task<byte[]> ExportImageAsync(MapExportOptions options = null)
+		{
+			options ??= new MapExportOptions();
+			ValidateExportOptions(options);
+
+			try
+			{
+				return await LeafletInterops.ExportImage(_jsRuntime, Id, options);
+			}
+			catch (JSException e)
+			{
+				throw new MapExportException(e.Message, e);
+			}
+		}
+
+		/// <summary>
+		/// Renders the current view of the map like <see cref="ExportImageAsync"/> and opens the print dialog of
+		/// the browser for it, e.g. with a title, scale bar and legend. The returned task completes once the
+		/// dialog has been opened.
+		/// </summary>
+		/// <param name="options">What the image shows, its resolution should be higher for print, like 300 dpi.</param>
+		/// <exception cref="System.ArgumentOutOfRangeException">Throws when the size or resolution is not positive.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		/// <exception cref="MapExportException">Throws when the image could not be rendered or printed.</exception>
+		public async Task PrintAsync(MapExportOptions options = null)
+		{
+			options ??= new MapExportOptions();
+			ValidateExportOptions(options);
+
+			try
+			{
+				await LeafletInterops.PrintImage(_jsRuntime, Id, options);
+			}
+			catch (JSException e)
+			{
+				throw new MapExportException(e.Message, e);
+			}
+		}
+
+		private void ValidateExportOptions(MapExportOptions options)
+		{
+			if (options.Width <= 0)
+			{
+				throw new ArgumentOutOfRangeException(nameof(options), "The width has to be positive.");
+			}
+
+			if (options.Height <= 0)
+			{
+				throw new ArgumentOutOfRangeException(nameof(options), "The height has to be positive.");
+			}
+
+			if (options.Dpi <= 0)
+			{
+				throw new ArgumentOutOfRangeException(nameof(options), "The resolution has to be positive.");
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+		}
+
+		public void RemoveAllLayersOfType<TLayer>() where TLayer : Layer
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			var rm = _layers.Where(t => IsSameOrSubclass<TLayer>(t)).ToArray();
+			_layers.RemoveRange(rm);
+		}
+
+		private static bool IsSameOrSubclass<TType>(object o)
+		{
+			var type = o.GetType();
+			var ttype = typeof(TType);
+			return type == ttype || type.IsSubclassOf(ttype);
+		}
+
+		/// <summary>
+		/// Get a read only collection of the current layers.
+		/// </summary>
+		/// <returns>A read only collection of layers.</returns>
+		public IReadOnlyCollection<Layer> GetLayers()
+		{
+			return _layers.ToList().AsReadOnly();
+		}
+
+		// The popups and tooltips with Blazor rendered content of the layers and cluster markers on the map.
+		internal IEnumerable<(Layer Layer, DivOverlay Overlay)> GetContentFragmentOverlays()
+		{
+			foreach (var layer in _layers.SelectMany(l => l is MarkerClusterLayer cluster
+				         ? cluster.Markers.Prepend<Layer>(cluster)
+				         : new[] { l }))
+			{
+				if (layer.Popup?.ContentFragment is not null)
+				{
+					yield return (layer, layer.Popup);
+				}
+
+				if (layer.Tooltip?.ContentFragment is not null)
+				{
+					yield return (layer, layer.Tooltip);
+				}
+			}
+		}
+
+		private void OnLayersChanged(object sender, NotifyCollectionChangedEventArgs args)
+		{
+			foreach (var layer in args.OldItems?.OfType<Layer>() ?? Enumerable.Empty<Layer>())
+			{
+				DetachEventSubscriptions(layer);
+			}
+
+			foreach (var layer in args.NewItems?.OfType<Layer>() ?? Enumerable.Empty<Layer>())
+			{
+				AttachEventSubscriptions(layer);
+			}
+
+			RunTaskInBackground(() => SendLayerChanges(args));
+		}
+
+		// Layers the client could not add are taken off the map again, the others are added nevertheless.
+		private async Task SendLayerChanges(NotifyCollectionChangedEventArgs args)
+		{
+			var failures = new Dictionary<Layer, string>();
+			if (args.Action == NotifyCollectionChangedAction.Add)
+			{
+				await AddLayersToClient(args.NewItems.OfType<Layer>().ToList(), failures);
+			}
+			else if (args.Action == NotifyCollectionChangedAction.Remove)
+			{
+				if (args.OldItems.Count == 1)
+				{
+					if (args.OldItems[0] is Layer layer)
+					{
+						await LeafletInterops.RemoveLayer(_jsRuntime, Id, layer.Id);
+					}
+				}
+				else
+				{
+					await LeafletInterops.RemoveLayers(_jsRuntime, Id, args.OldItems.OfType<Layer>().Select(l => l.Id));
+				}
+			}
+			else if (args.Action == NotifyCollectionChangedAction.Replace
+			         || args.Action == NotifyCollectionChangedAction.Move)
+			{
+				foreach (var oldItem in args.OldItems)
+					if (oldItem is Layer layer)
+						await LeafletInterops.RemoveLayer(_jsRuntime, Id, layer.Id);
+
+				await AddLayersToClient(args.NewItems.OfType<Layer>().ToList(), failures);
+			}
+
+			foreach (var layer in failures.Keys)
+			{
+				_layers.Remove(layer);
+			}
+
+			LayersChanged?.Invoke();
+
+			if (failures.Count > 0)
+			{
+				throw new InvalidOperationException("Layers could not be added to the map: " +
+					string.Join("; ", failures.Select(f => $"{f.Key.Id}: {f.Value}")));
+			}
+		}
+
+		// Adds the layers in a single call, those the client failed to add are put into failures with the error.
+		private async Task AddLayersToClient(IReadOnlyList<Layer> layers, IDictionary<Layer, string> failures)
+		{
+			var messages = await LeafletInterops.AddLayers(_jsRuntime, Id, layers);
+			foreach (var layer in layers)
+			{
+				if (messages.TryGetValue(layer.Id, out var message))
+				{
+					failures[layer] = message;
+				}
+			}
+		}
+
+		// Sends changes of the event handlers of a layer to the client while it is on the map.
+		private void AttachEventSubscriptions(Layer layer)
+		{
+			layer.EventSubscriptions.Changed = eventName => RunTaskInBackground(() => LeafletInterops
+				.UpdateEventSubscription(_jsRuntime, Id, layer.Id, layer.EventSubscriptions, eventName).AsTask());
+
+			if (layer is MarkerClusterLayer cluster)
+			{
+				foreach (var marker in cluster.Markers)
+				{
+					AttachEventSubscriptions(marker);
+				}
+			}
+		}
+
+		private static void DetachEventSubscriptions(Layer layer)
+		{
+			layer.EventSubscriptions.Changed = null;
+
+			if (layer is MarkerClusterLayer cluster)
+			{
+				foreach (var marker in cluster.Markers)
+				{
+					DetachEventSubscriptions(marker);
+				}
+			}
+		}
+
+		public ValueTask FitBounds(PointF corner1, PointF corner2, PointF? padding = null, float? maxZoom = null)
+		{
+			return LeafletInterops.FitBounds(_jsRuntime, Id, corner1, corner2, padding, maxZoom);
+		}
+
+		public ValueTask FitBounds(Bounds bounds, PointF? padding = null, float? maxZoom = null)
+		{
+			return LeafletInterops.FitBounds(_jsRuntime, Id, new PointF(bounds.NorthEast.Lat, bounds.NorthEast.Lng),
+				new PointF(bounds.SouthWest.Lat, bounds.SouthWest.Lng), padding, maxZoom);
+		}
+
+
+		public ValueTask<Bounds> GetBoundsFromMarkers(IEnumerable<Marker> markers)
+			=> LeafletInterops.GetBoundsFromMarkers(_jsRuntime, markers);
+
+		public async ValueTask FitBounds(IEnumerable<Marker> markers, PointF? padding = null, float? maxZoom = null)
+		{
+			var bounds = await GetBoundsFromMarkers(markers);
+			await FitBounds(bounds, padding, maxZoom);
+		}
+
+		public ValueTask PanTo(PointF position, bool animate = false, float duration = 0.25f,
+			float easeLinearity = 0.25f,
+			bool noMoveStart = false)
+		{
+			return LeafletInterops.PanTo(_jsRuntime, Id, position, animate, duration, easeLinearity, noMoveStart);
+		}
+
+		/// <summary>
+		/// Sets the center and zoom level of the map.
+		/// </summary>
+		/// <param name="center">The new center.</param>
+		/// <param name="zoom">The new zoom level.</param>
+		/// <param name="options">How the change is animated, by default like Leaflet does.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the center is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetView(LatLng center, float zoom, ZoomPanOptions options = null)
+		{
+			if (center is null)
+			{
+				throw new ArgumentNullException(nameof(center));
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.SetView(_jsRuntime, Id, center, zoom, options);
+		}
+
+		/// <summary>
+		/// Sets the zoom level of the map, keeping its center.
+		/// </summary>
+		/// <param name="zoom">The new zoom level.</param>
+		/// <param name="options">How the change is animated, by default like Leaflet does.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetZoom(float zoom, ZoomPanOptions options = null)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.SetZoom(_jsRuntime, Id, zoom, options);
+		}
+
+		/// <summary>
+		/// Moves the map to a position with a smooth animation that zooms out and back in on the way.
+		/// </summary>
+		/// <param name="center">The new center.</param>
+		/// <param name="zoom">The new zoom level, the current one if null.</param>
+		/// <param name="options">The duration of the flight, derived from the distance by default.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the center is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask FlyTo(LatLng center, float? zoom = null, ZoomPanOptions options = null)
+		{
+			if (center is null)
+			{
+				throw new ArgumentNullException(nameof(center));
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.FlyTo(_jsRuntime, Id, center, zoom, options);
+		}
+
+		/// <summary>
+		/// Like <see cref="FitBounds(Bounds, PointF?, float?)"/>, but with the animation of <see cref="FlyTo"/>.
+		/// </summary>
+		/// <param name="bounds">The area to show.</param>
+		/// <param name="padding">Space in pixels kept free around the area.</param>
+		/// <param name="maxZoom">The maximum zoom level to fly to.</param>
+		/// <param name="options">The duration of the flight, derived from the distance by default.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the bounds are null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask FlyToBounds(Bounds bounds, PointF? padding = null, float? maxZoom = null,
+			ZoomPanOptions options = null)
+		{
+			if (bounds is null)
+			{
+				throw new ArgumentNullException(nameof(bounds));
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.FlyToBounds(_jsRuntime, Id, bounds, padding, maxZoom, options);
+		}
+
+		/// <summary>
+		/// Pans the map by a number of pixels, positive values move the view right and down.
+		/// </summary>
+		/// <param name="offset">The offset in pixels.</param>
+		/// <param name="options">How the change is animated, animated by default.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask PanBy(PointF offset, ZoomPanOptions options = null)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.PanBy(_jsRuntime, Id, offset, options);
+		}
+
+		/// <summary>
+		/// Changes <see cref="MinZoom"/> of the rendered map, zooming in if the view is below it.
+		/// </summary>
+		/// <param name="zoom">The minimum zoom level, null to use the lowest minimum of the tile layers.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetMinZoom(float? zoom)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			MinZoom = zoom;
+			return LeafletInterops.SetMinZoom(_jsRuntime, Id, zoom);
+		}
+
+		/// <summary>
+		/// Changes <see cref="MaxZoom"/> of the rendered map, zooming out if the view is above it.
+		/// </summary>
+		/// <param name="zoom">The maximum zoom level, null to use the highest maximum of the tile layers.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetMaxZoom(float? zoom)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			MaxZoom = zoom;
+			return LeafletInterops.SetMaxZoom(_jsRuntime, Id, zoom);
+		}
+
+		/// <summary>
+		/// Changes <see cref="MaxBounds"/> of the rendered map, moving the view into them if needed.
+		/// </summary>
+		/// <param name="bounds">The bounds to restrict the view to, null to remove the restriction.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetMaxBounds(Bounds bounds)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			MaxBounds = bounds is null ? null : Tuple.Create(bounds.SouthWest, bounds.NorthEast);
+			return LeafletInterops.SetMaxBounds(_jsRuntime, Id, bounds);
+		}
+
+		/// <summary>
+		/// Creates a pane that layers are placed in by their <see cref="Layer.Pane"/>, or changes an existing one,
+		/// including the built-in ones. Panes are stacked by their z-index, the built-in ones have 200 (tiles),
+		/// 400 (overlays), 500 (shadows), 600 (markers), 650 (tooltips) and 700 (popups).
+		/// </summary>
+		/// <param name="name">The name layers refer to.</param>
+		/// <param name="zIndex">The z-index of the pane, null to keep it, which is 400 for a new pane.</param>
+		/// <param name="pointerEvents">
+		/// False to let the mouse reach the panes below, e.g. for labels above the map. Layers in the pane that
+		/// are interactive still catch it.
+		/// </param>
+		/// <param name="renderer">
+		/// How the paths of the pane are drawn, null for the <see cref="Renderer"/> of the map. Paths already in
+		/// the pane are drawn again with it.
+		/// </param>
+		/// <exception cref="System.ArgumentNullException">Throws when the name is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask CreatePane(string name, int? zIndex = null, bool pointerEvents = true,
+			Renderer renderer = null)
+		{
+			if (name is null)
+			{
+				throw new ArgumentNullException(nameof(name));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.CreatePane(_jsRuntime, Id, name, zIndex, pointerEvents, renderer);
+		}
+
+		/// <summary>
+		/// Moves a pane above or below the others, which works for the built-in panes as well.
+		/// </summary>
+		/// <param name="name">The name of the pane.</param>
+		/// <param name="zIndex">The new z-index, null for the default of the pane, 400 for created panes.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the name is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask SetPaneZIndex(string name, int? zIndex)
+		{
+			if (name is null)
+			{
+				throw new ArgumentNullException(nameof(name));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.SetPaneZIndex(_jsRuntime, Id, name, zIndex);
+		}
+
+		/// <summary>
+		/// Keeps the center, zoom level and visible overlays of the map in the hash of the page URL, like
+		/// <c>#map=13/47.5574/16.3919&amp;overlays=Shops,Parks</c>, so that a view can be bookmarked and shared.
+		/// The view in the URL is restored when enabled and whenever the hash changes. Overlays are those of the
+		/// layer controls of the map, identified by their names. Every map of a page needs its own parameter names,
+		/// enabling it again applies new names.
+		/// </summary>
+		/// <param name="key">The name of the parameter holding the view.</param>
+		/// <param name="overlaysKey">The name of the parameter holding the visible overlays.</param>
+		/// <exception cref="System.ArgumentException">Throws when a name is empty or both names are the same.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		/// <exception cref="JSException">Throws when another map of the page already uses one of the names.</exception>
+		public ValueTask EnableUrlHash(string key = "map", string overlaysKey = "overlays")
+		{
+			if (string.IsNullOrEmpty(key))
+			{
+				throw new ArgumentException("The view parameter needs a name.", nameof(key));
+			}
+
+			if (string.IsNullOrEmpty(overlaysKey) || overlaysKey == key)
+			{
+				throw new ArgumentException("The overlays parameter needs a name of its own.", nameof(overlaysKey));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.EnableUrlHash(_jsRuntime, Id, key, overlaysKey);
+		}
+
+		/// <summary>
+		/// Stops keeping the view in the URL, see <see cref="EnableUrlHash"/>. The hash is left as it is.
+		/// </summary>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask DisableUrlHash()
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.DisableUrlHash(_jsRuntime, Id);
+		}
+
+		public async Task<LatLng> GetCenter() => await LeafletInterops.GetCenter(_jsRuntime, Id);
+		public async Task<float> GetZoom() => await LeafletInterops.GetZoom(_jsRuntime, Id);
+		public async Task<Bounds> GetBounds() => await LeafletInterops.GetBounds(_jsRuntime, Id);
+
+		/// <summary>
+		/// Converts a position to the coordinates of the projection of the map, like the easting and northing of a
+		/// national grid.
+		/// </summary>
+		/// <param name="position">The position to convert.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the position is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public async Task<ProjectedPoint> Project(LatLng position)
+		{
+			if (position is null)
+			{
+				throw new ArgumentNullException(nameof(position));
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return await LeafletInterops.Project(_jsRuntime, Id, position);
+		}
+
+		/// <summary>
+		/// Converts coordinates of the projection of the map to a position.
+		/// </summary>
+		/// <param name="point">The coordinates to convert.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the point is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public async Task<LatLng> Unproject(ProjectedPoint point)
+		{
+			if (point is null)
+			{
+				throw new ArgumentNullException(nameof(point));
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return await LeafletInterops.Unproject(_jsRuntime, Id, point);
+		}
+
+
+		private async Task UpdateBounds()
+		{
+			Bounds = await GetBounds();
+			Center = await GetCenter();
+			Zoom = await GetZoom();
+			OnBoundsChanged?.Invoke(this, new EventArgs());
+		}
+
+		/// <summary>
+		/// Finds the layers shown at a position, in the order they were added. Layers are tested by their geometry:
+		/// markers by their icon, paths by their area and stroke, image overlays by their bounds and GeoJSON layers by
+		/// their features. Markers of a <see cref="MarkerClusterLayer"/> are found on their own, tile layers and
+		/// heatmaps are never found.
+		/// </summary>
+		/// <param name="position">The position to test, like the position of a click.</param>
+		/// <param name="tolerance">How many pixels a layer may be away from the position.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the position is null.</exception>
+		/// <exception cref="System.ArgumentOutOfRangeException">Throws when the tolerance is negative.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public async Task<Layer[]> GetLayersAt(LatLng position, double tolerance = 0)
+		{
+			if (position is null)
+			{
+				throw new ArgumentNullException(nameof(position));
+			}
+			if (tolerance < 0)
+			{
+				throw new ArgumentOutOfRangeException(nameof(tolerance), tolerance, "The tolerance must not be negative.");
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return FindLayers(await LeafletInterops.GetLayersAt(_jsRuntime, Id, position, tolerance));
+		}
+
+		/// <summary>
+		/// Finds the layers shown entirely within bounds, in the order they were added. Markers are tested by their
+		/// position, paths by their vertices and GeoJSON layers are found when all their features are within.
+		/// Like <see cref="GetLayersAt"/>, clustered markers are found on their own and tile layers never.
+		/// </summary>
+		/// <param name="bounds">The area to search.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the bounds are null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public async Task<Layer[]> GetLayersWithin(Bounds bounds)
+		{
+			if (bounds is null)
+			{
+				throw new ArgumentNullException(nameof(bounds));
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return FindLayers(await LeafletInterops.GetLayersWithin(_jsRuntime, Id, bounds));
+		}
+
+		/// <summary>
+		/// Finds the layers shown entirely within a polygon, like <see cref="GetLayersWithin(Bounds)"/>. Holes of the
+		/// polygon are not part of the area, positions are tested like <see cref="Geodesy.Contains(Polygon, LatLng)"/>.
+		/// The polygon does not need to be on the map.
+		/// </summary>
+		/// <param name="polygon">The area to search.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the polygon is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public async Task<Layer[]> GetLayersWithin(Polygon polygon)
+		{
+			if (polygon is null)
+			{
+				throw new ArgumentNullException(nameof(polygon));
+			}
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			var rings = (polygon.Shape ?? Array.Empty<PointF[]>())
+				.Select(ring => ring.Select(p => new LatLng(p)).ToArray())
+				.ToArray();
+			return FindLayers(await LeafletInterops.GetLayersWithin(_jsRuntime, Id, rings));
+		}
+
+		// Layers of the map and markers of its clusters by their ids, ids of removed layers are skipped.
+		private Layer[] FindLayers(IEnumerable<string> layerIds)
+		{
+			var layers = _layers
+				.SelectMany(l => l is MarkerClusterLayer cluster ? cluster.Markers.Prepend<Layer>(cluster) : new[] { l })
+				.ToDictionary(l => l.Id);
+			return layerIds.Where(layers.ContainsKey).Select(id => layers[id]).ToArray();
+		}
+
+		/// <summary>
+		/// Increases the zoom level by one notch.
+		/// 
+		/// If <c>shift</c> is held down, increases it by three.
+		/// </summary>
+		public async Task ZoomIn(MouseEventArgs e) => await LeafletInterops.ZoomIn(_jsRuntime, Id, e);
+
+		/// <summary>
+		/// Decreases the zoom level by one notch.
+		/// 
+		/// If <c>shift</c> is held down, decreases it by three.
+		/// </summary>
+		public async Task ZoomOut(MouseEventArgs e) => await LeafletInterops.ZoomOut(_jsRuntime, Id, e);
+
+		/// <summary>
+		/// Increases the zoom level by a number of levels, without a mouse event e.g. from a keyboard shortcut.
+		/// </summary>
+		/// <param name="delta">The number of zoom levels.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask ZoomInBy(float delta)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.ZoomInBy(_jsRuntime, Id, delta);
+		}
+
+		/// <summary>
+		/// Decreases the zoom level by a number of levels, without a mouse event e.g. from a keyboard shortcut.
+		/// </summary>
+		/// <param name="delta">The number of zoom levels.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask ZoomOutBy(float delta)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.ZoomOutBy(_jsRuntime, Id, delta);
+		}
+
+		/// <summary>
+		/// Lets the user draw a shape of the given type on the map. The shape is drawn entirely on the client side,
+		/// once it is finished <see cref="OnDrawCreated"/> is raised with its geometry.
+		/// </summary>
+		/// <param name="shape">The kind of shape to draw.</param>
+		/// <param name="options">Style of the shape while it is drawn and whether to keep drawing afterwards.</param>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StartDrawing(DrawShape shape, DrawOptions options = null)
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.StartDrawing(_jsRuntime, Id, shape, options ?? new DrawOptions());
+		}
+
+		/// <summary>
+		/// Ends the drawing mode, discarding an unfinished shape.
+		/// </summary>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StopDrawing()
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.StopDrawing(_jsRuntime, Id);
+		}
+
+		/// <summary>
+		/// Lets the user measure the length of a polyline or the area and perimeter of a polygon by clicking its
+		/// vertices, a label shows the value while the mouse moves. A measurement is finished by clicking its last
+		/// vertex (polyline) or its first vertex (polygon) again, with a double click or with Enter, it stays on the
+		/// map and <see cref="OnMeasure"/> is raised. Calculations are the same as in <see cref="Geodesy"/>.
+		/// </summary>
+		/// <param name="shape"><see cref="DrawShape.Polyline"/> to measure distances or <see cref="DrawShape.Polygon"/> to measure areas.</param>
+		/// <param name="units">The units of the labels.</param>
+		/// <param name="options">Style of the measured shapes and whether to keep measuring after the first one.</param>
+		/// <exception cref="System.ArgumentOutOfRangeException">Throws when <paramref name="shape"/> is neither a polyline nor a polygon.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StartMeasuring(DrawShape shape = DrawShape.Polyline,
+			MeasurementUnits units = MeasurementUnits.Metric, DrawOptions options = null)
+		{
+			if (shape != DrawShape.Polyline && shape != DrawShape.Polygon)
+			{
+				throw new ArgumentOutOfRangeException(nameof(shape), shape, "Only polylines and polygons can be measured.");
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.StartMeasuring(_jsRuntime, Id, shape, units, options ?? new DrawOptions());
+		}
+
+		/// <summary>
+		/// Ends the measuring mode and removes the measurements from the map.
+		/// </summary>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StopMeasuring()
+		{
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.StopMeasuring(_jsRuntime, Id);
+		}
+
+		/// <summary>
+		/// Shows drag handles on the vertices of a path, so the user can move, insert (middle handles) and
+		/// delete (right click) vertices or drag the whole shape. <see cref="OnDrawEdited"/> and
+		/// <see cref="Path.OnEdit"/> are raised each time a handle is released.
+		/// </summary>
+		/// <param name="path">A rectangle, circle, polyline or polygon of this map.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the path is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask EnableEditing(Path path)
+		{
+			if (path is null)
+			{
+				throw new ArgumentNullException(nameof(path));
+			}
+
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.EnableEditing(_jsRuntime, Id, path);
 		}
 
 		/// <summary>
-		/// This method MUST be called only once by the Blazor component upon rendering, and never by the user.
+		/// Removes the drag handles shown by <see cref="EnableEditing(Path)"/>.
 		/// </summary>
-		public void RaiseOnInitialized()
-		{
-			IsInitialized = true;
-			OnInitialized?.Invoke();
-			RunTaskInBackground(UpdateBounds);
-		}
-
-		private async void RunTaskInBackground(Func<Task> task)
+		/// <exception cref="System.ArgumentNullException">Throws when the path is null.</exception>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask DisableEditing(Path path)
 		{
-			try
+			if (path is null)
 			{
-				await task();
+				throw new ArgumentNullException(nameof(path));
 			}
-			catch (Exception ex)
+
+			if (!IsInitialized)
 			{
-				NotifyBackgroundExceptionOccurred(ex);
+				throw new UninitializedMapException();
 			}
+
+			return LeafletInterops.DisableEditing(_jsRuntime, Id, path);
 		}
 
 		/// <summary>
-		/// Add a layer to the map.
+		/// Shows drag handles on a line or polygon feature of a GeoJSON layer, like <see cref="EnableEditing(Path)"/>.
+		/// <see cref="OnDrawEdited"/> is raised with the layer and the id of the feature, the edits are part of
+		/// <see cref="GetGeoJsonData"/>.
 		/// </summary>
-		/// <param name="layer">The layer to be added.</param>
-		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <param name="layer">A GeoJSON layer of this map.</param>
+		/// <param name="featureId">The id of the feature.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or feature id is null.</exception>
 		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
-		public void AddLayer(Layer layer)
+		public ValueTask EnableEditing(GeoJsonDataLayer layer, string featureId)
 		{
 			if (layer is null)
 			{
 				throw new ArgumentNullException(nameof(layer));
 			}
 
+			if (featureId is null)
+			{
+				throw new ArgumentNullException(nameof(featureId));
+			}
+
 			if (!IsInitialized)
 			{
 				throw new UninitializedMapException();
 			}
 
-			_layers.Add(layer);
+			return LeafletInterops.EnableEditing(_jsRuntime, Id, layer, featureId);
 		}
 
-		public ValueTask OpenMarkerPopup(Marker marker) => LeafletInterops.OpenLayerPopup(_jsRuntime, Id, marker);
-
 		/// <summary>
-		/// Remove a layer from the map.
+		/// Removes the drag handles shown by <see cref="EnableEditing(GeoJsonDataLayer, string)"/>.
 		/// </summary>
-		/// <param name="layer">The layer to be removed.</param>
-		/// <exception cref="System.ArgumentNullException">Throws when the layer is null.</exception>
+		/// <exception cref="System.ArgumentNullException">Throws when the layer or feature id is null.</exception>
 		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
-		public void RemoveLayer(Layer layer)
+		public ValueTask DisableEditing(GeoJsonDataLayer layer, string featureId)
 		{
 			if (layer is null)
 			{
 				throw new ArgumentNullException(nameof(layer));
 			}
 
+			if (featureId is null)
+			{
+				throw new ArgumentNullException(nameof(featureId));
+			}
+
 			if (!IsInitialized)
 			{
 				throw new UninitializedMapException();
 			}
 
-			_layers.Remove(layer);
+			return LeafletInterops.DisableEditing(_jsRuntime, Id, layer, featureId);
 		}
 
-		public void RemoveAllLayersOfType<TLayer>() where TLayer : Layer
+		/// <summary>
+		/// Starts the deletion mode: clicking a shape or marker removes it from the map and raises
+		/// <see cref="OnDrawDeleted"/>.
+		/// </summary>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StartDeleting()
 		{
 			if (!IsInitialized)
 			{
 				throw new UninitializedMapException();
 			}
 
-			var rm = _layers.Where(t => IsSameOrSubclass<TLayer>(t)).ToArray();
-			foreach (var layer in rm)
-			{
-				_layers.Remove(layer);
-			}
+			return LeafletInterops.StartDeleting(_jsRuntime, Id);
 		}
 
-		private static bool IsSameOrSubclass<TType>(object o)
+		/// <summary>
+		/// Ends the deletion mode.
+		/// </summary>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StopDeleting()
 		{
-			var type = o.GetType();
-			var ttype = typeof(TType);
-			return type == ttype || type.IsSubclassOf(ttype);
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.StopDeleting(_jsRuntime, Id);
 		}
 
 		/// <summary>
-		/// Get a read only collection of the current layers.
+		/// Starts the box selection mode: dragging a box with the shift key held down raises
+		/// <see cref="OnBoxSelect"/> with the layers within the box, see <see cref="GetLayersWithin(Bounds)"/>.
+		/// Box zoom, which uses the same gesture, is disabled until <see cref="StopBoxSelection"/>.
 		/// </summary>
-		/// <returns>A read only collection of layers.</returns>
-		public IReadOnlyCollection<Layer> GetLayers()
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StartBoxSelection()
 		{
-			return _layers.ToList().AsReadOnly();
+			if (!IsInitialized)
+			{
+				throw new UninitializedMapException();
+			}
+
+			return LeafletInterops.StartBoxSelection(_jsRuntime, Id);
 		}
 
-		private async void OnLayersChanged(object sender, NotifyCollectionChangedEventArgs args)
+		/// <summary>
+		/// Ends the box selection mode.
+		/// </summary>
+		/// <exception cref="UninitializedMapException">Throws when the map has not been yet initialized.</exception>
+		public ValueTask StopBoxSelection()
 		{
-			if (args.Action == NotifyCollectionChangedAction.Add)
-			{
-				foreach (var item in args.NewItems)
-				{
-					var layer = item as Layer;
-					await LeafletInterops.AddLayer(_jsRuntime, Id, layer);
-				}
-			}
-			else if (args.Action == NotifyCollectionChangedAction.Remove)
+			if (!IsInitialized)
 			{
-				foreach (var item in args.OldItems)
-				{
-					if (item is Layer layer)
-					{
-						await LeafletInterops.RemoveLayer(_jsRuntime, Id, layer.Id);
-					}
-				}
+				throw new UninitializedMapException();
 			}
-			else if (args.Action == NotifyCollectionChangedAction.Replace
-			         || args.Action == NotifyCollectionChangedAction.Move)
-			{
-				foreach (var oldItem in args.OldItems)
-					if (oldItem is Layer layer)
-						await LeafletInterops.RemoveLayer(_jsRuntime, Id, layer.Id);
 
-				foreach (var newItem in args.NewItems)
-					await LeafletInterops.AddLayer(_jsRuntime, Id, newItem as Layer);
-			}
+			return LeafletInterops.StopBoxSelection(_jsRuntime, Id);
 		}
 
-		public ValueTask FitBounds(PointF corner1, PointF corner2, PointF? padding = null, float? maxZoom = null)
-		{
-			return LeafletInterops.FitBounds(_jsRuntime, Id, corner1, corner2, padding, maxZoom);
-		}
+		#region events
 
-		public ValueTask FitBounds(Bounds bounds, PointF? padding = null, float? maxZoom = null)
-		{
-			return LeafletInterops.FitBounds(_jsRuntime, Id, new PointF(bounds.NorthEast.Lat, bounds.NorthEast.Lng),
-				new PointF(bounds.SouthWest.Lat, bounds.SouthWest.Lng), padding, maxZoom);
-		}
+		public delegate void MapEventHandler(object sender, Event e);
 
+		public delegate void MapResizeEventHandler(object sender, ResizeEvent e);
 
-		public ValueTask<Bounds> GetBoundsFromMarkers(IEnumerable<Marker> markers)
-			=> LeafletInterops.GetBoundsFromMarkers(_jsRuntime, markers);
+		private MapEventHandler _onZoomLevelsChange;
 
-		public async ValueTask FitBounds(IEnumerable<Marker> markers, PointF? padding = null, float? maxZoom = null)
+		public event MapEventHandler OnZoomLevelsChange
 		{
-			var bounds = await GetBoundsFromMarkers(markers);
-			await FitBounds(bounds, padding, maxZoom);
+			add => _eventSubscriptions.Add("zoomlevelschange", ref _onZoomLevelsChange, value);
+			remove => _eventSubscriptions.Remove("zoomlevelschange", ref _onZoomLevelsChange, value);
 		}
 
-		public ValueTask PanTo(PointF position, bool animate = false, float duration = 0.25f,
-			float easeLinearity = 0.25f,
-			bool noMoveStart = false)
+		[JSInvokable]
+		public void NotifyZoomLevelsChange(Event e) => _onZoomLevelsChange?.Invoke(this, e);
+
+		private MapResizeEventHandler _onResize;
+
+		public event MapResizeEventHandler OnResize
 		{
-			return LeafletInterops.PanTo(_jsRuntime, Id, position, animate, duration, easeLinearity, noMoveStart);
+			add => _eventSubscriptions.Add("resize", ref _onResize, value);
+			remove => _eventSubscriptions.Remove("resize", ref _onResize, value);
 		}
 
-		public async Task<LatLng> GetCenter() => await LeafletInterops.GetCenter(_jsRuntime, Id);
-		public async Task<float> GetZoom() => await LeafletInterops.GetZoom(_jsRuntime, Id);
-		public async Task<Bounds> GetBounds() => await LeafletInterops.GetBounds(_jsRuntime, Id);
+		[JSInvokable]
+		public void NotifyResize(ResizeEvent e) => _onResize?.Invoke(this, e);
 
+		private MapEventHandler _onEnterFullscreen;
 
-		private async Task UpdateBounds()
+		/// <summary>
+		/// Raised when the map is shown on the whole screen by a <see cref="FullscreenControl"/>.
+		/// </summary>
+		public event MapEventHandler OnEnterFullscreen
 		{
-			Bounds = await GetBounds();
-			Center = await GetCenter();
-			Zoom = await GetZoom();
-			OnBoundsChanged?.Invoke(this, new EventArgs());
+			add => _eventSubscriptions.Add("enterfullscreen", ref _onEnterFullscreen, value);
+			remove => _eventSubscriptions.Remove("enterfullscreen", ref _onEnterFullscreen, value);
 		}
 
-		/// <summary>
-		/// Increases the zoom level by one notch.
-		/// 
-		/// If <c>shift</c> is held down, increases it by three.
-		/// </summary>
-		public async Task ZoomIn(MouseEventArgs e) => await LeafletInterops.ZoomIn(_jsRuntime, Id, e);
+		[JSInvokable]
+		public void NotifyEnterFullscreen(Event e) => _onEnterFullscreen?.Invoke(this, e);
+
+		private MapEventHandler _onExitFullscreen;
 
 		/// <summary>
-		/// Decreases the zoom level by one notch.
-		/// 
-		/// If <c>shift</c> is held down, decreases it by three.
+		/// Raised when the map leaves fullscreen, by its <see cref="FullscreenControl"/> or by the browser.
 		/// </summary>
-		public async Task ZoomOut(MouseEventArgs e) => await LeafletInterops.ZoomOut(_jsRuntime, Id, e);
-
-		#region events
+		public event MapEventHandler OnExitFullscreen
+		{
+			add => _eventSubscriptions.Add("exitfullscreen", ref _onExitFullscreen, value);
+			remove => _eventSubscriptions.Remove("exitfullscreen", ref _onExitFullscreen, value);
+		}
 
-		public delegate void MapEventHandler(object sender, Event e);
+		[JSInvokable]
+		public void NotifyExitFullscreen(Event e) => _onExitFullscreen?.Invoke(this, e);
 
-		public delegate void MapResizeEventHandler(object sender, ResizeEvent e);
+		private MapEventHandler _onUnload;
 
-		public event MapEventHandler OnZoomLevelsChange;
+		public event MapEventHandler OnUnload
+		{
+			add => _eventSubscriptions.Add("unload", ref _onUnload, value);
+			remove => _eventSubscriptions.Remove("unload", ref _onUnload, value);
+		}
 
 		[JSInvokable]
-		public void NotifyZoomLevelsChange(Event e) => OnZoomLevelsChange?.Invoke(this, e);
-
-		public event MapResizeEventHandler OnResize;
+		public void NotifyUnload(Event e) => _onUnload?.Invoke(this, e);
 
-		[JSInvokable]
-		public void NotifyResize(ResizeEvent e) => OnResize?.Invoke(this, e);
+		private MapEventHandler _onViewReset;
 
-		public event MapEventHandler OnUnload;
+		public event MapEventHandler OnViewReset
+		{
+			add => _eventSubscriptions.Add("viewreset", ref _onViewReset, value);
+			remove => _eventSubscriptions.Remove("viewreset", ref _onViewReset, value);
+		}
 
 		[JSInvokable]
-		public void NotifyUnload(Event e) => OnUnload?.Invoke(this, e);
-
-		public event MapEventHandler OnViewReset;
+		public void NotifyViewReset(Event e) => _onViewReset?.Invoke(this, e);
 
-		[JSInvokable]
-		public void NotifyViewReset(Event e) => OnViewReset?.Invoke(this, e);
+		private MapEventHandler _onLoad;
 
-		public event MapEventHandler OnLoad;
+		public event MapEventHandler OnLoad
+		{
+			add => _eventSubscriptions.Add("load", ref _onLoad, value);
+			remove => _eventSubscriptions.Remove("load", ref _onLoad, value);
+		}
 
 		[JSInvokable]
-		public void NotifyLoad(Event e) => OnLoad?.Invoke(this, e);
+		public void NotifyLoad(Event e) => _onLoad?.Invoke(this, e);
+
+		private MapEventHandler _onZoomStart;
 
-		public event MapEventHandler OnZoomStart;
+		public event MapEventHandler OnZoomStart
+		{
+			add => _eventSubscriptions.Add("zoomstart", ref _onZoomStart, value);
+			remove => _eventSubscriptions.Remove("zoomstart", ref _onZoomStart, value);
+		}
 
 		[JSInvokable]
-		public void NotifyZoomStart(Event e) => OnZoomStart?.Invoke(this, e);
+		public void NotifyZoomStart(Event e) => _onZoomStart?.Invoke(this, e);
 
-		public event MapEventHandler OnMoveStart;
+		private MapEventHandler _onMoveStart;
+
+		public event MapEventHandler OnMoveStart
+		{
+			add => _eventSubscriptions.Add("movestart", ref _onMoveStart, value);
+			remove => _eventSubscriptions.Remove("movestart", ref _onMoveStart, value);
+		}
 
 		[JSInvokable]
-		public void NotifyMoveStart(Event e) => OnMoveStart?.Invoke(this, e);
+		public void NotifyMoveStart(Event e) => _onMoveStart?.Invoke(this, e);
+
+		private MapEventHandler _onZoom;
 
-		public event MapEventHandler OnZoom;
+		public event MapEventHandler OnZoom
+		{
+			add => _eventSubscriptions.Add("zoom", ref _onZoom, value);
+			remove => _eventSubscriptions.Remove("zoom", ref _onZoom, value);
+		}
 
 		[JSInvokable]
-		public void NotifyZoom(Event e) => OnZoom?.Invoke(this, e);
+		public void NotifyZoom(Event e) => _onZoom?.Invoke(this, e);
 
-		public event MapEventHandler OnMove;
+		private MapEventHandler _onMove;
+
+		public event MapEventHandler OnMove
+		{
+			add => _eventSubscriptions.Add("move", ref _onMove, value);
+			remove => _eventSubscriptions.Remove("move", ref _onMove, value);
+		}
 
 		[JSInvokable]
-		public void NotifyMove(Event e) => OnMove?.Invoke(this, e);
+		public void NotifyMove(Event e) => _onMove?.Invoke(this, e);
+
+		private MapEventHandler _onZoomEnd;
 
-		public event MapEventHandler OnZoomEnd;
+		public event MapEventHandler OnZoomEnd
+		{
+			add => _eventSubscriptions.Add("zoomend", ref _onZoomEnd, value);
+			remove => _eventSubscriptions.Remove("zoomend", ref _onZoomEnd, value);
+		}
 
 		[JSInvokable]
 		public async void NotifyZoomEnd(Event e)
@@ -330,11 +2061,17 @@ namespace ACO.Blazor.Leaflet
 			}
 			finally
 			{
-				OnZoomEnd?.Invoke(this, e);
+				_onZoomEnd?.Invoke(this, e);
 			}
 		}
 
-		public event MapEventHandler OnMoveEnd;
+		private MapEventHandler _onMoveEnd;
+
+		public event MapEventHandler OnMoveEnd
+		{
+			add => _eventSubscriptions.Add("moveend", ref _onMoveEnd, value);
+			remove => _eventSubscriptions.Remove("moveend", ref _onMoveEnd, value);
+		}
 
 		[JSInvokable]
 		public async void NotifyMoveEnd(Event e)
@@ -349,36 +2086,159 @@ namespace ACO.Blazor.Leaflet
 			}
 			finally
 			{
-				OnMoveEnd?.Invoke(this, e);
+				_onMoveEnd?.Invoke(this, e);
 			}
 		}
 
 		public event EventHandler OnBoundsChanged;
 
-		public event MouseEventHandler OnMouseMove;
+		private MouseEventHandler _onMouseMove;
+
+		public event MouseEventHandler OnMouseMove
+		{
+			add => _eventSubscriptions.Add("mousemove", ref _onMouseMove, value);
+			remove => _eventSubscriptions.Remove("mousemove", ref _onMouseMove, value);
+		}
+
+		[JSInvokable]
+		public void NotifyMouseMove(MouseEvent eventArgs) => _onMouseMove?.Invoke(this, eventArgs);
+
+		private MapEventHandler _onKeyPress;
+
+		public event MapEventHandler OnKeyPress
+		{
+			add => _eventSubscriptions.Add("keypress", ref _onKeyPress, value);
+			remove => _eventSubscriptions.Remove("keypress", ref _onKeyPress, value);
+		}
+
+		[JSInvokable]
+		public void NotifyKeyPress(Event eventArgs) => _onKeyPress?.Invoke(this, eventArgs);
+
+		private MapEventHandler _onKeyDown;
+
+		public event MapEventHandler OnKeyDown
+		{
+			add => _eventSubscriptions.Add("keydown", ref _onKeyDown, value);
+			remove => _eventSubscriptions.Remove("keydown", ref _onKeyDown, value);
+		}
+
+		[JSInvokable]
+		public void NotifyKeyDown(Event eventArgs) => _onKeyDown?.Invoke(this, eventArgs);
+
+		private MapEventHandler _onKeyUp;
+
+		public event MapEventHandler OnKeyUp
+		{
+			add => _eventSubscriptions.Add("keyup", ref _onKeyUp, value);
+			remove => _eventSubscriptions.Remove("keyup", ref _onKeyUp, value);
+		}
+
+		[JSInvokable]
+		public void NotifyKeyUp(Event eventArgs) => _onKeyUp?.Invoke(this, eventArgs);
+
+		private MouseEventHandler _onPreClick;
+
+		public event MouseEventHandler OnPreClick
+		{
+			add => _eventSubscriptions.Add("preclick", ref _onPreClick, value);
+			remove => _eventSubscriptions.Remove("preclick", ref _onPreClick, value);
+		}
+
+		[JSInvokable]
+		public void NotifyPreClick(MouseEvent eventArgs) => _onPreClick?.Invoke(this, eventArgs);
+
+		public delegate void LayerControlEventHandler(Map sender, LayerControlEvent e);
+
+		private LayerControlEventHandler _onBaseLayerChange;
+
+		public event LayerControlEventHandler OnBaseLayerChange
+		{
+			add => _eventSubscriptions.Add("baselayerchange", ref _onBaseLayerChange, value);
+			remove => _eventSubscriptions.Remove("baselayerchange", ref _onBaseLayerChange, value);
+		}
+
+		[JSInvokable]
+		public void NotifyBaseLayerChange(LayerControlEvent eventArgs) =>
+			_onBaseLayerChange?.Invoke(this, ResolveLayerControlEvent(eventArgs));
+
+		private LayerControlEventHandler _onOverlayAdd;
+
+		public event LayerControlEventHandler OnOverlayAdd
+		{
+			add => _eventSubscriptions.Add("overlayadd", ref _onOverlayAdd, value);
+			remove => _eventSubscriptions.Remove("overlayadd", ref _onOverlayAdd, value);
+		}
+
+		[JSInvokable]
+		public void NotifyOverlayAdd(LayerControlEvent eventArgs) =>
+			_onOverlayAdd?.Invoke(this, ResolveLayerControlEvent(eventArgs));
+
+		private LayerControlEventHandler _onOverlayRemove;
+
+		public event LayerControlEventHandler OnOverlayRemove
+		{
+			add => _eventSubscriptions.Add("overlayremove", ref _onOverlayRemove, value);
+			remove => _eventSubscriptions.Remove("overlayremove", ref _onOverlayRemove, value);
+		}
+
+		[JSInvokable]
+		public void NotifyOverlayRemove(LayerControlEvent eventArgs) =>
+			_onOverlayRemove?.Invoke(this, ResolveLayerControlEvent(eventArgs));
+
+		private LayerControlEvent ResolveLayerControlEvent(LayerControlEvent eventArgs)
+		{
+			eventArgs.Layer = _layers.FirstOrDefault(l => l.Id == eventArgs.LayerId);
+			return eventArgs;
+		}
+
+		public delegate void DrawEventHandler(Map sender, DrawEvent e);
+
+		public event DrawEventHandler OnDrawCreated;
 
 		[JSInvokable]
-		public void NotifyMouseMove(MouseEvent eventArgs) => OnMouseMove?.Invoke(this, eventArgs);
+		public void NotifyDrawCreated(DrawEvent eventArgs) => OnDrawCreated?.Invoke(this, eventArgs);
 
-		public event MapEventHandler OnKeyPress;
+		public delegate void BoxSelectEventHandler(Map sender, BoxSelectEvent e);
+
+		public event BoxSelectEventHandler OnBoxSelect;
 
 		[JSInvokable]
-		public void NotifyKeyPress(Event eventArgs) => OnKeyPress?.Invoke(this, eventArgs);
+		public void NotifyBoxSelect(BoxSelectEvent eventArgs)
+		{
+			eventArgs.Layers = FindLayers(eventArgs.LayerIds ?? Array.Empty<string>());
+			OnBoxSelect?.Invoke(this, eventArgs);
+		}
+
+		public delegate void MeasureEventHandler(Map sender, MeasureEvent e);
 
-		public event MapEventHandler OnKeyDown;
+		public event MeasureEventHandler OnMeasure;
 
 		[JSInvokable]
-		public void NotifyKeyDown(Event eventArgs) => OnKeyDown?.Invoke(this, eventArgs);
+		public void NotifyMeasure(MeasureEvent eventArgs) => OnMeasure?.Invoke(this, eventArgs);
 
-		public event MapEventHandler OnKeyUp;
+		public event DrawEventHandler OnDrawEdited;
 
 		[JSInvokable]
-		public void NotifyKeyUp(Event eventArgs) => OnKeyUp?.Invoke(this, eventArgs);
+		public void NotifyDrawEdited(DrawEvent eventArgs)
+		{
+			eventArgs.Layer = _layers.FirstOrDefault(l => l.Id == eventArgs.LayerId);
+			(eventArgs.Layer as Path)?.NotifyEdit(eventArgs);
+			OnDrawEdited?.Invoke(this, eventArgs);
+		}
 
-		public event MouseEventHandler OnPreClick;
+		public event DrawEventHandler OnDrawDeleted;
 
 		[JSInvokable]
-		public void NotifyPreClick(MouseEvent eventArgs) => OnPreClick?.Invoke(this, eventArgs);
+		public void NotifyDrawDeleted(DrawEvent eventArgs)
+		{
+			eventArgs.Layer = _layers.FirstOrDefault(l => l.Id == eventArgs.LayerId);
+			if (eventArgs.Layer != null)
+			{
+				_layers.Remove(eventArgs.Layer);
+			}
+
+			OnDrawDeleted?.Invoke(this, eventArgs);
+		}
 
 		public event EventHandler<Exception> BackgroundExceptionOccurred;
 
@@ -395,40 +2255,82 @@ namespace ACO.Blazor.Leaflet
 
 		public delegate void MouseEventHandler(Map sender, MouseEvent e);
 
-		public event MouseEventHandler OnClick;
+		private MouseEventHandler _onClick;
+
+		public event MouseEventHandler OnClick
+		{
+			add => _eventSubscriptions.Add("click", ref _onClick, value);
+			remove => _eventSubscriptions.Remove("click", ref _onClick, value);
+		}
 
 		[JSInvokable]
-		public void NotifyClick(MouseEvent eventArgs) => OnClick?.Invoke(this, eventArgs);
+		public void NotifyClick(MouseEvent eventArgs) => _onClick?.Invoke(this, eventArgs);
 
-		public event MouseEventHandler OnDblClick;
+		private MouseEventHandler _onDblClick;
+
+		public event MouseEventHandler OnDblClick
+		{
+			add => _eventSubscriptions.Add("dblclick", ref _onDblClick, value);
+			remove => _eventSubscriptions.Remove("dblclick", ref _onDblClick, value);
+		}
 
 		[JSInvokable]
-		public void NotifyDblClick(MouseEvent eventArgs) => OnDblClick?.Invoke(this, eventArgs);
+		public void NotifyDblClick(MouseEvent eventArgs) => _onDblClick?.Invoke(this, eventArgs);
+
+		private MouseEventHandler _onMouseDown;
 
-		public event MouseEventHandler OnMouseDown;
+		public event MouseEventHandler OnMouseDown
+		{
+			add => _eventSubscriptions.Add("mousedown", ref _onMouseDown, value);
+			remove => _eventSubscriptions.Remove("mousedown", ref _onMouseDown, value);
+		}
 
 		[JSInvokable]
-		public void NotifyMouseDown(MouseEvent eventArgs) => OnMouseDown?.Invoke(this, eventArgs);
+		public void NotifyMouseDown(MouseEvent eventArgs) => _onMouseDown?.Invoke(this, eventArgs);
 
-		public event MouseEventHandler OnMouseUp;
+		private MouseEventHandler _onMouseUp;
+
+		public event MouseEventHandler OnMouseUp
+		{
+			add => _eventSubscriptions.Add("mouseup", ref _onMouseUp, value);
+			remove => _eventSubscriptions.Remove("mouseup", ref _onMouseUp, value);
+		}
 
 		[JSInvokable]
-		public void NotifyMouseUp(MouseEvent eventArgs) => OnMouseUp?.Invoke(this, eventArgs);
+		public void NotifyMouseUp(MouseEvent eventArgs) => _onMouseUp?.Invoke(this, eventArgs);
+
+		private MouseEventHandler _onMouseOver;
 
-		public event MouseEventHandler OnMouseOver;
+		public event MouseEventHandler OnMouseOver
+		{
+			add => _eventSubscriptions.Add("mouseover", ref _onMouseOver, value);
+			remove => _eventSubscriptions.Remove("mouseover", ref _onMouseOver, value);
+		}
 
 		[JSInvokable]
-		public void NotifyMouseOver(MouseEvent eventArgs) => OnMouseOver?.Invoke(this, eventArgs);
+		public void NotifyMouseOver(MouseEvent eventArgs) => _onMouseOver?.Invoke(this, eventArgs);
 
-		public event MouseEventHandler OnMouseOut;
+		private MouseEventHandler _onMouseOut;
+
+		public event MouseEventHandler OnMouseOut
+		{
+			add => _eventSubscriptions.Add("mouseout", ref _onMouseOut, value);
+			remove => _eventSubscriptions.Remove("mouseout", ref _onMouseOut, value);
+		}
 
 		[JSInvokable]
-		public void NotifyMouseOut(MouseEvent eventArgs) => OnMouseOut?.Invoke(this, eventArgs);
+		public void NotifyMouseOut(MouseEvent eventArgs) => _onMouseOut?.Invoke(this, eventArgs);
+
+		private MouseEventHandler _onContextMenu;
 
-		public event MouseEventHandler OnContextMenu;
+		public event MouseEventHandler OnContextMenu
+		{
+			add => _eventSubscriptions.Add("contextmenu", ref _onContextMenu, value);
+			remove => _eventSubscriptions.Remove("contextmenu", ref _onContextMenu, value);
+		}
 
 		[JSInvokable]
-		public void NotifyContextMenu(MouseEvent eventArgs) => OnContextMenu?.Invoke(this, eventArgs);
+		public void NotifyContextMenu(MouseEvent eventArgs) => _onContextMenu?.Invoke(this, eventArgs);
 
 		#endregion InteractiveLayerEvents
 	}
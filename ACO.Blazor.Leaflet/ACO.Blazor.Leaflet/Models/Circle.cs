@@ -1,4 +1,6 @@
-﻿namespace ACO.Blazor.Leaflet.Models
+﻿using ACO.Blazor.Leaflet.Models.Events;
+
+namespace ACO.Blazor.Leaflet.Models
 {
 	public class Circle : Path
 	{
@@ -13,5 +15,11 @@
 		/// </summary>
 		public float Radius { get; set; }
 
+		protected override void ApplyGeometry(DrawEvent e)
+		{
+			Position = e.LatLng;
+			Radius = e.Radius;
+		}
+
 	}
 }
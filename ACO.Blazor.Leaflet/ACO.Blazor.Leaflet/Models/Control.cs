@@ -0,0 +1,39 @@
+﻿using System.Text.Json.Serialization;
+using ACO.Blazor.Leaflet.Utils;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// A control Leaflet draws on the map, added with <see cref="Map.AddControl"/>. Changes of its properties are
+	/// applied with <see cref="Map.UpdateControl"/>. Use <see cref="MapControl"/> to show Blazor content instead.
+	/// </summary>
+	public abstract class Control
+	{
+		protected Control(string controlType, ControlPosition position)
+		{
+			ControlType = controlType;
+			Position = position;
+		}
+
+		/// <summary>
+		/// Unique identifier used by the interoperability service on the client side to identify controls.
+		/// </summary>
+		public string Id { get; } = StringHelper.GetRandomString(20);
+
+		/// <summary>
+		/// The kind of control, telling the client which control to create.
+		/// </summary>
+		[JsonInclude]
+		internal string ControlType { get; }
+
+		/// <summary>
+		/// The corner of the map the control is placed in.
+		/// </summary>
+		public ControlPosition Position { get; set; }
+
+		/// <summary>
+		/// Whether the control is shown. A hidden control keeps its place in the corner for when it is shown again.
+		/// </summary>
+		public bool Visible { get; set; } = true;
+	}
+}
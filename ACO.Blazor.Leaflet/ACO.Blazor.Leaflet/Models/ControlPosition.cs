@@ -0,0 +1,13 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The corner of the map a control is placed in.
+	/// </summary>
+	public enum ControlPosition
+	{
+		TopLeft,
+		TopRight,
+		BottomLeft,
+		BottomRight
+	}
+}
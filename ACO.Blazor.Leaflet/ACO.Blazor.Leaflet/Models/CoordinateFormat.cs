@@ -0,0 +1,18 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// How positions are written, see <see cref="CoordinatesControl"/>.
+	/// </summary>
+	public enum CoordinateFormat
+	{
+		/// <summary>
+		/// Decimal degrees like 47.55740, 16.39187.
+		/// </summary>
+		Decimal,
+
+		/// <summary>
+		/// Degrees, minutes and seconds like 47°33'26.6"N 16°23'30.7"E.
+		/// </summary>
+		DegreesMinutesSeconds
+	}
+}
@@ -0,0 +1,23 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Shows the position of the mouse cursor while it is over the map.
+	/// </summary>
+	public class CoordinatesControl : Control
+	{
+		public CoordinatesControl() : base("coordinates", ControlPosition.BottomLeft)
+		{
+		}
+
+		/// <summary>
+		/// How the position is written.
+		/// </summary>
+		public CoordinateFormat Format { get; set; } = CoordinateFormat.Decimal;
+
+		/// <summary>
+		/// The number of decimals of decimal degrees, or of the seconds of degrees, minutes and seconds, where 1 or 2
+		/// are usually enough.
+		/// </summary>
+		public int Decimals { get; set; } = 5;
+	}
+}
@@ -0,0 +1,87 @@
+﻿using System;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The coordinate reference system of a <see cref="Map"/>, one of those built into Leaflet or the projection
+	/// of a proj4 definition, e.g. <c>Crs.Proj4("EPSG:2056", "+proj=somerc ...", resolutions, origin)</c>.
+	/// <para/>
+	/// The positions of events, layers and bounds stay latitude and longitude in WGS84, except for
+	/// <see cref="Simple"/>, where <see cref="LatLng.Lat"/> is y and <see cref="LatLng.Lng"/> is x.
+	/// <see cref="Map.Project"/> and <see cref="Map.Unproject"/> convert them to and from the projection.
+	/// </summary>
+	public class Crs
+	{
+		/// <summary>
+		/// The code of the CRS, like <c>EPSG:3857</c>, or <c>Simple</c>.
+		/// </summary>
+		public string Code { get; init; }
+
+		/// <summary>
+		/// The proj4 definition of the projection, null for the systems built into Leaflet.
+		/// </summary>
+		public string Proj4Definition { get; init; }
+
+		/// <summary>
+		/// The units of the projection per pixel at each zoom level, largest first. Maps with them zoom only from 0
+		/// to the level of the last one, whatever their <see cref="Map.MinZoom"/> and <see cref="Map.MaxZoom"/>.
+		/// Without them a pixel is a unit at zoom level 0, halving with every level.
+		/// </summary>
+		public double[] Resolutions { get; init; }
+
+		/// <summary>
+		/// The projected position of the upper left corner of the tile grid, the upper left corner of
+		/// <see cref="ProjectedBounds"/> or 0, 0 if not set.
+		/// </summary>
+		public ProjectedPoint Origin { get; init; }
+
+		/// <summary>
+		/// The corners of the area covered by the projection, needed by tile layers whose rows are numbered from
+		/// the south.
+		/// </summary>
+		public Tuple<ProjectedPoint, ProjectedPoint> ProjectedBounds { get; init; }
+
+		/// <summary>
+		/// Spherical Mercator, used by most tile services and the default of a map.
+		/// </summary>
+		public static Crs EPSG3857 => new Crs { Code = "EPSG:3857" };
+
+		/// <summary>
+		/// Elliptical Mercator, used by some tile services.
+		/// </summary>
+		public static Crs EPSG3395 => new Crs { Code = "EPSG:3395" };
+
+		/// <summary>
+		/// Equirectangular projection of latitude and longitude, e.g. for WMS layers served in EPSG:4326.
+		/// </summary>
+		public static Crs EPSG4326 => new Crs { Code = "EPSG:4326" };
+
+		/// <summary>
+		/// Maps positions directly to pixels, for images like floor plans and scanned drawings shown with an
+		/// <see cref="ImageLayer"/>. A unit is a pixel at zoom level 0.
+		/// </summary>
+		public static Crs Simple => new Crs { Code = "Simple" };
+
+		/// <summary>
+		/// The projection of a proj4 definition, like a national grid.
+		/// </summary>
+		/// <param name="code">The code of the CRS, like <c>EPSG:2056</c>, sent by WMS layers.</param>
+		/// <param name="definition">The proj4 definition, as given by e.g. epsg.io.</param>
+		/// <param name="resolutions">The units per pixel at each zoom level, largest first.</param>
+		/// <param name="origin">The projected upper left corner of the tile grid.</param>
+		/// <param name="projectedBounds">The corners of the area covered by the projection.</param>
+		/// <exception cref="ArgumentNullException">Throws when the code or definition is null.</exception>
+		public static Crs Proj4(string code, string definition, double[] resolutions = null,
+			ProjectedPoint origin = null, Tuple<ProjectedPoint, ProjectedPoint> projectedBounds = null)
+		{
+			return new Crs
+			{
+				Code = code ?? throw new ArgumentNullException(nameof(code)),
+				Proj4Definition = definition ?? throw new ArgumentNullException(nameof(definition)),
+				Resolutions = resolutions,
+				Origin = origin,
+				ProjectedBounds = projectedBounds
+			};
+		}
+	}
+}
@@ -0,0 +1,31 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The rows of a CSV file with a header row, e.g. exported from a spreadsheet, as points. The other columns
+	/// become the properties of the points, as text.
+	/// </summary>
+	public class CsvLayer : FeatureFileLayer
+	{
+		public CsvLayer() : base("csv")
+		{
+		}
+
+		/// <summary>
+		/// The name of the column with the latitude in decimal degrees, case-insensitive. If null, a column named
+		/// lat, latitude or y is used.
+		/// </summary>
+		public string LatitudeColumn { get; set; }
+
+		/// <summary>
+		/// The name of the column with the longitude in decimal degrees, case-insensitive. If null, a column named
+		/// lng, lon, long, longitude or x is used.
+		/// </summary>
+		public string LongitudeColumn { get; set; }
+
+		/// <summary>
+		/// The character separating the fields. If null, the most frequent of comma, semicolon and tab in the
+		/// header row is used.
+		/// </summary>
+		public string Delimiter { get; set; }
+	}
+}
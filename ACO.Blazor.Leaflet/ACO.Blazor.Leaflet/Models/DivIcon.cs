@@ -0,0 +1,24 @@
+﻿using System.Drawing;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// An icon made of HTML instead of an image, see <see href="https://leafletjs.com/reference.html#divicon">L.DivIcon</see>.
+	/// It is styled by the CSS of <see cref="Icon.ClassName"/>, the class <c>leaflet-div-icon</c> gives it the white
+	/// box of Leaflet. The image and shadow URLs are ignored.
+	/// </summary>
+	public class DivIcon : Icon
+	{
+
+		/// <summary>
+		/// The HTML put into the div of the icon, like <c>&lt;span class="badge"&gt;3&lt;/span&gt;</c>.
+		/// </summary>
+		public string Html { get; set; }
+
+		/// <summary>
+		/// Relative position of the background, in pixels.
+		/// </summary>
+		public Point? BackgroundPosition { get; set; }
+
+	}
+}
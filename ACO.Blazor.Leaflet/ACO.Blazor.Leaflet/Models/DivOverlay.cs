@@ -1,4 +1,6 @@
 ﻿using System.Drawing;
+using System.Text.Json.Serialization;
+using Microsoft.AspNetCore.Components;
 
 namespace ACO.Blazor.Leaflet.Models
 {
@@ -20,5 +22,12 @@ namespace ACO.Blazor.Leaflet.Models
 		/// </summary>
 		public override string Pane { get; set; } = "popupPane";
 
+		/// <summary>
+		/// Content rendered by Blazor instead of the HTML <c>Content</c>, so it can hold components with event
+		/// handlers and bindings. It is rendered by the <see cref="LeafletMap"/> of the map the layer is on.
+		/// </summary>
+		[JsonIgnore]
+		public RenderFragment ContentFragment { get; set; }
+
 	}
 }
@@ -0,0 +1,58 @@
+﻿using System.Drawing;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Options of the interactive drawing mode, see <see cref="Map.StartDrawing"/>.
+	/// </summary>
+	public class DrawOptions
+	{
+
+		/// <summary>
+		/// Whether to draw stroke along the shape being drawn.
+		/// </summary>
+		public bool DrawStroke { get; set; } = true;
+
+		/// <summary>
+		/// Stroke color of the shape being drawn.
+		/// </summary>
+		public Color StrokeColor { get; set; } = Color.FromArgb(0x33, 0x88, 0xFF);
+
+		/// <summary>
+		/// Stroke width of the shape being drawn.
+		/// </summary>
+		public int StrokeWidth { get; set; } = 3;
+
+		/// <summary>
+		/// Stroke opacity of the shape being drawn.
+		/// </summary>
+		public double StrokeOpacity { get; set; } = 1.0;
+
+		/// <summary>
+		/// A string that defines the stroke <see href="https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray">dash pattern</see>.
+		/// </summary>
+		public string StrokeDashArray { get; set; }
+
+		/// <summary>
+		/// Whether to fill the shape being drawn. Ignored for polylines.
+		/// </summary>
+		public bool Fill { get; set; } = true;
+
+		/// <summary>
+		/// Fill color of the shape being drawn.
+		/// </summary>
+		public Color FillColor { get; set; } = Color.FromArgb(0x33, 0x88, 0xFF);
+
+		/// <summary>
+		/// Fill opacity of the shape being drawn.
+		/// </summary>
+		public double FillOpacity { get; set; } = 0.2;
+
+		/// <summary>
+		/// If true, the drawing mode stays active after a shape has been finished, so several shapes can be drawn in a row.
+		/// Otherwise the drawing mode ends with the first finished shape.
+		/// </summary>
+		public bool RepeatMode { get; set; }
+
+	}
+}
@@ -0,0 +1,14 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The kinds of shapes that can be drawn interactively with <see cref="Map.StartDrawing"/>.
+	/// </summary>
+	public enum DrawShape
+	{
+		Rectangle,
+		Circle,
+		Polyline,
+		Polygon,
+		Marker
+	}
+}
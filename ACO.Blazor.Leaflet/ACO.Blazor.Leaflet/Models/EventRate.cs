@@ -0,0 +1,23 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Limits how often an event is sent from the client to .NET.
+	/// </summary>
+	public class EventRate
+	{
+		/// <summary>
+		/// Send the event at most once in this many milliseconds. The last event of an interval is sent at its end.
+		/// </summary>
+		public int Throttle { get; init; }
+
+		/// <summary>
+		/// Send the event only once it has not been raised again for this many milliseconds, e.g. a move at its end.
+		/// Takes precedence over <see cref="Throttle"/>.
+		/// </summary>
+		public int Debounce { get; init; }
+
+		public static EventRate Throttled(int milliseconds) => new EventRate { Throttle = milliseconds };
+
+		public static EventRate Debounced(int milliseconds) => new EventRate { Debounce = milliseconds };
+	}
+}
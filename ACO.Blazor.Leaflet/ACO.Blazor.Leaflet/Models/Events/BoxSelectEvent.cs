@@ -0,0 +1,26 @@
+﻿using System.Text.Json.Serialization;
+
+namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// Raised when a box was dragged with the shift key held down while <see cref="Map.StartBoxSelection"/> is active.
+	/// </summary>
+	public class BoxSelectEvent : Event
+	{
+		/// <summary>
+		/// The dragged box.
+		/// </summary>
+		public Bounds Bounds { get; set; }
+
+		/// <summary>
+		/// The ids of the layers and clustered markers within the box.
+		/// </summary>
+		public string[] LayerIds { get; set; }
+
+		/// <summary>
+		/// The layers and clustered markers within the box.
+		/// </summary>
+		[JsonIgnore]
+		public Layer[] Layers { get; set; }
+	}
+}
@@ -0,0 +1,23 @@
+﻿using System.Text.Json.Serialization;
+
+namespace ACO.Blazor.Leaflet.Models.Events
+{
+	public class ClusterClickEvent : MouseEvent
+	{
+		/// <summary>
+		/// The number of markers in the clicked cluster.
+		/// </summary>
+		public int ChildCount { get; set; }
+
+		/// <summary>
+		/// The ids of the markers in the clicked cluster.
+		/// </summary>
+		public string[] MarkerIds { get; set; }
+
+		/// <summary>
+		/// The markers in the clicked cluster.
+		/// </summary>
+		[JsonIgnore]
+		public Marker[] Markers { get; set; }
+	}
+}
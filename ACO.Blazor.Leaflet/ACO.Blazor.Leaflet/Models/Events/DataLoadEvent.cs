@@ -0,0 +1,18 @@
+﻿namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// Raised once the features of a layer have been read.
+	/// </summary>
+	public class DataLoadEvent : Event
+	{
+		/// <summary>
+		/// The number of features on the layer.
+		/// </summary>
+		public int FeatureCount { get; set; }
+
+		/// <summary>
+		/// The features read, as a GeoJSON feature collection.
+		/// </summary>
+		public string GeoJsonData { get; set; }
+	}
+}
@@ -0,0 +1,82 @@
+﻿using System;
+using System.Drawing;
+using System.Linq;
+using System.Text.Json.Serialization;
+
+namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// Raised with the finished geometry of a shape that was drawn, edited or deleted interactively.
+	/// </summary>
+	public class DrawEvent : Event
+	{
+		/// <summary>
+		/// The kind of shape: rectangle, circle, polyline, polygon or marker.
+		/// </summary>
+		public string ShapeType { get; set; }
+
+		public DrawShape Shape => Enum.Parse<DrawShape>(ShapeType, true);
+
+		/// <summary>
+		/// Id of the edited or deleted layer. Null for newly drawn shapes.
+		/// </summary>
+		public string LayerId { get; set; }
+
+		/// <summary>
+		/// The edited or deleted layer. Null for newly drawn shapes.
+		/// </summary>
+		[JsonIgnore]
+		public Layer Layer { get; set; }
+
+		/// <summary>
+		/// Id of the edited feature when <see cref="Layer"/> is a <see cref="GeoJsonDataLayer"/>.
+		/// </summary>
+		public string FeatureId { get; set; }
+
+		/// <summary>
+		/// The rings of a rectangle, polyline or polygon. The rings of all parts of a multi-polygon or
+		/// multi-polyline, like a feature of a GeoJSON layer, are listed one after the other, see <see cref="Parts"/>.
+		/// </summary>
+		public LatLng[][] LatLngs { get; set; }
+
+		/// <summary>
+		/// The rings of a rectangle, polyline or polygon by part: the polygons of a multi-polygon, each with its
+		/// outer ring followed by its holes, or the lines of a multi-polyline, each as a single ring. A shape that
+		/// is not a multi-polygon or multi-polyline has a single part.
+		/// </summary>
+		public LatLng[][][] Parts { get; set; }
+
+		/// <summary>
+		/// The center of a circle or the position of a marker.
+		/// </summary>
+		public LatLng LatLng { get; set; }
+
+		/// <summary>
+		/// The radius of a circle, in meters.
+		/// </summary>
+		public float Radius { get; set; }
+
+		public Bounds Bounds { get; set; }
+
+		/// <summary>
+		/// Creates a new layer with the geometry of this event, which can then be added to the map.
+		/// </summary>
+		public Layer ToLayer() =>
+			Shape switch
+			{
+				DrawShape.Rectangle => new Rectangle { Shape = ToRectangleF() },
+				DrawShape.Circle => new Circle { Position = LatLng, Radius = Radius },
+				DrawShape.Polygon => new Polygon { Shape = ToShape() },
+				DrawShape.Polyline => new Polyline { Shape = ToShape() },
+				DrawShape.Marker => new Marker(LatLng),
+				_ => throw new NotImplementedException($"The shape {ShapeType} has not been implemented."),
+			};
+
+		internal PointF[][] ToShape() =>
+			LatLngs.Select(ring => ring.Select(p => p.ToPointF()).ToArray()).ToArray();
+
+		internal RectangleF ToRectangleF() =>
+			new RectangleF(Bounds.SouthWest.Lng, Bounds.SouthWest.Lat,
+				Bounds.NorthEast.Lng - Bounds.SouthWest.Lng, Bounds.NorthEast.Lat - Bounds.SouthWest.Lat);
+	}
+}
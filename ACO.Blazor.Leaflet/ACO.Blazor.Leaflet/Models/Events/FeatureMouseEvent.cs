@@ -0,0 +1,21 @@
+﻿using System.Collections.Generic;
+using System.Text.Json;
+
+namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// Mouse event on a feature of a <see cref="GeoJsonDataLayer"/>.
+	/// </summary>
+	public class FeatureMouseEvent : MouseEvent
+	{
+		/// <summary>
+		/// The id of the feature, null if it has none.
+		/// </summary>
+		public string FeatureId { get; set; }
+
+		/// <summary>
+		/// The properties of the feature.
+		/// </summary>
+		public Dictionary<string, JsonElement> Properties { get; set; }
+	}
+}
@@ -0,0 +1,25 @@
+﻿using System.Text.Json.Serialization;
+
+namespace ACO.Blazor.Leaflet.Models.Events
+{
+	public class LayerControlEvent : Event
+	{
+		/// <summary>
+		/// The name of the layer in the layer control.
+		/// </summary>
+		public string Name { get; set; }
+
+		public string LayerId { get; set; }
+
+		/// <summary>
+		/// The layer that was selected, shown or hidden.
+		/// </summary>
+		[JsonIgnore]
+		public Layer Layer { get; set; }
+
+		/// <summary>
+		/// The group of the overlay in the layer control, if any.
+		/// </summary>
+		public string Group { get; set; }
+	}
+}
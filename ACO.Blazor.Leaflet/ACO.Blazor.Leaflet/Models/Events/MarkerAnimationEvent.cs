@@ -0,0 +1,25 @@
+﻿namespace ACO.Blazor.Leaflet.Models.Events
+{
+	public class MarkerAnimationEvent : Event
+	{
+		/// <summary>
+		/// The current position of the animated marker.
+		/// </summary>
+		public LatLng LatLng { get; set; }
+
+		/// <summary>
+		/// Fraction of the animation duration that has elapsed, between 0 and 1.
+		/// </summary>
+		public double Progress { get; set; }
+
+		/// <summary>
+		/// Direction of the current path segment in degrees, clockwise from north.
+		/// </summary>
+		public double? Heading { get; set; }
+
+		/// <summary>
+		/// Whether the marker arrived at the end of the path. False if the animation was stopped before.
+		/// </summary>
+		public bool Completed { get; set; }
+	}
+}
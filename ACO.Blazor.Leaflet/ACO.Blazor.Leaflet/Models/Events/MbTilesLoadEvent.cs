@@ -0,0 +1,10 @@
+﻿namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// Raised once an MBTiles file has been opened.
+	/// </summary>
+	public class MbTilesLoadEvent : Event
+	{
+		public MbTilesMetadata Metadata { get; set; }
+	}
+}
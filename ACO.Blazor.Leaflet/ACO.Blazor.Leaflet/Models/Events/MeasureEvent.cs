@@ -0,0 +1,33 @@
+﻿using System;
+
+namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// Raised with a finished measurement of <see cref="Map.StartMeasuring"/>. The values do not depend on the
+	/// units of the labels.
+	/// </summary>
+	public class MeasureEvent : Event
+	{
+		/// <summary>
+		/// The kind of shape measured: polyline or polygon.
+		/// </summary>
+		public string ShapeType { get; set; }
+
+		public DrawShape Shape => Enum.Parse<DrawShape>(ShapeType, true);
+
+		/// <summary>
+		/// The clicked vertices.
+		/// </summary>
+		public LatLng[] LatLngs { get; set; }
+
+		/// <summary>
+		/// The length of the polyline or the perimeter of the polygon, in meters.
+		/// </summary>
+		public double Length { get; set; }
+
+		/// <summary>
+		/// The area of the polygon in square meters, 0 for polylines.
+		/// </summary>
+		public double Area { get; set; }
+	}
+}
@@ -0,0 +1,13 @@
+﻿namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// Mouse event on a feature of a <see cref="VectorTileLayer"/>.
+	/// </summary>
+	public class VectorTileFeatureEvent : FeatureMouseEvent
+	{
+		/// <summary>
+		/// The name of the layer of the tile the feature belongs to.
+		/// </summary>
+		public string SourceLayer { get; set; }
+	}
+}
@@ -0,0 +1,25 @@
+﻿using System.Text.Json;
+
+namespace ACO.Blazor.Leaflet.Models.Events
+{
+	/// <summary>
+	/// The GetFeatureInfo response of a <see cref="WmsLayer"/> for a clicked position.
+	/// </summary>
+	public class WmsFeatureInfoEvent : MouseEvent
+	{
+		/// <summary>
+		/// The content type of the response.
+		/// </summary>
+		public string ContentType { get; set; }
+
+		/// <summary>
+		/// The response as text, null for JSON responses.
+		/// </summary>
+		public string Content { get; set; }
+
+		/// <summary>
+		/// The parsed JSON response, like a GeoJSON feature collection, null for other formats.
+		/// </summary>
+		public JsonElement? Data { get; set; }
+	}
+}
@@ -0,0 +1,80 @@
+﻿using System.Text.Json.Serialization;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The features of a GPX, KML or CSV file, read in the browser and shown like a GeoJSON layer. The file is
+	/// downloaded from <see cref="Url"/> when the layer is added, or read with <see cref="Map.LoadFeatureFileData"/>
+	/// and <see cref="Map.LoadFeatureFile"/>.
+	/// </summary>
+	public abstract class FeatureFileLayer : GeoJsonDataLayer
+	{
+		protected FeatureFileLayer(string format)
+		{
+			Format = format;
+		}
+
+		/// <summary>
+		/// The format of the file, telling the client which parser to use.
+		/// </summary>
+		[JsonInclude]
+		internal string Format { get; }
+
+		/// <summary>
+		/// The URL of the file.
+		/// </summary>
+		public string Url { get; set; }
+
+		/// <summary>
+		/// Whether clicking a feature opens a popup listing its properties. Set it before the layer is added.
+		/// <para/>
+		/// Defaults to true.
+		/// </summary>
+		public bool PropertyPopups { get; set; } = true;
+
+		#region events
+
+		public delegate void DataLoadEventHandler(FeatureFileLayer sender, DataLoadEvent e);
+
+		private DataLoadEventHandler _onDataLoad;
+
+		/// <summary>
+		/// Raised when the features of the file have been read, <see cref="DataLoadEvent.GeoJsonData"/> holds them.
+		/// </summary>
+		public event DataLoadEventHandler OnDataLoad
+		{
+			add => EventSubscriptions.Add("dataload", ref _onDataLoad, value);
+			remove => EventSubscriptions.Remove("dataload", ref _onDataLoad, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDataLoad(DataLoadEvent eventArgs)
+		{
+			_onDataLoad?.Invoke(this, eventArgs);
+		}
+
+		public delegate void ErrorEventHandler(FeatureFileLayer sender, ErrorEvent e);
+
+		private ErrorEventHandler _onDataError;
+
+		/// <summary>
+		/// Raised when the file could not be downloaded or is malformed, the message names the problem, e.g. the
+		/// line of a CSV file without a valid position.
+		/// </summary>
+		public event ErrorEventHandler OnDataError
+		{
+			add => EventSubscriptions.Add("dataerror", ref _onDataError, value);
+			remove => EventSubscriptions.Remove("dataerror", ref _onDataError, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDataError(ErrorEvent eventArgs)
+		{
+			_onDataError?.Invoke(this, eventArgs);
+		}
+
+		#endregion
+	}
+}
@@ -0,0 +1,24 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// A button showing the map on the whole screen and back. <see cref="Map.OnEnterFullscreen"/> and
+	/// <see cref="Map.OnExitFullscreen"/> are raised when the map enters and leaves fullscreen, also when the user
+	/// leaves it with the escape key.
+	/// </summary>
+	public class FullscreenControl : Control
+	{
+		public FullscreenControl() : base("fullscreen", ControlPosition.TopLeft)
+		{
+		}
+
+		/// <summary>
+		/// The tooltip of the button while the map is not in fullscreen.
+		/// </summary>
+		public string Title { get; set; } = "View fullscreen";
+
+		/// <summary>
+		/// The tooltip of the button while the map is in fullscreen.
+		/// </summary>
+		public string ExitTitle { get; set; } = "Exit fullscreen";
+	}
+}
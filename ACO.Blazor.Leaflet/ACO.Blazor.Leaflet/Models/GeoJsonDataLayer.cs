@@ -1,7 +1,126 @@
-﻿namespace ACO.Blazor.Leaflet.Models
+﻿using System.Collections.Generic;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
+
+namespace ACO.Blazor.Leaflet.Models
 {
 	public class GeoJsonDataLayer : InteractiveLayer
 	{
+		/// <summary>
+		/// The GeoJSON the layer is created with, or was last set to by <see cref="Map.SetGeoJsonData"/>. Use
+		/// <see cref="Map.GetGeoJsonData"/> to read the current features, including added and edited ones.
+		/// </summary>
 		public string GeoJsonData { get; set; }
+
+		/// <summary>
+		/// The style of all features.
+		/// </summary>
+		public GeoJsonStyle Style { get; set; }
+
+		/// <summary>
+		/// Styles of the features depending on their properties, applied in order on top of <see cref="Style"/>.
+		/// </summary>
+		public List<GeoJsonStyleRule> StyleRules { get; set; } = new List<GeoJsonStyleRule>();
+
+		#region events
+
+		/// <summary>
+		/// Mouse events of a single feature. They are raised along with the mouse events of the layer itself.
+		/// </summary>
+		public delegate void FeatureMouseEventHandler(GeoJsonDataLayer sender, FeatureMouseEvent e);
+
+		private FeatureMouseEventHandler _onFeatureClick;
+
+		public event FeatureMouseEventHandler OnFeatureClick
+		{
+			add => EventSubscriptions.Add("click", ref _onFeatureClick, value);
+			remove => EventSubscriptions.Remove("click", ref _onFeatureClick, value);
+		}
+
+		private FeatureMouseEventHandler _onFeatureDblClick;
+
+		public event FeatureMouseEventHandler OnFeatureDblClick
+		{
+			add => EventSubscriptions.Add("dblclick", ref _onFeatureDblClick, value);
+			remove => EventSubscriptions.Remove("dblclick", ref _onFeatureDblClick, value);
+		}
+
+		private FeatureMouseEventHandler _onFeatureMouseDown;
+
+		public event FeatureMouseEventHandler OnFeatureMouseDown
+		{
+			add => EventSubscriptions.Add("mousedown", ref _onFeatureMouseDown, value);
+			remove => EventSubscriptions.Remove("mousedown", ref _onFeatureMouseDown, value);
+		}
+
+		private FeatureMouseEventHandler _onFeatureMouseUp;
+
+		public event FeatureMouseEventHandler OnFeatureMouseUp
+		{
+			add => EventSubscriptions.Add("mouseup", ref _onFeatureMouseUp, value);
+			remove => EventSubscriptions.Remove("mouseup", ref _onFeatureMouseUp, value);
+		}
+
+		private FeatureMouseEventHandler _onFeatureMouseOver;
+
+		public event FeatureMouseEventHandler OnFeatureMouseOver
+		{
+			add => EventSubscriptions.Add("mouseover", ref _onFeatureMouseOver, value);
+			remove => EventSubscriptions.Remove("mouseover", ref _onFeatureMouseOver, value);
+		}
+
+		private FeatureMouseEventHandler _onFeatureMouseOut;
+
+		public event FeatureMouseEventHandler OnFeatureMouseOut
+		{
+			add => EventSubscriptions.Add("mouseout", ref _onFeatureMouseOut, value);
+			remove => EventSubscriptions.Remove("mouseout", ref _onFeatureMouseOut, value);
+		}
+
+		private FeatureMouseEventHandler _onFeatureContextMenu;
+
+		public event FeatureMouseEventHandler OnFeatureContextMenu
+		{
+			add => EventSubscriptions.Add("contextmenu", ref _onFeatureContextMenu, value);
+			remove => EventSubscriptions.Remove("contextmenu", ref _onFeatureContextMenu, value);
+		}
+
+		[JSInvokable]
+		public void NotifyFeatureMouseEvent(FeatureMouseEvent eventArgs)
+		{
+			switch (eventArgs.Type)
+			{
+				case "click":
+					NotifyClick(eventArgs);
+					_onFeatureClick?.Invoke(this, eventArgs);
+					break;
+				case "dblclick":
+					NotifyDblClick(eventArgs);
+					_onFeatureDblClick?.Invoke(this, eventArgs);
+					break;
+				case "mousedown":
+					NotifyMouseDown(eventArgs);
+					_onFeatureMouseDown?.Invoke(this, eventArgs);
+					break;
+				case "mouseup":
+					NotifyMouseUp(eventArgs);
+					_onFeatureMouseUp?.Invoke(this, eventArgs);
+					break;
+				case "mouseover":
+					NotifyMouseOver(eventArgs);
+					_onFeatureMouseOver?.Invoke(this, eventArgs);
+					break;
+				case "mouseout":
+					NotifyMouseOut(eventArgs);
+					_onFeatureMouseOut?.Invoke(this, eventArgs);
+					break;
+				case "contextmenu":
+					NotifyContextMenu(eventArgs);
+					_onFeatureContextMenu?.Invoke(this, eventArgs);
+					break;
+			}
+		}
+
+		#endregion
 	}
 }
@@ -0,0 +1,56 @@
+﻿using System.Drawing;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Style of the features of a <see cref="GeoJsonDataLayer"/>. Properties left null keep the Leaflet defaults,
+	/// or the value of a less specific style.
+	/// </summary>
+	public class GeoJsonStyle
+	{
+		/// <summary>
+		/// Whether to draw stroke along the path.
+		/// </summary>
+		public bool? DrawStroke { get; set; }
+
+		/// <summary>
+		/// Stroke color.
+		/// </summary>
+		public Color? StrokeColor { get; set; }
+
+		/// <summary>
+		/// Stroke width.
+		/// </summary>
+		public int? StrokeWidth { get; set; }
+
+		/// <summary>
+		/// Stroke opacity.
+		/// </summary>
+		public double? StrokeOpacity { get; set; }
+
+		/// <summary>
+		/// A string that defines the stroke <see href="https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray">dash pattern</see>.
+		/// </summary>
+		public string StrokeDashArray { get; set; }
+
+		/// <summary>
+		/// Whether to fill polygons with color.
+		/// </summary>
+		public bool? Fill { get; set; }
+
+		/// <summary>
+		/// Fill color.
+		/// </summary>
+		public Color? FillColor { get; set; }
+
+		/// <summary>
+		/// Fill opacity.
+		/// </summary>
+		public double? FillOpacity { get; set; }
+
+		/// <summary>
+		/// The icon of the markers of point features.
+		/// </summary>
+		public Icon Icon { get; set; }
+	}
+}
@@ -0,0 +1,20 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Style of the features of a <see cref="GeoJsonDataLayer"/> having a property with a given value. It overrides
+	/// <see cref="GeoJsonDataLayer.Style"/> and the rules before it.
+	/// </summary>
+	public class GeoJsonStyleRule : GeoJsonStyle
+	{
+		/// <summary>
+		/// The name of the feature property.
+		/// </summary>
+		public string Property { get; set; }
+
+		/// <summary>
+		/// The value of the property, compared as a string (e.g. "true" or "42"). Null matches features without the
+		/// property.
+		/// </summary>
+		public string Value { get; set; }
+	}
+}
@@ -0,0 +1,15 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The waypoints, routes and tracks of a GPX file. Waypoints become points with the properties name, desc,
+	/// cmt, type, sym, ele and time. Routes and tracks become lines with the properties name, desc, cmt and type,
+	/// tracks of several segments become multi line strings. The elevations of their points are the third
+	/// coordinate and their times are listed in the property times.
+	/// </summary>
+	public class GpxLayer : FeatureFileLayer
+	{
+		public GpxLayer() : base("gpx")
+		{
+		}
+	}
+}
@@ -1,24 +1,62 @@
 ﻿using System.Collections.Generic;
 using System.Drawing;
 using System.Linq;
+using System.Text.Json.Serialization;
 
 namespace ACO.Blazor.Leaflet.Models
 {
+	/// <summary>
+	/// Shows the density of points as a heatmap. The options can be changed with <see cref="Map.UpdateLayer"/>,
+	/// the points with <see cref="Map.SetHeatmapPoints"/> and <see cref="Map.AddHeatmapPoints"/> once the layer is
+	/// on a map.
+	/// </summary>
 	public class HeatmapLayer : Layer
 	{
+		public HeatmapLayer()
+		{
+			Points = new List<HeatmapLatLng>();
+		}
+
 		public HeatmapLayer(IEnumerable<HeatmapLatLng> points)
 		{
 			Points = points.ToList();
 		}
 
+		/// <summary>
+		/// The points of the heatmap, sent to the client when the layer is added.
+		/// </summary>
+		[JsonIgnore]
 		public List<HeatmapLatLng> Points { get; }
 
-		public double MinOpacity { get; init; }
-		public double MaxZoom { get; init; }
-		public double MaxPointIntensity { get; init; } = 1.0;
-		public int Radius { get; init; } = 25;
-		public int Blur { get; init; } = 15;
-		public IEnumerable<GradientPart> Gradient { get; init; }
+		/// <summary>
+		/// The minimum opacity the heat will start at.
+		/// </summary>
+		public double MinOpacity { get; set; }
+
+		/// <summary>
+		/// The zoom level where the points reach the maximum intensity, as intensity scales with zoom.
+		/// </summary>
+		public double MaxZoom { get; set; }
+
+		/// <summary>
+		/// The intensity at which the heat is the hottest color of the gradient.
+		/// </summary>
+		public double MaxPointIntensity { get; set; } = 1.0;
+
+		/// <summary>
+		/// The radius of each point in pixels.
+		/// </summary>
+		public int Radius { get; set; } = 25;
+
+		/// <summary>
+		/// The amount of blur in pixels.
+		/// </summary>
+		public int Blur { get; set; } = 15;
+
+		/// <summary>
+		/// The colors of the heat from 0 to 1, null for the default gradient from blue to red.
+		/// </summary>
+		public IEnumerable<GradientPart> Gradient { get; set; }
 	}
 
 	public struct GradientPart
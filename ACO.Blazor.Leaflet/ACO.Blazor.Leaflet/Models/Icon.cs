@@ -1,7 +1,18 @@
-﻿using System.Drawing;
+﻿using System;
+using System.Drawing;
+using System.Text.Json.Serialization;
 
 namespace ACO.Blazor.Leaflet.Models
 {
+	/// <summary>
+	/// An icon made of an image, see <see href="https://leafletjs.com/reference.html#icon">L.Icon</see>.
+	/// <see cref="DivIcon"/> and <see cref="PinIcon"/> are drawn from HTML and SVG instead.
+	/// </summary>
+	[JsonPolymorphic(TypeDiscriminatorPropertyName = "iconType",
+		UnknownDerivedTypeHandling = JsonUnknownDerivedTypeHandling.FallBackToNearestAncestor)]
+	[JsonDerivedType(typeof(Icon), "image")]
+	[JsonDerivedType(typeof(DivIcon), "div")]
+	[JsonDerivedType(typeof(PinIcon), "pin")]
 	public class Icon
 	{
 
@@ -13,7 +24,15 @@ namespace ACO.Blazor.Leaflet.Models
 		/// <summary>
 		/// The URL to a retina sized version of the icon image (absolute or relative to your script path). Used for Retina screen devices.
 		/// </summary>
-		public string RetinalUrl { get; set; }
+		public string RetinaUrl { get; set; }
+
+		[Obsolete("Use RetinaUrl instead.")]
+		[JsonIgnore]
+		public string RetinalUrl
+		{
+			get => RetinaUrl;
+			set => RetinaUrl = value;
+		}
 
 		/// <summary>
 		/// Size of the icon image in pixels.
@@ -40,7 +59,18 @@ namespace ACO.Blazor.Leaflet.Models
 		/// </summary>
 		public string ShadowUrl { get; set; }
 
-		public string ShadowRetinalUrl { get; set; }
+		/// <summary>
+		/// The URL to a retina sized version of the shadow image, used for Retina screen devices.
+		/// </summary>
+		public string ShadowRetinaUrl { get; set; }
+
+		[Obsolete("Use ShadowRetinaUrl instead.")]
+		[JsonIgnore]
+		public string ShadowRetinalUrl
+		{
+			get => ShadowRetinaUrl;
+			set => ShadowRetinaUrl = value;
+		}
 
 		/// <summary>
 		/// Size of the shadow image in pixels.
@@ -50,7 +80,7 @@ namespace ACO.Blazor.Leaflet.Models
 		/// <summary>
 		/// The coordinates of the "tip" of the shadow (relative to its top left corner) (the same as iconAnchor if not specified).
 		/// </summary>
-		public Size? ShadowAnchor { get; set; }
+		public Point? ShadowAnchor { get; set; }
 
 		/// <summary>
 		/// A custom class name to assign to both icon and shadow images. Empty by default.
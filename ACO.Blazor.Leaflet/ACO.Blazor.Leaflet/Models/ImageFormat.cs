@@ -0,0 +1,16 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The format of an exported map image.
+	/// </summary>
+	public enum ImageFormat
+	{
+		Png,
+
+		/// <summary>
+		/// Keeps the paths of the map as vectors. Tiles and icons are linked by their URL, which browsers do not
+		/// load for SVG images shown in an img element.
+		/// </summary>
+		Svg
+	}
+}
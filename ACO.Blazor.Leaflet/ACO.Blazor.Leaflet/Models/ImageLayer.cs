@@ -38,11 +38,11 @@ namespace ACO.Blazor.Leaflet.Models
 		/// <summary>
 		///  Image url.
 		/// </summary>
-		public string Url { get; }
+		public string Url { get; set; }
 
-		public PointF Corner1 { get; }
+		public PointF Corner1 { get; set; }
 
-		public PointF Corner2 { get; }
+		public PointF Corner2 { get; set; }
 
 		public ImageLayer(string url, PointF corner1, PointF corner2)
 		{
@@ -4,7 +4,7 @@ namespace ACO.Blazor.Leaflet.Models
 {
 	public class ImageRotatedLayer : ImageLayer
 	{
-		public PointF Corner3 { get; }
+		public PointF Corner3 { get; set; }
 
 		public ImageRotatedLayer(string url, PointF topLeftCorner, PointF topRightCorner, PointF bottomLeftCorner)
 			: base(url, topLeftCorner, topRightCorner)
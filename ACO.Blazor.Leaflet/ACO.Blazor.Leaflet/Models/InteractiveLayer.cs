@@ -16,64 +16,114 @@ namespace ACO.Blazor.Leaflet.Models
 		/// </summary>
 		public virtual bool IsBubblingMouseEvents { get; set; } = true;
 
+		/// <summary>
+		/// Limits how often an event of this layer is sent from the client, e.g.
+		/// <c>SetEventRate(nameof(OnMouseOver), EventRate.Throttled(100))</c>.
+		/// </summary>
+		/// <param name="eventName">The name of the event, like <c>nameof(OnClick)</c> or its Leaflet name "click".</param>
+		/// <param name="rate">The rate, or null to send every event.</param>
+		public void SetEventRate(string eventName, EventRate rate) => EventSubscriptions.SetRate(eventName, rate);
+
 		#region events
 
 		public delegate void MouseEventHandler(InteractiveLayer sender, MouseEvent e);
 
-		public event MouseEventHandler OnClick;
+		private MouseEventHandler _onClick;
+
+		public event MouseEventHandler OnClick
+		{
+			add => EventSubscriptions.Add("click", ref _onClick, value);
+			remove => EventSubscriptions.Remove("click", ref _onClick, value);
+		}
 
 		[JSInvokable]
 		public void NotifyClick(MouseEvent eventArgs)
 		{
-			OnClick?.Invoke(this, eventArgs);
+			_onClick?.Invoke(this, eventArgs);
 		}
 
-		public event MouseEventHandler OnDblClick;
+		private MouseEventHandler _onDblClick;
+
+		public event MouseEventHandler OnDblClick
+		{
+			add => EventSubscriptions.Add("dblclick", ref _onDblClick, value);
+			remove => EventSubscriptions.Remove("dblclick", ref _onDblClick, value);
+		}
 
 		[JSInvokable]
 		public void NotifyDblClick(MouseEvent eventArgs)
 		{
-			OnDblClick?.Invoke(this, eventArgs);
+			_onDblClick?.Invoke(this, eventArgs);
 		}
 
-		public event MouseEventHandler OnMouseDown;
+		private MouseEventHandler _onMouseDown;
+
+		public event MouseEventHandler OnMouseDown
+		{
+			add => EventSubscriptions.Add("mousedown", ref _onMouseDown, value);
+			remove => EventSubscriptions.Remove("mousedown", ref _onMouseDown, value);
+		}
 
 		[JSInvokable]
 		public void NotifyMouseDown(MouseEvent eventArgs)
 		{
-			OnMouseDown?.Invoke(this, eventArgs);
+			_onMouseDown?.Invoke(this, eventArgs);
 		}
 
-		public event MouseEventHandler OnMouseUp;
+		private MouseEventHandler _onMouseUp;
+
+		public event MouseEventHandler OnMouseUp
+		{
+			add => EventSubscriptions.Add("mouseup", ref _onMouseUp, value);
+			remove => EventSubscriptions.Remove("mouseup", ref _onMouseUp, value);
+		}
 
 		[JSInvokable]
 		public void NotifyMouseUp(MouseEvent eventArgs)
 		{
-			OnMouseUp?.Invoke(this, eventArgs);
+			_onMouseUp?.Invoke(this, eventArgs);
 		}
 
-		public event MouseEventHandler OnMouseOver;
+		private MouseEventHandler _onMouseOver;
+
+		public event MouseEventHandler OnMouseOver
+		{
+			add => EventSubscriptions.Add("mouseover", ref _onMouseOver, value);
+			remove => EventSubscriptions.Remove("mouseover", ref _onMouseOver, value);
+		}
 
 		[JSInvokable]
 		public void NotifyMouseOver(MouseEvent eventArgs)
 		{
-			OnMouseOver?.Invoke(this, eventArgs);
+			_onMouseOver?.Invoke(this, eventArgs);
 		}
 
-		public event MouseEventHandler OnMouseOut;
+		private MouseEventHandler _onMouseOut;
+
+		public event MouseEventHandler OnMouseOut
+		{
+			add => EventSubscriptions.Add("mouseout", ref _onMouseOut, value);
+			remove => EventSubscriptions.Remove("mouseout", ref _onMouseOut, value);
+		}
 
 		[JSInvokable]
 		public void NotifyMouseOut(MouseEvent eventArgs)
 		{
-			OnMouseOut?.Invoke(this, eventArgs);
+			_onMouseOut?.Invoke(this, eventArgs);
 		}
 
-		public event MouseEventHandler OnContextMenu;
+		private MouseEventHandler _onContextMenu;
+
+		public event MouseEventHandler OnContextMenu
+		{
+			add => EventSubscriptions.Add("contextmenu", ref _onContextMenu, value);
+			remove => EventSubscriptions.Remove("contextmenu", ref _onContextMenu, value);
+		}
 
 		[JSInvokable]
 		public void NotifyContextMenu(MouseEvent eventArgs)
 		{
-			OnContextMenu?.Invoke(this, eventArgs);
+			_onContextMenu?.Invoke(this, eventArgs);
 		}
 
 		#endregion
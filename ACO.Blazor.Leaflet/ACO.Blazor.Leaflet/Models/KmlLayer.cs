@@ -0,0 +1,23 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The placemarks of a KML file with their points, lines, polygons and multi geometries. Their properties are
+	/// name, description, folder (the names of the enclosing folders joined by " / ") and their extended data.
+	/// Their styles are kept in the simplestyle properties stroke, stroke-width, stroke-opacity, fill, fill-opacity
+	/// and icon.
+	/// </summary>
+	public class KmlLayer : FeatureFileLayer
+	{
+		public KmlLayer() : base("kml")
+		{
+		}
+
+		/// <summary>
+		/// Whether features are drawn with the styles of the file. They apply on top of
+		/// <see cref="GeoJsonDataLayer.Style"/>, the <see cref="GeoJsonDataLayer.StyleRules"/> on top of both.
+		/// <para/>
+		/// Defaults to true.
+		/// </summary>
+		public bool UseFileStyles { get; set; } = true;
+	}
+}
@@ -1,4 +1,6 @@
-﻿using ACO.Blazor.Leaflet.Models.Events;
+﻿using System.Collections.Generic;
+using System.Text.Json.Serialization;
+using ACO.Blazor.Leaflet.Models.Events;
 using ACO.Blazor.Leaflet.Utils;
 using Microsoft.JSInterop;
 
@@ -13,6 +15,7 @@ namespace ACO.Blazor.Leaflet.Models
 
 		/// <summary>
 		/// By default the layer will be added to the map's overlay pane. Overriding this option will cause the layer to be placed on another pane by default.
+		/// A pane that does not exist yet is created above the overlays, <see cref="Map.CreatePane"/> sets its z-index and renderer.
 		/// </summary>
 		public virtual string Pane { get; set; } = "overlayPane";
 
@@ -31,6 +34,14 @@ namespace ACO.Blazor.Leaflet.Models
 		/// </summary>
 		public Popup Popup { get; set; }
 
+		internal EventSubscriptions EventSubscriptions { get; } = new EventSubscriptions();
+
+		/// <summary>
+		/// The events of this layer that have .NET handlers, the client only sends those.
+		/// </summary>
+		[JsonInclude]
+		internal Dictionary<string, EventRate> Events => EventSubscriptions.ToDictionary();
+
 		protected Layer()
 		{
 			Id = StringHelper.GetRandomString(20);
@@ -40,56 +51,92 @@ namespace ACO.Blazor.Leaflet.Models
 
 		public delegate void EventHandler(Layer sender, Event e);
 
-		public event EventHandler OnAdd;
+		private EventHandler _onAdd;
+
+		public event EventHandler OnAdd
+		{
+			add => EventSubscriptions.Add("add", ref _onAdd, value);
+			remove => EventSubscriptions.Remove("add", ref _onAdd, value);
+		}
 
 		[JSInvokable]
 		public void NotifyAdd(Event eventArgs)
 		{
-			OnAdd?.Invoke(this, eventArgs);
+			_onAdd?.Invoke(this, eventArgs);
 		}
 
-		public event EventHandler OnRemove;
+		private EventHandler _onRemove;
+
+		public event EventHandler OnRemove
+		{
+			add => EventSubscriptions.Add("remove", ref _onRemove, value);
+			remove => EventSubscriptions.Remove("remove", ref _onRemove, value);
+		}
 
 		[JSInvokable]
 		public void NotifyRemove(Event eventArgs)
 		{
-			OnRemove?.Invoke(this, eventArgs);
+			_onRemove?.Invoke(this, eventArgs);
 		}
 
 		public delegate void PopupEventHandler(Layer sender, PopupEvent e);
 
-		public event PopupEventHandler OnPopupOpen;
+		private PopupEventHandler _onPopupOpen;
+
+		public event PopupEventHandler OnPopupOpen
+		{
+			add => EventSubscriptions.Add("popupopen", ref _onPopupOpen, value);
+			remove => EventSubscriptions.Remove("popupopen", ref _onPopupOpen, value);
+		}
 
 		[JSInvokable]
 		public void NotifyPopupOpen(PopupEvent eventArgs)
 		{
-			OnPopupOpen?.Invoke(this, eventArgs);
+			_onPopupOpen?.Invoke(this, eventArgs);
 		}
 
-		public event PopupEventHandler OnPopupClose;
+		private PopupEventHandler _onPopupClose;
+
+		public event PopupEventHandler OnPopupClose
+		{
+			add => EventSubscriptions.Add("popupclose", ref _onPopupClose, value);
+			remove => EventSubscriptions.Remove("popupclose", ref _onPopupClose, value);
+		}
 
 		[JSInvokable]
 		public void NotifyPopupClose(PopupEvent eventArgs)
 		{
-			OnPopupClose?.Invoke(this, eventArgs);
+			_onPopupClose?.Invoke(this, eventArgs);
 		}
 
 		public delegate void TooltipEventHandler(Layer sender, TooltipEvent e);
 
-		public event TooltipEventHandler OnTooltipOpen;
+		private TooltipEventHandler _onTooltipOpen;
+
+		public event TooltipEventHandler OnTooltipOpen
+		{
+			add => EventSubscriptions.Add("tooltipopen", ref _onTooltipOpen, value);
+			remove => EventSubscriptions.Remove("tooltipopen", ref _onTooltipOpen, value);
+		}
 
 		[JSInvokable]
 		public void NotifyTooltipOpen(TooltipEvent eventArgs)
 		{
-			OnTooltipOpen?.Invoke(this, eventArgs);
+			_onTooltipOpen?.Invoke(this, eventArgs);
 		}
 
-		public event TooltipEventHandler OnTooltipClose;
+		private TooltipEventHandler _onTooltipClose;
+
+		public event TooltipEventHandler OnTooltipClose
+		{
+			add => EventSubscriptions.Add("tooltipclose", ref _onTooltipClose, value);
+			remove => EventSubscriptions.Remove("tooltipclose", ref _onTooltipClose, value);
+		}
 
 		[JSInvokable]
 		public void NotifyTooltipClose(TooltipEvent eventArgs)
 		{
-			OnTooltipClose?.Invoke(this, eventArgs);
+			_onTooltipClose?.Invoke(this, eventArgs);
 		}
 
 		#endregion
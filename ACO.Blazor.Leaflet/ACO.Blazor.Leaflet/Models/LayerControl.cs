@@ -0,0 +1,103 @@
+﻿using System.Collections.Generic;
+using System.Linq;
+using ACO.Blazor.Leaflet.Utils;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// A control to switch between base layers, e.g. <see cref="TileLayer"/> or <see cref="MbTilesLayer"/>, and to
+	/// show or hide overlays. Add it with <see cref="Map.AddLayerControl"/>.
+	/// </summary>
+	public class LayerControl
+	{
+		private readonly List<LayerControlEntry> _baseLayers = new List<LayerControlEntry>();
+		private readonly List<LayerControlEntry> _overlays = new List<LayerControlEntry>();
+
+		/// <summary>
+		/// Unique identifier used by the interoperability service on the client side to identify controls.
+		/// </summary>
+		public string Id { get; } = StringHelper.GetRandomString(20);
+
+		/// <summary>
+		/// The corner of the map the control is placed in.
+		/// </summary>
+		public ControlPosition Position { get; set; } = ControlPosition.TopRight;
+
+		/// <summary>
+		/// If true, the control is collapsed into an icon and expanded on mouse hover or touch.
+		/// </summary>
+		public bool Collapsed { get; set; } = true;
+
+		/// <summary>
+		/// If true, the base layers are hidden when there is only one of them.
+		/// </summary>
+		public bool HideSingleBase { get; set; }
+
+		/// <summary>
+		/// Whether to sort the layers by name. If false, they keep the order in which they were added.
+		/// </summary>
+		public bool SortLayers { get; set; }
+
+		public IReadOnlyList<LayerControlEntry> BaseLayers => _baseLayers;
+
+		public IReadOnlyList<LayerControlEntry> Overlays => _overlays;
+
+		/// <summary>
+		/// Adds a base layer, only one of the base layers is shown at a time.
+		/// </summary>
+		/// <param name="name">The name of the layer in the control, may contain HTML.</param>
+		/// <param name="layer">The layer, usually a <see cref="TileLayer"/> or <see cref="MbTilesLayer"/>.</param>
+		/// <param name="visible">Whether this is the base layer shown initially, defaults to the first one.</param>
+		public LayerControl AddBaseLayer(string name, Layer layer, bool visible = false)
+		{
+			_baseLayers.Add(new LayerControlEntry(name, layer, null, visible));
+			return this;
+		}
+
+		/// <summary>
+		/// Adds an overlay that can be shown and hidden independently of the other layers.
+		/// </summary>
+		/// <param name="name">The name of the layer in the control, may contain HTML.</param>
+		/// <param name="layer">The layer.</param>
+		/// <param name="group">If set, the overlay is listed under this name together with the rest of the group.</param>
+		/// <param name="visible">Whether the overlay is shown initially.</param>
+		public LayerControl AddOverlay(string name, Layer layer, string group = null, bool visible = true)
+		{
+			_overlays.Add(new LayerControlEntry(name, layer, group, visible));
+			return this;
+		}
+
+		/// <summary>
+		/// Removes a base layer or overlay from the control, the layer itself stays on the map.
+		/// </summary>
+		public void RemoveLayer(Layer layer)
+		{
+			_baseLayers.RemoveAll(e => e.Layer == layer);
+			_overlays.RemoveAll(e => e.Layer == layer);
+		}
+
+		internal IEnumerable<Layer> Layers => _baseLayers.Concat(_overlays).Select(e => e.Layer);
+	}
+
+	public class LayerControlEntry
+	{
+		public LayerControlEntry(string name, Layer layer, string group, bool visible)
+		{
+			Name = name;
+			Layer = layer;
+			Group = group;
+			Visible = visible;
+		}
+
+		public string Name { get; }
+
+		public Layer Layer { get; }
+
+		public string Group { get; }
+
+		/// <summary>
+		/// Whether the layer is shown when the control is added to the map.
+		/// </summary>
+		public bool Visible { get; }
+	}
+}
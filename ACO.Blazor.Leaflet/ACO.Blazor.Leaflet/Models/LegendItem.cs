@@ -0,0 +1,30 @@
+﻿using System.Drawing;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// An entry of the legend of an exported map image, with a color swatch or an icon.
+	/// </summary>
+	public class LegendItem
+	{
+		public string Label { get; set; }
+
+		/// <summary>
+		/// The color of the swatch before the label.
+		/// </summary>
+		public Color? Color { get; set; }
+
+		/// <summary>
+		/// The URL of an icon shown instead of the swatch.
+		/// </summary>
+		public string IconUrl { get; set; }
+
+		public LegendItem() { }
+
+		public LegendItem(string label, Color color)
+		{
+			Label = label;
+			Color = color;
+		}
+	}
+}
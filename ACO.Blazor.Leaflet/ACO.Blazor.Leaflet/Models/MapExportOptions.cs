@@ -0,0 +1,44 @@
+﻿using System.Collections.Generic;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// What <see cref="Map.ExportImageAsync"/> and <see cref="Map.PrintAsync"/> render.
+	/// </summary>
+	public class MapExportOptions
+	{
+		public ImageFormat Format { get; set; } = ImageFormat.Png;
+
+		/// <summary>
+		/// The width of the exported view in CSS pixels, the width of the map if not set. The map is resized
+		/// while it is exported, keeping its center and zoom.
+		/// </summary>
+		public int? Width { get; set; }
+
+		/// <summary>
+		/// The height of the exported view in CSS pixels, the height of the map if not set.
+		/// </summary>
+		public int? Height { get; set; }
+
+		/// <summary>
+		/// The resolution of PNG images, 96 for a pixel per CSS pixel. Higher values scale the image up, e.g.
+		/// 300 for print.
+		/// </summary>
+		public int Dpi { get; set; } = 96;
+
+		/// <summary>
+		/// A title shown above the map.
+		/// </summary>
+		public string Title { get; set; }
+
+		/// <summary>
+		/// Whether a scale bar is drawn in the lower left corner.
+		/// </summary>
+		public bool ScaleBar { get; set; }
+
+		/// <summary>
+		/// The entries of a legend drawn in the lower right corner.
+		/// </summary>
+		public List<LegendItem> Legend { get; set; } = new();
+	}
+}
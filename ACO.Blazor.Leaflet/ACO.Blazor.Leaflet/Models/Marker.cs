@@ -51,6 +51,16 @@ namespace ACO.Blazor.Leaflet.Models
 		/// </summary>
 		public int RiseOffset { get; set; } = 250;
 
+		/// <summary>
+		/// Rotation of the icon in degrees, clockwise.
+		/// </summary>
+		public double RotationAngle { get; set; }
+
+		/// <summary>
+		/// The CSS transform origin of the rotation, relative to the icon, e.g. "center center".
+		/// </summary>
+		public string RotationOrigin { get; set; } = "bottom center";
+
 		public override string Pane { get; set; } = "markerPane";
 
 		public override bool IsBubblingMouseEvents { get; set; } = false;
@@ -82,62 +92,137 @@ namespace ACO.Blazor.Leaflet.Models
 		public Marker(LatLng latLng)
 		{
 			Position = latLng;
+			// keeps the position up to date once an animation ends
+			EventSubscriptions.Require("animationend");
 		}
 
 		#region events
 
 		public delegate void DragEventHandler(Marker sender, DragEvent e);
 
-		public event DragEventHandler OnMove;
+		private DragEventHandler _onMove;
+
+		public event DragEventHandler OnMove
+		{
+			add => EventSubscriptions.Add("move", ref _onMove, value);
+			remove => EventSubscriptions.Remove("move", ref _onMove, value);
+		}
 
 		[JSInvokable]
 		public void NotifyMove(DragEvent eventArgs)
 		{
-			OnMove?.Invoke(this, eventArgs);
+			_onMove?.Invoke(this, eventArgs);
 		}
 
 		public delegate void EventHandlerMarker(Marker sender, Event e);
 
-		public event EventHandlerMarker OnDragStart;
+		private EventHandlerMarker _onDragStart;
+
+		public event EventHandlerMarker OnDragStart
+		{
+			add => EventSubscriptions.Add("dragstart", ref _onDragStart, value);
+			remove => EventSubscriptions.Remove("dragstart", ref _onDragStart, value);
+		}
 
 		[JSInvokable]
 		public void NotifyDragStart(Event eventArgs)
 		{
-			OnDragStart?.Invoke(this, eventArgs);
+			_onDragStart?.Invoke(this, eventArgs);
 		}
 
-		public event EventHandlerMarker OnMoveStart;
+		private EventHandlerMarker _onMoveStart;
+
+		public event EventHandlerMarker OnMoveStart
+		{
+			add => EventSubscriptions.Add("movestart", ref _onMoveStart, value);
+			remove => EventSubscriptions.Remove("movestart", ref _onMoveStart, value);
+		}
 
 		[JSInvokable]
 		public void NotifyMoveStart(Event eventArgs)
 		{
-			OnMoveStart?.Invoke(this, eventArgs);
+			_onMoveStart?.Invoke(this, eventArgs);
 		}
 
-		public event DragEventHandler OnDrag;
+		private DragEventHandler _onDrag;
+
+		public event DragEventHandler OnDrag
+		{
+			add => EventSubscriptions.Add("drag", ref _onDrag, value);
+			remove => EventSubscriptions.Remove("drag", ref _onDrag, value);
+		}
 
 		[JSInvokable]
 		public void NotifyDrag(DragEvent eventArgs)
 		{
-			OnDrag?.Invoke(this, eventArgs);
+			_onDrag?.Invoke(this, eventArgs);
 		}
 
 		public delegate void DragEndEventHandler(Marker sender, DragEndEvent e);
 
-		public event DragEndEventHandler OnDragEnd;
+		private DragEndEventHandler _onDragEnd;
+
+		public event DragEndEventHandler OnDragEnd
+		{
+			add => EventSubscriptions.Add("dragend", ref _onDragEnd, value);
+			remove => EventSubscriptions.Remove("dragend", ref _onDragEnd, value);
+		}
 
 		[JSInvokable]
 		public void NotifyDragEnd(DragEndEvent eventArgs)
 		{
-			OnDragEnd?.Invoke(this, eventArgs);
+			_onDragEnd?.Invoke(this, eventArgs);
 		}
 
-		public event EventHandlerMarker OnMoveEnd;
+		private EventHandlerMarker _onMoveEnd;
+
+		public event EventHandlerMarker OnMoveEnd
+		{
+			add => EventSubscriptions.Add("moveend", ref _onMoveEnd, value);
+			remove => EventSubscriptions.Remove("moveend", ref _onMoveEnd, value);
+		}
 
 		[JSInvokable]
 		public void NotifyMoveEnd(Event eventArgs)
 		{
-			OnMoveEnd?.Invoke(this, eventArgs);
+			_onMoveEnd?.Invoke(this, eventArgs);
+		}
+
+		public delegate void AnimationEventHandler(Marker sender, MarkerAnimationEvent e);
+
+		private AnimationEventHandler _onAnimationProgress;
+
+		public event AnimationEventHandler OnAnimationProgress
+		{
+			add => EventSubscriptions.Add("animationprogress", ref _onAnimationProgress, value);
+			remove => EventSubscriptions.Remove("animationprogress", ref _onAnimationProgress, value);
+		}
+
+		[JSInvokable]
+		public void NotifyAnimationProgress(MarkerAnimationEvent eventArgs)
+		{
+			Position = eventArgs.LatLng;
+			_onAnimationProgress?.Invoke(this, eventArgs);
+		}
+
+		private AnimationEventHandler _onAnimationEnd;
+
+		public event AnimationEventHandler OnAnimationEnd
+		{
+			add => EventSubscriptions.Add("animationend", ref _onAnimationEnd, value);
+			remove => EventSubscriptions.Remove("animationend", ref _onAnimationEnd, value);
+		}
+
+		[JSInvokable]
+		public void NotifyAnimationEnd(MarkerAnimationEvent eventArgs)
+		{
+			Position = eventArgs.LatLng;
+			if (eventArgs.Heading.HasValue)
+			{
+				RotationAngle = eventArgs.Heading.Value;
+			}
+
+			_onAnimationEnd?.Invoke(this, eventArgs);
 		}
 
 		#endregion
@@ -0,0 +1,255 @@
+﻿using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json.Serialization;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Groups nearby markers into clusters that split up when zooming in. The markers of the layer are sent to the
+	/// client in bulk and share a single reference, their events are still raised on each <see cref="Marker"/>.
+	/// </summary>
+	public class MarkerClusterLayer : Layer
+	{
+		private readonly Dictionary<string, Marker> _markers = new();
+
+		public MarkerClusterLayer()
+		{
+		}
+
+		public MarkerClusterLayer(IEnumerable<Marker> markers)
+		{
+			AddMarkers(markers);
+		}
+
+		/// <summary>
+		/// The markers of this layer. Use <see cref="Map.AddClusterMarkers"/> and
+		/// <see cref="Map.RemoveClusterMarkers"/> to change them once the layer is on a map.
+		/// </summary>
+		[JsonIgnore]
+		public IReadOnlyCollection<Marker> Markers => _markers.Values;
+
+		/// <summary>
+		/// Map pane where the cluster icons are added.
+		/// </summary>
+		public override string Pane { get; set; } = "markerPane";
+
+		/// <summary>
+		/// The maximum radius in pixels that a cluster will cover from its center.
+		/// </summary>
+		public int MaxClusterRadius { get; set; } = 80;
+
+		/// <summary>
+		/// When the mouse is over a cluster, show the bounds of its markers.
+		/// </summary>
+		public bool ShowCoverageOnHover { get; set; } = true;
+
+		/// <summary>
+		/// When a cluster is clicked, zoom to its bounds.
+		/// </summary>
+		public bool ZoomToBoundsOnClick { get; set; } = true;
+
+		/// <summary>
+		/// When a cluster is clicked at the max zoom level, spread its markers out so they can be seen.
+		/// </summary>
+		public bool SpiderfyOnMaxZoom { get; set; } = true;
+
+		/// <summary>
+		/// From this zoom level on, markers are not clustered anymore.
+		/// </summary>
+		public int? DisableClusteringAtZoom { get; set; }
+
+		/// <summary>
+		/// Add the markers in chunks so that the page does not freeze while adding many of them.
+		/// </summary>
+		public bool ChunkedLoading { get; set; } = true;
+
+		internal void AddMarkers(IEnumerable<Marker> markers)
+		{
+			foreach (var marker in markers)
+			{
+				_markers[marker.Id] = marker;
+			}
+		}
+
+		internal void RemoveMarkers(IEnumerable<Marker> markers)
+		{
+			foreach (var marker in markers)
+			{
+				_markers.Remove(marker.Id);
+			}
+		}
+
+		#region events
+
+		public delegate void ClusterClickEventHandler(MarkerClusterLayer sender, ClusterClickEvent e);
+
+		private ClusterClickEventHandler _onClusterClick;
+
+		public event ClusterClickEventHandler OnClusterClick
+		{
+			add => EventSubscriptions.Add("clusterclick", ref _onClusterClick, value);
+			remove => EventSubscriptions.Remove("clusterclick", ref _onClusterClick, value);
+		}
+
+		[JSInvokable]
+		public void NotifyClusterClick(ClusterClickEvent eventArgs)
+		{
+			eventArgs.Markers = eventArgs.MarkerIds?
+				.Select(id => _markers.GetValueOrDefault(id))
+				.Where(m => m is not null)
+				.ToArray();
+			_onClusterClick?.Invoke(this, eventArgs);
+		}
+
+		[JSInvokable]
+		public void NotifyMarkerMouseEvent(string markerId, MouseEvent eventArgs)
+		{
+			if (!_markers.TryGetValue(markerId, out var marker))
+			{
+				return;
+			}
+
+			switch (eventArgs.Type)
+			{
+				case "click":
+					marker.NotifyClick(eventArgs);
+					break;
+				case "dblclick":
+					marker.NotifyDblClick(eventArgs);
+					break;
+				case "mousedown":
+					marker.NotifyMouseDown(eventArgs);
+					break;
+				case "mouseup":
+					marker.NotifyMouseUp(eventArgs);
+					break;
+				case "mouseover":
+					marker.NotifyMouseOver(eventArgs);
+					break;
+				case "mouseout":
+					marker.NotifyMouseOut(eventArgs);
+					break;
+				case "contextmenu":
+					marker.NotifyContextMenu(eventArgs);
+					break;
+			}
+		}
+
+		[JSInvokable]
+		public void NotifyMarkerDragEvent(string markerId, DragEvent eventArgs)
+		{
+			if (!_markers.TryGetValue(markerId, out var marker))
+			{
+				return;
+			}
+
+			switch (eventArgs.Type)
+			{
+				case "move":
+					marker.NotifyMove(eventArgs);
+					break;
+				case "drag":
+					marker.NotifyDrag(eventArgs);
+					break;
+			}
+		}
+
+		[JSInvokable]
+		public void NotifyMarkerDragEndEvent(string markerId, DragEndEvent eventArgs)
+		{
+			if (_markers.TryGetValue(markerId, out var marker))
+			{
+				marker.NotifyDragEnd(eventArgs);
+			}
+		}
+
+		[JSInvokable]
+		public void NotifyMarkerEvent(string markerId, Event eventArgs)
+		{
+			if (!_markers.TryGetValue(markerId, out var marker))
+			{
+				return;
+			}
+
+			switch (eventArgs.Type)
+			{
+				case "add":
+					marker.NotifyAdd(eventArgs);
+					break;
+				case "remove":
+					marker.NotifyRemove(eventArgs);
+					break;
+				case "dragstart":
+					marker.NotifyDragStart(eventArgs);
+					break;
+				case "movestart":
+					marker.NotifyMoveStart(eventArgs);
+					break;
+				case "moveend":
+					marker.NotifyMoveEnd(eventArgs);
+					break;
+			}
+		}
+
+		[JSInvokable]
+		public void NotifyMarkerPopupEvent(string markerId, PopupEvent eventArgs)
+		{
+			if (!_markers.TryGetValue(markerId, out var marker))
+			{
+				return;
+			}
+
+			switch (eventArgs.Type)
+			{
+				case "popupopen":
+					marker.NotifyPopupOpen(eventArgs);
+					break;
+				case "popupclose":
+					marker.NotifyPopupClose(eventArgs);
+					break;
+			}
+		}
+
+		[JSInvokable]
+		public void NotifyMarkerTooltipEvent(string markerId, TooltipEvent eventArgs)
+		{
+			if (!_markers.TryGetValue(markerId, out var marker))
+			{
+				return;
+			}
+
+			switch (eventArgs.Type)
+			{
+				case "tooltipopen":
+					marker.NotifyTooltipOpen(eventArgs);
+					break;
+				case "tooltipclose":
+					marker.NotifyTooltipClose(eventArgs);
+					break;
+			}
+		}
+
+		[JSInvokable]
+		public void NotifyMarkerAnimationEvent(string markerId, MarkerAnimationEvent eventArgs)
+		{
+			if (!_markers.TryGetValue(markerId, out var marker))
+			{
+				return;
+			}
+
+			switch (eventArgs.Type)
+			{
+				case "animationprogress":
+					marker.NotifyAnimationProgress(eventArgs);
+					break;
+				case "animationend":
+					marker.NotifyAnimationEnd(eventArgs);
+					break;
+			}
+		}
+
+		#endregion
+	}
+}
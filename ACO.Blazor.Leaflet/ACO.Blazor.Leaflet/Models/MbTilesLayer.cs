@@ -1,14 +1,30 @@
-﻿namespace ACO.Blazor.Leaflet.Models
+﻿using System;
+using System.Text.Json.Serialization;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
+
+namespace ACO.Blazor.Leaflet.Models
 {
 	/// <summary>
-	/// Class for .mbtiles tilesets. Requires the Leaflet.TileLayer.MBTiles plugin
+	/// Raster tiles (png or jpg) read from an MBTiles file in the browser. The file is downloaded from
+	/// <see cref="Url"/> when the layer is added, or loaded from .NET or a file input with
+	/// <see cref="Map.LoadMbTilesData(MbTilesLayer, System.IO.Stream)"/> and
+	/// <see cref="Map.LoadMbTilesFile(MbTilesLayer, Microsoft.AspNetCore.Components.ElementReference)"/>.
 	/// </summary>
-	public class MbTilesLayer : Layer
+	public class MbTilesLayer : GridLayer
 	{
 		/// <summary>
-		/// Instantiates a tile layer object given a URL template.
+		/// The URL of the .mbtiles file.
 		/// </summary>
-		public string UrlTemplate { get; set; }
+		public string Url { get; set; }
+
+		[Obsolete("Use Url, MBTiles are loaded from a single file.")]
+		[JsonIgnore]
+		public string UrlTemplate
+		{
+			get => Url;
+			set => Url = value;
+		}
 
 		/// <summary>
 		/// The minimum zoom level down to which this layer will be displayed (inclusive).
@@ -19,5 +35,63 @@
 		/// The maximum zoom level up to which this layer will be displayed (inclusive).
 		/// </summary>
 		public float MaximumZoom { get; set; } = 18;
+
+		/// <summary>
+		/// Whether the rows of the tiles are numbered from the south, as the MBTiles specification requires.
+		/// Set it to false for files with XYZ rows.
+		/// </summary>
+		public bool Tms { get; set; } = true;
+
+		/// <summary>
+		/// The metadata of the loaded file, null until it has been loaded.
+		/// </summary>
+		[JsonIgnore]
+		public MbTilesMetadata Metadata { get; private set; }
+
+		public MbTilesLayer()
+		{
+			// keeps the metadata up to date
+			EventSubscriptions.Require("databaseloaded");
+		}
+
+		#region events
+
+		public delegate void LoadEventHandler(MbTilesLayer sender, MbTilesLoadEvent e);
+
+		private LoadEventHandler _onDatabaseLoaded;
+
+		public event LoadEventHandler OnDatabaseLoaded
+		{
+			add => EventSubscriptions.Add("databaseloaded", ref _onDatabaseLoaded, value);
+			remove => EventSubscriptions.Remove("databaseloaded", ref _onDatabaseLoaded, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDatabaseLoaded(MbTilesLoadEvent eventArgs)
+		{
+			Metadata = eventArgs.Metadata;
+			_onDatabaseLoaded?.Invoke(this, eventArgs);
+		}
+
+		public delegate void ErrorEventHandler(MbTilesLayer sender, ErrorEvent e);
+
+		private ErrorEventHandler _onDatabaseError;
+
+		/// <summary>
+		/// Raised when the file could not be downloaded or opened, or holds tiles of an unsupported format.
+		/// </summary>
+		public event ErrorEventHandler OnDatabaseError
+		{
+			add => EventSubscriptions.Add("databaseerror", ref _onDatabaseError, value);
+			remove => EventSubscriptions.Remove("databaseerror", ref _onDatabaseError, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDatabaseError(ErrorEvent eventArgs)
+		{
+			_onDatabaseError?.Invoke(this, eventArgs);
+		}
+
+		#endregion
 	}
 }
@@ -0,0 +1,83 @@
+﻿using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The metadata table of an MBTiles file, with typed access to the common entries.
+	/// </summary>
+	public class MbTilesMetadata : Dictionary<string, string>
+	{
+		public string Name => GetValueOrDefault("name");
+
+		/// <summary>
+		/// The format of the tiles, png or jpg.
+		/// </summary>
+		public string Format => GetValueOrDefault("format");
+
+		public string Attribution => GetValueOrDefault("attribution");
+
+		public string Description => GetValueOrDefault("description");
+
+		public int? MinZoom => ParseInt("minzoom");
+
+		public int? MaxZoom => ParseInt("maxzoom");
+
+		/// <summary>
+		/// The area covered by the tiles.
+		/// </summary>
+		public Bounds Bounds
+		{
+			get
+			{
+				var values = ParseFloats("bounds");
+				return values?.Length == 4
+					? new Bounds(new LatLng(values[1], values[0]), new LatLng(values[3], values[2]))
+					: null;
+			}
+		}
+
+		/// <summary>
+		/// The default view of the tiles, its zoom level is <see cref="CenterZoom"/>.
+		/// </summary>
+		public LatLng Center
+		{
+			get
+			{
+				var values = ParseFloats("center");
+				return values?.Length >= 2 ? new LatLng(values[1], values[0]) : null;
+			}
+		}
+
+		public int? CenterZoom
+		{
+			get
+			{
+				var values = ParseFloats("center");
+				return values?.Length == 3 ? (int)values[2] : null;
+			}
+		}
+
+		private string GetValueOrDefault(string name) => TryGetValue(name, out var value) ? value : null;
+
+		private int? ParseInt(string name) =>
+			int.TryParse(GetValueOrDefault(name), NumberStyles.Integer, CultureInfo.InvariantCulture, out var value)
+				? value
+				: null;
+
+		private float[] ParseFloats(string name)
+		{
+			var parts = GetValueOrDefault(name)?.Split(',');
+			if (parts is null)
+			{
+				return null;
+			}
+
+			var values = parts
+				.Select(p => float.TryParse(p, NumberStyles.Float, CultureInfo.InvariantCulture, out var v) ? v : (float?)null)
+				.ToArray();
+			return values.All(v => v.HasValue) ? values.Select(v => v.Value).ToArray() : null;
+		}
+	}
+}
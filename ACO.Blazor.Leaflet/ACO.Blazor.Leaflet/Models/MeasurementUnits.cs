@@ -0,0 +1,18 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// The units of the labels shown by <see cref="Map.StartMeasuring"/>.
+	/// </summary>
+	public enum MeasurementUnits
+	{
+		/// <summary>
+		/// Meters and kilometers, square meters, hectares and square kilometers.
+		/// </summary>
+		Metric,
+
+		/// <summary>
+		/// Feet and miles, square feet, acres and square miles.
+		/// </summary>
+		Imperial
+	}
+}
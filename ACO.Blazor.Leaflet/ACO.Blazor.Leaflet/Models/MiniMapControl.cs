@@ -0,0 +1,41 @@
+﻿using System.Drawing;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// An overview map following the view of the map at a lower zoom level, with a rectangle around the area the
+	/// map shows. Dragging or clicking the overview pans the map.
+	/// </summary>
+	public class MiniMapControl : Control
+	{
+		public MiniMapControl() : base("minimap", ControlPosition.BottomRight)
+		{
+		}
+
+		/// <summary>
+		/// The tiles of the overview, usually a copy of the base layer of the map. It is not added to the map. It is
+		/// required, adding or updating an overview without it throws an <see cref="System.ArgumentException"/>.
+		/// </summary>
+		public TileLayer Layer { get; set; }
+
+		/// <summary>
+		/// The width of the overview in pixels.
+		/// </summary>
+		public int Width { get; set; } = 150;
+
+		/// <summary>
+		/// The height of the overview in pixels.
+		/// </summary>
+		public int Height { get; set; } = 150;
+
+		/// <summary>
+		/// The zoom level of the overview relative to the map.
+		/// </summary>
+		public float ZoomOffset { get; set; } = -5;
+
+		/// <summary>
+		/// The color of the rectangle around the area the map shows.
+		/// </summary>
+		public Color RectangleColor { get; set; } = Color.FromArgb(0xFF, 0x78, 0x00);
+	}
+}
@@ -1,4 +1,6 @@
 ﻿using System.Drawing;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
 
 namespace ACO.Blazor.Leaflet.Models
 {
@@ -65,5 +67,46 @@ namespace ACO.Blazor.Leaflet.Models
 		/// </summary>
 		public string FillRule { get; set; } = "evenodd";
 
+		/// <summary>
+		/// Takes over the geometry of the shape after it has been edited interactively.
+		/// </summary>
+		protected virtual void ApplyGeometry(DrawEvent e) { }
+
+		#region events
+
+		public delegate void EditEventHandler(Path sender, DrawEvent e);
+
+		public event EditEventHandler OnEdit;
+
+		[JSInvokable]
+		public void NotifyEdit(DrawEvent eventArgs)
+		{
+			ApplyGeometry(eventArgs);
+			OnEdit?.Invoke(this, eventArgs);
+		}
+
+		private EditEventHandler _onGeometryChange;
+
+		/// <summary>
+		/// Raised with the current geometry each time an edit handle shown by <see cref="Map.EnableEditing(Path)"/>
+		/// moves or a vertex is deleted, while <see cref="OnEdit"/> is only raised once a handle is released. Use
+		/// <see cref="InteractiveLayer.SetEventRate"/> to limit how often it is sent during a drag.
+		/// </summary>
+		public event EditEventHandler OnGeometryChange
+		{
+			add => EventSubscriptions.Add("geometrychange", ref _onGeometryChange, value);
+			remove => EventSubscriptions.Remove("geometrychange", ref _onGeometryChange, value);
+		}
+
+		[JSInvokable]
+		public void NotifyGeometryChange(DrawEvent eventArgs)
+		{
+			eventArgs.Layer = this;
+			ApplyGeometry(eventArgs);
+			_onGeometryChange?.Invoke(this, eventArgs);
+		}
+
+		#endregion
+
 	}
 }
@@ -0,0 +1,44 @@
+﻿using System.Drawing;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// A map pin drawn as SVG in the browser, so markers can get a status color or a number without image files.
+	/// It is anchored at its tip, popups open above and tooltips beside its head unless the anchors are set.
+	/// The image and shadow URLs are ignored.
+	/// </summary>
+	public class PinIcon : Icon
+	{
+
+		public PinIcon()
+		{
+			Size = new Size(25, 41);
+		}
+
+		/// <summary>
+		/// Fill color of the pin.
+		/// </summary>
+		public Color Color { get; set; } = Color.FromArgb(0x33, 0x88, 0xFF);
+
+		/// <summary>
+		/// Color of the outline of the pin, a translucent black by default.
+		/// </summary>
+		public Color? StrokeColor { get; set; }
+
+		/// <summary>
+		/// A short text shown in the head of the pin, like a number, a letter or an emoji. A dot if not set.
+		/// </summary>
+		public string Glyph { get; set; }
+
+		/// <summary>
+		/// Color of the glyph.
+		/// </summary>
+		public Color GlyphColor { get; set; } = Color.White;
+
+		/// <summary>
+		/// A text shown below the pin, like the name of the place.
+		/// </summary>
+		public string Label { get; set; }
+
+	}
+}
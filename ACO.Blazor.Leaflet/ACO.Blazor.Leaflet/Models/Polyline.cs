@@ -1,4 +1,5 @@
 ﻿using System.Drawing;
+using ACO.Blazor.Leaflet.Models.Events;
 
 namespace ACO.Blazor.Leaflet.Models
 {
@@ -20,7 +21,9 @@ namespace ACO.Blazor.Leaflet.Models
 	}
 
 	public class Polyline : Polyline<PointF[][]>
-	{ }
+	{
+		protected override void ApplyGeometry(DrawEvent e) => Shape = e.ToShape();
+	}
 
 
 }
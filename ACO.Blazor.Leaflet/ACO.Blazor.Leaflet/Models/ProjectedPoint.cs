@@ -0,0 +1,22 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// A position in the units of a projection, like the easting and northing of a national grid.
+	/// </summary>
+	public class ProjectedPoint
+	{
+		public double X { get; set; }
+
+		public double Y { get; set; }
+
+		public ProjectedPoint() { }
+
+		public ProjectedPoint(double x, double y)
+		{
+			X = x;
+			Y = y;
+		}
+
+		public override string ToString() => $"{X}, {Y}";
+	}
+}
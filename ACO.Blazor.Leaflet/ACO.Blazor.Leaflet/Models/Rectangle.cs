@@ -1,4 +1,6 @@
-﻿namespace ACO.Blazor.Leaflet.Models
+﻿using ACO.Blazor.Leaflet.Models.Events;
+
+namespace ACO.Blazor.Leaflet.Models
 {
 	/// <summary>
 	/// A class for drawing rectangle overlays on a map. Extends Polygon.
@@ -11,5 +13,6 @@
 	/// </summary>
 	public class Rectangle : Polyline<System.Drawing.RectangleF>
 	{
+		protected override void ApplyGeometry(DrawEvent e) => Shape = e.ToRectangleF();
 	}
 }
@@ -0,0 +1,40 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Draws the paths (polylines, polygons, circles) of a <see cref="Map"/> or of a pane created with
+	/// <see cref="Map.CreatePane"/>. SVG keeps every path an element of the page, a canvas draws them all into one
+	/// image, which is much faster for many paths or paths with many vertices.
+	/// </summary>
+	public class Renderer
+	{
+		/// <summary>
+		/// <c>svg</c> or <c>canvas</c>.
+		/// </summary>
+		public string Type { get; init; }
+
+		/// <summary>
+		/// How much of the map beyond the view is drawn, relative to the size of the view, so that panning does not
+		/// show undrawn edges right away.
+		/// </summary>
+		public float Padding { get; init; } = 0.1f;
+
+		/// <summary>
+		/// How many pixels around a path of a canvas still hit it, making thin lines easier to click.
+		/// </summary>
+		public float Tolerance { get; init; }
+
+		/// <summary>
+		/// Draws paths as SVG elements, the default of Leaflet.
+		/// </summary>
+		/// <param name="padding">How much of the map beyond the view is drawn, relative to its size.</param>
+		public static Renderer Svg(float padding = 0.1f) => new Renderer { Type = "svg", Padding = padding };
+
+		/// <summary>
+		/// Draws paths into a canvas.
+		/// </summary>
+		/// <param name="padding">How much of the map beyond the view is drawn, relative to its size.</param>
+		/// <param name="tolerance">How many pixels around a path still hit it.</param>
+		public static Renderer Canvas(float padding = 0.1f, float tolerance = 0) =>
+			new Renderer { Type = "canvas", Padding = padding, Tolerance = tolerance };
+	}
+}
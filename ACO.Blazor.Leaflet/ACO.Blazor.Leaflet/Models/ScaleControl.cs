@@ -0,0 +1,27 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// A scale bar for the center of the view, see <see href="https://leafletjs.com/reference.html#control-scale">L.Control.Scale</see>.
+	/// </summary>
+	public class ScaleControl : Control
+	{
+		public ScaleControl() : base("scale", ControlPosition.BottomLeft)
+		{
+		}
+
+		/// <summary>
+		/// Whether a bar in meters and kilometers is shown.
+		/// </summary>
+		public bool Metric { get; set; } = true;
+
+		/// <summary>
+		/// Whether a bar in feet and miles is shown.
+		/// </summary>
+		public bool Imperial { get; set; } = true;
+
+		/// <summary>
+		/// The maximum width of the bars in pixels, they are rounded down to a round distance.
+		/// </summary>
+		public int MaxWidth { get; set; } = 100;
+	}
+}
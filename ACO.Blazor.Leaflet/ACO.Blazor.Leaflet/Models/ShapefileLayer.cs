@@ -1,13 +1,68 @@
-﻿namespace ACO.Blazor.Leaflet.Models
+﻿using System;
+using System.Text.Json.Serialization;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
+
+namespace ACO.Blazor.Leaflet.Models
 {
 	/// <summary>
-	/// Shapefile layer - Requires Leaflet.Shapefile plugin
+	/// The features of a zipped shapefile (.shp, .dbf and optionally .prj), reprojected to WGS84 and shown like
+	/// a GeoJSON layer, with the DBF attributes as feature properties. The file is downloaded from <see cref="Url"/>
+	/// when the layer is added, or read from bytes with <see cref="Map.LoadShapefileData"/>.
 	/// </summary>
-	public class ShapefileLayer : Layer
+	public class ShapefileLayer : GeoJsonDataLayer
 	{
 		/// <summary>
-		/// Instantiates a tile layer object given a URL template.
+		/// The URL of the zip file, or of the shapefile without extension to download the .shp, .dbf and .prj
+		/// files next to each other.
 		/// </summary>
-		public string UrlTemplate { get; set; }
+		public string Url { get; set; }
+
+		[Obsolete("Use Url, shapefiles are loaded from a single zip file.")]
+		[JsonIgnore]
+		public string UrlTemplate
+		{
+			get => Url;
+			set => Url = value;
+		}
+
+		#region events
+
+		public delegate void DataLoadEventHandler(ShapefileLayer sender, DataLoadEvent e);
+
+		private DataLoadEventHandler _onDataLoad;
+
+		public event DataLoadEventHandler OnDataLoad
+		{
+			add => EventSubscriptions.Add("dataload", ref _onDataLoad, value);
+			remove => EventSubscriptions.Remove("dataload", ref _onDataLoad, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDataLoad(DataLoadEvent eventArgs)
+		{
+			_onDataLoad?.Invoke(this, eventArgs);
+		}
+
+		public delegate void ErrorEventHandler(ShapefileLayer sender, ErrorEvent e);
+
+		private ErrorEventHandler _onDataError;
+
+		/// <summary>
+		/// Raised when the file could not be downloaded or read.
+		/// </summary>
+		public event ErrorEventHandler OnDataError
+		{
+			add => EventSubscriptions.Add("dataerror", ref _onDataError, value);
+			remove => EventSubscriptions.Remove("dataerror", ref _onDataError, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDataError(ErrorEvent eventArgs)
+		{
+			_onDataError?.Invoke(this, eventArgs);
+		}
+
+		#endregion
 	}
 }
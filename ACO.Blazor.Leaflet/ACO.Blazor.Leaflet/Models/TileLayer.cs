@@ -43,5 +43,11 @@
 		/// </summary>
 		public bool DetectRetina { get; set; }
 
+		/// <summary>
+		/// The crossOrigin attribute of the tile images, like <c>anonymous</c>. Needed to export the map as PNG
+		/// with tiles of another origin, which has to allow it with CORS headers.
+		/// </summary>
+		public string CrossOrigin { get; set; }
+
 	}
 }
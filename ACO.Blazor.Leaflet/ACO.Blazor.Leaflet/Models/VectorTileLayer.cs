@@ -0,0 +1,137 @@
+﻿using System.Collections.Generic;
+using System.Text.Json.Serialization;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Mapbox Vector Tiles (.pbf or .mvt) drawn in the browser, downloaded from <see cref="UrlTemplate"/> or read
+	/// from an MBTiles file holding vector tiles. The file is downloaded from <see cref="MbTilesUrl"/> when the
+	/// layer is added, or loaded with <see cref="Map.LoadMbTilesData(VectorTileLayer, System.IO.Stream)"/> and
+	/// <see cref="Map.LoadMbTilesFile(VectorTileLayer, Microsoft.AspNetCore.Components.ElementReference)"/>.
+	/// The features are styled by the layer of the tile they belong to, changed styles are applied with
+	/// <see cref="Map.UpdateLayer"/>.
+	/// </summary>
+	public class VectorTileLayer : GridLayer
+	{
+		/// <summary>
+		/// The URL template of the tiles, like <c>https://tiles.example.com/{z}/{x}/{y}.pbf</c>.
+		/// </summary>
+		public string UrlTemplate { get; set; }
+
+		/// <summary>
+		/// The URL of an .mbtiles file with vector tiles, used instead of <see cref="UrlTemplate"/>.
+		/// </summary>
+		public string MbTilesUrl { get; set; }
+
+		/// <summary>
+		/// The minimum zoom level down to which this layer will be displayed (inclusive).
+		/// </summary>
+		public float MinimumZoom { get; set; }
+
+		/// <summary>
+		/// The maximum zoom level up to which this layer will be displayed (inclusive).
+		/// </summary>
+		public float MaximumZoom { get; set; } = 18;
+
+		/// <summary>
+		/// The highest zoom level tiles are available for, the tiles of this level are scaled up when zooming in
+		/// further. Taken from the metadata of MBTiles files if not set.
+		/// </summary>
+		public int? MaximumNativeZoom { get; set; }
+
+		/// <summary>
+		/// Subdomains of the tile service, used for <c>{s}</c> in the URL template.
+		/// </summary>
+		public string[] Subdomains { get; set; } = { "a", "b", "c" };
+
+		/// <summary>
+		/// Whether the rows of the tiles of the URL template are numbered from the south. The rows of MBTiles
+		/// files always are.
+		/// </summary>
+		public bool Tms { get; set; }
+
+		/// <summary>
+		/// The styles of the source layers by their name.
+		/// </summary>
+		public Dictionary<string, VectorTileStyle> LayerStyles { get; set; } = new();
+
+		/// <summary>
+		/// The style of the source layers without an entry in <see cref="LayerStyles"/>, and the values not set
+		/// by those entries.
+		/// </summary>
+		public VectorTileStyle DefaultStyle { get; set; }
+
+		/// <summary>
+		/// The metadata of the loaded MBTiles file, null until it has been loaded.
+		/// </summary>
+		[JsonIgnore]
+		public MbTilesMetadata Metadata { get; private set; }
+
+		public VectorTileLayer()
+		{
+			// keeps the metadata up to date
+			EventSubscriptions.Require("databaseloaded");
+		}
+
+		#region events
+
+		public delegate void FeatureEventHandler(VectorTileLayer sender, VectorTileFeatureEvent e);
+
+		private FeatureEventHandler _onFeatureClick;
+
+		/// <summary>
+		/// Raised when a feature of a visible source layer is clicked, with its properties.
+		/// </summary>
+		public event FeatureEventHandler OnFeatureClick
+		{
+			add => EventSubscriptions.Add("featureclick", ref _onFeatureClick, value);
+			remove => EventSubscriptions.Remove("featureclick", ref _onFeatureClick, value);
+		}
+
+		[JSInvokable]
+		public void NotifyFeatureClick(VectorTileFeatureEvent eventArgs)
+		{
+			_onFeatureClick?.Invoke(this, eventArgs);
+		}
+
+		public delegate void LoadEventHandler(VectorTileLayer sender, MbTilesLoadEvent e);
+
+		private LoadEventHandler _onDatabaseLoaded;
+
+		public event LoadEventHandler OnDatabaseLoaded
+		{
+			add => EventSubscriptions.Add("databaseloaded", ref _onDatabaseLoaded, value);
+			remove => EventSubscriptions.Remove("databaseloaded", ref _onDatabaseLoaded, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDatabaseLoaded(MbTilesLoadEvent eventArgs)
+		{
+			Metadata = eventArgs.Metadata;
+			_onDatabaseLoaded?.Invoke(this, eventArgs);
+		}
+
+		public delegate void ErrorEventHandler(VectorTileLayer sender, ErrorEvent e);
+
+		private ErrorEventHandler _onDatabaseError;
+
+		/// <summary>
+		/// Raised when the MBTiles file could not be downloaded or opened, or does not hold vector tiles.
+		/// </summary>
+		public event ErrorEventHandler OnDatabaseError
+		{
+			add => EventSubscriptions.Add("databaseerror", ref _onDatabaseError, value);
+			remove => EventSubscriptions.Remove("databaseerror", ref _onDatabaseError, value);
+		}
+
+		[JSInvokable]
+		public void NotifyDatabaseError(ErrorEvent eventArgs)
+		{
+			_onDatabaseError?.Invoke(this, eventArgs);
+		}
+
+		#endregion
+	}
+}
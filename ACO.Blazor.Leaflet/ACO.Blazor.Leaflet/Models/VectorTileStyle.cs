@@ -0,0 +1,61 @@
+﻿using System.Drawing;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Style of the features of a source layer of a <see cref="VectorTileLayer"/>. Properties left null keep the
+	/// value of <see cref="VectorTileLayer.DefaultStyle"/>, or else a thin blue outline with a light fill.
+	/// </summary>
+	public class VectorTileStyle
+	{
+		/// <summary>
+		/// Whether the features are drawn and can be clicked, false hides the source layer.
+		/// </summary>
+		public bool? Visible { get; set; }
+
+		/// <summary>
+		/// Whether to draw the outline of polygons and points, and the lines.
+		/// </summary>
+		public bool? DrawStroke { get; set; }
+
+		/// <summary>
+		/// Stroke color.
+		/// </summary>
+		public Color? StrokeColor { get; set; }
+
+		/// <summary>
+		/// Stroke width in pixels.
+		/// </summary>
+		public int? StrokeWidth { get; set; }
+
+		/// <summary>
+		/// Stroke opacity.
+		/// </summary>
+		public double? StrokeOpacity { get; set; }
+
+		/// <summary>
+		/// A string that defines the stroke <see href="https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray">dash pattern</see>.
+		/// </summary>
+		public string StrokeDashArray { get; set; }
+
+		/// <summary>
+		/// Whether to fill polygons and points with color.
+		/// </summary>
+		public bool? Fill { get; set; }
+
+		/// <summary>
+		/// Fill color, the stroke color if not set.
+		/// </summary>
+		public Color? FillColor { get; set; }
+
+		/// <summary>
+		/// Fill opacity.
+		/// </summary>
+		public double? FillOpacity { get; set; }
+
+		/// <summary>
+		/// The radius of the circles drawn for point features, in pixels.
+		/// </summary>
+		public int? PointRadius { get; set; }
+	}
+}
@@ -0,0 +1,136 @@
+﻿using System.Collections.Generic;
+using ACO.Blazor.Leaflet.Models.Events;
+using Microsoft.JSInterop;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Tiles rendered by a Web Map Service (WMS). Changed request parameters, like a new <c>TIME</c> in
+	/// <see cref="Parameters"/>, are applied with <see cref="Map.UpdateLayer"/>, which reloads the tiles once.
+	/// While there are handlers for <see cref="OnFeatureInfo"/>, a click on the map queries the features at the
+	/// clicked position with a GetFeatureInfo request.
+	/// </summary>
+	public class WmsLayer : GridLayer
+	{
+		/// <summary>
+		/// The URL of the service, like <c>https://example.com/geoserver/wms</c>.
+		/// </summary>
+		public string Url { get; set; }
+
+		/// <summary>
+		/// Comma-separated list of the layers to show.
+		/// </summary>
+		public string Layers { get; set; }
+
+		/// <summary>
+		/// Comma-separated list of the styles of the layers, empty for their default styles.
+		/// </summary>
+		public string Styles { get; set; } = "";
+
+		/// <summary>
+		/// The image format of the tiles, use <c>image/png</c> for transparent tiles.
+		/// </summary>
+		public string Format { get; set; } = "image/jpeg";
+
+		/// <summary>
+		/// Whether the service should return images with transparency.
+		/// </summary>
+		public bool Transparent { get; set; }
+
+		/// <summary>
+		/// The version of the service, <c>1.3.0</c> sends the CRS as <c>crs</c> instead of <c>srs</c>.
+		/// </summary>
+		public string Version { get; set; } = "1.1.1";
+
+		/// <summary>
+		/// The code of the coordinate reference system the tiles are requested in, one of <c>EPSG:3857</c>,
+		/// <c>EPSG:4326</c> or <c>EPSG:3395</c>. The CRS of the map if not set.
+		/// </summary>
+		public string Crs { get; set; }
+
+		/// <summary>
+		/// Whether the names of the request parameters are uppercase.
+		/// </summary>
+		public bool Uppercase { get; set; }
+
+		/// <summary>
+		/// Further request parameters, like the dimensions <c>TIME</c> and <c>ELEVATION</c> or vendor parameters
+		/// like <c>CQL_FILTER</c>.
+		/// </summary>
+		public Dictionary<string, string> Parameters { get; set; } = new();
+
+		/// <summary>
+		/// The minimum zoom level down to which this layer will be displayed (inclusive).
+		/// </summary>
+		public float MinimumZoom { get; set; }
+
+		/// <summary>
+		/// The maximum zoom level up to which this layer will be displayed (inclusive).
+		/// </summary>
+		public float MaximumZoom { get; set; } = 18;
+
+		/// <summary>
+		/// The format of the GetFeatureInfo responses. JSON responses are passed on parsed in
+		/// <see cref="WmsFeatureInfoEvent.Data"/>, others as text in <see cref="WmsFeatureInfoEvent.Content"/>.
+		/// </summary>
+		public string FeatureInfoFormat { get; set; } = "application/json";
+
+		/// <summary>
+		/// The maximum number of features returned by a GetFeatureInfo request.
+		/// </summary>
+		public int FeatureInfoCount { get; set; } = 10;
+
+		/// <summary>
+		/// Comma-separated list of the layers queried by GetFeatureInfo, <see cref="Layers"/> if not set.
+		/// </summary>
+		public string QueryLayers { get; set; }
+
+		/// <summary>
+		/// The crossOrigin attribute of the tile images, like <c>anonymous</c>. Needed to export the map as PNG
+		/// with tiles of another origin, which has to allow it with CORS headers.
+		/// </summary>
+		public string CrossOrigin { get; set; }
+
+		#region events
+
+		public delegate void FeatureInfoEventHandler(WmsLayer sender, WmsFeatureInfoEvent e);
+
+		private FeatureInfoEventHandler _onFeatureInfo;
+
+		/// <summary>
+		/// Raised with the GetFeatureInfo response for a position clicked on the map.
+		/// </summary>
+		public event FeatureInfoEventHandler OnFeatureInfo
+		{
+			add => EventSubscriptions.Add("featureinfo", ref _onFeatureInfo, value);
+			remove => EventSubscriptions.Remove("featureinfo", ref _onFeatureInfo, value);
+		}
+
+		[JSInvokable]
+		public void NotifyFeatureInfo(WmsFeatureInfoEvent eventArgs)
+		{
+			_onFeatureInfo?.Invoke(this, eventArgs);
+		}
+
+		public delegate void ErrorEventHandler(WmsLayer sender, ErrorEvent e);
+
+		private ErrorEventHandler _onFeatureInfoError;
+
+		/// <summary>
+		/// Raised when a GetFeatureInfo request failed or the service reported an exception.
+		/// </summary>
+		public event ErrorEventHandler OnFeatureInfoError
+		{
+			add => EventSubscriptions.Add("featureinfoerror", ref _onFeatureInfoError, value);
+			remove => EventSubscriptions.Remove("featureinfoerror", ref _onFeatureInfoError, value);
+		}
+
+		[JSInvokable]
+		public void NotifyFeatureInfoError(ErrorEvent eventArgs)
+		{
+			_onFeatureInfoError?.Invoke(this, eventArgs);
+		}
+
+		#endregion
+	}
+}
@@ -0,0 +1,66 @@
+﻿using System.Collections.Generic;
+
+namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Pre-rendered tiles of a Web Map Tile Service (WMTS), requested with key-value pairs from <see cref="Url"/>,
+	/// or from a RESTful URL template if it contains <c>{TileMatrix}</c>. The tile matrix set has to match the
+	/// CRS of the map. Changed options are applied with <see cref="Map.UpdateLayer"/>.
+	/// </summary>
+	public class WmtsLayer : GridLayer
+	{
+		/// <summary>
+		/// The URL of the service, or a URL template with the placeholders <c>{TileMatrixSet}</c>,
+		/// <c>{TileMatrix}</c>, <c>{TileRow}</c>, <c>{TileCol}</c>, <c>{Layer}</c>, <c>{Style}</c>, <c>{s}</c> and
+		/// the names of the <see cref="Parameters"/>.
+		/// </summary>
+		public string Url { get; set; }
+
+		/// <summary>
+		/// The identifier of the layer.
+		/// </summary>
+		public string Layer { get; set; }
+
+		/// <summary>
+		/// The identifier of the style of the layer.
+		/// </summary>
+		public string Style { get; set; } = "default";
+
+		/// <summary>
+		/// The identifier of the tile matrix set, like <c>GoogleMapsCompatible</c> or <c>EPSG:900913</c>.
+		/// </summary>
+		public string TileMatrixSet { get; set; }
+
+		/// <summary>
+		/// Put before the zoom level to get the identifier of a tile matrix, like <c>EPSG:900913:</c> for the
+		/// gridsets of GeoServer.
+		/// </summary>
+		public string TileMatrixPrefix { get; set; } = "";
+
+		/// <summary>
+		/// The image format of the tiles.
+		/// </summary>
+		public string Format { get; set; } = "image/png";
+
+		/// <summary>
+		/// Further request parameters, like the dimension <c>TIME</c>.
+		/// </summary>
+		public Dictionary<string, string> Parameters { get; set; } = new();
+
+		/// <summary>
+		/// The minimum zoom level down to which this layer will be displayed (inclusive).
+		/// </summary>
+		public float MinimumZoom { get; set; }
+
+		/// <summary>
+		/// The maximum zoom level up to which this layer will be displayed (inclusive).
+		/// </summary>
+		public float MaximumZoom { get; set; } = 18;
+
+		/// <summary>
+		/// The crossOrigin attribute of the tile images, like <c>anonymous</c>. Needed to export the map as PNG
+		/// with tiles of another origin, which has to allow it with CORS headers.
+		/// </summary>
+		public string CrossOrigin { get; set; }
+	}
+}
@@ -0,0 +1,34 @@
+﻿namespace ACO.Blazor.Leaflet.Models
+{
+	/// <summary>
+	/// Options of the animation when the view of the map changes, see
+	/// <see href="https://leafletjs.com/reference.html#zoom/pan-options">zoom/pan options</see>.
+	/// </summary>
+	public class ZoomPanOptions
+	{
+
+		/// <summary>
+		/// If true, the change is always animated, if false never. By default Leaflet animates it when the new view
+		/// is close enough to the current one.
+		/// </summary>
+		public bool? Animate { get; set; }
+
+		/// <summary>
+		/// Duration of the animation in seconds. Leaflet defaults to 0.25 for panning, flying derives it from the
+		/// distance.
+		/// </summary>
+		public float? Duration { get; set; }
+
+		/// <summary>
+		/// The curvature factor of the panning animation easing (third parameter of the cubic bezier curve).
+		/// 1.0 means linear animation, and the smaller this number, the more bowed the curve.
+		/// </summary>
+		public float? EaseLinearity { get; set; }
+
+		/// <summary>
+		/// If true, panning won't fire a movestart event on start.
+		/// </summary>
+		public bool NoMoveStart { get; set; }
+
+	}
+}
@@ -0,0 +1,107 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using ACO.Blazor.Leaflet.Models;
+
+namespace ACO.Blazor.Leaflet.Utils
+{
+	/// <summary>
+	/// Keeps track of the client side events of a map or layer that have .NET handlers, so that the client only
+	/// sends those and at the rate configured for each of them. Events are named like in Leaflet, e.g. "mousemove".
+	/// Several .NET events can share a client event, which stays subscribed while any of them has handlers.
+	/// </summary>
+	internal class EventSubscriptions
+	{
+		// events needed by the library itself, sent to .NET whether there are handlers or not
+		private readonly HashSet<string> _required = new HashSet<string>();
+		private readonly Dictionary<string, int> _handlerCounts = new Dictionary<string, int>();
+		private readonly Dictionary<string, EventRate> _rates = new Dictionary<string, EventRate>();
+
+		/// <summary>
+		/// Called with the name of an event when it gets subscribed, unsubscribed or its rate changes, so that the
+		/// client can be updated. Only set while the map or layer exists on the client.
+		/// </summary>
+		public Action<string> Changed { get; set; }
+
+		public void Require(string eventName) => _required.Add(eventName);
+
+		public void Add<T>(string eventName, ref T handlers, T handler) where T : Delegate
+		{
+			var before = CountHandlers(handlers);
+			handlers = (T)Delegate.Combine(handlers, handler);
+			Update(eventName, CountHandlers(handlers) - before);
+		}
+
+		public void Remove<T>(string eventName, ref T handlers, T handler) where T : Delegate
+		{
+			var before = CountHandlers(handlers);
+			handlers = (T)Delegate.Remove(handlers, handler);
+			Update(eventName, CountHandlers(handlers) - before);
+		}
+
+		public void SetRate(string eventName, EventRate rate)
+		{
+			eventName = Normalize(eventName);
+			if (rate is null)
+			{
+				_rates.Remove(eventName);
+			}
+			else
+			{
+				_rates[eventName] = rate;
+			}
+
+			if (IsSubscribed(eventName))
+			{
+				Changed?.Invoke(eventName);
+			}
+		}
+
+		public bool IsSubscribed(string eventName) => _required.Contains(eventName) || _handlerCounts.ContainsKey(eventName);
+
+		public EventRate GetRate(string eventName) => _rates.GetValueOrDefault(eventName);
+
+		/// <summary>
+		/// The subscribed events and their rate, as sent to the client.
+		/// </summary>
+		public Dictionary<string, EventRate> ToDictionary() =>
+			_required.Union(_handlerCounts.Keys).ToDictionary(e => e, GetRate);
+
+		private void Update(string eventName, int addedHandlers)
+		{
+			if (addedHandlers == 0)
+			{
+				return;
+			}
+
+			var wasSubscribed = _handlerCounts.TryGetValue(eventName, out var count);
+			count += addedHandlers;
+			if (count > 0)
+			{
+				_handlerCounts[eventName] = count;
+			}
+			else
+			{
+				_handlerCounts.Remove(eventName);
+			}
+
+			if (wasSubscribed != count > 0 && !_required.Contains(eventName))
+			{
+				Changed?.Invoke(eventName);
+			}
+		}
+
+		private static int CountHandlers(Delegate handlers) => handlers?.GetInvocationList().Length ?? 0;
+
+		// Accepts the .NET name of an event as well, e.g. nameof(Map.OnMouseMove).
+		private static string Normalize(string eventName)
+		{
+			if (eventName.StartsWith("On") && eventName.Length > 2 && char.IsUpper(eventName[2]))
+			{
+				eventName = eventName.Substring(2);
+			}
+
+			return eventName.ToLowerInvariant();
+		}
+	}
+}
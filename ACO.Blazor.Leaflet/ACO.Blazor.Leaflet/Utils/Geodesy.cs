@@ -0,0 +1,225 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Drawing;
+using System.Linq;
+using ACO.Blazor.Leaflet.Models;
+
+namespace ACO.Blazor.Leaflet.Utils
+{
+	/// <summary>
+	/// Geodesic calculations on a sphere with the radius Leaflet uses for <c>map.distance</c>. The measuring mode of
+	/// <see cref="Map.StartMeasuring"/> uses the same formulas, so both return the same values.
+	/// </summary>
+	public static class Geodesy
+	{
+
+		/// <summary>
+		/// The mean earth radius in meters, the radius of <c>L.CRS.Earth</c>.
+		/// </summary>
+		public const double EarthRadius = 6371000;
+
+		private const double Rad = Math.PI / 180;
+
+		/// <summary>
+		/// The great-circle distance between two positions in meters.
+		/// </summary>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="from"/> or <paramref name="to"/> is null.</exception>
+		public static double Distance(LatLng from, LatLng to)
+		{
+			if (from is null)
+			{
+				throw new ArgumentNullException(nameof(from));
+			}
+			if (to is null)
+			{
+				throw new ArgumentNullException(nameof(to));
+			}
+
+			var sinLat = Math.Sin((to.Lat - from.Lat) * Rad / 2);
+			var sinLng = Math.Sin((to.Lng - from.Lng) * Rad / 2);
+			var a = sinLat * sinLat + Math.Cos(from.Lat * Rad) * Math.Cos(to.Lat * Rad) * sinLng * sinLng;
+			return 2 * EarthRadius * Math.Atan2(Math.Sqrt(a), Math.Sqrt(1 - a));
+		}
+
+		/// <summary>
+		/// The length of a line through the given positions in meters.
+		/// </summary>
+		/// <param name="latLngs">The vertices of the line.</param>
+		/// <param name="closed">Whether to add the segment from the last back to the first vertex, giving the perimeter of a ring.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="latLngs"/> is null.</exception>
+		public static double Length(IEnumerable<LatLng> latLngs, bool closed = false)
+		{
+			if (latLngs is null)
+			{
+				throw new ArgumentNullException(nameof(latLngs));
+			}
+
+			var points = latLngs.ToList();
+			var length = 0.0;
+			for (var i = 1; i < points.Count; i++)
+			{
+				length += Distance(points[i - 1], points[i]);
+			}
+			if (closed && points.Count > 2)
+			{
+				length += Distance(points[^1], points[0]);
+			}
+			return length;
+		}
+
+		/// <summary>
+		/// The length of all parts of a polyline in meters, or the perimeter of all rings of a polygon.
+		/// </summary>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="polyline"/> is null.</exception>
+		public static double Length(Polyline polyline)
+		{
+			if (polyline is null)
+			{
+				throw new ArgumentNullException(nameof(polyline));
+			}
+
+			return GetRings(polyline).Sum(ring => Length(ring, polyline is Polygon));
+		}
+
+		/// <summary>
+		/// The area enclosed by a ring in square meters, see "Some Algorithms for Polygons on a Sphere"
+		/// (Chamberlain and Duquette).
+		/// </summary>
+		/// <param name="ring">The vertices of the ring, it is closed implicitly.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="ring"/> is null.</exception>
+		public static double Area(IEnumerable<LatLng> ring)
+		{
+			if (ring is null)
+			{
+				throw new ArgumentNullException(nameof(ring));
+			}
+
+			var points = ring.ToList();
+			var sum = 0.0;
+			for (var i = 0; i < points.Count; i++)
+			{
+				var p1 = points[i];
+				var p2 = points[(i + 1) % points.Count];
+				sum += (p2.Lng - p1.Lng) * Rad * (2 + Math.Sin(p1.Lat * Rad) + Math.Sin(p2.Lat * Rad));
+			}
+			return Math.Abs(sum * EarthRadius * EarthRadius / 2);
+		}
+
+		/// <summary>
+		/// The area of a polygon in square meters: the area of its first ring minus the area of its holes.
+		/// </summary>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="polygon"/> is null.</exception>
+		public static double Area(Polygon polygon)
+		{
+			if (polygon is null)
+			{
+				throw new ArgumentNullException(nameof(polygon));
+			}
+
+			var rings = GetRings(polygon).ToList();
+			return rings.Count == 0 ? 0 : Area(rings[0]) - rings.Skip(1).Sum(Area);
+		}
+
+		/// <summary>
+		/// The initial bearing of the great circle from one position to another, in degrees clockwise from north
+		/// in the range [0, 360).
+		/// </summary>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="from"/> or <paramref name="to"/> is null.</exception>
+		public static double Bearing(LatLng from, LatLng to)
+		{
+			if (from is null)
+			{
+				throw new ArgumentNullException(nameof(from));
+			}
+			if (to is null)
+			{
+				throw new ArgumentNullException(nameof(to));
+			}
+
+			var lat1 = from.Lat * Rad;
+			var lat2 = to.Lat * Rad;
+			var dLng = (to.Lng - from.Lng) * Rad;
+			var y = Math.Sin(dLng) * Math.Cos(lat2);
+			var x = Math.Cos(lat1) * Math.Sin(lat2) - Math.Sin(lat1) * Math.Cos(lat2) * Math.Cos(dLng);
+			return (Math.Atan2(y, x) / Rad + 360) % 360;
+		}
+
+		/// <summary>
+		/// The position reached when going the given distance along a great circle, starting with the given bearing.
+		/// </summary>
+		/// <param name="from">The start position.</param>
+		/// <param name="bearing">The initial bearing in degrees clockwise from north.</param>
+		/// <param name="distance">The distance in meters.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="from"/> is null.</exception>
+		public static LatLng Destination(LatLng from, double bearing, double distance)
+		{
+			if (from is null)
+			{
+				throw new ArgumentNullException(nameof(from));
+			}
+
+			var angle = distance / EarthRadius;
+			var lat1 = from.Lat * Rad;
+			var theta = bearing * Rad;
+			var lat2 = Math.Asin(Math.Sin(lat1) * Math.Cos(angle) + Math.Cos(lat1) * Math.Sin(angle) * Math.Cos(theta));
+			var dLng = Math.Atan2(Math.Sin(theta) * Math.Sin(angle) * Math.Cos(lat1),
+				Math.Cos(angle) - Math.Sin(lat1) * Math.Sin(lat2));
+			var lng = (from.Lng + dLng / Rad + 540) % 360 - 180;
+			return new LatLng((float)(lat2 / Rad), (float)lng);
+		}
+
+		/// <summary>
+		/// Whether a position lies inside a ring. The edges are straight lines in latitude and longitude, like the
+		/// edges Leaflet draws for short segments.
+		/// </summary>
+		/// <param name="ring">The vertices of the ring, it is closed implicitly.</param>
+		/// <param name="point">The position to test.</param>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="ring"/> or <paramref name="point"/> is null.</exception>
+		public static bool Contains(IEnumerable<LatLng> ring, LatLng point)
+		{
+			if (ring is null)
+			{
+				throw new ArgumentNullException(nameof(ring));
+			}
+			if (point is null)
+			{
+				throw new ArgumentNullException(nameof(point));
+			}
+
+			// even-odd rule: count the edges crossed by a ray going east from the point
+			var points = ring.ToList();
+			var inside = false;
+			for (int i = 0, j = points.Count - 1; i < points.Count; j = i++)
+			{
+				var a = points[i];
+				var b = points[j];
+				if ((a.Lat > point.Lat) != (b.Lat > point.Lat) &&
+					point.Lng < (b.Lng - a.Lng) * (point.Lat - a.Lat) / (b.Lat - a.Lat) + a.Lng)
+				{
+					inside = !inside;
+				}
+			}
+			return inside;
+		}
+
+		/// <summary>
+		/// Whether a position lies inside a polygon: inside its first ring and outside of its holes.
+		/// </summary>
+		/// <exception cref="System.ArgumentNullException">Throws when <paramref name="polygon"/> or <paramref name="point"/> is null.</exception>
+		public static bool Contains(Polygon polygon, LatLng point)
+		{
+			if (polygon is null)
+			{
+				throw new ArgumentNullException(nameof(polygon));
+			}
+
+			var rings = GetRings(polygon).ToList();
+			return rings.Count > 0 && Contains(rings[0], point) && !rings.Skip(1).Any(hole => Contains(hole, point));
+		}
+
+		private static IEnumerable<LatLng[]> GetRings(Polyline polyline) =>
+			(polyline.Shape ?? Array.Empty<PointF[]>())
+			.Select(ring => ring.Select(p => new LatLng(p)).ToArray());
+
+	}
+}
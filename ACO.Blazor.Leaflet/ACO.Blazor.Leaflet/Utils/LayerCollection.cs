@@ -0,0 +1,60 @@
+﻿using System.Collections.Generic;
+using System.Collections.ObjectModel;
+using System.Collections.Specialized;
+using System.ComponentModel;
+using System.Linq;
+using ACO.Blazor.Leaflet.Models;
+
+namespace ACO.Blazor.Leaflet.Utils
+{
+	/// <summary>
+	/// Collection of layers that raises a single change notification when many layers are added or removed at once.
+	/// </summary>
+	internal class LayerCollection : ObservableCollection<Layer>
+	{
+
+		public void AddRange(IEnumerable<Layer> layers)
+		{
+			CheckReentrancy();
+			var startIndex = Count;
+			var added = layers.ToList();
+			if (added.Count == 0)
+			{
+				return;
+			}
+
+			foreach (var layer in added)
+			{
+				Items.Add(layer);
+			}
+
+			RaiseRangeChanged(new NotifyCollectionChangedEventArgs(NotifyCollectionChangedAction.Add, added, startIndex));
+		}
+
+		public void RemoveRange(IEnumerable<Layer> layers)
+		{
+			CheckReentrancy();
+			var removed = new List<Layer>();
+			foreach (var layer in layers.ToList())
+			{
+				if (Items.Remove(layer))
+				{
+					removed.Add(layer);
+				}
+			}
+
+			if (removed.Count > 0)
+			{
+				RaiseRangeChanged(new NotifyCollectionChangedEventArgs(NotifyCollectionChangedAction.Remove, removed));
+			}
+		}
+
+		private void RaiseRangeChanged(NotifyCollectionChangedEventArgs args)
+		{
+			OnPropertyChanged(new PropertyChangedEventArgs(nameof(Count)));
+			OnPropertyChanged(new PropertyChangedEventArgs("Item[]"));
+			OnCollectionChanged(args);
+		}
+
+	}
+}
@@ -0,0 +1,232 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Map controls used by leafletBlazorInterops.js.
+ */
+
+/*
+ * Control whose container is an element rendered by Blazor. The element is moved into the control corner while the
+ * control is on the map and moved back to where Blazor rendered it afterwards, so Blazor keeps updating and finally
+ * removing it as part of its own render tree.
+ */
+export const ElementControl = L.Control.extend({
+
+    initialize: function (element, options) {
+        L.setOptions(this, options);
+        this._element = element;
+        this._placeholder = element.parentNode;
+        L.DomEvent.disableClickPropagation(element);
+        L.DomEvent.disableScrollPropagation(element);
+    },
+
+    onAdd: function () {
+        return this._element;
+    },
+
+    remove: function () {
+        // an element Blazor already removed must not come back
+        const attached = this._element.parentNode !== null;
+        L.Control.prototype.remove.call(this);
+        if (attached && this._placeholder) {
+            this._placeholder.appendChild(this._element);
+        }
+        return this;
+    }
+});
+
+/*
+ * Overview map following the view of the map at zoomOffset levels below it, with a rectangle around the area the
+ * map shows. Dragging the overview or clicking on it pans the map. The tile layer is only added to the overview.
+ */
+export const MiniMapControl = L.Control.extend({
+
+    options: {
+        position: "bottomright",
+        width: 150,
+        height: 150,
+        zoomOffset: -5,
+        rectangleColor: "#ff7800"
+    },
+
+    initialize: function (layer, options) {
+        L.setOptions(this, options);
+        this._layer = layer;
+    },
+
+    onAdd: function (map) {
+        const container = L.DomUtil.create("div", "leaflet-control-minimap leaflet-bar");
+        container.style.width = this.options.width + "px";
+        container.style.height = this.options.height + "px";
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this._miniMap = L.map(container, {
+            crs: map.options.crs,
+            attributionControl: false,
+            zoomControl: false,
+            scrollWheelZoom: false,
+            doubleClickZoom: false,
+            touchZoom: false,
+            boxZoom: false,
+            keyboard: false
+        });
+        this._layer.addTo(this._miniMap);
+        this._rectangle = L.rectangle(map.getBounds(), {
+            color: this.options.rectangleColor,
+            weight: 1,
+            interactive: false
+        }).addTo(this._miniMap);
+
+        this._miniMap.on("dragend", this._onDragEnd, this);
+        this._miniMap.on("click", this._onClick, this);
+        map.on("moveend", this._update, this);
+        return container;
+    },
+
+    addTo: function (map) {
+        L.Control.prototype.addTo.call(this, map);
+        // the size of the overview is only known once it is in the corner
+        this._miniMap.invalidateSize();
+        this._update();
+        return this;
+    },
+
+    onRemove: function (map) {
+        map.off("moveend", this._update, this);
+        this._miniMap.remove();
+        this._miniMap = null;
+    },
+
+    _update: function () {
+        const map = this._map;
+        this._miniMap.setView(map.getCenter(), map.getZoom() + this.options.zoomOffset, { animate: false });
+        this._rectangle.setBounds(map.getBounds());
+    },
+
+    _onDragEnd: function () {
+        this._map.panTo(this._miniMap.getCenter());
+    },
+
+    _onClick: function (e) {
+        this._map.panTo(e.latlng);
+    }
+});
+
+/*
+ * Button showing the map container on the whole screen and back. The map fires enterfullscreen and exitfullscreen,
+ * also when the browser leaves fullscreen on its own, e.g. when the escape key is pressed.
+ */
+export const FullscreenControl = L.Control.extend({
+
+    options: {
+        position: "topleft",
+        title: "View fullscreen",
+        exitTitle: "Exit fullscreen"
+    },
+
+    onAdd: function (map) {
+        const container = L.DomUtil.create("div", "leaflet-control-fullscreen leaflet-bar");
+        this._button = L.DomUtil.create("a", "leaflet-control-fullscreen-button", container);
+        this._button.href = "#";
+        this._button.setAttribute("role", "button");
+        this._button.style.fontSize = "18px";
+        this._fullscreen = document.fullscreenElement === map.getContainer();
+        this._updateButton();
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(this._button, "click", L.DomEvent.preventDefault);
+        L.DomEvent.on(this._button, "click", this.toggle, this);
+        L.DomEvent.on(document, "fullscreenchange", this._onFullscreenChange, this);
+        return container;
+    },
+
+    onRemove: function () {
+        L.DomEvent.off(document, "fullscreenchange", this._onFullscreenChange, this);
+    },
+
+    toggle: function () {
+        if (document.fullscreenElement === this._map.getContainer()) {
+            document.exitFullscreen();
+        } else if (this._map.getContainer().requestFullscreen) {
+            // refused without a user gesture or when the page is in a frame that does not allow it
+            this._map.getContainer().requestFullscreen().catch(() => { });
+        }
+    },
+
+    _onFullscreenChange: function () {
+        const fullscreen = document.fullscreenElement === this._map.getContainer();
+        if (fullscreen === this._fullscreen) {
+            return;
+        }
+        this._fullscreen = fullscreen;
+        this._updateButton();
+        this._map.invalidateSize();
+        this._map.fire(fullscreen ? "enterfullscreen" : "exitfullscreen");
+    },
+
+    _updateButton: function () {
+        const title = this._fullscreen ? this.options.exitTitle : this.options.title;
+        this._button.title = title;
+        this._button.setAttribute("aria-label", title);
+        this._button.innerHTML = this._fullscreen ? "&#x2715;" : "&#x26F6;";
+    }
+});
+
+/*
+ * Shows the position of the mouse cursor while it is over the map, see formatCoordinates.
+ */
+export const CoordinatesControl = L.Control.extend({
+
+    options: {
+        position: "bottomleft",
+        format: "decimal",
+        decimals: 5
+    },
+
+    onAdd: function (map) {
+        const container = L.DomUtil.create("div", "leaflet-control-coordinates");
+        container.style.padding = "0 5px";
+        container.style.background = "rgba(255, 255, 255, 0.8)";
+        container.style.font = "11px/1.5 monospace";
+        container.style.display = "none";
+        map.on("mousemove", this._onMouseMove, this);
+        map.on("mouseout", this._onMouseOut, this);
+        return container;
+    },
+
+    onRemove: function (map) {
+        map.off("mousemove", this._onMouseMove, this);
+        map.off("mouseout", this._onMouseOut, this);
+    },
+
+    _onMouseMove: function (e) {
+        this._container.textContent = formatCoordinates(e.latlng, this.options.format, this.options.decimals);
+        this._container.style.display = "";
+    },
+
+    _onMouseOut: function () {
+        this._container.style.display = "none";
+    }
+});
+
+/*
+ * Writes a position as "47.55740, 16.39187" or, with the format "degreesminutesseconds", as
+ * 47°33'26.66"N 16°23'30.73"E where decimals counts the decimals of the seconds.
+ */
+export function formatCoordinates(latlng, format, decimals) {
+    const position = latlng.wrap();
+    if (format !== "degreesminutesseconds") {
+        return position.lat.toFixed(decimals) + ", " + position.lng.toFixed(decimals);
+    }
+    return formatDegrees(position.lat, decimals, "N", "S") + " " + formatDegrees(position.lng, decimals, "E", "W");
+}
+
+function formatDegrees(value, decimals, positive, negative) {
+    // rounded once, so that 59.999" does not show as 60.00"
+    const factor = Math.pow(10, decimals);
+    const total = Math.round(Math.abs(value) * 3600 * factor);
+    const degrees = Math.floor(total / (3600 * factor));
+    const minutes = Math.floor(total / (60 * factor)) % 60;
+    const seconds = (total % (60 * factor)) / factor;
+    return degrees + "°" + minutes + "'" + seconds.toFixed(decimals) + "\"" + (value < 0 ? negative : positive);
+}
@@ -0,0 +1,129 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+import { loadScript } from "/_content/ACO.Blazor.Leaflet/leafletBlazorScripts.js";
+
+/*
+ * The coordinate reference systems of maps: the ones built into Leaflet and projections of proj4 definitions,
+ * like national grids. proj4js is only downloaded once the first map with such a projection is created.
+ */
+
+function loadProj4() {
+    return loadScript("/_content/ACO.Blazor.Leaflet/proj4/proj4.js", () => window.proj4);
+}
+
+const builtInCrs = {
+    "EPSG:3857": L.CRS.EPSG3857,
+    "EPSG:3395": L.CRS.EPSG3395,
+    "EPSG:4326": L.CRS.EPSG4326,
+    "Simple": L.CRS.Simple
+};
+
+// The Leaflet CRS of a code like "EPSG:4326" or "Simple".
+export function getBuiltInCrs(code) {
+    const crs = builtInCrs[code];
+    if (crs === undefined) {
+        throw new Error("The CRS " + code + " is not built into Leaflet, it needs a proj4 definition.");
+    }
+    return crs;
+}
+
+// The CRS of the proj4 definition of a map, once proj4js has been loaded.
+export function createProj4Crs(crs) {
+    return loadProj4().then(function (proj4) {
+        proj4.defs(crs.code, crs.proj4Definition);
+        return new Proj4Crs(proj4, crs.code, {
+            resolutions: crs.resolutions,
+            origin: crs.origin ? L.point(crs.origin) : undefined,
+            bounds: crs.projectedBounds && crs.projectedBounds.item1 && crs.projectedBounds.item2
+                ? L.bounds(L.point(crs.projectedBounds.item1), L.point(crs.projectedBounds.item2))
+                : undefined
+        });
+    });
+}
+
+// Projects geographic WGS84 coordinates with proj4.
+const Proj4Projection = L.Class.extend({
+    initialize: function (proj4, code, bounds) {
+        this._proj = proj4(code);
+        this.bounds = bounds;
+    },
+
+    project: function (latlng) {
+        const point = this._proj.forward([latlng.lng, latlng.lat]);
+        return L.point(point[0], point[1]);
+    },
+
+    unproject: function (point) {
+        const lngLat = this._proj.inverse([point.x, point.y]);
+        return L.latLng(lngLat[1], lngLat[0]);
+    }
+});
+
+/*
+ * CRS of a proj4 projection. The resolutions are the units of the projection per pixel at each zoom level,
+ * largest first, and origin the projected position of the upper left corner of the tile grid, as given by the
+ * tile services of national grids. Without resolutions a pixel is a unit at zoom level 0, halving with every
+ * level. The bounds of the projection are needed for tile layers counting their rows from the south. With
+ * resolutions, maps can only zoom between minZoom and maxZoom.
+ */
+const Proj4Crs = L.Class.extend({
+    includes: L.CRS,
+
+    initialize: function (proj4, code, options) {
+        this.code = code;
+        this.projection = new Proj4Projection(proj4, code, options.bounds);
+        this.infinite = !options.bounds;
+
+        const origin = options.origin || (options.bounds ? L.point(options.bounds.min.x, options.bounds.max.y) : L.point(0, 0));
+        this.transformation = L.transformation(1, -origin.x, -1, origin.y);
+
+        if (options.resolutions && options.resolutions.length) {
+            this._scales = options.resolutions.map(resolution => 1 / resolution);
+            // there is no scale beyond the resolutions
+            this.minZoom = 0;
+            this.maxZoom = this._scales.length - 1;
+        }
+    },
+
+    // scales between zoom levels are interpolated, so that fractional zoom works
+    scale: function (zoom) {
+        if (!this._scales) {
+            return L.CRS.scale.call(this, zoom);
+        }
+        const baseZoom = Math.floor(zoom);
+        const baseScale = this._scales[baseZoom];
+        if (zoom === baseZoom) {
+            return baseScale;
+        }
+        const nextScale = this._scales[baseZoom + 1];
+        return baseScale + (nextScale - baseScale) * (zoom - baseZoom);
+    },
+
+    zoom: function (scale) {
+        if (!this._scales) {
+            return L.CRS.zoom.call(this, scale);
+        }
+        let baseZoom = -1;
+        for (let i = 0; i < this._scales.length; i++) {
+            if (this._scales[i] <= scale && (baseZoom < 0 || this._scales[i] > this._scales[baseZoom])) {
+                baseZoom = i;
+            }
+        }
+        if (baseZoom < 0) {
+            return -Infinity;
+        }
+        const baseScale = this._scales[baseZoom];
+        if (scale === baseScale) {
+            return baseZoom;
+        }
+        const nextScale = this._scales[baseZoom + 1];
+        if (nextScale === undefined) {
+            return Infinity;
+        }
+        return baseZoom + (scale - baseScale) / (nextScale - baseScale);
+    },
+
+    // geographic distances, the units of the projection may not be meters
+    distance: L.CRS.Earth.distance,
+
+    R: L.CRS.Earth.R
+});
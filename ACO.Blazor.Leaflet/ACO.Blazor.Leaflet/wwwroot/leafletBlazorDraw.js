@@ -0,0 +1,452 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Drawing and editing toolkit used by leafletBlazorInterops.js.
+ *
+ * Everything in here runs in the browser only: intermediate mouse moves never reach .NET, the callbacks
+ * are only invoked with finished geometry (a created shape, an edited shape or a deleted layer).
+ */
+
+const vertexIconHtml = '<div style="width:10px;height:10px;margin:-5px 0 0 -5px;background:#fff;border:2px solid #3388ff;border-radius:2px;box-sizing:border-box;cursor:pointer;"></div>';
+const middleIconHtml = '<div style="width:8px;height:8px;margin:-4px 0 0 -4px;background:#fff;border:1px solid #3388ff;border-radius:50%;opacity:0.7;box-sizing:border-box;cursor:pointer;"></div>';
+const moveIconHtml = '<div style="width:14px;height:14px;margin:-7px 0 0 -7px;background:#3388ff;border:2px solid #fff;border-radius:50%;box-sizing:border-box;cursor:move;"></div>';
+
+function createHandle(latlng, html, options) {
+    return L.marker(latlng, {
+        icon: L.divIcon({ className: "leaflet-blazor-edit-handle", html: html, iconSize: null }),
+        draggable: true,
+        keyboard: false,
+        zIndexOffset: 2000,
+        ...options
+    });
+}
+
+// Returns the rings (arrays of L.LatLng) of a polyline or polygon, regardless of its nesting depth.
+export function getRings(layer) {
+    const latlngs = layer.getLatLngs();
+    if (L.LineUtil.isFlat(latlngs)) {
+        return [latlngs];
+    }
+    const rings = [];
+    latlngs.forEach(part => {
+        if (L.LineUtil.isFlat(part)) {
+            rings.push(part);
+        } else {
+            part.forEach(ring => rings.push(ring));
+        }
+    });
+    return rings;
+}
+
+/*
+ * Returns the parts of a polyline or polygon as arrays of rings, keeping apart what getRings puts together: the
+ * polygons of a multi-polygon with their holes, or the lines of a multi-polyline with one ring each.
+ */
+export function getParts(layer) {
+    const latlngs = layer.getLatLngs();
+    if (L.LineUtil.isFlat(latlngs)) {
+        return [[latlngs]];
+    }
+    if (!(layer instanceof L.Polygon)) {
+        return latlngs.map(line => [line]);
+    }
+    return L.LineUtil.isFlat(latlngs[0]) ? [latlngs] : latlngs;
+}
+
+// Copies a (possibly nested) array of L.LatLng, applying fn to every coordinate.
+function mapLatLngs(latlngs, fn) {
+    return latlngs.map(item => Array.isArray(item) ? mapLatLngs(item, fn) : fn(L.latLng(item.lat, item.lng)));
+}
+
+export function getShapeType(layer) {
+    if (layer instanceof L.Rectangle) return "rectangle";
+    if (layer instanceof L.Polygon) return "polygon";
+    if (layer instanceof L.Polyline) return "polyline";
+    if (layer instanceof L.Circle) return "circle";
+    if (layer instanceof L.Marker) return "marker";
+    return null;
+}
+
+// Converts a layer into the geometry payload understood by Models.Events.DrawEvent.
+export function serializeGeometry(layer, shapeType) {
+    shapeType = shapeType || getShapeType(layer);
+    const geometry = {
+        shapeType: shapeType,
+        layerId: layer.id,
+        latLngs: null,
+        parts: null,
+        latLng: null,
+        radius: 0,
+        bounds: null
+    };
+
+    if (shapeType === "rectangle" || shapeType === "polygon" || shapeType === "polyline") {
+        geometry.latLngs = getRings(layer).map(ring => ring.map(ll => ({ lat: ll.lat, lng: ll.lng })));
+        geometry.parts = getParts(layer).map(part => part.map(ring => ring.map(ll => ({ lat: ll.lat, lng: ll.lng }))));
+    } else if (shapeType === "circle" || shapeType === "marker") {
+        const ll = layer.getLatLng();
+        geometry.latLng = { lat: ll.lat, lng: ll.lng };
+        if (shapeType === "circle") {
+            geometry.radius = layer.getRadius();
+        }
+    }
+
+    if (layer.getBounds) {
+        const bounds = layer.getBounds();
+        geometry.bounds = {
+            southWest: { lat: bounds.getSouth(), lng: bounds.getWest() },
+            northEast: { lat: bounds.getNorth(), lng: bounds.getEast() }
+        };
+    }
+
+    return geometry;
+}
+
+function createDrawStyle(options) {
+    options = options || {};
+    return {
+        stroke: options.drawStroke !== false,
+        color: options.strokeColor || "#3388ff",
+        weight: options.strokeWidth || 3,
+        opacity: options.strokeOpacity === undefined || options.strokeOpacity === null ? 1.0 : options.strokeOpacity,
+        dashArray: options.strokeDashArray,
+        fill: options.fill !== false,
+        fillColor: options.fillColor || options.strokeColor || "#3388ff",
+        fillOpacity: options.fillOpacity === undefined || options.fillOpacity === null ? 0.2 : options.fillOpacity
+    };
+}
+
+/*
+ * Draws a single shape of the given type. onFinished receives the finished geometry, the temporary shape
+ * is removed from the map afterwards: it is up to .NET to add a real layer for it.
+ */
+export const DrawTool = L.Class.extend({
+
+    initialize: function (map, shapeType, options, onFinished) {
+        this._map = map;
+        this._shapeType = shapeType;
+        this._options = options || {};
+        this._style = createDrawStyle(options);
+        if (shapeType === "polyline") {
+            this._style.fill = false;
+        }
+        this._onFinished = onFinished;
+        this._points = [];
+        this._shape = null;
+        this._guide = null;
+    },
+
+    enable: function () {
+        const map = this._map;
+        this._doubleClickZoom = map.doubleClickZoom.enabled();
+        map.doubleClickZoom.disable();
+        L.DomUtil.addClass(map.getContainer(), "leaflet-crosshair");
+
+        map.on("click", this._onClick, this);
+        map.on("mousemove", this._onMouseMove, this);
+        map.on("dblclick", this._onDoubleClick, this);
+        L.DomEvent.on(document, "keydown", this._onKeyDown, this);
+        return this;
+    },
+
+    disable: function () {
+        const map = this._map;
+        map.off("click", this._onClick, this);
+        map.off("mousemove", this._onMouseMove, this);
+        map.off("dblclick", this._onDoubleClick, this);
+        L.DomEvent.off(document, "keydown", this._onKeyDown, this);
+
+        L.DomUtil.removeClass(map.getContainer(), "leaflet-crosshair");
+        if (this._doubleClickZoom) {
+            map.doubleClickZoom.enable();
+        }
+        this._reset();
+        return this;
+    },
+
+    _reset: function () {
+        if (this._shape) {
+            this._shape.removeFrom(this._map);
+        }
+        if (this._guide) {
+            this._guide.removeFrom(this._map);
+        }
+        this._shape = null;
+        this._guide = null;
+        this._points = [];
+    },
+
+    _onKeyDown: function (e) {
+        if (e.key === "Escape") {
+            this._reset();
+        } else if (e.key === "Enter") {
+            this._finishLine();
+        }
+    },
+
+    _onClick: function (e) {
+        const latlng = e.latlng;
+        switch (this._shapeType) {
+            case "marker":
+                this._shape = L.marker(latlng);
+                this._finish();
+                break;
+            case "rectangle":
+            case "circle":
+                if (this._points.length === 0) {
+                    this._points.push(latlng);
+                    this._shape = this._shapeType === "rectangle"
+                        ? L.rectangle(L.latLngBounds(latlng, latlng), this._style)
+                        : L.circle(latlng, { ...this._style, radius: 0 });
+                    this._shape.addTo(this._map);
+                } else {
+                    this._updateTwoPointShape(latlng);
+                    this._finish();
+                }
+                break;
+            case "polyline":
+            case "polygon":
+                this._addVertex(e);
+                break;
+        }
+    },
+
+    _onMouseMove: function (e) {
+        if (this._points.length === 0) {
+            return;
+        }
+        if (this._shapeType === "rectangle" || this._shapeType === "circle") {
+            this._updateTwoPointShape(e.latlng);
+        } else if (this._guide) {
+            this._guide.setLatLngs([this._points[this._points.length - 1], e.latlng]);
+        }
+    },
+
+    _onDoubleClick: function (e) {
+        L.DomEvent.stop(e);
+        this._finishLine();
+    },
+
+    _updateTwoPointShape: function (latlng) {
+        const origin = this._points[0];
+        if (this._shapeType === "rectangle") {
+            this._shape.setBounds(L.latLngBounds(origin, latlng));
+        } else {
+            this._shape.setRadius(this._map.distance(origin, latlng));
+        }
+    },
+
+    _addVertex: function (e) {
+        const points = this._points;
+        const minimum = this._shapeType === "polygon" ? 3 : 2;
+
+        // clicking the first (polygon) or the last (polyline) vertex again closes the shape
+        if (points.length >= minimum) {
+            const closing = this._shapeType === "polygon" ? points[0] : points[points.length - 1];
+            const closingPoint = this._map.latLngToContainerPoint(closing);
+            if (closingPoint.distanceTo(e.containerPoint) < 10) {
+                this._finishLine();
+                return;
+            }
+        }
+
+        points.push(e.latlng);
+        if (!this._shape) {
+            this._shape = (this._shapeType === "polygon" ? L.polygon : L.polyline)(points, this._style).addTo(this._map);
+            this._guide = L.polyline([e.latlng, e.latlng], {
+                ...this._style,
+                dashArray: "5, 5",
+                interactive: false
+            }).addTo(this._map);
+        } else {
+            this._shape.setLatLngs(points);
+        }
+    },
+
+    _finishLine: function () {
+        if (this._shapeType !== "polyline" && this._shapeType !== "polygon") {
+            return;
+        }
+        // a double click also raised two clicks at the same position before
+        const points = this._points.filter((p, i, all) => i === 0 || !p.equals(all[i - 1]));
+        const minimum = this._shapeType === "polygon" ? 3 : 2;
+        if (points.length < minimum) {
+            return;
+        }
+        this._shape.setLatLngs(points);
+        this._finish();
+    },
+
+    _finish: function () {
+        const geometry = serializeGeometry(this._shape, this._shapeType);
+        this._reset();
+        this._onFinished(geometry);
+        if (!this._options.repeatMode) {
+            this.disable();
+        }
+    }
+});
+
+/*
+ * Edits the geometry of an existing rectangle, circle, polyline or polygon through drag handles.
+ * onEdited receives the geometry every time a handle is released.
+ */
+export const EditTool = L.Class.extend({
+
+    initialize: function (map, layer, onEdited) {
+        this._map = map;
+        this._layer = layer;
+        this._shapeType = getShapeType(layer);
+        this._onEdited = onEdited;
+        this._handles = L.layerGroup();
+    },
+
+    enable: function () {
+        this._handles.addTo(this._map);
+        this._createHandles();
+        return this;
+    },
+
+    disable: function () {
+        this._handles.clearLayers();
+        this._handles.removeFrom(this._map);
+        return this;
+    },
+
+    _refresh: function () {
+        this._handles.clearLayers();
+        this._createHandles();
+    },
+
+    _raiseEdited: function () {
+        this._onEdited(serializeGeometry(this._layer, this._shapeType));
+    },
+
+    // fired on the layer while a handle is dragged, the geometry is only serialized if someone listens
+    _fireGeometryChange: function () {
+        if (this._layer.listens("geometrychange")) {
+            this._layer.fire("geometrychange", serializeGeometry(this._layer, this._shapeType));
+        }
+    },
+
+    _createHandles: function () {
+        switch (this._shapeType) {
+            case "rectangle":
+                this._createRectangleHandles();
+                break;
+            case "circle":
+                this._createCircleHandles();
+                break;
+            case "polyline":
+            case "polygon":
+                this._createVertexHandles();
+                break;
+        }
+    },
+
+    _addHandle: function (latlng, html, onDrag, onDragEnd) {
+        const handle = createHandle(latlng, html);
+        handle.on("drag", function (e) {
+            onDrag.call(this, e);
+            this._fireGeometryChange();
+        }, this);
+        handle.on("dragend", onDragEnd || function () {
+            this._refresh();
+            this._raiseEdited();
+        }, this);
+        this._handles.addLayer(handle);
+        return handle;
+    },
+
+    _addMoveHandle: function (latlng) {
+        const start = latlng;
+        const original = this._shapeType === "circle" ? null : mapLatLngs(this._layer.getLatLngs(), ll => ll);
+        this._addHandle(latlng, moveIconHtml, function (e) {
+            const dLat = e.latlng.lat - start.lat;
+            const dLng = e.latlng.lng - start.lng;
+            if (this._shapeType === "circle") {
+                this._layer.setLatLng(e.latlng);
+                return;
+            }
+            const moved = mapLatLngs(original, ll => L.latLng(ll.lat + dLat, ll.lng + dLng));
+            if (this._shapeType === "rectangle") {
+                this._layer.setBounds(L.latLngBounds(L.LineUtil.isFlat(moved) ? moved : moved[0]));
+            } else {
+                this._layer.setLatLngs(moved);
+            }
+        });
+    },
+
+    _createRectangleHandles: function () {
+        const bounds = this._layer.getBounds();
+        const corners = [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()];
+        corners.forEach((corner, i) => {
+            const opposite = corners[(i + 2) % 4];
+            this._addHandle(corner, vertexIconHtml, function (e) {
+                this._layer.setBounds(L.latLngBounds(opposite, e.latlng));
+            });
+        });
+        this._addMoveHandle(bounds.getCenter());
+    },
+
+    _createCircleHandles: function () {
+        const center = this._layer.getLatLng();
+        const bounds = this._layer.getBounds();
+        this._addHandle(L.latLng(center.lat, bounds.getEast()), vertexIconHtml, function (e) {
+            this._layer.setRadius(this._map.distance(this._layer.getLatLng(), e.latlng));
+        });
+        this._addMoveHandle(center);
+    },
+
+    _createVertexHandles: function () {
+        const rings = getRings(this._layer);
+        const closed = this._shapeType === "polygon";
+        const minimum = closed ? 3 : 2;
+
+        rings.forEach((ring, ringIndex) => {
+            ring.forEach((latlng, vertexIndex) => {
+                const handle = this._addHandle(latlng, vertexIconHtml, function (e) {
+                    getRings(this._layer)[ringIndex][vertexIndex] = e.latlng;
+                    this._layer.setLatLngs(this._layer.getLatLngs());
+                });
+                // right click (or long press) removes the vertex
+                handle.on("contextmenu", function (e) {
+                    L.DomEvent.stop(e);
+                    const current = getRings(this._layer)[ringIndex];
+                    if (current.length > minimum) {
+                        current.splice(vertexIndex, 1);
+                        this._layer.setLatLngs(this._layer.getLatLngs());
+                        this._fireGeometryChange();
+                        this._refresh();
+                        this._raiseEdited();
+                    }
+                }, this);
+
+                // middle handles insert a new vertex between two existing ones
+                const next = ring[vertexIndex + 1] || (closed ? ring[0] : null);
+                if (next) {
+                    const middle = this._midpoint(latlng, next);
+                    const middleHandle = this._addHandle(middle, middleIconHtml, function (e) {
+                        middleHandle._inserted = middleHandle._inserted || this._insertVertex(ringIndex, vertexIndex + 1, e.latlng);
+                        getRings(this._layer)[ringIndex][vertexIndex + 1] = e.latlng;
+                        this._layer.setLatLngs(this._layer.getLatLngs());
+                    });
+                }
+            });
+        });
+
+        this._addMoveHandle(this._layer.getBounds().getCenter());
+    },
+
+    _insertVertex: function (ringIndex, index, latlng) {
+        getRings(this._layer)[ringIndex].splice(index, 0, latlng);
+        return true;
+    },
+
+    _midpoint: function (a, b) {
+        const map = this._map;
+        const p1 = map.project(a);
+        const p2 = map.project(b);
+        return map.unproject(p1._add(p2)._divideBy(2));
+    }
+});
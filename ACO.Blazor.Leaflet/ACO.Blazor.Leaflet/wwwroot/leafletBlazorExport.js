@@ -0,0 +1,712 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Exports the current view of a map as a PNG or SVG image for leafletBlazorInterops.js. The tiles, image
+ * overlays, heatmaps, the paths of the SVG and canvas renderers and the icons of markers are composed in the order
+ * they are shown, optionally with a title, a scale bar and a legend. Popups, tooltips and controls are left out.
+ */
+
+// z-indexes of the panes of leaflet.css, which can not be read from the style of their elements
+const defaultPaneZIndexes = { tilePane: 200, overlayPane: 400, shadowPane: 500, markerPane: 600 };
+const skippedPanes = ["mapPane", "tooltipPane", "popupPane"];
+
+const titleHeight = 40;
+const tileLoadTimeout = 10000;
+const fontFamily = "\"Helvetica Neue\", Arial, Helvetica, sans-serif";
+
+/*
+ * The image of the map as bytes. Options: format "png" or "svg", width and height of the exported view in CSS
+ * pixels (the map is resized while it is exported), dpi of PNG images, title, scaleBar and legend, a list of
+ * {label, color, iconUrl}. layerName gives the name of a layer for errors.
+ */
+export function exportMapImage(map, options, layerName) {
+    return withSize(map, options.width, options.height, function () {
+        return whenRendered(map).then(function () {
+            const size = map.getSize();
+            const top = options.title ? titleHeight : 0;
+            const target = options.format === "svg"
+                ? new SvgTarget(size.x, size.y + top)
+                : new CanvasTarget(size.x, size.y + top, (options.dpi || 96) / 96);
+            return drawMap(map, target, options, layerName)
+                .then(() => target.toBytes(options.dpi || 96));
+        });
+    });
+}
+
+// Exports the image of the map and opens the print dialog of the browser for it.
+export function printMapImage(map, options, layerName) {
+    return exportMapImage(map, options, layerName).then(function (bytes) {
+        const url = URL.createObjectURL(new Blob([bytes], {
+            type: options.format === "svg" ? "image/svg+xml" : "image/png"
+        }));
+        const frame = document.createElement("iframe");
+        frame.style.cssText = "position: fixed; width: 0; height: 0; border: 0; visibility: hidden;";
+        document.body.appendChild(frame);
+        const cleanUp = function () {
+            URL.revokeObjectURL(url);
+            frame.remove();
+        };
+
+        return new Promise(function (resolve, reject) {
+            const frameDocument = frame.contentDocument;
+            frameDocument.open();
+            frameDocument.write("<!DOCTYPE html><html><head><style>@page { margin: 1cm; } body { margin: 0; } "
+                + "img { max-width: 100%; }</style></head><body><img></body></html>");
+            frameDocument.close();
+            if (options.title) {
+                frameDocument.title = options.title;
+            }
+
+            const image = frameDocument.querySelector("img");
+            // the CSS size keeps images of a higher dpi at the size of the map on paper
+            image.style.width = map.getSize().x + "px";
+            image.onload = function () {
+                frame.contentWindow.focus();
+                frame.contentWindow.print();
+                // print blocks until the dialog is closed in most browsers, but not all
+                setTimeout(cleanUp, 1000);
+                resolve();
+            };
+            image.onerror = function () {
+                cleanUp();
+                reject(new Error("The exported image could not be printed."));
+            };
+            image.src = url;
+        });
+    });
+}
+
+// Runs action while the map has the given size, keeping its center.
+function withSize(map, width, height, action) {
+    const size = map.getSize();
+    if ((!width || width === size.x) && (!height || height === size.y)) {
+        return action();
+    }
+    const container = map.getContainer();
+    const style = { width: container.style.width, height: container.style.height };
+    container.style.width = (width || size.x) + "px";
+    container.style.height = (height || size.y) + "px";
+    map.invalidateSize({ animate: false });
+
+    const restore = function () {
+        container.style.width = style.width;
+        container.style.height = style.height;
+        map.invalidateSize({ animate: false });
+    };
+    return action().then(function (result) {
+        restore();
+        return result;
+    }, function (error) {
+        restore();
+        throw error;
+    });
+}
+
+// Waits until the tiles of the view are loaded, or tileLoadTimeout has passed, and the renderers have redrawn.
+function whenRendered(map) {
+    const loading = [];
+    map.eachLayer(function (layer) {
+        if (layer instanceof L.GridLayer && layer.isLoading()) {
+            loading.push(new Promise(resolve => layer.once("load", resolve)));
+        }
+    });
+    const timeout = new Promise(resolve => setTimeout(resolve, tileLoadTimeout));
+    return Promise.race([Promise.all(loading), timeout])
+        .then(() => new Promise(resolve => L.Util.requestAnimFrame(resolve)));
+}
+
+function drawMap(map, target, options, layerName) {
+    const size = map.getSize();
+    const top = options.title ? titleHeight : 0;
+
+    const background = getComputedStyle(map.getContainer()).backgroundColor;
+    if (options.title) {
+        target.fillRect(0, 0, size.x, top, "#fff");
+        target.fillText(options.title, size.x / 2, top / 2, { size: 18, bold: true, align: "center" });
+    }
+    target.beginMap(top, size.x, size.y);
+    if (background && background !== "transparent" && background !== "rgba(0, 0, 0, 0)") {
+        target.fillRect(0, 0, size.x, size.y, background);
+    }
+
+    const elementLayers = new Map();
+    map.eachLayer(function (layer) {
+        [layer._container, layer._image, layer._canvas, layer._icon, layer._shadow]
+            .filter(element => element)
+            .forEach(element => elementLayers.set(element, layer));
+    });
+
+    const elements = getPanes(map).flatMap(getPaneElements);
+    return elements.reduce(function (previous, element) {
+        const layer = elementLayers.get(element);
+        if (!layer || element.style.display === "none") {
+            return previous;
+        }
+        return previous
+            .then(() => drawLayerElement(map, target, layer, element))
+            .then(function (kind) {
+                if (kind) {
+                    target.checkReadable(kind, layerName(layer));
+                }
+            });
+    }, Promise.resolve())
+        .then(function () {
+            target.endMap();
+            if (options.scaleBar) {
+                drawScaleBar(map, target, top);
+            }
+            if (options.legend && options.legend.length) {
+                return drawLegend(target, options.legend, size, top);
+            }
+        });
+}
+
+// The panes of the map by their z-index, nested panes are drawn with their parent.
+function getPanes(map) {
+    const panes = map.getPanes();
+    return Object.keys(panes)
+        .filter(name => !skippedPanes.includes(name) && panes[name].parentNode === map.getPane("mapPane"))
+        .map(name => ({ element: panes[name], zIndex: getZIndex(panes[name], defaultPaneZIndexes[name] || 400) }))
+        .sort((a, b) => a.zIndex - b.zIndex)
+        .map(pane => pane.element);
+}
+
+function getPaneElements(pane) {
+    return Array.from(pane.children)
+        .map((element, index) => ({ element: element, index: index, zIndex: getZIndex(element, 0) }))
+        .sort((a, b) => a.zIndex - b.zIndex || a.index - b.index)
+        .flatMap(item => item.element.classList.contains("leaflet-pane") ? getPaneElements(item.element) : [item.element]);
+}
+
+function getZIndex(element, defaultZIndex) {
+    const zIndex = parseInt(element.style.zIndex, 10);
+    return isNaN(zIndex) ? defaultZIndex : zIndex;
+}
+
+// Draws the element of a layer, returns what was drawn for errors, or nothing if the element is not supported.
+function drawLayerElement(map, target, layer, element) {
+    if (layer instanceof L.GridLayer) {
+        drawTiles(map, target, layer);
+        return Promise.resolve("tiles");
+    }
+    if (L.ImageOverlay.Rotated && layer instanceof L.ImageOverlay.Rotated) {
+        drawRotatedImage(map, target, layer);
+        return Promise.resolve("image");
+    }
+    if (layer instanceof L.ImageOverlay) {
+        const topLeft = map.latLngToContainerPoint(layer.getBounds().getNorthWest());
+        const bottomRight = map.latLngToContainerPoint(layer.getBounds().getSouthEast());
+        const size = bottomRight.subtract(topLeft);
+        if (element instanceof SVGElement) {
+            return target.drawSvg(element, topLeft.x, topLeft.y, size.x, size.y).then(() => "image");
+        }
+        if (isDrawable(element)) {
+            target.drawImage(element, topLeft.x, topLeft.y, size.x, size.y, layer.options.opacity);
+        }
+        return Promise.resolve("image");
+    }
+    if (layer instanceof L.Renderer) {
+        const bounds = layer._bounds;
+        const position = map.layerPointToContainerPoint(bounds.min);
+        const size = bounds.getSize();
+        if (layer instanceof L.SVG) {
+            return target.drawSvg(element, position.x, position.y, size.x, size.y).then(() => "paths");
+        }
+        target.drawImage(element, position.x, position.y, size.x, size.y, 1);
+        return Promise.resolve("paths");
+    }
+    if (L.HeatLayer && layer instanceof L.HeatLayer) {
+        const position = map.layerPointToContainerPoint(L.DomUtil.getPosition(element));
+        target.drawImage(element, position.x, position.y, element.width, element.height, 1);
+        return Promise.resolve("heatmap");
+    }
+    if (layer instanceof L.Marker && element.tagName === "IMG") {
+        if (isDrawable(element)) {
+            const size = getImageSize(element);
+            drawIcon(map, target, layer, element, element,
+                L.point(parseFloat(element.style.width) || size.x, parseFloat(element.style.height) || size.y));
+        }
+        return Promise.resolve("icon");
+    }
+    if (layer instanceof L.Marker) {
+        return drawHtmlIcon(map, target, layer, element).then(() => "icon");
+    }
+    return Promise.resolve(null);
+}
+
+function drawTiles(map, target, layer) {
+    const tileSize = layer.getTileSize();
+    const zoom = map.getZoom();
+    const pixelOrigin = map.getPixelOrigin();
+    // tiles kept from other zoom levels while loading lie below the current ones
+    const tiles = Object.values(layer._tiles)
+        .filter(tile => tile.loaded && isDrawable(tile.el))
+        .sort((a, b) => Math.abs(b.coords.z - layer._tileZoom) - Math.abs(a.coords.z - layer._tileZoom));
+
+    for (const tile of tiles) {
+        const scale = map.getZoomScale(zoom, tile.coords.z);
+        const topLeft = map.layerPointToContainerPoint(
+            tile.coords.scaleBy(tileSize).multiplyBy(scale).subtract(pixelOrigin));
+        const bottomRight = map.layerPointToContainerPoint(
+            tile.coords.add([1, 1]).scaleBy(tileSize).multiplyBy(scale).subtract(pixelOrigin));
+        const size = bottomRight.subtract(topLeft);
+        target.drawImage(tile.el, topLeft.x, topLeft.y, size.x, size.y, layer.options.opacity);
+    }
+}
+
+function drawRotatedImage(map, target, layer) {
+    const image = layer._rawImage;
+    if (!isDrawable(image)) {
+        return;
+    }
+    const size = getImageSize(image);
+    const topLeft = map.latLngToContainerPoint(layer._topLeft);
+    const topRight = map.latLngToContainerPoint(layer._topRight);
+    const bottomLeft = map.latLngToContainerPoint(layer._bottomLeft);
+    target.drawTransformedImage(image, [
+        (topRight.x - topLeft.x) / size.x, (topRight.y - topLeft.y) / size.x,
+        (bottomLeft.x - topLeft.x) / size.y, (bottomLeft.y - topLeft.y) / size.y,
+        topLeft.x, topLeft.y
+    ], layer.options.opacity);
+}
+
+/*
+ * Draws the image of the icon or shadow element of a marker in place of the element, which has the given size,
+ * rotated like the marker. The image covers the bounds, relative to the element, or the element if not given.
+ */
+function drawIcon(map, target, marker, element, image, size, bounds) {
+    bounds = bounds || L.bounds([0, 0], size);
+    const imageSize = getImageSize(image);
+    const boundsSize = bounds.getSize();
+    const position = map.layerPointToContainerPoint(L.DomUtil.getPosition(element))
+        .add([parseFloat(element.style.marginLeft) || 0, parseFloat(element.style.marginTop) || 0]);
+
+    const angle = element === marker._icon && marker.options.rotationAngle
+        ? marker.options.rotationAngle * Math.PI / 180
+        : 0;
+    const origin = parseTransformOrigin(marker.options.rotationOrigin || "bottom center", size.x, size.y);
+    const offset = bounds.min.subtract(origin);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    target.drawTransformedImage(image, [
+        cos * boundsSize.x / imageSize.x, sin * boundsSize.x / imageSize.x,
+        -sin * boundsSize.y / imageSize.y, cos * boundsSize.y / imageSize.y,
+        position.x + origin.x + cos * offset.x - sin * offset.y,
+        position.y + origin.y + sin * offset.x + cos * offset.y
+    ], marker.options.opacity);
+}
+
+/*
+ * Draws the HTML of a div icon, like a pin or the bubble of a cluster, through an SVG image of it with the computed
+ * styles inlined. Images and fonts within the HTML are left out, as an SVG image can not load other files.
+ */
+function drawHtmlIcon(map, target, marker, element) {
+    const size = L.point(parseFloat(element.style.width) || element.offsetWidth,
+        parseFloat(element.style.height) || element.offsetHeight);
+    const copy = copyWithStyles(element);
+    L.Util.extend(copy.style, { position: "absolute", left: "0px", top: "0px", margin: "0px", transform: "none" });
+
+    // parts of the icon may lie outside of its box, like the label of a pin
+    const bounds = measureBounds(copy, size);
+    const boundsSize = bounds.getSize();
+    if (!boundsSize.x || !boundsSize.y) {
+        return Promise.resolve();
+    }
+    copy.style.left = -bounds.min.x + "px";
+    copy.style.top = -bounds.min.y + "px";
+
+    const svg = "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + boundsSize.x + "\" height=\"" + boundsSize.y
+        + "\"><foreignObject width=\"100%\" height=\"100%\">" + new XMLSerializer().serializeToString(copy)
+        + "</foreignObject></svg>";
+    // a data URL, as SVG images with HTML of blob URLs can not be read from a canvas in some browsers
+    return loadImage("data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg))
+        .then(image => drawIcon(map, target, marker, element, image, size, bounds));
+}
+
+// A deep copy of the element with the computed style of each element set as its inline style.
+function copyWithStyles(element) {
+    const copy = element.cloneNode(false);
+    if (copy.style) {
+        const style = getComputedStyle(element);
+        for (let i = 0; i < style.length; i++) {
+            copy.style.setProperty(style[i], style.getPropertyValue(style[i]), style.getPropertyPriority(style[i]));
+        }
+    }
+    element.childNodes.forEach(child => copy.appendChild(
+        child.nodeType === Node.ELEMENT_NODE ? copyWithStyles(child) : child.cloneNode(false)));
+    return copy;
+}
+
+// The bounds of an element and its descendants relative to its box of the given size, measured off screen.
+function measureBounds(element, size) {
+    const container = L.DomUtil.create("div", "", document.body);
+    container.style.cssText = "position: fixed; left: -10000px; top: 0;";
+    container.appendChild(element);
+
+    const box = element.getBoundingClientRect();
+    const bounds = L.bounds([0, 0], size);
+    for (const descendant of element.querySelectorAll("*")) {
+        const rect = descendant.getBoundingClientRect();
+        if (rect.width || rect.height) {
+            bounds.extend([rect.left - box.left, rect.top - box.top]);
+            bounds.extend([rect.right - box.left, rect.bottom - box.top]);
+        }
+    }
+    container.removeChild(element);
+    container.remove();
+    return L.bounds(bounds.min.floor(), bounds.max.ceil());
+}
+
+// The point of a CSS transform-origin like "bottom center" or "12px 41px" in a box of the given size.
+function parseTransformOrigin(origin, width, height) {
+    const keywords = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+    const values = origin.trim().split(/\s+/);
+    // keywords of the vertical axis may come first
+    if (values[0] === "top" || values[0] === "bottom" || values[1] === "left" || values[1] === "right") {
+        values.reverse();
+    }
+    const parse = function (value, length) {
+        if (value === undefined) {
+            return length / 2;
+        }
+        if (value in keywords) {
+            return keywords[value] * length;
+        }
+        return value.endsWith("%") ? parseFloat(value) / 100 * length : parseFloat(value) || 0;
+    };
+    return L.point(parse(values[0], width), parse(values[1], height));
+}
+
+// A scale bar in the lower left corner, measured at the vertical center of the map like L.Control.Scale.
+function drawScaleBar(map, target, top) {
+    const size = map.getSize();
+    const maxWidth = 100;
+    const y = size.y / 2;
+    const maxMeters = map.distance(map.containerPointToLatLng([0, y]), map.containerPointToLatLng([maxWidth, y]));
+    if (!maxMeters) {
+        return;
+    }
+    const meters = getRoundNumber(maxMeters);
+    const width = Math.round(maxWidth * meters / maxMeters);
+    const label = meters < 1000 ? meters + " m" : meters / 1000 + " km";
+
+    const left = 10;
+    const bottom = top + size.y - 10;
+    target.fillRect(left - 4, bottom - 24, width + 8, 28, "rgba(255, 255, 255, 0.8)");
+    target.strokeLines([[left, bottom - 6], [left, bottom], [left + width, bottom], [left + width, bottom - 6]], "#333", 2);
+    target.fillText(label, left + width / 2, bottom - 13, { size: 11, align: "center" });
+}
+
+function getRoundNumber(number) {
+    const power = Math.pow(10, (Math.floor(number) + "").length - 1);
+    const digit = number / power;
+    return power * (digit >= 10 ? 10 : digit >= 5 ? 5 : digit >= 3 ? 3 : digit >= 2 ? 2 : 1);
+}
+
+// A legend in the lower right corner, with a color swatch or an icon before each label.
+function drawLegend(target, items, size, top) {
+    const padding = 8;
+    const rowHeight = 20;
+    const swatchSize = 14;
+    const fontSize = 12;
+    const labelWidth = Math.max(...items.map(item => measureText(item.label || "", fontSize)));
+    const width = padding * 3 + swatchSize + labelWidth;
+    const height = padding * 2 + rowHeight * items.length;
+    const left = size.x - width - 10;
+    const legendTop = top + size.y - height - 10;
+
+    target.fillRect(left, legendTop, width, height, "rgba(255, 255, 255, 0.9)");
+    return items.reduce(function (previous, item, index) {
+        const rowTop = legendTop + padding + index * rowHeight;
+        const swatchTop = rowTop + (rowHeight - swatchSize) / 2;
+        target.fillText(item.label || "", left + padding * 2 + swatchSize, rowTop + rowHeight / 2, { size: fontSize });
+        if (item.iconUrl) {
+            return previous
+                .then(() => loadImage(item.iconUrl))
+                .then(function (image) {
+                    target.drawImage(image, left + padding, swatchTop, swatchSize, swatchSize, 1);
+                    target.checkReadable("legend icon", item.label);
+                });
+        }
+        if (item.color) {
+            target.fillRect(left + padding, swatchTop, swatchSize, swatchSize, toCssColor(item.color));
+        }
+        return previous;
+    }, Promise.resolve());
+}
+
+let measureContext = null;
+
+function measureText(text, fontSize) {
+    measureContext = measureContext || document.createElement("canvas").getContext("2d");
+    measureContext.font = fontSize + "px " + fontFamily;
+    const width = measureContext.measureText(text).width;
+    return typeof width === "number" ? width : text.length * fontSize * 0.6;
+}
+
+function loadImage(url) {
+    return new Promise(function (resolve, reject) {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error("Could not load the image " + url));
+        image.src = url;
+    });
+}
+
+function toCssColor(color) {
+    return "rgb(" + color.r + "," + color.g + "," + color.b + ")";
+}
+
+function isDrawable(element) {
+    return element.tagName !== "IMG" || (element.complete && element.naturalWidth !== 0);
+}
+
+function getImageSize(image) {
+    return image.naturalWidth
+        ? L.point(image.naturalWidth, image.naturalHeight)
+        : L.point(image.width, image.height);
+}
+
+// Draws the map onto a canvas of the given size in CSS pixels times ratio, read as a PNG image.
+const CanvasTarget = L.Class.extend({
+
+    initialize: function (width, height, ratio) {
+        this._canvas = document.createElement("canvas");
+        this._canvas.width = Math.round(width * ratio);
+        this._canvas.height = Math.round(height * ratio);
+        this._context = this._canvas.getContext("2d");
+        this._context.scale(ratio, ratio);
+    },
+
+    beginMap: function (top, width, height) {
+        this._context.save();
+        this._context.translate(0, top);
+        this._context.beginPath();
+        this._context.rect(0, 0, width, height);
+        this._context.clip();
+    },
+
+    endMap: function () {
+        this._context.restore();
+    },
+
+    drawImage: function (source, x, y, width, height, opacity) {
+        this._context.globalAlpha = opacity === undefined ? 1 : opacity;
+        this._context.drawImage(source, x, y, width, height);
+        this._context.globalAlpha = 1;
+    },
+
+    // draws the source at its own size, transformed by the matrix [a, b, c, d, e, f]
+    drawTransformedImage: function (source, matrix, opacity) {
+        const size = getImageSize(source);
+        this._context.save();
+        this._context.transform(...matrix);
+        this.drawImage(source, 0, 0, size.x, size.y, opacity);
+        this._context.restore();
+    },
+
+    drawSvg: function (svg, x, y, width, height) {
+        const svgText = new XMLSerializer().serializeToString(svg);
+        const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml" }));
+        return loadImage(url)
+            .then(image => this.drawImage(image, x, y, width, height, 1))
+            .finally(() => URL.revokeObjectURL(url));
+    },
+
+    fillRect: function (x, y, width, height, color) {
+        this._context.fillStyle = color;
+        this._context.fillRect(x, y, width, height);
+    },
+
+    strokeLines: function (points, color, width) {
+        this._context.beginPath();
+        points.forEach((point, index) => index ? this._context.lineTo(point[0], point[1]) : this._context.moveTo(point[0], point[1]));
+        this._context.strokeStyle = color;
+        this._context.lineWidth = width;
+        this._context.stroke();
+    },
+
+    fillText: function (text, x, y, style) {
+        this._context.font = (style.bold ? "bold " : "") + style.size + "px " + fontFamily;
+        this._context.textAlign = style.align || "left";
+        this._context.textBaseline = "middle";
+        this._context.fillStyle = "#333";
+        this._context.fillText(text, x, y);
+    },
+
+    // Images of other origins without CORS headers taint the canvas, which can not be read any more.
+    checkReadable: function (kind, layerName) {
+        try {
+            this._context.getImageData(0, 0, 1, 1);
+        } catch (error) {
+            if (error.name !== "SecurityError") {
+                throw error;
+            }
+            throw new Error("The map can not be exported as PNG, because the " + kind + " of "
+                + (layerName ? "\"" + layerName + "\"" : "a layer") + " come from another origin without "
+                + "permission to read them. Serve them with an Access-Control-Allow-Origin header and set "
+                + "CrossOrigin on the layer, or export the map as SVG.");
+        }
+    },
+
+    toBytes: function (dpi) {
+        return new Promise(resolve => this._canvas.toBlob(resolve, "image/png"))
+            .then(blob => blob.arrayBuffer())
+            .then(buffer => setPngResolution(new Uint8Array(buffer), dpi));
+    }
+});
+
+// Builds an SVG document of the map, the paths of SVG renderers stay vectors.
+const SvgTarget = L.Class.extend({
+
+    initialize: function (width, height) {
+        this._svg = createSvgElement("svg", {
+            width: width,
+            height: height,
+            viewBox: "0 0 " + width + " " + height
+        });
+        this._parent = this._svg;
+    },
+
+    // the nested svg element clips the map like the canvas
+    beginMap: function (top, width, height) {
+        this._parent = this._add(createSvgElement("svg", { x: 0, y: top, width: width, height: height }));
+    },
+
+    endMap: function () {
+        this._parent = this._svg;
+    },
+
+    drawImage: function (source, x, y, width, height, opacity) {
+        this._add(createSvgElement("image", {
+            href: getImageUrl(source),
+            x: x,
+            y: y,
+            width: width,
+            height: height,
+            opacity: opacity === undefined ? 1 : opacity,
+            preserveAspectRatio: "none"
+        }));
+    },
+
+    drawTransformedImage: function (source, matrix, opacity) {
+        const size = getImageSize(source);
+        this._add(createSvgElement("image", {
+            href: getImageUrl(source),
+            width: size.x,
+            height: size.y,
+            opacity: opacity === undefined ? 1 : opacity,
+            transform: "matrix(" + matrix.join(" ") + ")"
+        }));
+    },
+
+    drawSvg: function (svg, x, y, width, height) {
+        const copy = svg.cloneNode(true);
+        copy.setAttribute("x", x);
+        copy.setAttribute("y", y);
+        copy.setAttribute("width", width);
+        copy.setAttribute("height", height);
+        copy.removeAttribute("style");
+        copy.removeAttribute("class");
+        this._add(copy);
+        return Promise.resolve();
+    },
+
+    fillRect: function (x, y, width, height, color) {
+        this._add(createSvgElement("rect", { x: x, y: y, width: width, height: height, fill: color }));
+    },
+
+    strokeLines: function (points, color, width) {
+        this._add(createSvgElement("polyline", {
+            points: points.map(point => point.join(",")).join(" "),
+            fill: "none",
+            stroke: color,
+            "stroke-width": width
+        }));
+    },
+
+    fillText: function (text, x, y, style) {
+        const element = createSvgElement("text", {
+            x: x,
+            y: y,
+            fill: "#333",
+            "font-family": fontFamily,
+            "font-size": style.size,
+            "font-weight": style.bold ? "bold" : "normal",
+            "text-anchor": { center: "middle", right: "end" }[style.align] || "start",
+            "dominant-baseline": "central"
+        });
+        element.textContent = text;
+        this._add(element);
+    },
+
+    // images are linked, not read
+    checkReadable: function () {
+    },
+
+    toBytes: function () {
+        const text = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" + new XMLSerializer().serializeToString(this._svg);
+        return Promise.resolve(new TextEncoder().encode(text));
+    },
+
+    _add: function (element) {
+        return this._parent.appendChild(element);
+    }
+});
+
+function createSvgElement(name, attributes) {
+    const element = document.createElementNS("http://www.w3.org/2000/svg", name);
+    for (const [attribute, value] of Object.entries(attributes)) {
+        element.setAttribute(attribute, value);
+    }
+    return element;
+}
+
+// Canvases are embedded, images linked by their absolute URL.
+function getImageUrl(source) {
+    return source instanceof HTMLCanvasElement ? source.toDataURL("image/png") : source.currentSrc || source.src;
+}
+
+/*
+ * Adds a pHYs chunk with the resolution after the IHDR chunk of a PNG image, so that it is printed at the size
+ * of the map.
+ */
+function setPngResolution(png, dpi) {
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMeter);
+    view.setUint32(12, pixelsPerMeter);
+    chunk[16] = 1; // unit: meter
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    // signature (8 bytes) and IHDR chunk (25 bytes)
+    const headerLength = 33;
+    const result = new Uint8Array(png.length + chunk.length);
+    result.set(png.subarray(0, headerLength));
+    result.set(chunk, headerLength);
+    result.set(png.subarray(headerLength), headerLength + chunk.length);
+    return result;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (crcTable === null) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
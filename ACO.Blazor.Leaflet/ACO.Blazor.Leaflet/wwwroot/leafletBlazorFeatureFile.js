@@ -0,0 +1,486 @@
+/*
+ * Reads GPX, KML and CSV files into GeoJSON for leafletBlazorInterops.js. Malformed files are rejected with an
+ * error naming the file and what could not be read, which is reported by the "dataerror" event of the layer.
+ */
+
+const formatNames = { gpx: "GPX", kml: "KML", csv: "CSV" };
+
+// Reads a file of the given format ("gpx", "kml" or "csv") from a URL or from its text.
+export function readFeatureFile(format, source, options) {
+    const name = "the " + formatNames[format] + " file" + (source.url ? " " + source.url : "");
+    const text = source.url
+        ? fetch(source.url).then(function (response) {
+            if (!response.ok) {
+                throw new Error("the server responded with " + response.status + " " + response.statusText);
+            }
+            return response.text();
+        })
+        : Promise.resolve(source.text);
+
+    return text
+        .then(function (content) {
+            switch (format) {
+                case "gpx":
+                    return parseGpx(content);
+                case "kml":
+                    return parseKml(content);
+                default:
+                    return parseCsv(content, options || {});
+            }
+        })
+        .catch(function (error) {
+            const reason = error && error.message ? error.message : String(error || "");
+            throw new Error("Could not read " + name + (reason ? ": " + reason : ""));
+        });
+}
+
+function parseXml(text, rootName) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    const error = doc.getElementsByTagName("parsererror")[0];
+    if (error) {
+        throw new Error("it is not well-formed XML (" + error.textContent.trim().split("\n")[0] + ")");
+    }
+    if (doc.documentElement.localName !== rootName) {
+        throw new Error("the root element is <" + doc.documentElement.localName + "> instead of <" + rootName + ">");
+    }
+    return doc;
+}
+
+// child elements by local name, ignoring namespaces and prefixes like gx:
+function getChildren(element, name) {
+    return Array.from(element.children).filter(child => child.localName === name);
+}
+
+function getChildText(element, name) {
+    const child = getChildren(element, name)[0];
+    return child ? child.textContent.trim() : null;
+}
+
+function getDescendants(element, name) {
+    return Array.from(element.getElementsByTagNameNS("*", name));
+}
+
+function createFeature(geometry, properties) {
+    return { type: "Feature", geometry: geometry, properties: properties };
+}
+
+/*
+ * GPX 1.0 and 1.1: waypoints become points, routes and tracks lines. Tracks with several segments become multi
+ * line strings. Elevations are the third coordinate, the times of the points are kept in the "times" property.
+ */
+export function parseGpx(text) {
+    const gpx = parseXml(text, "gpx").documentElement;
+    const features = [];
+
+    for (const wpt of getChildren(gpx, "wpt")) {
+        const point = readGpxPoint(wpt);
+        const properties = readGpxProperties(wpt, ["name", "desc", "cmt", "type", "sym"]);
+        if (point.time !== null) {
+            properties.time = point.time;
+        }
+        if (point.coordinates.length > 2) {
+            properties.ele = point.coordinates[2];
+        }
+        features.push(createFeature({ type: "Point", coordinates: point.coordinates }, properties));
+    }
+    for (const rte of getChildren(gpx, "rte")) {
+        const points = getChildren(rte, "rtept").map(readGpxPoint);
+        features.push(createFeature(
+            { type: "LineString", coordinates: points.map(p => p.coordinates) },
+            withTimes(readGpxProperties(rte, ["name", "desc", "cmt", "type"]), points)));
+    }
+    for (const trk of getChildren(gpx, "trk")) {
+        const segments = getChildren(trk, "trkseg").map(seg => getChildren(seg, "trkpt").map(readGpxPoint));
+        const properties = readGpxProperties(trk, ["name", "desc", "cmt", "type"]);
+        if (segments.length === 1) {
+            features.push(createFeature(
+                { type: "LineString", coordinates: segments[0].map(p => p.coordinates) },
+                withTimes(properties, segments[0])));
+        } else if (segments.length > 1) {
+            if (segments.flat().some(p => p.time !== null)) {
+                properties.times = segments.map(s => s.map(p => p.time));
+            }
+            features.push(createFeature(
+                { type: "MultiLineString", coordinates: segments.map(s => s.map(p => p.coordinates)) },
+                properties));
+        }
+    }
+    return { type: "FeatureCollection", features: features };
+}
+
+function readGpxPoint(element) {
+    const lat = parseFloat(element.getAttribute("lat"));
+    const lon = parseFloat(element.getAttribute("lon"));
+    if (!isFinite(lat) || !isFinite(lon)) {
+        throw new Error("a <" + element.localName + "> has no valid lat and lon attributes");
+    }
+    const ele = parseFloat(getChildText(element, "ele"));
+    return {
+        coordinates: isFinite(ele) ? [lon, lat, ele] : [lon, lat],
+        time: getChildText(element, "time")
+    };
+}
+
+function readGpxProperties(element, names) {
+    const properties = {};
+    for (const name of names) {
+        const value = getChildText(element, name);
+        if (value !== null) {
+            properties[name] = value;
+        }
+    }
+    return properties;
+}
+
+function withTimes(properties, points) {
+    if (points.some(p => p.time !== null)) {
+        properties.times = points.map(p => p.time);
+    }
+    return properties;
+}
+
+/*
+ * KML 2.2: placemarks with points, line strings, linear rings, polygons and multi geometries. The names of the
+ * folders of a placemark are kept in the "folder" property, joined by " / ", and its extended data as further
+ * properties. Shared and inline styles are converted to the simplestyle properties stroke, stroke-width,
+ * stroke-opacity, fill, fill-opacity and icon.
+ */
+export function parseKml(text) {
+    const kml = parseXml(text, "kml").documentElement;
+    const styles = readKmlStyles(kml);
+    const features = [];
+
+    for (const placemark of getDescendants(kml, "Placemark")) {
+        const geometry = readKmlGeometry(placemark);
+        if (geometry === null) {
+            continue;
+        }
+
+        const properties = {};
+        for (const name of ["name", "description"]) {
+            const value = getChildText(placemark, name);
+            if (value !== null) {
+                properties[name] = value;
+            }
+        }
+        const folders = [];
+        for (let parent = placemark.parentElement; parent && parent !== kml; parent = parent.parentElement) {
+            if (parent.localName === "Folder" && getChildText(parent, "name") !== null) {
+                folders.unshift(getChildText(parent, "name"));
+            }
+        }
+        if (folders.length > 0) {
+            properties.folder = folders.join(" / ");
+        }
+        for (const data of getDescendants(placemark, "Data")) {
+            properties[data.getAttribute("name")] = getChildText(data, "value");
+        }
+        for (const data of getDescendants(placemark, "SimpleData")) {
+            properties[data.getAttribute("name")] = data.textContent.trim();
+        }
+
+        const styleUrl = getChildText(placemark, "styleUrl");
+        const sharedStyle = styleUrl ? styles[styleUrl.substring(styleUrl.indexOf("#") + 1)] : undefined;
+        const inlineStyle = getChildren(placemark, "Style")[0];
+        Object.assign(properties, sharedStyle, inlineStyle ? readKmlStyle(inlineStyle) : undefined);
+
+        const id = placemark.getAttribute("id");
+        const feature = createFeature(geometry, properties);
+        if (id) {
+            feature.id = id;
+        }
+        features.push(feature);
+    }
+    return { type: "FeatureCollection", features: features };
+}
+
+// the shared styles by id, style maps resolve to their normal style
+function readKmlStyles(kml) {
+    const styles = {};
+    for (const style of getDescendants(kml, "Style")) {
+        if (style.getAttribute("id")) {
+            styles[style.getAttribute("id")] = readKmlStyle(style);
+        }
+    }
+    for (const styleMap of getDescendants(kml, "StyleMap")) {
+        const normal = getChildren(styleMap, "Pair").find(pair => getChildText(pair, "key") === "normal");
+        const styleUrl = normal ? getChildText(normal, "styleUrl") : null;
+        if (styleMap.getAttribute("id") && styleUrl) {
+            styles[styleMap.getAttribute("id")] = styles[styleUrl.substring(styleUrl.indexOf("#") + 1)];
+        }
+    }
+    return styles;
+}
+
+function readKmlStyle(style) {
+    const properties = {};
+    const lineStyle = getChildren(style, "LineStyle")[0];
+    if (lineStyle) {
+        setKmlColor(properties, "stroke", getChildText(lineStyle, "color"));
+        const width = parseFloat(getChildText(lineStyle, "width"));
+        if (isFinite(width)) {
+            properties["stroke-width"] = width;
+        }
+    }
+    const polyStyle = getChildren(style, "PolyStyle")[0];
+    if (polyStyle) {
+        setKmlColor(properties, "fill", getChildText(polyStyle, "color"));
+        if (getChildText(polyStyle, "fill") === "0") {
+            properties["fill-opacity"] = 0;
+        }
+        if (getChildText(polyStyle, "outline") === "0") {
+            properties["stroke-opacity"] = 0;
+        }
+    }
+    const iconStyle = getChildren(style, "IconStyle")[0];
+    const icon = iconStyle ? getChildren(iconStyle, "Icon")[0] : undefined;
+    if (icon && getChildText(icon, "href")) {
+        properties.icon = getChildText(icon, "href");
+        const scale = parseFloat(getChildText(iconStyle, "scale"));
+        if (isFinite(scale)) {
+            properties["icon-scale"] = scale;
+        }
+    }
+    return properties;
+}
+
+// KML colors are aabbggrr
+function setKmlColor(properties, name, color) {
+    if (color && /^[0-9a-fA-F]{8}$/.test(color)) {
+        properties[name] = "#" + color.substring(6, 8) + color.substring(4, 6) + color.substring(2, 4);
+        properties[name + "-opacity"] = parseInt(color.substring(0, 2), 16) / 255;
+    }
+}
+
+function readKmlGeometry(element) {
+    const geometries = [];
+    for (const child of element.children) {
+        switch (child.localName) {
+            case "Point":
+                geometries.push({ type: "Point", coordinates: readKmlCoordinates(child)[0] });
+                break;
+            case "LineString":
+                geometries.push({ type: "LineString", coordinates: readKmlCoordinates(child) });
+                break;
+            case "LinearRing":
+                geometries.push({ type: "Polygon", coordinates: [readKmlCoordinates(child)] });
+                break;
+            case "Polygon":
+                geometries.push({
+                    type: "Polygon",
+                    coordinates: getChildren(child, "outerBoundaryIs").concat(getChildren(child, "innerBoundaryIs"))
+                        .flatMap(boundary => getChildren(boundary, "LinearRing"))
+                        .map(readKmlCoordinates)
+                });
+                break;
+            case "MultiGeometry": {
+                const geometry = readKmlGeometry(child);
+                if (geometry !== null) {
+                    geometries.push(geometry);
+                }
+                break;
+            }
+        }
+    }
+    if (geometries.length === 0) {
+        return null;
+    }
+    return element.localName === "MultiGeometry" || geometries.length > 1
+        ? { type: "GeometryCollection", geometries: geometries }
+        : geometries[0];
+}
+
+function readKmlCoordinates(element) {
+    const text = getChildText(element, "coordinates") || "";
+    const coordinates = text.split(/\s+/).filter(tuple => tuple !== "").map(function (tuple) {
+        const values = tuple.split(",").map(Number);
+        if (values.length < 2 || values.some(isNaN)) {
+            throw new Error("the coordinates \"" + tuple + "\" of a <" + element.localName + "> are not valid");
+        }
+        return values;
+    });
+    if (coordinates.length === 0) {
+        throw new Error("a <" + element.localName + "> has no coordinates");
+    }
+    return coordinates;
+}
+
+const latitudeNames = ["lat", "latitude", "y"];
+const longitudeNames = ["lng", "lon", "long", "longitude", "x"];
+
+/*
+ * CSV with a header row, as written by spreadsheets: fields may be quoted, the delimiter is detected from the
+ * header unless options.delimiter is set. Each row becomes a point at the columns options.latitudeColumn and
+ * options.longitudeColumn, or at columns with common names like lat and lng. The other columns become properties.
+ */
+export function parseCsv(text, options) {
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const rows = readCsvRows(text.replace(/^\uFEFF/, ""), delimiter);
+    if (rows.length === 0) {
+        throw new Error("it is empty");
+    }
+
+    const header = rows[0].fields.map(name => name.trim());
+    const latIndex = findColumn(header, options.latitudeColumn, latitudeNames, "latitude");
+    const lngIndex = findColumn(header, options.longitudeColumn, longitudeNames, "longitude");
+
+    const features = [];
+    for (const row of rows.slice(1)) {
+        if (row.fields.length === 1 && row.fields[0].trim() === "") {
+            continue;
+        }
+        const lat = parseCoordinate(row.fields[latIndex]);
+        const lng = parseCoordinate(row.fields[lngIndex]);
+        if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw new Error("line " + row.line + " has no valid position (" + header[latIndex] + " \""
+                + (row.fields[latIndex] || "") + "\", " + header[lngIndex] + " \"" + (row.fields[lngIndex] || "") + "\")");
+        }
+        const properties = {};
+        header.forEach(function (name, i) {
+            if (i !== latIndex && i !== lngIndex) {
+                properties[name] = i < row.fields.length ? row.fields[i] : null;
+            }
+        });
+        features.push(createFeature({ type: "Point", coordinates: [lng, lat] }, properties));
+    }
+    return { type: "FeatureCollection", features: features };
+}
+
+// the most frequent of comma, semicolon and tab in the header row
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/)[0];
+    let best = ",";
+    let bestCount = 0;
+    for (const candidate of [",", ";", "\t"]) {
+        const count = header.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// the fields of each row with the line the row starts on, quoted fields may contain delimiters and line breaks
+function readCsvRows(text, delimiter) {
+    const rows = [];
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (c === "\"") {
+                quoted = false;
+            } else {
+                if (c === "\n") {
+                    line++;
+                }
+                field += c;
+            }
+        } else if (c === "\"" && field === "") {
+            quoted = true;
+        } else if (c === delimiter) {
+            fields.push(field);
+            field = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            fields.push(field);
+            rows.push({ fields: fields, line: rowLine });
+            fields = [];
+            field = "";
+            rowLine = ++line;
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) {
+        throw new Error("the quoted field starting on line " + rowLine + " is not closed");
+    }
+    if (field !== "" || fields.length > 0) {
+        fields.push(field);
+        rows.push({ fields: fields, line: rowLine });
+    }
+    return rows;
+}
+
+function findColumn(header, name, commonNames, description) {
+    const names = name ? [name] : commonNames;
+    const index = header.findIndex(column => names.some(n => n.toLowerCase() === column.toLowerCase()));
+    if (index < 0) {
+        throw new Error("there is no " + description + " column, expected "
+            + names.map(n => "\"" + n + "\"").join(" or ") + " in the header");
+    }
+    return index;
+}
+
+// decimal degrees, with a decimal comma as written by some spreadsheets
+function parseCoordinate(value) {
+    const text = (value || "").trim().replace(",", ".");
+    return text === "" ? NaN : Number(text);
+}
+
+/*
+ * The style of a feature read from a file, from the simplestyle properties set for KML styles, in the form of
+ * Models.GeoJsonStyle. Undefined if the feature has none.
+ */
+export function getFeatureFileStyle(properties) {
+    const style = {};
+    const stroke = parseHexColor(properties.stroke);
+    if (stroke) {
+        style.strokeColor = stroke;
+    }
+    if (typeof properties["stroke-opacity"] === "number") {
+        style.strokeOpacity = properties["stroke-opacity"];
+    }
+    if (typeof properties["stroke-width"] === "number") {
+        style.strokeWidth = properties["stroke-width"];
+    }
+    const fill = parseHexColor(properties.fill);
+    if (fill) {
+        style.fillColor = fill;
+    }
+    if (typeof properties["fill-opacity"] === "number") {
+        style.fillOpacity = properties["fill-opacity"];
+    }
+    if (typeof properties.icon === "string") {
+        const size = Math.round(32 * (properties["icon-scale"] || 1));
+        style.icon = {
+            url: properties.icon,
+            size: { width: size, height: size },
+            anchor: { x: size / 2, y: size / 2 },
+            popupAnchor: { x: 0, y: -size / 2 },
+            tooltipAnchor: { x: size / 2, y: 0 },
+            className: ""
+        };
+    }
+    return Object.keys(style).length > 0 ? style : undefined;
+}
+
+function parseHexColor(color) {
+    const match = typeof color === "string" ? /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color) : null;
+    return match ? { r: parseInt(match[1], 16), g: parseInt(match[2], 16), b: parseInt(match[3], 16) } : null;
+}
+
+// properties that are shown by the style of a feature rather than in its popup
+const styleProperties = ["stroke", "stroke-width", "stroke-opacity", "fill", "fill-opacity", "icon", "icon-scale", "times"];
+
+// The properties of a feature as an HTML table for its popup, null if it has none. Values are shown as text.
+export function createPropertyTable(properties) {
+    const rows = Object.keys(properties || {})
+        .filter(name => !styleProperties.includes(name) && properties[name] !== null && properties[name] !== "")
+        .map(name => "<tr><th>" + escapeHtml(name) + "</th><td>" + escapeHtml(properties[name]) + "</td></tr>");
+    return rows.length > 0 ? "<table class=\"leaflet-blazor-properties\">" + rows.join("") + "</table>" : null;
+}
+
+function escapeHtml(value) {
+    return String(typeof value === "object" ? JSON.stringify(value) : value)
+        .replace(/[&<>"']/g, c => "&#" + c.charCodeAt(0) + ";");
+}
@@ -0,0 +1,79 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Marker icons drawn in the browser instead of loaded from image files.
+ */
+
+// outline of the pin in a 24 x 36 box, the tip is at the bottom center and the head is centered on (12, 12)
+const pinPath = "M12 0C5.37 0 0 5.37 0 12c0 8.25 12 24 12 24s12-15.75 12-24C24 5.37 18.63 0 12 0z";
+
+function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, c => "&#" + c.charCodeAt(0) + ";");
+}
+
+/*
+ * A map pin of any color with an optional glyph in its head and a label below it. The SVG is scaled to iconSize
+ * with its tip at the bottom center, which is where the icon is anchored unless iconAnchor is set.
+ */
+export const PinIcon = L.DivIcon.extend({
+
+    options: {
+        iconSize: [25, 41],
+        color: "#3388ff",
+        strokeColor: "rgba(0,0,0,0.35)",
+        glyph: null,
+        glyphColor: "#fff",
+        label: null
+    },
+
+    initialize: function (options) {
+        options = L.Util.extend({}, options);
+        // options that are not set keep their defaults
+        for (const key in options) {
+            if (options[key] === null || options[key] === undefined) {
+                delete options[key];
+            }
+        }
+        const size = L.point(options.iconSize || this.options.iconSize);
+        // anchors that are not set are derived from the size
+        if (!options.iconAnchor) {
+            options.iconAnchor = [size.x / 2, size.y];
+        }
+        if (!options.popupAnchor) {
+            options.popupAnchor = [0, -size.y];
+        }
+        if (!options.tooltipAnchor) {
+            options.tooltipAnchor = [size.x / 2, -size.y * 0.7];
+        }
+        options.className = ("leaflet-blazor-pin " + (options.className || "")).trim();
+        L.Util.setOptions(this, options);
+    },
+
+    createIcon: function (oldIcon) {
+        this.options.html = this._createHtml();
+        return L.DivIcon.prototype.createIcon.call(this, oldIcon);
+    },
+
+    _createHtml: function () {
+        const o = this.options;
+        let head;
+        if (o.glyph !== null && o.glyph !== undefined && o.glyph !== "") {
+            const text = String(o.glyph);
+            const fontSize = text.length <= 1 ? 12 : text.length === 2 ? 10 : 8;
+            head = '<text x="12" y="12" dy=".35em" text-anchor="middle" font-family="sans-serif" font-weight="bold"'
+                + ' font-size="' + fontSize + '" fill="' + escapeText(o.glyphColor) + '">' + escapeText(text) + '</text>';
+        } else {
+            head = '<circle cx="12" cy="12" r="4.5" fill="' + escapeText(o.glyphColor) + '"/>';
+        }
+        let html = '<svg xmlns="http://www.w3.org/2000/svg" width="100%" height="100%" viewBox="-1 -1 26 38"'
+            + ' preserveAspectRatio="xMidYMax meet" style="display:block;overflow:visible">'
+            + '<path d="' + pinPath + '" fill="' + escapeText(o.color) + '" stroke="' + escapeText(o.strokeColor)
+            + '" stroke-width="1"/>' + head + '</svg>';
+        if (o.label) {
+            html += '<div class="leaflet-blazor-pin-label" style="position:absolute;top:100%;left:50%;'
+                + 'transform:translateX(-50%);white-space:nowrap;font:bold 11px sans-serif;color:#333;'
+                + 'text-shadow:0 0 2px #fff,0 0 2px #fff">' + escapeText(o.label) + '</div>';
+        }
+        return html;
+    }
+});
@@ -1,138 +1,365 @@
 import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
 import "/_content/ACO.Blazor.Leaflet/leaflet/Leaflet.ImageOverlay.Rotated.js";
 import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet-heat.js";
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.markercluster.js";
+import { CoordinatesControl, ElementControl, FullscreenControl, MiniMapControl } from "/_content/ACO.Blazor.Leaflet/leafletBlazorControl.js";
+import { GroupedLayersControl } from "/_content/ACO.Blazor.Leaflet/leafletBlazorLayerControl.js";
+import { createProj4Crs, getBuiltInCrs } from "/_content/ACO.Blazor.Leaflet/leafletBlazorCrs.js";
+import { exportMapImage, printMapImage } from "/_content/ACO.Blazor.Leaflet/leafletBlazorExport.js";
+import { MbTilesLayer } from "/_content/ACO.Blazor.Leaflet/leafletBlazorMbTiles.js";
+import { readShapefile } from "/_content/ACO.Blazor.Leaflet/leafletBlazorShapefile.js";
+import { createPropertyTable, getFeatureFileStyle, readFeatureFile } from "/_content/ACO.Blazor.Leaflet/leafletBlazorFeatureFile.js";
+import { VectorTileLayer } from "/_content/ACO.Blazor.Leaflet/leafletBlazorVectorTiles.js";
+import { getCrs, WmsLayer, WmtsLayer } from "/_content/ACO.Blazor.Leaflet/leafletBlazorWms.js";
+import { MarkerAnimation } from "/_content/ACO.Blazor.Leaflet/leafletBlazorMarker.js";
+import { PinIcon } from "/_content/ACO.Blazor.Leaflet/leafletBlazorIcon.js";
+import { DrawTool, EditTool, getShapeType, serializeGeometry } from "/_content/ACO.Blazor.Leaflet/leafletBlazorDraw.js";
+import { MeasureTool } from "/_content/ACO.Blazor.Leaflet/leafletBlazorMeasure.js";
+import { BoxSelect, getAreaTest, isLayerAt, isLayerWithin } from "/_content/ACO.Blazor.Leaflet/leafletBlazorSelection.js";
+import { UrlHash } from "/_content/ACO.Blazor.Leaflet/leafletBlazorUrlHash.js";
 
 export const maps = {};
 export const layers = {};
 
+const mapReferences = {};
+const drawStates = {};
+const layerControls = {};
+const controls = {};
+// the renderers of Models.Renderer set for panes, by pane name
+const paneRenderers = {};
+
 window.leafletBlazor = {
     create: function (map, objectReference) {
-        var leafletMap = L.map(map.id, {
-            center: map.center,
-            zoom: map.zoom,
-            zoomControl: map.zoomControl,
-            minZoom: map.minZoom ? map.minZoom : undefined,
-            maxZoom: map.maxZoom ? map.maxZoom : undefined,
-            maxBounds: map.maxBounds && map.maxBounds.item1 && map.maxBounds.item2 ? L.latLngBounds(map.maxBounds.item1, map.maxBounds.item2) : undefined,
-        });
+        if (map.crs && map.crs.proj4Definition) {
+            // proj4js is downloaded first
+            return createProj4Crs(map.crs).then(crs => createMap(map, crs, objectReference));
+        }
+        createMap(map, map.crs ? getBuiltInCrs(map.crs.code) : L.CRS.EPSG3857, objectReference);
+    },
+    disposeMap: function (mapId) {
+        const map = maps[mapId];
+        if (map === undefined) {
+            return;
+        }
+
+        const state = drawStates[mapId];
+        if (state.drawTool) {
+            state.drawTool.disable();
+        }
+        if (state.measureTool) {
+            state.measureTool.disable();
+        }
+        if (state.boxSelect) {
+            state.boxSelect.disable();
+        }
+        if (state.urlHash) {
+            state.urlHash.disable();
+        }
+        Object.values(state.editTools).forEach(editTool => editTool.disable());
+
+        // unhook first, so that tearing down the map does not call into the disposed .NET objects
+        for (const layer of layers[mapId].values()) {
+            getEventElements(layer).concat(Object.values(layer.markers || {})).forEach(unsubscribeAllEvents);
+            layer.off();
+            stopAnimations(layer);
+            releaseLayer(layer);
+        }
+        unsubscribeAllEvents(map);
+        map.off();
+        map.remove();
 
-        connectMapEvents(leafletMap, objectReference);
-        maps[map.id] = leafletMap;
-        layers[map.id] = [];
+        delete maps[mapId];
+        delete layers[mapId];
+        delete mapReferences[mapId];
+        delete drawStates[mapId];
+        delete layerControls[mapId];
+        delete controls[mapId];
+        delete paneRenderers[mapId];
     },
     addTilelayer: function (mapId, tileLayer, objectReference) {
-        const layer = L.tileLayer(tileLayer.urlTemplate, {
-            attribution: tileLayer.attribution,
-            pane: tileLayer.pane,
-            // ---
-            tileSize: tileLayer.tileSize ? L.point(tileLayer.tileSize.width, tileLayer.tileSize.height) : undefined,
-            opacity: tileLayer.opacity,
-            updateWhenZooming: tileLayer.updateWhenZooming,
-            updateInterval: tileLayer.updateInterval,
-            zIndex: tileLayer.zIndex,
-            bounds: tileLayer.bounds && tileLayer.bounds.item1 && tileLayer.bounds.item2 ? L.latLngBounds(tileLayer.bounds.item1, tileLayer.bounds.item2) : undefined,
-            // ---
-            minZoom: tileLayer.minimumZoom,
-            maxZoom: tileLayer.maximumZoom,
-            subdomains: tileLayer.subdomains,
-            errorTileUrl: tileLayer.errorTileUrl,
-            zoomOffset: tileLayer.zoomOffset,
-            // TMS
-            zoomReverse: tileLayer.isZoomReversed,
-            detectRetina: tileLayer.detectRetina,
-            // crossOrigin
-        });
+        const layer = createTileLayer(tileLayer);
         addLayer(mapId, layer, tileLayer.id);
     },
+    addWmsLayer: function (mapId, wmsLayer, objectReference) {
+        // options unknown to L.TileLayer.WMS become request parameters, so the id is not passed on
+        const layer = new WmsLayer(wmsLayer.url, {
+            pane: wmsLayer.pane,
+            attribution: wmsLayer.attribution,
+            tileSize: wmsLayer.tileSize ? L.point(wmsLayer.tileSize.width, wmsLayer.tileSize.height) : undefined,
+            opacity: wmsLayer.opacity,
+            updateWhenZooming: wmsLayer.updateWhenZooming,
+            updateInterval: wmsLayer.updateInterval,
+            zIndex: wmsLayer.zIndex,
+            bounds: wmsLayer.bounds && wmsLayer.bounds.item1 && wmsLayer.bounds.item2 ? L.latLngBounds(wmsLayer.bounds.item1, wmsLayer.bounds.item2) : undefined,
+            minZoom: wmsLayer.minimumZoom,
+            maxZoom: wmsLayer.maximumZoom,
+            layers: wmsLayer.layers,
+            styles: wmsLayer.styles,
+            format: wmsLayer.format,
+            transparent: wmsLayer.transparent,
+            version: wmsLayer.version,
+            crs: getCrs(wmsLayer.crs),
+            uppercase: wmsLayer.uppercase,
+            crossOrigin: wmsLayer.crossOrigin,
+            params: wmsLayer.parameters,
+            featureInfoFormat: wmsLayer.featureInfoFormat,
+            featureInfoCount: wmsLayer.featureInfoCount,
+            queryLayers: wmsLayer.queryLayers
+        });
+        connectWmsEvents(layer, objectReference, wmsLayer.events);
+        addLayer(mapId, layer, wmsLayer.id);
+    },
+    addWmtsLayer: function (mapId, wmtsLayer, objectReference) {
+        const layer = new WmtsLayer(wmtsLayer.url, {
+            ...createLayer(wmtsLayer),
+            tileSize: wmtsLayer.tileSize ? L.point(wmtsLayer.tileSize.width, wmtsLayer.tileSize.height) : undefined,
+            opacity: wmtsLayer.opacity,
+            updateWhenZooming: wmtsLayer.updateWhenZooming,
+            updateInterval: wmtsLayer.updateInterval,
+            zIndex: wmtsLayer.zIndex,
+            bounds: wmtsLayer.bounds && wmtsLayer.bounds.item1 && wmtsLayer.bounds.item2 ? L.latLngBounds(wmtsLayer.bounds.item1, wmtsLayer.bounds.item2) : undefined,
+            minZoom: wmtsLayer.minimumZoom,
+            maxZoom: wmtsLayer.maximumZoom,
+            layer: wmtsLayer.layer,
+            style: wmtsLayer.style,
+            tileMatrixSet: wmtsLayer.tileMatrixSet,
+            tileMatrixPrefix: wmtsLayer.tileMatrixPrefix || "",
+            format: wmtsLayer.format,
+            params: wmtsLayer.parameters,
+            crossOrigin: wmtsLayer.crossOrigin
+        });
+        connectLayerEvents(layer, objectReference, wmtsLayer.events);
+        addLayer(mapId, layer, wmtsLayer.id);
+    },
     addMbTilesLayer: function (mapId, mbTilesLayer, objectReference) {
-        const layer = L.tileLayer.mbTiles(mbTilesLayer.urlTemplate, {
-            attribution: mbTilesLayer.attribution,
+        const layer = new MbTilesLayer({
+            ...createLayer(mbTilesLayer),
+            tileSize: mbTilesLayer.tileSize ? L.point(mbTilesLayer.tileSize.width, mbTilesLayer.tileSize.height) : undefined,
+            opacity: mbTilesLayer.opacity,
+            updateWhenZooming: mbTilesLayer.updateWhenZooming,
+            updateInterval: mbTilesLayer.updateInterval,
+            zIndex: mbTilesLayer.zIndex,
+            bounds: mbTilesLayer.bounds && mbTilesLayer.bounds.item1 && mbTilesLayer.bounds.item2 ? L.latLngBounds(mbTilesLayer.bounds.item1, mbTilesLayer.bounds.item2) : undefined,
             minZoom: mbTilesLayer.minimumZoom,
-            maxZoom: mbTilesLayer.maximumZoom
+            maxZoom: mbTilesLayer.maximumZoom,
+            tms: mbTilesLayer.tms
         });
+        connectMbTilesEvents(layer, objectReference, mbTilesLayer.events);
         addLayer(mapId, layer, mbTilesLayer.id);
+        if (mbTilesLayer.url) {
+            layer.loadUrl(mbTilesLayer.url);
+        }
+    },
+    addVectorTileLayer: function (mapId, vectorTileLayer, objectReference) {
+        const layer = new VectorTileLayer(vectorTileLayer.urlTemplate || "", {
+            ...createLayer(vectorTileLayer),
+            tileSize: vectorTileLayer.tileSize ? L.point(vectorTileLayer.tileSize.width, vectorTileLayer.tileSize.height) : undefined,
+            opacity: vectorTileLayer.opacity,
+            updateWhenZooming: vectorTileLayer.updateWhenZooming,
+            updateInterval: vectorTileLayer.updateInterval,
+            zIndex: vectorTileLayer.zIndex,
+            bounds: vectorTileLayer.bounds && vectorTileLayer.bounds.item1 && vectorTileLayer.bounds.item2 ? L.latLngBounds(vectorTileLayer.bounds.item1, vectorTileLayer.bounds.item2) : undefined,
+            minZoom: vectorTileLayer.minimumZoom,
+            maxZoom: vectorTileLayer.maximumZoom,
+            maxNativeZoom: vectorTileLayer.maximumNativeZoom === null ? undefined : vectorTileLayer.maximumNativeZoom,
+            subdomains: vectorTileLayer.subdomains,
+            tms: vectorTileLayer.tms,
+            layerStyles: createVectorTileStyles(vectorTileLayer.layerStyles),
+            defaultStyle: createVectorTileStyle(vectorTileLayer.defaultStyle)
+        });
+        connectVectorTileEvents(layer, objectReference, vectorTileLayer.events);
+        addLayer(mapId, layer, vectorTileLayer.id);
+        if (vectorTileLayer.mbTilesUrl) {
+            layer.loadUrl(vectorTileLayer.mbTilesUrl);
+        }
+    },
+    loadMbTilesData: function (mapId, layerId, streamReference) {
+        const layer = layers[mapId].get(layerId);
+        if (layer !== undefined) {
+            return streamReference.arrayBuffer().then(buffer => layer.loadData(buffer));
+        }
+    },
+    loadMbTilesFile: function (mapId, layerId, fileInput) {
+        const layer = layers[mapId].get(layerId);
+        const file = fileInput.files[0];
+        if (layer !== undefined && file !== undefined) {
+            return file.arrayBuffer().then(buffer => layer.loadData(buffer));
+        }
     },
     addShapefileLayer: function (mapId, shapefileLayer, objectReference) {
-        const layer = L.shapefile(shapefileLayer.urlTemplate);
+        const layer = createGeoJsonLayer(shapefileLayer, objectReference);
+        layer.readData = readShapefile;
+        connectDataLoadEvents(layer, objectReference, shapefileLayer.events);
         addLayer(mapId, layer, shapefileLayer.id);
+        if (shapefileLayer.url) {
+            loadFeatures(mapId, layer, readShapefile(shapefileLayer.url));
+        }
     },
-    addHeatLayer: function (mapId, heatLayer, objectRef) {
-
-        var gradient = null;
-        if (heatLayer.gradient !== null) {
-            gradient = {};
-            for (const part of heatLayer.gradient) {
-                gradient[part.point] = part.color;
-            }
+    loadShapefileData: function (mapId, layerId, data) {
+        const layer = layers[mapId].get(layerId);
+        if (layer !== undefined) {
+            return loadFeatures(mapId, layer, readShapefile(data));
+        }
+    },
+    addFeatureFileLayer: function (mapId, fileLayer, objectReference) {
+        const layer = createGeoJsonLayer(fileLayer, objectReference);
+        layer.fileOptions = fileLayer;
+        // the features of the file are read with the options the layer has by then
+        layer.readData = source => readFeatureFile(fileLayer.format,
+            typeof source === "string" ? { url: source } : source, layer.fileOptions);
+        connectDataLoadEvents(layer, objectReference, fileLayer.events);
+        addLayer(mapId, layer, fileLayer.id);
+        if (fileLayer.url) {
+            loadFeatures(mapId, layer, layer.readData(fileLayer.url));
+        }
+    },
+    loadFeatureFileData: function (mapId, layerId, text) {
+        const layer = layers[mapId].get(layerId);
+        if (layer !== undefined) {
+            return loadFeatures(mapId, layer, layer.readData({ text: text }));
         }
-        var options = {
+        return null;
+    },
+    loadFeatureFile: function (mapId, layerId, fileInput) {
+        const layer = layers[mapId].get(layerId);
+        const file = fileInput.files[0];
+        if (layer !== undefined && file !== undefined) {
+            return loadFeatures(mapId, layer, file.text().then(text => layer.readData({ text: text })));
+        }
+        return null;
+    },
+    addHeatLayer: function (mapId, heatLayer, points, objectRef) {
+        const layer = L.heatLayer(points, {
             minOpacity: heatLayer.minOpacity,
             maxZoom: heatLayer.maxZoom,
             max: heatLayer.maxPointIntensity,
             radius: heatLayer.radius,
             blur: heatLayer.blur,
-            gradient: gradient
-        };
-
-        const layer = L.heatLayer(heatLayer.points, options);
+            gradient: createHeatGradient(heatLayer.gradient)
+        });
 
         addLayer(mapId, layer, heatLayer.id);
     },
-    addMarker: function (mapId, marker, objectReference) {
-        var options = {
-            ...createInteractiveLayer(marker),
-            keyboard: marker.isKeyboardAccessible,
-            title: marker.title,
-            alt: marker.alt,
-            zIndexOffset: marker.zIndexOffset,
-            opacity: marker.opacity,
-            riseOnHover: marker.riseOnHover,
-            riseOffset: marker.riseOffset,
-            pane: marker.pane,
-            bubblingMouseEvents: marker.isBubblingMouseEvents,
-            draggable: marker.draggable,
-            autoPan: marker.useAutopan,
-            autoPanPadding: marker.autoPanPadding,
-            autoPanSpeed: marker.autoPanSpeed
-        };
-
-        if (marker.icon !== null) {
-            options.icon = createIcon(marker.icon);
+    addHeatPoints: function (mapId, layerId, points, replace) {
+        const layer = layers[mapId].get(layerId);
+        if (layer === undefined) {
+            return;
+        }
+        if (replace) {
+            layer.setLatLngs(points);
+        } else {
+            // the heatmap is redrawn once in the next animation frame
+            points.forEach(point => layer.addLatLng(point));
         }
-        const mkr = L.marker(marker.position, options);
-        connectMarkerEvents(mkr, objectReference);
+    },
+    addMarker: function (mapId, marker, objectReference) {
+        const mkr = createMarker(marker);
+        connectMarkerEvents(mkr, objectReference, marker.events);
         addLayer(mapId, mkr, marker.id);
         setTooltipAndPopupIfDefined(marker, mkr);
     },
+    addMarkerClusterLayer: function (mapId, clusterLayer, markers, objectReference) {
+        const layer = L.markerClusterGroup({
+            ...createLayer(clusterLayer),
+            clusterPane: clusterLayer.pane,
+            maxClusterRadius: clusterLayer.maxClusterRadius,
+            showCoverageOnHover: clusterLayer.showCoverageOnHover,
+            zoomToBoundsOnClick: clusterLayer.zoomToBoundsOnClick,
+            spiderfyOnMaxZoom: clusterLayer.spiderfyOnMaxZoom,
+            disableClusteringAtZoom: clusterLayer.disableClusteringAtZoom,
+            chunkedLoading: clusterLayer.chunkedLoading
+        });
+        layer.markers = {};
+        layer.objectReference = objectReference;
+        connectMarkerClusterEvents(layer, objectReference, clusterLayer.events);
+        addLayer(mapId, layer, clusterLayer.id);
+        addClusterMarkers(layer, markers);
+    },
+    addClusterMarkers: function (mapId, clusterId, markers) {
+        let layer = layers[mapId].get(clusterId);
+        if (layer !== undefined) {
+            addClusterMarkers(layer, markers);
+        }
+    },
+    removeClusterMarkers: function (mapId, clusterId, markerIds) {
+        let layer = layers[mapId].get(clusterId);
+        if (layer !== undefined) {
+            const markersToBeRemoved = markerIds.map(id => layer.markers[id]).filter(m => m !== undefined);
+            markerIds.forEach(id => delete layer.markers[id]);
+            layer.removeLayers(markersToBeRemoved);
+            markersToBeRemoved.forEach(unsubscribeAllEvents);
+        }
+    },
+    setMarkerPosition: function (mapId, markerId, position, rotationAngle) {
+        let marker = findLayer(mapId, markerId);
+        if (marker !== undefined) {
+            moveMarker(marker, position, rotationAngle);
+        }
+    },
+    setMarkerPositions: function (mapId, updates) {
+        for (const update of updates) {
+            window.leafletBlazor.setMarkerPosition(mapId, update.id, update.position, update.rotationAngle);
+        }
+    },
+    animateMarker: function (mapId, markerId, latlngs, duration, autoRotate, progressInterval) {
+        let marker = findLayer(mapId, markerId);
+        if (marker === undefined) {
+            return;
+        }
+
+        if (marker.animation) {
+            marker.animation.stop();
+        }
+        const animation = new MarkerAnimation(marker, latlngs, duration, {
+            autoRotate: autoRotate,
+            progressInterval: progressInterval
+        });
+        marker.animation = animation;
+        marker.once("animationend", function () {
+            if (marker.animation === animation) {
+                marker.animation = null;
+            }
+        });
+        animation.start();
+    },
+    stopMarkerAnimation: function (mapId, markerId) {
+        let marker = findLayer(mapId, markerId);
+        if (marker !== undefined && marker.animation) {
+            marker.animation.stop();
+        }
+    },
     addPolyline: function (mapId, polyline, objectReference) {
         const layer = L.polyline(shapeToLatLngArray(polyline.shape), createPolyline(polyline));
+        connectPathEvents(layer, objectReference, polyline.events);
         addLayer(mapId, layer, polyline.id);
         setTooltipAndPopupIfDefined(polyline, layer);
     },
     updatePolyline: function (mapId, polyline) {
-        let layer = layers[mapId].find(l => l.id === polyline.id);
+        let layer = layers[mapId].get(polyline.id);
         if (layer !== undefined) {
             layer.setLatLngs(shapeToLatLngArray(polyline.shape));
         }
     },
     addPolygon: function (mapId, polygon, objectReference) {
         const layer = L.polygon(shapeToLatLngArray(polygon.shape), createPolyline(polygon));
+        connectPathEvents(layer, objectReference, polygon.events);
         addLayer(mapId, layer, polygon.id);
         setTooltipAndPopupIfDefined(polygon, layer);
     },
     updatePolygon: function (mapId, polygon) {
-        let layer = layers[mapId].find(l => l.id === polygon.id);
+        let layer = layers[mapId].get(polygon.id);
         if (layer !== undefined) {
             layer.setLatLngs(shapeToLatLngArray(polygon.shape));
         }
     },
     addRectangle: function (mapId, rectangle, objectReference) {
         const layer = L.rectangle([[rectangle.shape.bottom, rectangle.shape.left], [rectangle.shape.top, rectangle.shape.right]], createPolyline(rectangle));
+        connectPathEvents(layer, objectReference, rectangle.events);
         addLayer(mapId, layer, rectangle.id);
         setTooltipAndPopupIfDefined(rectangle, layer);
     },
     updateRectangle: function (mapId, rectangle) {
-        let layer = layers[mapId].find(l => l.id === rectangle.id);
+        let layer = layers[mapId].get(rectangle.id);
         if (layer !== undefined) {
             layer.setBounds([[rectangle.shape.bottom, rectangle.shape.left], [rectangle.shape.top, rectangle.shape.right]]);
         }
@@ -143,22 +370,23 @@ window.leafletBlazor = {
                 ...createPath(circle),
                 radius: circle.radius
             });
+        connectPathEvents(layer, objectReference, circle.events);
         addLayer(mapId, layer, circle.id);
         setTooltipAndPopupIfDefined(circle, layer);
     },
     updateCircle: function (mapId, circle) {
-        let layer = layers[mapId].find(l => l.id === circle.id);
+        let layer = layers[mapId].get(circle.id);
         if (layer !== undefined) {
             layer.setRadius(circle.radius);
             layer.setLatLng(circle.position);
         }
     },
     bringPathToFront: function (mapId, path){
-        let layer = layers[mapId].find(l => l.id ===path.id);
+        let layer = layers[mapId].get(path.id);
         layer.bringToFront();
     },
     bringPathToBack: function (mapId, path){
-        let layer = layers[mapId].find(l => l.id ===path.id);
+        let layer = layers[mapId].get(path.id);
         layer.bringToBack();
     },
     addImageLayer: function (mapId, image, objectReference) {
@@ -177,7 +405,9 @@ window.leafletBlazor = {
         const bounds = L.latLngBounds(corner1, corner2);
 
         const imgLayer = L.imageOverlay(image.url, bounds, layerOptions);
-        connectInteractiveLayerEvents(imgLayer, objectReference);
+        // the bounds do not tell which of their corners is which, an update may change only one of them
+        imgLayer.corners = [corner1, corner2];
+        connectInteractiveLayerEvents(imgLayer, objectReference, image.events);
         addLayer(mapId, imgLayer, image.id);
     },
     addImageRotatedLayer: function (mapId, image, objectReference) {
@@ -197,32 +427,198 @@ window.leafletBlazor = {
 
 
         const imgLayer = L.imageOverlay.rotated(image.url, corner1, corner2, corner3, layerOptions);
-        connectInteractiveLayerEvents(imgLayer, objectReference);
+        connectInteractiveLayerEvents(imgLayer, objectReference, image.events);
         addLayer(mapId, imgLayer, image.id);
     },
     addGeoJsonLayer: function (mapId, geodata, objectReference) {
-        const geoDataObject = JSON.parse(geodata.geoJsonData);
-        var options = {
-            ...createInteractiveLayer(geodata),
-            title: geodata.title,
-            bubblingMouseEvents: geodata.isBubblingMouseEvents,
-            onEachFeature: function onEachFeature(feature, layer) {
-                connectInteractionEvents(layer, objectReference);
-            }
-        };
-
-        const geoJsonLayer = L.geoJson(geoDataObject, options);
+        const geoJsonLayer = createGeoJsonLayer(geodata, objectReference);
         addLayer(mapId, geoJsonLayer, geodata.id);
     },
+    setGeoJsonData: function (mapId, layerId, geoJsonData) {
+        const layer = layers[mapId].get(layerId);
+        if (layer !== undefined) {
+            clearFeatures(mapId, layer);
+            if (geoJsonData) {
+                layer.addData(JSON.parse(geoJsonData));
+            }
+        }
+    },
+    addGeoJsonData: function (mapId, layerId, geoJsonData) {
+        const layer = layers[mapId].get(layerId);
+        if (layer !== undefined) {
+            layer.addData(JSON.parse(geoJsonData));
+        }
+    },
+    clearGeoJsonData: function (mapId, layerId) {
+        const layer = layers[mapId].get(layerId);
+        if (layer !== undefined) {
+            clearFeatures(mapId, layer);
+        }
+    },
+    getGeoJsonData: function (mapId, layerId) {
+        const layer = layers[mapId].get(layerId);
+        return layer !== undefined ? JSON.stringify(layer.toGeoJSON()) : null;
+    },
+    updateLayer: function (mapId, layerId, changes) {
+        let layer = findLayer(mapId, layerId);
+        if (layer !== undefined) {
+            applyLayerChanges(mapId, layer, changes);
+            if (layer.clusterLayer) {
+                layer.clusterLayer.refreshClusters(layer);
+            }
+        }
+    },
+    // returns the ids of the layers that could not be added, one of them does not keep the others off the map
+    addLayers: function (mapId, calls) {
+        const failures = [];
+        for (const call of calls) {
+            try {
+                window.leafletBlazor[call.function](mapId, ...call.args);
+            } catch (error) {
+                discardLayer(mapId, call.layerId);
+                failures.push({ layerId: call.layerId, message: error.message });
+            }
+        }
+        return failures;
+    },
     removeLayer: function (mapId, layerId) {
-        const remainingLayers = layers[mapId].filter((layer) => layer.id !== layerId);
-        const layersToBeRemoved = layers[mapId].filter((layer) => layer.id === layerId); // should be only one ...
-        layers[mapId] = remainingLayers;
+        const layer = layers[mapId].get(layerId);
+        if (layer !== undefined) {
+            layers[mapId].delete(layerId);
+            layerControls[mapId].forEach(control => control.removeLayer(layer));
+            // released first, what a layer keeps to be added again is not needed
+            releaseLayer(layer);
+            layer.removeFrom(maps[mapId]);
+            // pending throttled or debounced events would call into the disposed .NET layer
+            getEventElements(layer).concat(Object.values(layer.markers || {})).forEach(unsubscribeAllEvents);
+            // a running animation would go on moving the removed marker
+            stopAnimations(layer);
+        }
+    },
+    removeLayers: function (mapId, layerIds) {
+        for (const layerId of layerIds) {
+            window.leafletBlazor.removeLayer(mapId, layerId);
+        }
+    },
+    addLayerControl: function (mapId, layerControl) {
+        const map = maps[mapId];
+        const control = createLayerControl(mapId, layerControl);
 
-        layersToBeRemoved.forEach(m => m.removeFrom(maps[mapId]));
+        // only the visible base layer and overlays stay on the map
+        const visibleBaseLayer = layerControl.baseLayers.find(e => e.visible) || layerControl.baseLayers[0];
+        const hiddenLayers = layerControl.baseLayers.filter(e => e !== visibleBaseLayer)
+            .concat(layerControl.overlays.filter(e => !e.visible));
+        for (const entry of hiddenLayers) {
+            const layer = layers[mapId].get(entry.layerId);
+            if (layer !== undefined) {
+                map.removeLayer(layer);
+            }
+        }
+
+        control.addTo(map);
+        layerControls[mapId].set(layerControl.id, control);
+        if (drawStates[mapId].urlHash) {
+            drawStates[mapId].urlHash.applyOverlays();
+        }
+    },
+    updateLayerControl: function (mapId, layerControl) {
+        window.leafletBlazor.removeLayerControl(mapId, layerControl.id);
+        const control = createLayerControl(mapId, layerControl);
+        control.addTo(maps[mapId]);
+        layerControls[mapId].set(layerControl.id, control);
+    },
+    removeLayerControl: function (mapId, controlId) {
+        const control = layerControls[mapId].get(controlId);
+        if (control !== undefined) {
+            control.remove();
+            layerControls[mapId].delete(controlId);
+        }
+    },
+    addControl: function (mapId, controlId, element, position) {
+        const control = new ElementControl(element, { position: position });
+        control.addTo(maps[mapId]);
+        controls[mapId].set(controlId, control);
+    },
+    addBuiltInControl: function (mapId, control) {
+        const leafletControl = createBuiltInControl(control).addTo(maps[mapId]);
+        // a hidden control keeps its place in the corner
+        leafletControl.getContainer().style.display = control.visible ? "" : "none";
+        controls[mapId].set(control.id, leafletControl);
+    },
+    updateBuiltInControl: function (mapId, control) {
+        const previous = controls[mapId].get(control.id);
+        window.leafletBlazor.addBuiltInControl(mapId, control);
+        if (previous === undefined) {
+            return;
+        }
+
+        // the new control takes the place of the previous one when it stays in the same corner
+        const container = controls[mapId].get(control.id).getContainer();
+        const previousContainer = previous.getContainer();
+        if (previousContainer.parentNode === container.parentNode) {
+            previousContainer.parentNode.insertBefore(container, previousContainer);
+        }
+        previous.remove();
+    },
+    setControlPosition: function (mapId, controlId, position) {
+        const control = controls[mapId].get(controlId);
+        if (control !== undefined) {
+            control.setPosition(position);
+        }
+    },
+    removeControl: function (mapId, controlId) {
+        if (maps[mapId] === undefined) {
+            return;
+        }
+
+        const control = controls[mapId].get(controlId);
+        if (control !== undefined) {
+            control.remove();
+            controls[mapId].delete(controlId);
+        }
+    },
+    setOverlayElements: function (mapId, overlays) {
+        if (maps[mapId] === undefined) {
+            return;
+        }
+
+        for (const overlay of overlays) {
+            const layer = findLayer(mapId, overlay.layerId);
+            if (layer === undefined) {
+                continue;
+            }
+
+            // setting the same element again would re-render an open popup for nothing
+            const divOverlay = overlay.kind === "popup" ? layer.getPopup() : layer.getTooltip();
+            if (divOverlay && divOverlay.getContent() !== overlay.element) {
+                divOverlay.setContent(overlay.element);
+            }
+        }
+    },
+    updateEventSubscription: function (mapId, layerId, eventName, subscribed, rate) {
+        if (maps[mapId] === undefined) {
+            return;
+        }
+
+        const layer = layerId === null ? undefined : findLayer(mapId, layerId);
+        const elements = layerId === null ? [maps[mapId]] : getEventElements(layer);
+        if (layer instanceof L.GeoJSON) {
+            if (subscribed) {
+                layer.subscriptions[eventName] = rate;
+            } else {
+                delete layer.subscriptions[eventName];
+            }
+        }
+        for (const element of elements) {
+            if (subscribed) {
+                subscribeEvent(element, eventName, rate);
+            } else {
+                unsubscribeEvent(element, eventName);
+            }
+        }
     },
     updatePopupContent: function (mapId, layerId, content) {
-        let layer = layers[mapId].find(l => l.id === layerId);
+        let layer = layers[mapId].get(layerId);
         if (layer !== undefined) {
             var popup = layer.getPopup();
             if (popup !== undefined) {
@@ -231,7 +627,7 @@ window.leafletBlazor = {
         }
     },
     updateTooltipContent: function (mapId, layerId, content) {
-        let layer = layers[mapId].find(l => l.id === layerId);
+        let layer = layers[mapId].get(layerId);
         if (layer !== undefined) {
             var tooltip = layer.getTooltip();
             if (tooltip !== undefined) {
@@ -248,6 +644,78 @@ window.leafletBlazor = {
             maxZoom: maxZoom
         });
     },
+    setView: function (mapId, center, zoom, options) {
+        maps[mapId].setView(L.latLng(center), zoom, createZoomPanOptions(options));
+    },
+    flyTo: function (mapId, center, zoom, options) {
+        maps[mapId].flyTo(L.latLng(center), zoom === null ? undefined : zoom, createZoomPanOptions(options));
+    },
+    flyToBounds: function (mapId, bounds, padding, maxZoom, options) {
+        maps[mapId].flyToBounds(L.latLngBounds(bounds.southWest, bounds.northEast), {
+            ...createZoomPanOptions(options),
+            padding: padding == null ? null : L.point(padding.x, padding.y),
+            maxZoom: maxZoom
+        });
+    },
+    setZoom: function (mapId, zoom, options) {
+        maps[mapId].setZoom(zoom, createZoomPanOptions(options));
+    },
+    panBy: function (mapId, offset, options) {
+        maps[mapId].panBy(L.point(offset.x, offset.y), createZoomPanOptions(options));
+    },
+    setMinZoom: function (mapId, zoom) {
+        const crs = maps[mapId].options.crs;
+        maps[mapId].setMinZoom(limitZoom(crs, zoom === null ? undefined : zoom, crs.minZoom));
+    },
+    setMaxZoom: function (mapId, zoom) {
+        const crs = maps[mapId].options.crs;
+        maps[mapId].setMaxZoom(limitZoom(crs, zoom === null ? undefined : zoom, crs.maxZoom));
+    },
+    setMaxBounds: function (mapId, bounds) {
+        maps[mapId].setMaxBounds(bounds ? L.latLngBounds(bounds.southWest, bounds.northEast) : null);
+    },
+    createPane: function (mapId, name, zIndex, pointerEvents, renderer) {
+        const pane = getPane(maps[mapId], name);
+        if (zIndex !== null) {
+            pane.style.zIndex = zIndex;
+        }
+        pane.style.pointerEvents = pointerEvents ? "" : "none";
+
+        if (renderer) {
+            paneRenderers[mapId].set(name, createRenderer(renderer, name));
+        } else {
+            paneRenderers[mapId].delete(name);
+        }
+        // the paths already in the pane are drawn again by the new renderer
+        for (const layer of layers[mapId].values()) {
+            setPaneRenderer(mapId, layer, name);
+        }
+    },
+    setPaneZIndex: function (mapId, name, zIndex) {
+        const pane = getPane(maps[mapId], name);
+        pane.style.zIndex = zIndex !== null ? zIndex : "";
+    },
+    enableUrlHash: function (mapId, key, overlaysKey) {
+        for (const [otherId, otherState] of Object.entries(drawStates)) {
+            const other = otherState.urlHash;
+            if (otherId !== mapId && other && other.enabled() && (other.usesKey(key) || other.usesKey(overlaysKey))) {
+                throw new Error("The URL hash parameter " + key + " or " + overlaysKey + " is used by another map.");
+            }
+        }
+
+        const state = drawStates[mapId];
+        if (state.urlHash) {
+            state.urlHash.disable();
+        }
+        state.urlHash = new UrlHash(maps[mapId], () => getOverlays(mapId), { key: key, overlaysKey: overlaysKey });
+        state.urlHash.enable();
+    },
+    disableUrlHash: function (mapId) {
+        const state = drawStates[mapId];
+        if (state.urlHash) {
+            state.urlHash.disable();
+        }
+    },
     panTo: function (mapId, position, animate, duration, easeLinearity, noMoveStart) {
         const pos = L.latLng(position.x, position.y);
         maps[mapId].panTo(pos, {
@@ -274,96 +742,947 @@ window.leafletBlazor = {
     getBounds: function (mapId) {
         return maps[mapId].getBounds();
     },
-    zoomIn: function (mapId, e) {
+    exportImage: function (mapId, options) {
+        return exportMapImage(maps[mapId], options, layer => getLayerId(mapId, layer));
+    },
+    printImage: function (mapId, options) {
+        return printMapImage(maps[mapId], options, layer => getLayerId(mapId, layer));
+    },
+    project: function (mapId, latlng) {
+        const point = maps[mapId].options.crs.project(L.latLng(latlng.lat, latlng.lng));
+        return { x: point.x, y: point.y };
+    },
+    unproject: function (mapId, point) {
+        return maps[mapId].options.crs.unproject(L.point(point.x, point.y));
+    },
+    // zooms by the given delta, or by the zoom delta of the map (three times with shift held down during e)
+    zoomIn: function (mapId, e, delta) {
         const map = maps[mapId];
 
         if (map.getZoom() < map.getMaxZoom()) {
-            map.zoomIn(map.options.zoomDelta * (e.shiftKey ? 3 : 1));
+            map.zoomIn(delta != null ? delta : map.options.zoomDelta * (e && e.shiftKey ? 3 : 1));
         }
     },
-    zoomOut: function (mapId, e) {
+    zoomOut: function (mapId, e, delta) {
         const map = maps[mapId];
 
         if (map.getZoom() > map.getMinZoom()) {
-            map.zoomOut(map.options.zoomDelta * (e.shiftKey ? 3 : 1));
+            map.zoomOut(delta != null ? delta : map.options.zoomDelta * (e && e.shiftKey ? 3 : 1));
+        }
+    },
+    openLayerPopup: function (mapId, layerId, position) {
+        const layer = findLayer(mapId, layerId);
+        if (layer !== undefined) {
+            layer.openPopup(position || undefined);
+        }
+    },
+    closeLayerPopup: function (mapId, layerId) {
+        const layer = findLayer(mapId, layerId);
+        if (layer !== undefined) {
+            layer.closePopup();
+        }
+    },
+    openLayerTooltip: function (mapId, layerId, position) {
+        const layer = findLayer(mapId, layerId);
+        if (layer !== undefined) {
+            layer.openTooltip(position || undefined);
+        }
+    },
+    closeLayerTooltip: function (mapId, layerId) {
+        const layer = findLayer(mapId, layerId);
+        if (layer !== undefined) {
+            layer.closeTooltip();
+        }
+    },
+    startDrawing: function (mapId, shapeType, options) {
+        const state = drawStates[mapId];
+        if (state.drawTool) {
+            state.drawTool.disable();
+        }
+
+        const drawOptions = createDrawOptions(options);
+        state.drawTool = new DrawTool(maps[mapId], shapeType, drawOptions, function (geometry) {
+            if (!drawOptions.repeatMode) {
+                state.drawTool = null;
+            }
+            mapReferences[mapId].invokeMethodAsync("NotifyDrawCreated", { type: "drawcreated", ...geometry });
+        }).enable();
+    },
+    stopDrawing: function (mapId) {
+        const state = drawStates[mapId];
+        if (state.drawTool) {
+            state.drawTool.disable();
+            state.drawTool = null;
+        }
+    },
+    startMeasuring: function (mapId, shapeType, units, options) {
+        window.leafletBlazor.stopMeasuring(mapId);
+
+        // the tool is kept after the last measurement, it owns the measured shapes shown until stopMeasuring
+        drawStates[mapId].measureTool = new MeasureTool(maps[mapId], shapeType, units, createDrawOptions(options), function (measurement) {
+            mapReferences[mapId].invokeMethodAsync("NotifyMeasure", { type: "measure", ...measurement });
+        }).enable();
+    },
+    stopMeasuring: function (mapId) {
+        const state = drawStates[mapId];
+        if (state.measureTool) {
+            state.measureTool.disable().clear();
+            state.measureTool = null;
+        }
+    },
+    getLayersAt: function (mapId, position, tolerance) {
+        const map = maps[mapId];
+        const point = map.latLngToContainerPoint(position);
+        return getMatchingLayerIds(mapId, layer => isLayerAt(map, layer, point, tolerance));
+    },
+    getLayersWithin: function (mapId, bounds, rings) {
+        const area = bounds ? L.latLngBounds(bounds.southWest, bounds.northEast) : rings.map(ring => ring.map(ll => L.latLng(ll)));
+        const contains = getAreaTest(area);
+        return getMatchingLayerIds(mapId, layer => isLayerWithin(layer, contains));
+    },
+    startBoxSelection: function (mapId) {
+        const state = drawStates[mapId];
+        if (state.boxSelect) {
+            return;
+        }
+
+        state.boxSelect = new BoxSelect(maps[mapId], function (bounds) {
+            const contains = getAreaTest(bounds);
+            mapReferences[mapId].invokeMethodAsync("NotifyBoxSelect", {
+                type: "boxselect",
+                bounds: {
+                    southWest: bounds.getSouthWest(),
+                    northEast: bounds.getNorthEast()
+                },
+                layerIds: getMatchingLayerIds(mapId, layer => isLayerWithin(layer, contains))
+            });
+        });
+        state.boxSelect.enable();
+    },
+    stopBoxSelection: function (mapId) {
+        const state = drawStates[mapId];
+        if (state.boxSelect) {
+            state.boxSelect.disable();
+            state.boxSelect = null;
+        }
+    },
+    enableEditing: function (mapId, layerId, featureId) {
+        const state = drawStates[mapId];
+        const key = featureId ? layerId + "/" + featureId : layerId;
+        let layer = layers[mapId].get(layerId);
+        if (layer !== undefined && featureId) {
+            layer = findFeature(layer, featureId);
+        }
+        if (layer === undefined || state.editTools[key]) {
+            return;
+        }
+
+        state.editTools[key] = new EditTool(maps[mapId], layer, function (geometry) {
+            mapReferences[mapId].invokeMethodAsync("NotifyDrawEdited", {
+                type: "drawedited",
+                ...geometry,
+                layerId: layerId,
+                featureId: featureId || null
+            });
+        }).enable();
+    },
+    disableEditing: function (mapId, layerId, featureId) {
+        const state = drawStates[mapId];
+        const key = featureId ? layerId + "/" + featureId : layerId;
+        if (state.editTools[key]) {
+            state.editTools[key].disable();
+            delete state.editTools[key];
+        }
+    },
+    startDeleting: function (mapId) {
+        const state = drawStates[mapId];
+        if (state.deleteHandler) {
+            return;
+        }
+
+        // layers added while deleting get the handler in addLayer
+        state.deleteHandler = function (e) {
+            L.DomEvent.stop(e);
+            const layer = e.target;
+            const geometry = serializeGeometry(layer);
+            window.leafletBlazor.disableEditing(mapId, layer.id);
+            window.leafletBlazor.removeLayer(mapId, layer.id);
+            mapReferences[mapId].invokeMethodAsync("NotifyDrawDeleted", { type: "drawdeleted", ...geometry });
+        };
+        for (const l of layers[mapId].values()) {
+            if (getShapeType(l) !== null) {
+                l.on("click", state.deleteHandler);
+            }
         }
     },
-    openLayerPopup: function (mapId, layerId) {
-        let layer = layers[mapId].find(l => l.id === layerId);
-        layer.openPopup();
+    stopDeleting: function (mapId) {
+        const state = drawStates[mapId];
+        if (!state.deleteHandler) {
+            return;
+        }
+
+        layers[mapId].forEach(l => l.off("click", state.deleteHandler));
+        state.deleteHandler = null;
     }
 };
 
-function createIcon(icon) {
-    return L.icon({
-        iconUrl: icon.url,
-        iconRetinaUrl: icon.retinaUrl,
-        iconSize: icon.size ? L.point(icon.size.width, icon.size.height) : null,
-        iconAnchor: icon.anchor ? L.point(icon.anchor.x, icon.anchor.y) : null,
-        popupAnchor: L.point(icon.popupAnchor.x, icon.popupAnchor.y),
-        tooltipAnchor: L.point(icon.tooltipAnchor.x, icon.tooltipAnchor.y),
-        shadowUrl: icon.shadowUrl,
-        shadowRetinaUrl: icon.shadowRetinaUrl,
-        shadowSize: icon.shadowSize ? L.point(icon.shadowSize.width, icon.shadowSize.height) : null,
-        shadowSizeAnchor: icon.shadowSizeAnchor ? L.point(icon.shadowSizeAnchor.width, icon.shadowSizeAnchor.height) : null,
-        className: icon.className
-    })
-}
-
-function shapeToLatLngArray(shape) {
-    var latlngs = [];
-    shape.forEach(pts => {
-        var ll = [];
-        pts.forEach(p => ll.push([p.x, p.y]));
-        latlngs.push(ll);
+function createMap(map, crs, objectReference) {
+    const leafletMap = L.map(map.id, {
+        crs: crs,
+        center: map.center,
+        zoom: map.zoom,
+        zoomControl: map.zoomControl,
+        minZoom: limitZoom(crs, map.minZoom ? map.minZoom : undefined, crs.minZoom),
+        maxZoom: limitZoom(crs, map.maxZoom ? map.maxZoom : undefined, crs.maxZoom),
+        maxBounds: map.maxBounds && map.maxBounds.item1 && map.maxBounds.item2 ? L.latLngBounds(map.maxBounds.item1, map.maxBounds.item2) : undefined,
+        renderer: map.renderer ? createRenderer(map.renderer) : undefined,
+        // panes without a renderer of their own get a canvas as well
+        preferCanvas: map.renderer ? map.renderer.type === "canvas" : false,
     });
 
-    return latlngs;
+    connectMapEvents(leafletMap, objectReference, map.events);
+    maps[map.id] = leafletMap;
+    layers[map.id] = new Map();
+    mapReferences[map.id] = objectReference;
+    drawStates[map.id] = { drawTool: null, measureTool: null, boxSelect: null, urlHash: null, editTools: {}, deleteHandler: null };
+    layerControls[map.id] = new Map();
+    controls[map.id] = new Map();
+    paneRenderers[map.id] = new Map();
 }
 
-function createPolyline(polyline) {
-    return {
-        ...createPath(polyline),
-        smoothFactor: polyline.smoothFactor,
-        noClip: polyline.noClipEnabled
-    };
+// Keeps a zoom level within the range of a CRS that has one, like a proj4 CRS with resolutions, defaultZoom
+// stands for a level that is not set.
+function limitZoom(crs, zoom, defaultZoom) {
+    if (crs.minZoom === undefined || crs.maxZoom === undefined) {
+        return zoom;
+    }
+    return Math.min(Math.max(zoom === undefined ? defaultZoom : zoom, crs.minZoom), crs.maxZoom);
 }
 
-function createPath(path) {
-    return {
-        ...createInteractiveLayer(path),
-        stroke: path.drawStroke,
-        color: getColorString(path.strokeColor),
-        weight: path.strokeWidth,
-        opacity: path.strokeOpacity,
-        lineCap: path.lineCap,
-        lineJoin: path.lineJoin,
-        dashArray: path.strokeDashArray,
-        dashOffset: path.strokeDashOffset,
-        fill: path.fill,
-        fillColor: getColorString(path.fillColor),
-        fillOpacity: path.fillOpacity,
-        fillRule: path.fillRule
-    };
+function createTileLayer(tileLayer) {
+    return L.tileLayer(tileLayer.urlTemplate, {
+        attribution: tileLayer.attribution,
+        pane: tileLayer.pane,
+        // ---
+        tileSize: tileLayer.tileSize ? L.point(tileLayer.tileSize.width, tileLayer.tileSize.height) : undefined,
+        opacity: tileLayer.opacity,
+        updateWhenZooming: tileLayer.updateWhenZooming,
+        updateInterval: tileLayer.updateInterval,
+        zIndex: tileLayer.zIndex,
+        bounds: tileLayer.bounds && tileLayer.bounds.item1 && tileLayer.bounds.item2 ? L.latLngBounds(tileLayer.bounds.item1, tileLayer.bounds.item2) : undefined,
+        // ---
+        minZoom: tileLayer.minimumZoom,
+        maxZoom: tileLayer.maximumZoom,
+        subdomains: tileLayer.subdomains,
+        errorTileUrl: tileLayer.errorTileUrl,
+        zoomOffset: tileLayer.zoomOffset,
+        // TMS
+        zoomReverse: tileLayer.isZoomReversed,
+        detectRetina: tileLayer.detectRetina,
+        crossOrigin: tileLayer.crossOrigin,
+    });
 }
 
-function createInteractiveLayer(layer) {
-    return {
-        ...createLayer(layer),
-        interactive: layer.isInteractive,
-        bubblingMouseEvents: layer.isBubblingMouseEvents
-    };
+// L.SVG or L.Canvas of a Models.Renderer, for the paths of a pane or, without one, of the map
+function createRenderer(renderer, pane) {
+    const options = { padding: renderer.padding };
+    if (pane) {
+        options.pane = pane;
+    }
+    return renderer.type === "canvas" ? L.canvas({ ...options, tolerance: renderer.tolerance }) : L.svg(options);
 }
 
-function createLayer(obj) {
-    return {
-        id: obj.id,
-        pane: obj.pane,
-        attribution: obj.attribution
-    };
+// Panes are created when a layer or Map.SetPaneZIndex first refers to them, so Map.CreatePane is optional.
+function getPane(map, name) {
+    return map.getPane(name) || map.createPane(name);
 }
 
-function getColorString(color) {
+/*
+ * Gives the paths of a layer, or of its features, in the pane the renderer set for that pane or, if there is none,
+ * the default of the map. Paths already on the map are added again, since Leaflet keeps the renderer of a path
+ * while it is on the map. Groups keep the renderer in their options as well, for the features added to them later.
+ */
+function setPaneRenderer(mapId, layer, paneName) {
+    if (layer instanceof L.Path) {
+        if ((layer.options.pane || "overlayPane") !== paneName) {
+            return;
+        }
+        const renderer = paneRenderers[mapId].get(paneName);
+        if (layer.options.renderer === renderer) {
+            return;
+        }
+        layer.options.renderer = renderer;
+        if (layer._map) {
+            const map = layer._map;
+            map.removeLayer(layer);
+            map.addLayer(layer);
+        }
+    } else if (layer instanceof L.LayerGroup) {
+        if ((layer.options.pane || "overlayPane") === paneName) {
+            layer.options.renderer = paneRenderers[mapId].get(paneName);
+        }
+        layer.eachLayer(child => setPaneRenderer(mapId, child, paneName));
+    }
+}
+
+// Models.ZoomPanOptions without the values left to Leaflet
+function createZoomPanOptions(options) {
+    if (!options) {
+        return {};
+    }
+    const zoomPanOptions = { noMoveStart: options.noMoveStart };
+    for (const key of ["animate", "duration", "easeLinearity"]) {
+        if (options[key] !== null) {
+            zoomPanOptions[key] = options[key];
+        }
+    }
+    return zoomPanOptions;
+}
+
+// the overlays of all layer controls of a map
+function getOverlays(mapId) {
+    return Array.from(layerControls[mapId].values())
+        .flatMap(control => control._layers.filter(entry => entry.overlay))
+        .map(entry => ({ name: entry.name, layer: entry.layer }));
+}
+
+function createDrawOptions(options) {
+    return {
+        ...options,
+        strokeColor: options.strokeColor ? getColorString(options.strokeColor) : undefined,
+        fillColor: options.fillColor ? getColorString(options.fillColor) : undefined
+    };
+}
+
+// The id of a layer of the map, undefined for layers not added from .NET, like the markers of clusters.
+function getLayerId(mapId, layer) {
+    for (const [id, mapLayer] of layers[mapId]) {
+        if (mapLayer === layer) {
+            return id;
+        }
+    }
+    return undefined;
+}
+
+function createMarker(marker) {
+    var options = {
+        ...createInteractiveLayer(marker),
+        keyboard: marker.isKeyboardAccessible,
+        title: marker.title,
+        alt: marker.alt,
+        zIndexOffset: marker.zIndexOffset,
+        opacity: marker.opacity,
+        riseOnHover: marker.riseOnHover,
+        riseOffset: marker.riseOffset,
+        pane: marker.pane,
+        bubblingMouseEvents: marker.isBubblingMouseEvents,
+        draggable: marker.draggable,
+        autoPan: marker.useAutopan,
+        autoPanPadding: marker.autoPanPadding,
+        autoPanSpeed: marker.autoPanSpeed,
+        rotationAngle: marker.rotationAngle,
+        rotationOrigin: marker.rotationOrigin
+    };
+
+    if (marker.icon !== null) {
+        options.icon = createIcon(marker.icon);
+    }
+    return L.marker(marker.position, options);
+}
+
+function addClusterMarkers(clusterLayer, markers) {
+    const mkrs = markers.map(marker => {
+        const mkr = createMarker(marker);
+        mkr.id = marker.id;
+        mkr.clusterLayer = clusterLayer;
+        connectClusterMarkerEvents(mkr, clusterLayer.objectReference, marker.events);
+        setTooltipAndPopupIfDefined(marker, mkr);
+        clusterLayer.markers[marker.id] = mkr;
+        return mkr;
+    });
+    clusterLayer.addLayers(mkrs);
+}
+
+// creates the L.Icon, L.DivIcon or PinIcon of a Models.Icon, told apart by the iconType discriminator
+function createIcon(icon) {
+    switch (icon.iconType) {
+        case "div":
+            return L.divIcon({
+                ...createIconOptions(icon),
+                html: icon.html || "",
+                bgPos: toPoint(icon.backgroundPosition)
+            });
+        case "pin":
+            return new PinIcon({
+                ...createIconOptions(icon),
+                // empty anchors are derived from the size of the pin
+                popupAnchor: isEmptyPoint(icon.popupAnchor) ? null : toPoint(icon.popupAnchor),
+                tooltipAnchor: isEmptyPoint(icon.tooltipAnchor) ? null : toPoint(icon.tooltipAnchor),
+                color: getColorString(icon.color),
+                strokeColor: icon.strokeColor ? getColorString(icon.strokeColor) : undefined,
+                glyph: icon.glyph,
+                glyphColor: getColorString(icon.glyphColor),
+                label: icon.label
+            });
+        default:
+            return L.icon({
+                ...createIconOptions(icon),
+                iconUrl: icon.url,
+                iconRetinaUrl: icon.retinaUrl,
+                shadowUrl: icon.shadowUrl,
+                shadowRetinaUrl: icon.shadowRetinaUrl,
+                shadowSize: icon.shadowSize ? L.point(icon.shadowSize.width, icon.shadowSize.height) : null,
+                shadowAnchor: toPoint(icon.shadowAnchor)
+            });
+    }
+}
+
+// the options all kinds of icons share
+function createIconOptions(icon) {
+    return {
+        iconSize: icon.size ? L.point(icon.size.width, icon.size.height) : null,
+        iconAnchor: toPoint(icon.anchor),
+        popupAnchor: L.point(icon.popupAnchor.x, icon.popupAnchor.y),
+        tooltipAnchor: L.point(icon.tooltipAnchor.x, icon.tooltipAnchor.y),
+        className: icon.className
+    };
+}
+
+function toPoint(point) {
+    return point ? L.point(point.x, point.y) : null;
+}
+
+function isEmptyPoint(point) {
+    return !point || (point.x === 0 && point.y === 0);
+}
+
+function shapeToLatLngArray(shape) {
+    var latlngs = [];
+    shape.forEach(pts => {
+        var ll = [];
+        pts.forEach(p => ll.push([p.x, p.y]));
+        latlngs.push(ll);
+    });
+
+    return latlngs;
+}
+
+function createPolyline(polyline) {
+    return {
+        ...createPath(polyline),
+        smoothFactor: polyline.smoothFactor,
+        noClip: polyline.noClipEnabled
+    };
+}
+
+function createPath(path) {
+    return {
+        ...createInteractiveLayer(path),
+        stroke: path.drawStroke,
+        color: getColorString(path.strokeColor),
+        weight: path.strokeWidth,
+        opacity: path.strokeOpacity,
+        lineCap: path.lineCap,
+        lineJoin: path.lineJoin,
+        dashArray: path.strokeDashArray,
+        dashOffset: path.strokeDashOffset,
+        fill: path.fill,
+        fillColor: getColorString(path.fillColor),
+        fillOpacity: path.fillOpacity,
+        fillRule: path.fillRule
+    };
+}
+
+// maps the names of the .NET Path properties to the Leaflet path options
+const pathStyleProperties = {
+    drawStroke: "stroke",
+    strokeColor: "color",
+    strokeWidth: "weight",
+    strokeOpacity: "opacity",
+    lineCap: "lineCap",
+    lineJoin: "lineJoin",
+    strokeDashArray: "dashArray",
+    strokeDashOffset: "dashOffset",
+    fill: "fill",
+    fillColor: "fillColor",
+    fillOpacity: "fillOpacity",
+    fillRule: "fillRule"
+};
+
+// applies the changed properties of a .NET layer onto the existing Leaflet layer, without re-creating it
+function applyLayerChanges(mapId, layer, changes) {
+    const map = maps[mapId];
+    if ("attribution" in changes && map.attributionControl) {
+        map.attributionControl.removeAttribution(layer.options.attribution);
+        map.attributionControl.addAttribution(changes.attribution);
+        layer.options.attribution = changes.attribution;
+    }
+    if ("tooltip" in changes) {
+        if (layer.getTooltip()) {
+            layer.unbindTooltip();
+        }
+        if (changes.tooltip) {
+            addTooltip(layer, changes.tooltip);
+        }
+    }
+    if ("popup" in changes) {
+        if (layer.getPopup()) {
+            layer.unbindPopup();
+        }
+        if (changes.popup) {
+            addPopup(layer, changes.popup);
+        }
+    }
+
+    if ("events" in changes) {
+        getEventElements(layer).forEach(element => syncEventSubscriptions(element, changes.events));
+    }
+
+    if (layer instanceof L.GeoJSON) {
+        applyGeoJsonChanges(mapId, layer, changes);
+    } else if (layer instanceof L.Path) {
+        applyPathChanges(layer, changes);
+    } else if (layer instanceof L.Marker) {
+        applyMarkerChanges(layer, changes);
+    } else if (layer instanceof L.ImageOverlay) {
+        applyImageChanges(layer, changes);
+    } else if (layer instanceof L.HeatLayer) {
+        applyHeatChanges(layer, changes);
+    } else if (layer instanceof L.GridLayer) {
+        if ("urlTemplate" in changes && layer.setUrl) {
+            layer.setUrl(changes.urlTemplate);
+        }
+        if ("url" in changes && layer instanceof MbTilesLayer) {
+            layer.setUrl(changes.url);
+        }
+        if (layer instanceof VectorTileLayer) {
+            applyVectorTileChanges(layer, changes);
+        }
+        if (layer instanceof WmsLayer) {
+            applyWmsChanges(layer, changes);
+        }
+        if (layer instanceof WmtsLayer) {
+            applyWmtsChanges(layer, changes);
+        }
+        if ("tms" in changes) {
+            layer.options.tms = changes.tms;
+            layer.redraw();
+        }
+        if ("opacity" in changes) {
+            layer.setOpacity(changes.opacity);
+        }
+        if ("zIndex" in changes) {
+            layer.setZIndex(changes.zIndex);
+        }
+    }
+}
+
+function applyPathChanges(layer, changes) {
+    const style = {};
+    for (let key in pathStyleProperties) {
+        if (key in changes) {
+            style[pathStyleProperties[key]] = key === "strokeColor" || key === "fillColor"
+                ? getColorString(changes[key])
+                : changes[key];
+        }
+    }
+    if (Object.keys(style).length > 0) {
+        layer.setStyle(style);
+    }
+
+    if ("smoothFactory" in changes || "noClipEnabled" in changes) {
+        if ("smoothFactory" in changes) {
+            layer.options.smoothFactor = changes.smoothFactory;
+        }
+        if ("noClipEnabled" in changes) {
+            layer.options.noClip = changes.noClipEnabled;
+        }
+        layer.redraw();
+    }
+
+    if ("shape" in changes) {
+        const shape = changes.shape;
+        if (layer instanceof L.Rectangle) {
+            layer.setBounds([[shape.bottom, shape.left], [shape.top, shape.right]]);
+        } else if (layer.setLatLngs) {
+            layer.setLatLngs(shapeToLatLngArray(shape));
+        }
+    }
+    if ("position" in changes && layer.setLatLng) {
+        layer.setLatLng(changes.position);
+    }
+    if ("radius" in changes && layer.setRadius) {
+        layer.setRadius(changes.radius);
+    }
+}
+
+function createGeoJsonLayer(geodata, objectReference) {
+    var options = {
+        ...createInteractiveLayer(geodata),
+        title: geodata.title,
+        bubblingMouseEvents: geodata.isBubblingMouseEvents,
+        style: function (feature) {
+            const { icon, ...style } = getFeatureStyle(geoJsonLayer, feature);
+            return style;
+        },
+        pointToLayer: function (feature, latlng) {
+            return L.marker(latlng, { icon: createFeatureIcon(geoJsonLayer, feature) });
+        },
+        onEachFeature: function onEachFeature(feature, layer) {
+            connectFeatureEvents(layer, objectReference, geoJsonLayer.subscriptions);
+            if (geodata.propertyPopups) {
+                const content = createPropertyTable(feature.properties);
+                if (content !== null) {
+                    layer.bindPopup(content);
+                }
+            }
+        }
+    };
+
+    const geoJsonLayer = L.geoJson(null, options);
+    geoJsonLayer.featureStyle = geodata.style;
+    geoJsonLayer.styleRules = geodata.styleRules || [];
+    // features added later are connected to the events subscribed by then
+    geoJsonLayer.subscriptions = { ...geodata.events };
+    if (geodata.geoJsonData) {
+        geoJsonLayer.addData(JSON.parse(geodata.geoJsonData));
+    }
+    return geoJsonLayer;
+}
+
+// Replaces the features of a GeoJSON layer with those read asynchronously, firing "dataload" or "dataerror".
+// Resolves to the features read as GeoJSON text, or to null if they could not be read.
+function loadFeatures(mapId, geoJsonLayer, geoJsonPromise) {
+    return geoJsonPromise.then(
+        function (geoJson) {
+            clearFeatures(mapId, geoJsonLayer);
+            geoJsonLayer.addData(geoJson);
+            const geoJsonData = JSON.stringify(geoJson);
+            geoJsonLayer.fire("dataload", { featureCount: geoJsonLayer.getLayers().length, geoJsonData: geoJsonData });
+            return geoJsonData;
+        },
+        function (error) {
+            geoJsonLayer.fire("dataerror", { message: error && error.message ? error.message : String(error) });
+            return null;
+        });
+}
+
+const wmsChangeNames = {
+    layers: "layers",
+    styles: "styles",
+    format: "format",
+    transparent: "transparent",
+    version: "version",
+    uppercase: "uppercase",
+    parameters: "params"
+};
+
+function applyWmsChanges(layer, changes) {
+    if ("url" in changes) {
+        layer.setUrl(changes.url, true);
+    }
+    for (const name of ["featureInfoFormat", "featureInfoCount", "queryLayers"]) {
+        if (name in changes) {
+            layer.options[name] = changes[name];
+        }
+    }
+
+    const options = {};
+    for (const name in wmsChangeNames) {
+        if (name in changes) {
+            options[wmsChangeNames[name]] = changes[name];
+        }
+    }
+    if ("crs" in changes) {
+        options.crs = getCrs(changes.crs);
+    }
+    // reloads the tiles once, also for a changed url
+    if (Object.keys(options).length > 0 || "url" in changes) {
+        layer.setWmsOptions(options);
+    }
+}
+
+const wmtsChangeNames = {
+    layer: "layer",
+    style: "style",
+    tileMatrixSet: "tileMatrixSet",
+    tileMatrixPrefix: "tileMatrixPrefix",
+    format: "format",
+    parameters: "params"
+};
+
+function applyWmtsChanges(layer, changes) {
+    if ("url" in changes) {
+        layer.setUrl(changes.url, true);
+    }
+    const options = {};
+    for (const name in wmtsChangeNames) {
+        if (name in changes) {
+            options[wmtsChangeNames[name]] = changes[name];
+        }
+    }
+    if (Object.keys(options).length > 0 || "url" in changes) {
+        layer.setWmtsOptions(options);
+    }
+}
+
+function applyVectorTileChanges(layer, changes) {
+    if ("mbTilesUrl" in changes && changes.mbTilesUrl) {
+        layer.loadUrl(changes.mbTilesUrl);
+    }
+    if ("layerStyles" in changes || "defaultStyle" in changes) {
+        layer.setStyles(
+            "layerStyles" in changes ? createVectorTileStyles(changes.layerStyles) : layer.options.layerStyles,
+            "defaultStyle" in changes ? createVectorTileStyle(changes.defaultStyle) : layer.options.defaultStyle);
+    }
+}
+
+function createVectorTileStyle(style) {
+    if (!style) {
+        return {};
+    }
+    const options = createPathStyle(style);
+    if (style.pointRadius !== undefined && style.pointRadius !== null) {
+        options.radius = style.pointRadius;
+    }
+    if (style.visible !== undefined && style.visible !== null) {
+        options.visible = style.visible;
+    }
+    return options;
+}
+
+function createVectorTileStyles(layerStyles) {
+    const styles = {};
+    for (const name in layerStyles || {}) {
+        styles[name] = createVectorTileStyle(layerStyles[name]);
+    }
+    return styles;
+}
+
+function createHeatGradient(gradientParts) {
+    if (!gradientParts) {
+        return null;
+    }
+    const gradient = {};
+    for (const part of gradientParts) {
+        gradient[part.point] = part.color;
+    }
+    return gradient;
+}
+
+const heatOptionNames = {
+    minOpacity: "minOpacity",
+    maxZoom: "maxZoom",
+    maxPointIntensity: "max",
+    radius: "radius",
+    blur: "blur"
+};
+
+function applyHeatChanges(layer, changes) {
+    const options = {};
+    for (const name in heatOptionNames) {
+        if (name in changes) {
+            options[heatOptionNames[name]] = changes[name];
+        }
+    }
+    if ("gradient" in changes) {
+        options.gradient = createHeatGradient(changes.gradient);
+        // the heatmap keeps its last gradient when none is set
+        if (options.gradient === null && layer._heat) {
+            layer._heat.gradient(layer._heat.defaultGradient);
+        }
+    }
+    if (Object.keys(options).length > 0) {
+        layer.setOptions(options);
+    }
+}
+
+function applyGeoJsonChanges(mapId, layer, changes) {
+    if ("events" in changes) {
+        layer.subscriptions = { ...changes.events };
+    }
+    if ("style" in changes || "styleRules" in changes) {
+        if ("style" in changes) {
+            layer.featureStyle = changes.style;
+        }
+        if ("styleRules" in changes) {
+            layer.styleRules = changes.styleRules || [];
+        }
+        layer.eachLayer(feature => feature instanceof L.Marker
+            ? feature.setIcon(createFeatureIcon(layer, feature.feature))
+            : layer.resetStyle(feature));
+    }
+    if ("geoJsonData" in changes) {
+        clearFeatures(mapId, layer);
+        if (changes.geoJsonData) {
+            layer.addData(JSON.parse(changes.geoJsonData));
+        }
+    }
+    if (layer.fileOptions) {
+        Object.assign(layer.fileOptions, changes);
+    }
+    if ("url" in changes && changes.url) {
+        loadFeatures(mapId, layer, layer.readData(changes.url));
+    }
+}
+
+// The Leaflet style of a GeoJSON feature: the style of the layer, overridden by the rules matching the feature.
+function getFeatureStyle(geoJsonLayer, feature) {
+    const properties = (feature && feature.properties) || {};
+    // the styles of KML files apply on top of the style of the layer, its rules on top of both
+    const fileStyle = geoJsonLayer.fileOptions && geoJsonLayer.fileOptions.useFileStyles
+        ? getFeatureFileStyle(properties)
+        : undefined;
+    const styles = [geoJsonLayer.featureStyle, fileStyle].concat(geoJsonLayer.styleRules.filter(rule => {
+        const value = properties[rule.property];
+        return value === undefined || value === null ? rule.value === null : String(value) === rule.value;
+    }));
+
+    const options = {};
+    for (const style of styles) {
+        if (!style) {
+            continue;
+        }
+        Object.assign(options, createPathStyle(style));
+        if (style.icon) {
+            options.icon = style.icon;
+        }
+    }
+    return options;
+}
+
+// Leaflet path options from a style of .NET, leaving out the properties that are not set.
+function createPathStyle(style) {
+    const options = {};
+    for (let key in pathStyleProperties) {
+        if (style[key] !== undefined && style[key] !== null) {
+            options[pathStyleProperties[key]] = key === "strokeColor" || key === "fillColor"
+                ? getColorString(style[key])
+                : style[key];
+        }
+    }
+    return options;
+}
+
+function createFeatureIcon(geoJsonLayer, feature) {
+    const icon = getFeatureStyle(geoJsonLayer, feature).icon;
+    return icon ? createIcon(icon) : new L.Icon.Default();
+}
+
+// removes the features of a GeoJSON layer along with their edit handles and pending events
+function clearFeatures(mapId, geoJsonLayer) {
+    const editTools = drawStates[mapId].editTools;
+    for (const key of Object.keys(editTools).filter(k => k.startsWith(geoJsonLayer.id + "/"))) {
+        editTools[key].disable();
+        delete editTools[key];
+    }
+    geoJsonLayer.getLayers().forEach(unsubscribeAllEvents);
+    geoJsonLayer.clearLayers();
+}
+
+function findFeature(geoJsonLayer, featureId) {
+    return geoJsonLayer.getLayers().find(l => l.feature && l.feature.id !== undefined && String(l.feature.id) === featureId);
+}
+
+// the move event of setLatLng also puts a clustered marker in its new cluster
+function moveMarker(marker, position, rotationAngle) {
+    if (marker.animation) {
+        marker.animation.stop();
+    }
+    if (rotationAngle !== undefined && rotationAngle !== null) {
+        marker.options.rotationAngle = rotationAngle;
+    }
+    marker.setLatLng(position);
+}
+
+function applyMarkerChanges(marker, changes) {
+    if ("position" in changes) {
+        moveMarker(marker, changes.position);
+    }
+    if ("rotationAngle" in changes) {
+        marker.setRotationAngle(changes.rotationAngle);
+    }
+    if ("rotationOrigin" in changes) {
+        marker.setRotationOrigin(changes.rotationOrigin);
+    }
+    if ("icon" in changes) {
+        marker.setIcon(changes.icon !== null ? createIcon(changes.icon) : new L.Icon.Default());
+    }
+    if ("opacity" in changes) {
+        marker.setOpacity(changes.opacity);
+    }
+    if ("zIndexOffset" in changes) {
+        marker.setZIndexOffset(changes.zIndexOffset);
+    }
+    if ("draggable" in changes && marker.dragging) {
+        marker.options.draggable = changes.draggable;
+        changes.draggable ? marker.dragging.enable() : marker.dragging.disable();
+    }
+    if ("riseOnHover" in changes) {
+        marker.options.riseOnHover = changes.riseOnHover;
+    }
+    if ("riseOffset" in changes) {
+        marker.options.riseOffset = changes.riseOffset;
+    }
+    if ("title" in changes) {
+        marker.options.title = changes.title;
+        if (marker.getElement()) {
+            marker.getElement().title = changes.title;
+        }
+    }
+    if ("alt" in changes) {
+        marker.options.alt = changes.alt;
+        if (marker.getElement()) {
+            marker.getElement().alt = changes.alt;
+        }
+    }
+}
+
+function applyImageChanges(image, changes) {
+    if ("url" in changes) {
+        image.setUrl(changes.url);
+    }
+    if ("opacity" in changes) {
+        image.setOpacity(changes.opacity);
+    }
+    if ("zIndex" in changes) {
+        image.setZIndex(changes.zIndex);
+    }
+
+    const corners = ["corner1", "corner2", "corner3"];
+    if (corners.some(c => c in changes)) {
+        const toLatLng = corner => L.latLng(corner.x, corner.y);
+        if (image.reposition) {
+            image.reposition(
+                changes.corner1 ? toLatLng(changes.corner1) : image._topLeft,
+                changes.corner2 ? toLatLng(changes.corner2) : image._topRight,
+                changes.corner3 ? toLatLng(changes.corner3) : image._bottomLeft);
+        } else {
+            image.corners = [
+                changes.corner1 ? toLatLng(changes.corner1) : image.corners[0],
+                changes.corner2 ? toLatLng(changes.corner2) : image.corners[1]];
+            image.setBounds(L.latLngBounds(image.corners));
+        }
+    }
+}
+
+function createInteractiveLayer(layer) {
+    return {
+        ...createLayer(layer),
+        interactive: layer.isInteractive,
+        bubblingMouseEvents: layer.isBubblingMouseEvents
+    };
+}
+
+function createLayer(obj) {
+    return {
+        id: obj.id,
+        pane: obj.pane,
+        attribution: obj.attribution
+    };
+}
+
+function getColorString(color) {
     return "rgb(" + color.r + "," + color.g + "," + color.b + ")";
 }
 
@@ -415,10 +1734,135 @@ function addPopup(layerObj, popup) {
 }
 
 
+function createLayerControl(mapId, layerControl) {
+    const control = new GroupedLayersControl(null, null, {
+        position: layerControl.position,
+        collapsed: layerControl.collapsed,
+        hideSingleBase: layerControl.hideSingleBase,
+        sortLayers: layerControl.sortLayers
+    });
+
+    for (const entry of layerControl.baseLayers) {
+        const layer = layers[mapId].get(entry.layerId);
+        if (layer !== undefined) {
+            control.addBaseLayer(layer, entry.name);
+        }
+    }
+    for (const entry of layerControl.overlays) {
+        const layer = layers[mapId].get(entry.layerId);
+        if (layer !== undefined) {
+            control.addOverlay(layer, entry.name, entry.group);
+        }
+    }
+    return control;
+}
+
+// The Leaflet control of a Models.Control, which is not added to a map yet.
+function createBuiltInControl(control) {
+    switch (control.controlType) {
+        case "scale":
+            return L.control.scale({
+                position: control.position,
+                metric: control.metric,
+                imperial: control.imperial,
+                maxWidth: control.maxWidth
+            });
+        case "minimap":
+            // custom panes of the map do not exist in the overview
+            return new MiniMapControl(createTileLayer({ ...control.layer, pane: "tilePane" }), {
+                position: control.position,
+                width: control.width,
+                height: control.height,
+                zoomOffset: control.zoomOffset,
+                rectangleColor: getColorString(control.rectangleColor)
+            });
+        case "fullscreen":
+            return new FullscreenControl({
+                position: control.position,
+                title: control.title,
+                exitTitle: control.exitTitle
+            });
+        case "coordinates":
+            return new CoordinatesControl({
+                position: control.position,
+                format: control.format,
+                decimals: control.decimals
+            });
+        default:
+            throw new Error("Unknown control type " + control.controlType);
+    }
+}
+
+// Layers of clustered markers are only known to their cluster.
+function findLayer(mapId, layerId) {
+    const layer = layers[mapId].get(layerId);
+    if (layer !== undefined) {
+        return layer;
+    }
+    for (const l of layers[mapId].values()) {
+        if (l.markers && l.markers[layerId]) {
+            return l.markers[layerId];
+        }
+    }
+    return undefined;
+}
+
+// The ids of the layers shown on the map that pass the test, the markers of clusters are tested one by one.
+function getMatchingLayerIds(mapId, test) {
+    const map = maps[mapId];
+    const ids = [];
+    for (const [id, layer] of layers[mapId]) {
+        if (!map.hasLayer(layer)) {
+            continue;
+        }
+        if (layer.markers) {
+            Object.entries(layer.markers).filter(([, marker]) => test(marker)).forEach(([markerId]) => ids.push(markerId));
+        } else if (test(layer)) {
+            ids.push(id);
+        }
+    }
+    return ids;
+}
+
+// frees what the browser keeps for a layer once it is removed for good
+function releaseLayer(layer) {
+    if (layer instanceof MbTilesLayer || layer instanceof VectorTileLayer) {
+        layer.closeDatabase();
+    }
+}
+
+// Animated markers, also the ones in a cluster layer.
+function stopAnimations(layer) {
+    for (const marker of [layer].concat(Object.values(layer.markers || {}))) {
+        if (marker.animation) {
+            marker.animation.stop();
+        }
+    }
+}
+
+// Whatever a layer that failed halfway through being added left behind.
+function discardLayer(mapId, layerId) {
+    const layer = layers[mapId].get(layerId);
+    if (layer !== undefined) {
+        layers[mapId].delete(layerId);
+        maps[mapId].removeLayer(layer);
+        unsubscribeAllEvents(layer);
+    }
+}
+
 function addLayer(mapId, layer, layerId) {
+    if (layer.options.pane) {
+        getPane(maps[mapId], layer.options.pane);
+        setPaneRenderer(mapId, layer, layer.options.pane);
+    }
     layer.id = layerId;
-    layers[mapId].push(layer);
+    layers[mapId].set(layerId, layer);
     layer.addTo(maps[mapId]);
+
+    const deleteHandler = drawStates[mapId].deleteHandler;
+    if (deleteHandler && getShapeType(layer) !== null) {
+        layer.on("click", deleteHandler);
+    }
 }
 
 // #region events
@@ -432,7 +1876,8 @@ function cleanupEventArgsForSerialization(eventArgs) {
         "propagatedFrom",
         "originalEvent",
         "tooltip",
-        "popup"
+        "popup",
+        "layer"
     ];
 
     const copy = {};
@@ -446,21 +1891,125 @@ function cleanupEventArgsForSerialization(eventArgs) {
     return copy;
 }
 
-function mapEvents(mapElement, objectReference, eventHandlerDict) {
+function mapEvents(mapElement, objectReference, eventHandlerDict, subscriptions) {
     for (let key in eventHandlerDict) {
 
         const handlerName = eventHandlerDict[key];
 
-        mapElement.on(key, function (eventArgs) {
+        registerEvent(mapElement, key, function (eventArgs) {
             objectReference.invokeMethodAsync(handlerName,
                 cleanupEventArgsForSerialization(eventArgs));
-        });
+        }, subscriptions);
+    }
+}
+
+// Remembers how to notify .NET of an event, and listens to it right away if .NET has handlers for it.
+function registerEvent(element, eventName, notify, subscriptions) {
+    element.eventNotifiers = element.eventNotifiers || {};
+    element.eventNotifiers[eventName] = notify;
+
+    if (subscriptions && eventName in subscriptions) {
+        subscribeEvent(element, eventName, subscriptions[eventName]);
+    }
+}
+
+function subscribeEvent(element, eventName, rate) {
+    unsubscribeEvent(element, eventName);
+
+    const notify = element.eventNotifiers && element.eventNotifiers[eventName];
+    if (notify === undefined) {
+        return;
+    }
+
+    const listener = limitEventRate(notify, rate);
+    element.eventListeners = element.eventListeners || {};
+    element.eventListeners[eventName] = listener;
+    element.on(eventName, listener);
+}
+
+function unsubscribeEvent(element, eventName) {
+    const listener = element.eventListeners && element.eventListeners[eventName];
+    if (listener !== undefined) {
+        listener.cancel();
+        element.off(eventName, listener);
+        delete element.eventListeners[eventName];
     }
 }
 
-function connectMapEvents(map, objectReference) {
+function unsubscribeAllEvents(element) {
+    for (const eventName in element.eventListeners) {
+        unsubscribeEvent(element, eventName);
+    }
+}
+
+function syncEventSubscriptions(element, subscriptions) {
+    for (const eventName in element.eventNotifiers) {
+        if (eventName in subscriptions) {
+            subscribeEvent(element, eventName, subscriptions[eventName]);
+        } else {
+            unsubscribeEvent(element, eventName);
+        }
+    }
+}
 
-    connectInteractionEvents(map, objectReference);
+// The objects raising the events of a layer: the features of a GeoJSON layer raise their own events.
+function getEventElements(layer) {
+    if (layer === undefined) {
+        return [];
+    }
+    return layer instanceof L.GeoJSON ? [layer].concat(layer.getLayers()) : [layer];
+}
+
+// Calls notify at most once every rate.throttle milliseconds, sending the last event of an interval at its end,
+// or only once the event was not raised for rate.debounce milliseconds.
+function limitEventRate(notify, rate) {
+    let timeout = null;
+    let pendingEventArgs = null;
+    let listener;
+
+    if (rate && rate.debounce > 0) {
+        listener = function (eventArgs) {
+            clearTimeout(timeout);
+            timeout = setTimeout(function () {
+                timeout = null;
+                notify(eventArgs);
+            }, rate.debounce);
+        };
+    } else if (rate && rate.throttle > 0) {
+        const endInterval = function () {
+            if (pendingEventArgs === null) {
+                timeout = null;
+                return;
+            }
+            notify(pendingEventArgs);
+            pendingEventArgs = null;
+            timeout = setTimeout(endInterval, rate.throttle);
+        };
+        listener = function (eventArgs) {
+            if (timeout !== null) {
+                pendingEventArgs = eventArgs;
+                return;
+            }
+            notify(eventArgs);
+            timeout = setTimeout(endInterval, rate.throttle);
+        };
+    } else {
+        listener = function (eventArgs) {
+            notify(eventArgs);
+        };
+    }
+
+    listener.cancel = function () {
+        clearTimeout(timeout);
+        timeout = null;
+        pendingEventArgs = null;
+    };
+    return listener;
+}
+
+function connectMapEvents(map, objectReference, subscriptions) {
+
+    connectInteractionEvents(map, objectReference, subscriptions);
 
     mapEvents(map, objectReference, {
         "zoomlevelschange": "NotifyZoomLevelsChange",
@@ -479,10 +2028,27 @@ function connectMapEvents(map, objectReference) {
         "keydown": "NotifyKeyDown",
         "keyup": "NotifyKeyUp",
         "preclick": "NotifyPreClick",
-    });
+        // raised by the fullscreen control
+        "enterfullscreen": "NotifyEnterFullscreen",
+        "exitfullscreen": "NotifyExitFullscreen",
+    }, subscriptions);
+
+    // raised by the layer control
+    for (const [key, handlerName] of Object.entries({
+        "baselayerchange": "NotifyBaseLayerChange",
+        "overlayadd": "NotifyOverlayAdd",
+        "overlayremove": "NotifyOverlayRemove",
+    })) {
+        registerEvent(map, key, function (eventArgs) {
+            objectReference.invokeMethodAsync(handlerName, {
+                ...cleanupEventArgsForSerialization(eventArgs),
+                layerId: eventArgs.layer.id
+            });
+        }, subscriptions);
+    }
 }
 
-function connectLayerEvents(layer, objectReference) {
+function connectLayerEvents(layer, objectReference, subscriptions) {
     mapEvents(layer, objectReference, {
         "add": "NotifyAdd",
         "remove": "NotifyRemove",
@@ -490,18 +2056,18 @@ function connectLayerEvents(layer, objectReference) {
         "popupclose": "NotifyPopupClose",
         "tooltipopen": "NotifyTooltipOpen",
         "tooltipclose": "NotifyTooltipClose",
-    });
+    }, subscriptions);
 }
 
-function connectInteractiveLayerEvents(interactiveLayer, objectReference) {
+function connectInteractiveLayerEvents(interactiveLayer, objectReference, subscriptions) {
 
-    connectLayerEvents(interactiveLayer, objectReference);
-    connectInteractionEvents(interactiveLayer, objectReference);
+    connectLayerEvents(interactiveLayer, objectReference, subscriptions);
+    connectInteractionEvents(interactiveLayer, objectReference, subscriptions);
 }
 
-function connectMarkerEvents(marker, objectReference) {
+function connectMarkerEvents(marker, objectReference, subscriptions) {
 
-    connectInteractiveLayerEvents(marker, objectReference);
+    connectInteractiveLayerEvents(marker, objectReference, subscriptions);
 
     mapEvents(marker, objectReference, {
         "move": "NotifyMove",
@@ -510,10 +2076,109 @@ function connectMarkerEvents(marker, objectReference) {
         "drag": "NotifyDrag",
         "dragend": "NotifyDragEnd",
         "moveend": "NotifyMoveEnd",
-    });
+        "animationprogress": "NotifyAnimationProgress",
+        "animationend": "NotifyAnimationEnd",
+    }, subscriptions);
+}
+
+function connectPathEvents(path, objectReference, subscriptions) {
+
+    connectInteractiveLayerEvents(path, objectReference, subscriptions);
+
+    // raised by the edit handles while they are dragged
+    mapEvents(path, objectReference, {
+        "geometrychange": "NotifyGeometryChange",
+    }, subscriptions);
+}
+
+function connectMbTilesEvents(mbTilesLayer, objectReference, subscriptions) {
+
+    connectLayerEvents(mbTilesLayer, objectReference, subscriptions);
+
+    mapEvents(mbTilesLayer, objectReference, {
+        "databaseloaded": "NotifyDatabaseLoaded",
+        "databaseerror": "NotifyDatabaseError",
+    }, subscriptions);
+}
+
+function connectWmsEvents(wmsLayer, objectReference, subscriptions) {
+
+    connectLayerEvents(wmsLayer, objectReference, subscriptions);
+
+    mapEvents(wmsLayer, objectReference, {
+        "featureinfo": "NotifyFeatureInfo",
+        "featureinfoerror": "NotifyFeatureInfoError",
+    }, subscriptions);
 }
 
-function connectInteractionEvents(interactiveObject, objectReference) {
+function connectVectorTileEvents(vectorTileLayer, objectReference, subscriptions) {
+
+    connectLayerEvents(vectorTileLayer, objectReference, subscriptions);
+
+    mapEvents(vectorTileLayer, objectReference, {
+        "featureclick": "NotifyFeatureClick",
+        "databaseloaded": "NotifyDatabaseLoaded",
+        "databaseerror": "NotifyDatabaseError",
+    }, subscriptions);
+}
+
+// raised by layers whose features are read asynchronously
+function connectDataLoadEvents(layer, objectReference, subscriptions) {
+    mapEvents(layer, objectReference, {
+        "dataload": "NotifyDataLoad",
+        "dataerror": "NotifyDataError",
+    }, subscriptions);
+}
+
+function connectMarkerClusterEvents(clusterLayer, objectReference, subscriptions) {
+
+    connectLayerEvents(clusterLayer, objectReference, subscriptions);
+
+    registerEvent(clusterLayer, "clusterclick", function (eventArgs) {
+        objectReference.invokeMethodAsync("NotifyClusterClick", {
+            ...cleanupEventArgsForSerialization(eventArgs),
+            childCount: eventArgs.layer.getChildCount(),
+            markerIds: eventArgs.layer.getAllChildMarkers().map(m => m.id)
+        });
+    }, subscriptions);
+}
+
+// the markers of a cluster have no reference of their own, their events are raised through the cluster
+function connectClusterMarkerEvents(marker, clusterReference, subscriptions) {
+    const eventHandlerDict = {
+        "NotifyMarkerMouseEvent": ["click", "dblclick", "mousedown", "mouseup", "mouseover", "mouseout", "contextmenu"],
+        "NotifyMarkerDragEvent": ["move", "drag"],
+        "NotifyMarkerDragEndEvent": ["dragend"],
+        "NotifyMarkerEvent": ["add", "remove", "dragstart", "movestart", "moveend"],
+        "NotifyMarkerPopupEvent": ["popupopen", "popupclose"],
+        "NotifyMarkerTooltipEvent": ["tooltipopen", "tooltipclose"],
+        "NotifyMarkerAnimationEvent": ["animationprogress", "animationend"]
+    };
+    for (const handlerName in eventHandlerDict) {
+        for (const key of eventHandlerDict[handlerName]) {
+            registerEvent(marker, key, function (eventArgs) {
+                clusterReference.invokeMethodAsync(handlerName, marker.id,
+                    cleanupEventArgsForSerialization(eventArgs));
+            }, subscriptions);
+        }
+    }
+}
+
+// the features of a GeoJSON layer raise their mouse events through the layer, along with their id and properties
+function connectFeatureEvents(featureLayer, geoJsonReference, subscriptions) {
+    for (const key of ["click", "dblclick", "mousedown", "mouseup", "mouseover", "mouseout", "contextmenu"]) {
+        registerEvent(featureLayer, key, function (eventArgs) {
+            const feature = featureLayer.feature;
+            geoJsonReference.invokeMethodAsync("NotifyFeatureMouseEvent", {
+                ...cleanupEventArgsForSerialization(eventArgs),
+                featureId: feature.id === undefined || feature.id === null ? null : String(feature.id),
+                properties: feature.properties || {}
+            });
+        }, subscriptions);
+    }
+}
+
+function connectInteractionEvents(interactiveObject, objectReference, subscriptions) {
 
     mapEvents(interactiveObject, objectReference, {
         "click": "NotifyClick",
@@ -523,7 +2188,7 @@ function connectInteractionEvents(interactiveObject, objectReference) {
         "mouseover": "NotifyMouseOver",
         "mouseout": "NotifyMouseOut",
         "contextmenu": "NotifyContextMenu",
-    });
+    }, subscriptions);
 }
 
 // #endregion
@@ -0,0 +1,38 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Layers control listing overlays that belong to a group under the name of the group.
+ */
+export const GroupedLayersControl = L.Control.Layers.extend({
+
+    addOverlay: function (layer, name, group) {
+        this._addLayer(layer, name, true);
+        this._getLayer(L.stamp(layer)).group = group;
+        return this._map ? this._update() : this;
+    },
+
+    _update: function () {
+        this._groupContainers = {};
+        return L.Control.Layers.prototype._update.call(this);
+    },
+
+    _addItem: function (obj) {
+        const label = L.Control.Layers.prototype._addItem.call(this, obj);
+        if (obj.overlay && obj.group) {
+            this._getGroupContainer(obj.group).appendChild(label);
+        }
+        return label;
+    },
+
+    _getGroupContainer: function (group) {
+        let container = this._groupContainers[group];
+        if (container === undefined) {
+            container = L.DomUtil.create("div", "leaflet-control-layers-group", this._overlaysList);
+            const title = L.DomUtil.create("span", "leaflet-control-layers-group-name", container);
+            title.style.fontWeight = "bold";
+            title.textContent = group;
+            this._groupContainers[group] = container;
+        }
+        return container;
+    }
+});
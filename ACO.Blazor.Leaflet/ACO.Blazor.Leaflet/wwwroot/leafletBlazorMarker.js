@@ -0,0 +1,154 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Marker rotation and animated marker movement used by leafletBlazorInterops.js.
+ */
+
+// Rotation is applied on top of the translation Leaflet sets on the icon, every time the marker is positioned.
+const baseSetPos = L.Marker.prototype._setPos;
+
+L.Marker.include({
+
+    _setPos: function (pos) {
+        baseSetPos.call(this, pos);
+        if (this._icon && this.options.rotationAngle) {
+            this._icon.style[L.DomUtil.TRANSFORM + "Origin"] = this.options.rotationOrigin || "bottom center";
+            this._icon.style[L.DomUtil.TRANSFORM] += " rotateZ(" + this.options.rotationAngle + "deg)";
+        }
+    },
+
+    setRotationAngle: function (angle) {
+        this.options.rotationAngle = angle;
+        this.update();
+        return this;
+    },
+
+    setRotationOrigin: function (origin) {
+        this.options.rotationOrigin = origin;
+        this.update();
+        return this;
+    },
+
+    // Moves the marker without firing "move": used while animating, where a move per frame would flood .NET.
+    _setLatLngSilently: function (latlng) {
+        this._latlng = L.latLng(latlng);
+        this.update();
+        if (this.getPopup()) {
+            this.getPopup().setLatLng(this._latlng);
+        }
+        if (this.getTooltip()) {
+            this.getTooltip().setLatLng(this._latlng);
+        }
+        return this;
+    }
+});
+
+// Initial bearing from a to b in degrees, clockwise from north.
+export function bearing(a, b) {
+    const toRad = Math.PI / 180;
+    const lat1 = a.lat * toRad;
+    const lat2 = b.lat * toRad;
+    const dLng = (b.lng - a.lng) * toRad;
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+/*
+ * Moves a marker along a path at constant speed within the given duration (in milliseconds).
+ * Fires "animationprogress" on the marker at most every progressInterval milliseconds and "animationend"
+ * once the marker arrived or the animation was stopped.
+ */
+export const MarkerAnimation = L.Class.extend({
+
+    options: {
+        autoRotate: false,
+        progressInterval: 250
+    },
+
+    initialize: function (marker, latlngs, duration, options) {
+        L.setOptions(this, options);
+        this._marker = marker;
+        this._latlngs = [marker.getLatLng()].concat(latlngs.map(ll => L.latLng(ll)));
+        this._duration = Math.max(duration, 0);
+
+        this._distances = [0];
+        for (let i = 1; i < this._latlngs.length; i++) {
+            this._distances.push(this._distances[i - 1] + this._latlngs[i - 1].distanceTo(this._latlngs[i]));
+        }
+        this._totalDistance = this._distances[this._distances.length - 1];
+    },
+
+    start: function () {
+        this._startTime = performance.now();
+        this._lastProgress = 0;
+        this._running = true;
+        this._animId = L.Util.requestAnimFrame(this._step, this);
+        return this;
+    },
+
+    stop: function () {
+        if (this._running) {
+            L.Util.cancelAnimFrame(this._animId);
+            this._end(false);
+        }
+        return this;
+    },
+
+    _step: function () {
+        const now = performance.now();
+        const fraction = this._duration === 0 ? 1 : Math.min((now - this._startTime) / this._duration, 1);
+        const position = this._positionAt(fraction * this._totalDistance);
+
+        if (this.options.autoRotate && position.heading !== null) {
+            this._marker.options.rotationAngle = position.heading;
+        }
+        this._marker._setLatLngSilently(position.latlng);
+
+        if (fraction >= 1) {
+            this._end(true);
+            return;
+        }
+        if (this.options.progressInterval > 0 && now - this._lastProgress >= this.options.progressInterval) {
+            this._lastProgress = now;
+            this._marker.fire("animationprogress", {
+                latLng: position.latlng,
+                progress: fraction,
+                heading: position.heading
+            });
+        }
+        this._animId = L.Util.requestAnimFrame(this._step, this);
+    },
+
+    _positionAt: function (distance) {
+        const latlngs = this._latlngs;
+        let i = 1;
+        while (i < latlngs.length - 1 && this._distances[i] < distance) {
+            i++;
+        }
+        if (latlngs.length < 2) {
+            return { latlng: latlngs[0], heading: null };
+        }
+
+        const from = latlngs[i - 1];
+        const to = latlngs[i];
+        const segmentLength = this._distances[i] - this._distances[i - 1];
+        const t = segmentLength === 0 ? 1 : Math.min((distance - this._distances[i - 1]) / segmentLength, 1);
+        return {
+            latlng: L.latLng(from.lat + (to.lat - from.lat) * t, from.lng + (to.lng - from.lng) * t),
+            heading: from.equals(to) ? null : bearing(from, to)
+        };
+    },
+
+    _end: function (completed) {
+        this._running = false;
+        const latlng = this._marker.getLatLng();
+        const fraction = this._duration === 0 ? 1 : Math.min((performance.now() - this._startTime) / this._duration, 1);
+        this._marker.fire("animationend", {
+            latLng: latlng,
+            progress: completed ? 1 : fraction,
+            heading: typeof this._marker.options.rotationAngle === "number" ? this._marker.options.rotationAngle : null,
+            completed: completed
+        });
+    }
+});
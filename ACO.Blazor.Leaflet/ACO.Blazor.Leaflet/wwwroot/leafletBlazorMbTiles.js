@@ -0,0 +1,267 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+import { loadScript } from "/_content/ACO.Blazor.Leaflet/leafletBlazorScripts.js";
+
+/*
+ * Tile layer reading raster tiles from an MBTiles file (a SQLite database) in the browser, so maps work offline.
+ * SQLite is provided by sql.js, which is only downloaded once the first MBTiles database is opened.
+ */
+
+const sqlJsPath = "/_content/ACO.Blazor.Leaflet/sqljs/";
+
+function loadSqlJs() {
+    return loadScript(sqlJsPath + "sql-wasm.js", () => window.initSqlJs({ locateFile: file => sqlJsPath + file }));
+}
+
+const mimeTypes = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg"
+};
+
+// The format of tiles stored without "format" metadata, from their first bytes.
+function detectMimeType(data) {
+    if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4E && data[3] === 0x47) {
+        return mimeTypes.png;
+    }
+    if (data[0] === 0xFF && data[1] === 0xD8) {
+        return mimeTypes.jpeg;
+    }
+    return null;
+}
+
+/*
+ * Reading tiles from an MBTiles database, shared by the layers showing them. Fires "databaseloaded" with the
+ * metadata table once a database is opened and "databaseerror" with a message if it could not be opened.
+ * A layer including it returns an error message from _acceptsFormat(format) for tile formats it cannot show,
+ * and calls _attachDatabase in onAdd and _detachDatabase in onRemove: the database is only open while the
+ * layer is on a map, the data loaded for a layer that is not waits until it is added.
+ */
+export const MbTilesSource = {
+
+    loadUrl: function (url) {
+        const loading = this._databaseLoad = {};
+        return fetch(url)
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error("Could not download " + url + ": " + response.status + " " + response.statusText);
+                }
+                return response.arrayBuffer();
+            })
+            .then(buffer => {
+                // other data may have been loaded meanwhile, or the layer removed for good
+                if (this._databaseLoad === loading) {
+                    return this.loadData(buffer);
+                }
+            }, error => this._fireError(error));
+    },
+
+    loadData: function (buffer) {
+        this.closeDatabase();
+        const loading = this._databaseLoad = {};
+        this._data = new Uint8Array(buffer);
+        return this._openDatabase(loading);
+    },
+
+    // Frees the database and the data loaded for it, like when the layer is removed for good.
+    closeDatabase: function () {
+        this._freeDatabase();
+        this._data = null;
+        this._databaseLoad = null;
+    },
+
+    _attachDatabase: function () {
+        if (this._data) {
+            this._openDatabase(this._databaseLoad);
+        }
+    },
+
+    // the data is kept out of the database, so that it can be opened again once the layer is added again
+    _detachDatabase: function () {
+        if (this._database) {
+            this._statement.free();
+            this._statement = null;
+            this._data = this._database.export();
+            this._freeDatabase();
+        }
+    },
+
+    // Opens the data once sql.js is loaded, unless other data has been loaded meanwhile or the layer is not on a
+    // map any more.
+    _openDatabase: function (loading) {
+        return loadSqlJs()
+            .then(SQL => {
+                if (this._databaseLoad !== loading || !this._map || this._database) {
+                    return;
+                }
+                this._database = new SQL.Database(this._data);
+                this._data = null;
+                const metadata = this._readMetadata();
+                const format = (metadata.format || "").toLowerCase();
+                const error = this._acceptsFormat(format);
+                if (error) {
+                    this.closeDatabase();
+                    throw new Error(error);
+                }
+
+                this._statement = this._database.prepare(
+                    "SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?");
+                this._applyMetadata(metadata);
+                this.redraw();
+                // reopening the database of a layer added again is no news
+                if (!loading.opened) {
+                    loading.opened = true;
+                    this.fire("databaseloaded", { metadata: metadata });
+                }
+            })
+            .catch(error => this._fireError(error));
+    },
+
+    _freeDatabase: function () {
+        if (this._statement) {
+            this._statement.free();
+            this._statement = null;
+        }
+        if (this._database) {
+            this._database.close();
+            this._database = null;
+        }
+    },
+
+    hasDatabase: function () {
+        return !!this._statement;
+    },
+
+    // the stored data of a tile, null if the database has none
+    _readDatabaseTile: function (coords, tms) {
+        if (!this._statement) {
+            return null;
+        }
+
+        const zoom = this._getZoomForUrl();
+        const row = tms ? Math.pow(2, zoom) - 1 - coords.y : coords.y;
+        try {
+            this._statement.bind([zoom, coords.x, row]);
+            return this._statement.step() ? this._statement.get()[0] : null;
+        } finally {
+            this._statement.reset();
+        }
+    },
+
+    _readMetadata: function () {
+        const metadata = {};
+        const result = this._database.exec("SELECT name, value FROM metadata");
+        if (result.length > 0) {
+            for (const [name, value] of result[0].values) {
+                metadata[name] = value === null ? null : String(value);
+            }
+        }
+        return metadata;
+    },
+
+    // tiles outside of the bounds of the file are not looked up and deeper zoom levels scale up the last one,
+    // values taken from a previously loaded file are replaced while those set by .NET are kept
+    _applyMetadata: function (metadata) {
+        const bounds = (metadata.bounds || "").split(",").map(Number);
+        if (!this.options.bounds || this._metadataBounds) {
+            this._metadataBounds = bounds.length === 4 && bounds.every(isFinite);
+            this.options.bounds = this._metadataBounds
+                ? L.latLngBounds([bounds[1], bounds[0]], [bounds[3], bounds[2]])
+                : undefined;
+        }
+
+        if (this.options.maxNativeZoom === undefined || this._metadataMaxZoom) {
+            this._metadataMaxZoom = !!metadata.maxzoom && isFinite(metadata.maxzoom);
+            this.options.maxNativeZoom = this._metadataMaxZoom ? Number(metadata.maxzoom) : undefined;
+        }
+
+        if (!this.options.attribution || this._metadataAttribution) {
+            const attributionControl = this._map && this._map.attributionControl;
+            if (attributionControl && this.options.attribution) {
+                attributionControl.removeAttribution(this.options.attribution);
+            }
+            this._metadataAttribution = !!metadata.attribution;
+            this.options.attribution = metadata.attribution || undefined;
+            if (attributionControl && this.options.attribution) {
+                attributionControl.addAttribution(this.options.attribution);
+            }
+        }
+    },
+
+    _fireError: function (error) {
+        this.fire("databaseerror", { message: error && error.message ? error.message : String(error) });
+    }
+};
+
+/*
+ * Raster tiles read from an MBTiles database. MBTiles number their rows from the south (TMS), set the tms
+ * option to false for files using XYZ rows.
+ */
+export const MbTilesLayer = L.TileLayer.extend({
+
+    includes: MbTilesSource,
+
+    options: {
+        tms: true
+    },
+
+    initialize: function (options) {
+        L.TileLayer.prototype.initialize.call(this, "", options);
+        this._database = null;
+        this._statement = null;
+        this._data = null;
+        this._databaseLoad = null;
+        this._mimeType = null;
+    },
+
+    onAdd: function (map) {
+        L.TileLayer.prototype.onAdd.call(this, map);
+        this._attachDatabase();
+    },
+
+    onRemove: function (map) {
+        this._detachDatabase();
+        L.TileLayer.prototype.onRemove.call(this, map);
+    },
+
+    // loading another file is the MBTiles counterpart of changing the url of a tile layer
+    setUrl: function (url) {
+        if (url) {
+            this.loadUrl(url);
+        }
+        return this;
+    },
+
+    createTile: function (coords, done) {
+        const tile = document.createElement("img");
+        tile.alt = "";
+        tile.setAttribute("role", "presentation");
+
+        const data = this._readDatabaseTile(coords, this.options.tms);
+        if (data === null) {
+            tile.src = L.Util.emptyImageUrl;
+            L.Util.requestAnimFrame(L.Util.bind(done, this, null, tile));
+            return tile;
+        }
+
+        const url = URL.createObjectURL(new Blob([data], { type: this._mimeType || detectMimeType(data) || "" }));
+        L.DomEvent.on(tile, "load", function () {
+            URL.revokeObjectURL(url);
+            this._tileOnLoad(done, tile);
+        }, this);
+        L.DomEvent.on(tile, "error", function (e) {
+            URL.revokeObjectURL(url);
+            this._tileOnError(done, tile, e);
+        }, this);
+        tile.src = url;
+        return tile;
+    },
+
+    _acceptsFormat: function (format) {
+        if (format && !(format in mimeTypes)) {
+            return "Tiles of the format " + format + " are not supported, only png and jpg are."
+                + (format === "pbf" ? " Show vector tiles with a vector tile layer." : "");
+        }
+        this._mimeType = mimeTypes[format] || null;
+        return null;
+    }
+});
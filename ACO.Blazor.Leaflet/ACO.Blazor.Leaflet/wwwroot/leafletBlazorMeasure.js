@@ -0,0 +1,159 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+import { DrawTool, getRings } from "/_content/ACO.Blazor.Leaflet/leafletBlazorDraw.js";
+import { bearing } from "/_content/ACO.Blazor.Leaflet/leafletBlazorMarker.js";
+
+/*
+ * Geodesic measurements on the sphere of L.CRS.Earth: distances are those of map.distance, bearings those of the
+ * marker rotation. Utils.Geodesy implements the same formulas in .NET, so that both sides agree on the results.
+ */
+
+const radius = L.CRS.Earth.R;
+const rad = Math.PI / 180;
+
+// Length of a polyline in meters (great-circle distances), a closed ring includes the segment back to its first point.
+export function getLength(latlngs, closed) {
+    let total = 0;
+    for (let i = 1; i < latlngs.length; i++) {
+        total += L.CRS.Earth.distance(latlngs[i - 1], latlngs[i]);
+    }
+    if (closed && latlngs.length > 2) {
+        total += L.CRS.Earth.distance(latlngs[latlngs.length - 1], latlngs[0]);
+    }
+    return total;
+}
+
+// Area of a ring in square meters, see "Some Algorithms for Polygons on a Sphere" (Chamberlain and Duquette).
+export function getArea(latlngs) {
+    let sum = 0;
+    for (let i = 0; i < latlngs.length; i++) {
+        const p1 = latlngs[i];
+        const p2 = latlngs[(i + 1) % latlngs.length];
+        sum += (p2.lng - p1.lng) * rad * (2 + Math.sin(p1.lat * rad) + Math.sin(p2.lat * rad));
+    }
+    return Math.abs(sum * radius * radius / 2);
+}
+
+function formatLength(meters, units) {
+    if (units === "imperial") {
+        const feet = meters / 0.3048;
+        return feet < 5280 ? Math.round(feet) + " ft" : (meters / 1609.344).toFixed(2) + " mi";
+    }
+    return meters < 1000 ? Math.round(meters) + " m" : (meters / 1000).toFixed(2) + " km";
+}
+
+function formatArea(squareMeters, units) {
+    if (units === "imperial") {
+        const acres = squareMeters / 4046.8564224;
+        if (acres < 1) {
+            return Math.round(squareMeters / 0.09290304) + " ft²";
+        }
+        return acres < 640 ? acres.toFixed(2) + " ac" : (squareMeters / 2589988.110336).toFixed(2) + " mi²";
+    }
+    if (squareMeters < 10000) {
+        return Math.round(squareMeters) + " m²";
+    }
+    return squareMeters < 1000000
+        ? (squareMeters / 10000).toFixed(2) + " ha"
+        : (squareMeters / 1000000).toFixed(2) + " km²";
+}
+
+const labelOptions = {
+    permanent: true,
+    direction: "right",
+    offset: [12, 0],
+    className: "leaflet-blazor-measure-label"
+};
+
+/*
+ * Measures the length of a polyline or the area of a polygon clicked on the map. A label follows the mouse
+ * with the value including the next vertex, finished measurements stay on the map with their label until
+ * clear is called. onFinished receives the payload of Models.Events.MeasureEvent.
+ */
+export const MeasureTool = DrawTool.extend({
+
+    initialize: function (map, shapeType, units, options, onFinished) {
+        DrawTool.prototype.initialize.call(this, map, shapeType, options, onFinished);
+        // clicks on the measured shapes reach the map, so vertices can be placed on top of them
+        this._style.interactive = false;
+        this._units = units || "metric";
+        this._results = L.layerGroup().addTo(map);
+        this._label = null;
+    },
+
+    clear: function () {
+        this._results.clearLayers();
+        return this;
+    },
+
+    _reset: function () {
+        DrawTool.prototype._reset.call(this);
+        if (this._label) {
+            this._label.close();
+            this._label = null;
+        }
+    },
+
+    _onMouseMove: function (e) {
+        DrawTool.prototype._onMouseMove.call(this, e);
+        if (this._points.length > 0) {
+            this._showLabel(e.latlng, this._points.concat([e.latlng]));
+        }
+    },
+
+    _addVertex: function (e) {
+        DrawTool.prototype._addVertex.call(this, e);
+        if (this._points.length > 0) {
+            this._showLabel(e.latlng, this._points);
+        }
+    },
+
+    _showLabel: function (latlng, latlngs) {
+        if (!this._label) {
+            this._label = L.tooltip(labelOptions);
+        }
+        let text = this._measure(latlngs).label;
+        if (this._shapeType === "polyline" && latlngs.length > 1) {
+            text += " (" + Math.round(bearing(latlngs[latlngs.length - 2], latlngs[latlngs.length - 1])) + "°)";
+        }
+        this._label.setLatLng(latlng).setContent(text);
+        if (!this._label.isOpen()) {
+            this._label.openOn(this._map);
+        }
+    },
+
+    _measure: function (latlngs) {
+        const closed = this._shapeType === "polygon";
+        const measured = {
+            length: getLength(latlngs, closed),
+            area: closed && latlngs.length > 2 ? getArea(latlngs) : 0
+        };
+        measured.label = closed
+            ? formatArea(measured.area, this._units) + "<br>" + formatLength(measured.length, this._units)
+            : formatLength(measured.length, this._units);
+        return measured;
+    },
+
+    _finish: function () {
+        const shape = this._shape;
+        const latlngs = getRings(shape)[0];
+        const measured = this._measure(latlngs);
+
+        // the shape is taken over by the results, so that resetting the tool does not remove it
+        this._shape = null;
+        shape.removeFrom(this._map);
+        shape.bindTooltip(measured.label, labelOptions);
+        this._results.addLayer(shape);
+        shape.openTooltip(latlngs[latlngs.length - 1]);
+
+        this._reset();
+        this._onFinished({
+            shapeType: this._shapeType,
+            latLngs: latlngs.map(ll => ({ lat: ll.lat, lng: ll.lng })),
+            length: measured.length,
+            area: measured.area
+        });
+        if (!this._options.repeatMode) {
+            this.disable();
+        }
+    }
+});
@@ -0,0 +1,30 @@
+/*
+ * Downloads the libraries only some maps need, like sql.js, shpjs or proj4js, once they are first used.
+ */
+
+const libraries = new Map();
+
+/*
+ * Runs the classic script at the URL once and resolves with what initialize returns or resolves with then, like
+ * the global the script defines. Calls while it is loading share the download, after a failure the next call
+ * downloads the script again.
+ */
+export function loadScript(url, initialize) {
+    if (!libraries.has(url)) {
+        const library = new Promise(function (resolve, reject) {
+            const script = document.createElement("script");
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error("Could not load " + script.src));
+            document.head.appendChild(script);
+        }).then(initialize);
+
+        libraries.set(url, library);
+        library.catch(function () {
+            if (libraries.get(url) === library) {
+                libraries.delete(url);
+            }
+        });
+    }
+    return libraries.get(url);
+}
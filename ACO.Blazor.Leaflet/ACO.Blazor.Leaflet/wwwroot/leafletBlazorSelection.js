@@ -0,0 +1,159 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+import { getRings } from "/_content/ACO.Blazor.Leaflet/leafletBlazorDraw.js";
+
+/*
+ * Spatial queries over the layers of a map. Layers are tested by their geometry instead of what the browser
+ * rendered, so paths of canvas renderers and layers in any pane are found as well. Groups like GeoJSON layers
+ * are at a point when one of their features is and within an area when all of them are, grid layers (tiles,
+ * heatmaps) never match.
+ */
+
+// Whether a layer is shown at a container point, or less than tolerance pixels away from it.
+export function isLayerAt(map, layer, point, tolerance) {
+    if (layer instanceof L.Marker) {
+        return isMarkerAt(map, layer, point, tolerance);
+    }
+    if (layer instanceof L.CircleMarker) {
+        const center = map.latLngToContainerPoint(layer.getLatLng());
+        return center.distanceTo(point) <= getPixelRadius(map, layer) + getStrokeTolerance(layer, tolerance);
+    }
+    if (layer instanceof L.Polyline) {
+        const closed = layer instanceof L.Polygon;
+        const rings = getRings(layer).map(ring => ring.map(ll => map.latLngToContainerPoint(ll)));
+        return (closed && ringsContain(rings, point, p => p.x, p => p.y))
+            || isNearRings(rings, point, closed, getStrokeTolerance(layer, tolerance));
+    }
+    if (layer instanceof L.ImageOverlay) {
+        return layer.getBounds().contains(map.containerPointToLatLng(point));
+    }
+    if (layer instanceof L.LayerGroup) {
+        return layer.getLayers().some(child => isLayerAt(map, child, point, tolerance));
+    }
+    return false;
+}
+
+/*
+ * Whether a layer lies entirely within an area, contains(latlng) tells whether a position is part of the area.
+ * Markers and circle markers are tested by their position, other layers by all their vertices or corners.
+ */
+export function isLayerWithin(layer, contains) {
+    if (layer instanceof L.Marker || (layer instanceof L.CircleMarker && !(layer instanceof L.Circle))) {
+        return contains(layer.getLatLng());
+    }
+    if (layer instanceof L.Polyline) {
+        return getRings(layer).every(ring => ring.every(contains));
+    }
+    if (layer instanceof L.Circle || layer instanceof L.ImageOverlay) {
+        const bounds = layer.getBounds();
+        return [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()].every(contains);
+    }
+    if (layer instanceof L.LayerGroup) {
+        // an empty group is nowhere
+        const children = layer.getLayers();
+        return children.length > 0 && children.every(child => isLayerWithin(child, contains));
+    }
+    return false;
+}
+
+// The area of L.LatLngBounds or of polygon rings (arrays of L.LatLng) as a test for isLayerWithin.
+export function getAreaTest(area) {
+    if (area instanceof L.LatLngBounds) {
+        return latlng => area.contains(latlng);
+    }
+    // edges are straight in latitude and longitude, like those of Utils.Geodesy.Contains
+    return latlng => ringsContain(area, latlng, ll => ll.lng, ll => ll.lat);
+}
+
+// Even-odd rule over all rings, so holes are excluded.
+function ringsContain(rings, point, getX, getY) {
+    const x = getX(point);
+    const y = getY(point);
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((getY(a) > y) !== (getY(b) > y) &&
+                x < (getX(b) - getX(a)) * (y - getY(a)) / (getY(b) - getY(a)) + getX(a)) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+function isNearRings(rings, point, closed, tolerance) {
+    return rings.some(ring => ring.some((p, i) => {
+        const next = i + 1 < ring.length ? ring[i + 1] : (closed ? ring[0] : null);
+        return next !== null && L.LineUtil.pointToSegmentDistance(point, p, next) <= tolerance;
+    }));
+}
+
+function isMarkerAt(map, marker, point, tolerance) {
+    const position = map.latLngToContainerPoint(marker.getLatLng());
+    const iconOptions = marker.options.icon.options;
+    if (!iconOptions.iconSize) {
+        // the size of div icons without iconSize is only known to their CSS
+        return position.distanceTo(point) <= tolerance;
+    }
+    const size = L.point(iconOptions.iconSize);
+    const anchor = iconOptions.iconAnchor ? L.point(iconOptions.iconAnchor) : size.divideBy(2);
+    const margin = L.point(tolerance, tolerance);
+    const topLeft = position.subtract(anchor);
+    return L.bounds(topLeft.subtract(margin), topLeft.add(size).add(margin)).contains(point);
+}
+
+function getPixelRadius(map, circleMarker) {
+    if (!(circleMarker instanceof L.Circle)) {
+        return circleMarker.getRadius();
+    }
+    // circles have their radius in meters, the north edge of their bounds is one radius away from the center
+    const center = circleMarker.getLatLng();
+    const north = L.latLng(circleMarker.getBounds().getNorth(), center.lng);
+    return map.latLngToContainerPoint(center).distanceTo(map.latLngToContainerPoint(north));
+}
+
+function getStrokeTolerance(path, tolerance) {
+    return tolerance + (path.options.stroke ? path.options.weight / 2 : 0);
+}
+
+/*
+ * Selects layers by dragging a box with the shift key held down, instead of zooming to it like the box zoom
+ * it replaces while enabled. onSelect receives the L.LatLngBounds of the box.
+ */
+export const BoxSelect = L.Map.BoxZoom.extend({
+
+    initialize: function (map, onSelect) {
+        L.Map.BoxZoom.prototype.initialize.call(this, map);
+        this._onSelect = onSelect;
+    },
+
+    addHooks: function () {
+        this._boxZoom = this._map.boxZoom.enabled();
+        this._map.boxZoom.disable();
+        L.Map.BoxZoom.prototype.addHooks.call(this);
+    },
+
+    removeHooks: function () {
+        L.Map.BoxZoom.prototype.removeHooks.call(this);
+        if (this._boxZoom) {
+            this._map.boxZoom.enable();
+        }
+    },
+
+    // what L.Map.BoxZoom does, without zooming to the box
+    _onMouseUp: function (e) {
+        if (e.which !== 1 && e.button !== 0) {
+            return;
+        }
+        this._finish();
+        if (!this._moved) {
+            return;
+        }
+        this._clearDeferredResetState();
+        this._resetStateTimeout = setTimeout(L.Util.bind(this._resetState, this), 0);
+        this._onSelect(L.latLngBounds(
+            this._map.containerPointToLatLng(this._startPoint),
+            this._map.containerPointToLatLng(this._point)));
+    }
+});
@@ -0,0 +1,33 @@
+import { loadScript } from "/_content/ACO.Blazor.Leaflet/leafletBlazorScripts.js";
+
+/*
+ * Reads zipped shapefiles into GeoJSON for leafletBlazorInterops.js. shpjs reprojects the features to WGS84
+ * using the .prj file and is only downloaded once the first shapefile is read.
+ */
+
+function loadShpjs() {
+    return loadScript("/_content/ACO.Blazor.Leaflet/shpjs/shp.js", () => window.shp);
+}
+
+// Reads a zipped shapefile from a URL or from its bytes. The shapefiles of a zip holding several of them are
+// merged into a single feature collection.
+export function readShapefile(source) {
+    return loadShpjs()
+        .then(shp => shp(source))
+        .then(function (result) {
+            const collections = Array.isArray(result) ? result : [result];
+            return {
+                type: "FeatureCollection",
+                features: collections.flatMap(collection => collection.features)
+            };
+        })
+        .catch(function (error) {
+            // shpjs reports missing files and broken zips with terse messages, name what could not be read
+            const name = typeof source === "string" ? "the shapefile " + source : "the shapefile";
+            let reason = error && error.message ? error.message : String(error || "");
+            if (reason.startsWith("but-unzip")) {
+                reason = "it is not a valid zip file";
+            }
+            throw new Error("Could not read " + name + (reason && reason !== "Error" ? ": " + reason : ""));
+        });
+}
@@ -0,0 +1,111 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Keeps the view of a map and its visible overlays in the hash of the page URL, e.g.
+ * #map=13/47.5574/16.3919&overlays=Shops,Parks, so that views can be bookmarked and shared. The names of both
+ * parameters are options, so that several maps of a page have their own. Other parameters of the hash are kept.
+ * getOverlays returns the overlays of the layer controls of the map as [{ name, layer }].
+ */
+export const UrlHash = L.Handler.extend({
+
+    options: {
+        key: "map",
+        overlaysKey: "overlays"
+    },
+
+    initialize: function (map, getOverlays, options) {
+        L.setOptions(this, options);
+        this._map = map;
+        this._getOverlays = getOverlays;
+        this._pending = null;
+    },
+
+    // whether the view or the overlays of the map are kept in the parameter
+    usesKey: function (key) {
+        return key === this.options.key || key === this.options.overlaysKey;
+    },
+
+    addHooks: function () {
+        this._apply(true);
+        this._map.on("moveend layeradd layerremove", this._scheduleUpdate, this);
+        L.DomEvent.on(window, "hashchange", this._onHashChange, this);
+        this._update();
+    },
+
+    removeHooks: function () {
+        this._map.off("moveend layeradd layerremove", this._scheduleUpdate, this);
+        L.DomEvent.off(window, "hashchange", this._onHashChange, this);
+        clearTimeout(this._pending);
+        this._pending = null;
+    },
+
+    // shows and hides the overlays as the hash says, for layer controls added after the hash was read
+    applyOverlays: function () {
+        this._apply(false);
+    },
+
+    _onHashChange: function () {
+        this._apply(true);
+    },
+
+    _apply: function (includeView) {
+        const params = readHash();
+        const view = (params.get(this.options.key) || "").split("/").map(Number);
+        if (includeView && view.length === 3 && view.every(isFinite)) {
+            this._map.setView([view[1], view[2]], view[0]);
+        }
+        if (params.has(this.options.overlaysKey)) {
+            const visible = params.get(this.options.overlaysKey).split(",").filter(n => n !== "").map(decodeURIComponent);
+            for (const overlay of this._getOverlays()) {
+                if (visible.includes(overlay.name)) {
+                    this._map.addLayer(overlay.layer);
+                } else {
+                    this._map.removeLayer(overlay.layer);
+                }
+            }
+        }
+    },
+
+    // adding a layer group adds each of its layers, the hash is written once they are all there
+    _scheduleUpdate: function () {
+        if (this._pending === null) {
+            this._pending = setTimeout(() => {
+                this._pending = null;
+                this._update();
+            }, 0);
+        }
+    },
+
+    _update: function () {
+        const map = this._map;
+        const zoom = map.getZoom();
+        const center = map.getCenter();
+        // enough decimals to be exact to a pixel
+        const precision = Math.max(0, Math.ceil(Math.log(Math.max(zoom, 1)) / Math.LN2));
+        const params = readHash();
+        params.set(this.options.key, [Math.round(zoom * 100) / 100, center.lat.toFixed(precision), center.lng.toFixed(precision)].join("/"));
+
+        const overlays = this._getOverlays();
+        if (overlays.length > 0) {
+            params.set(this.options.overlaysKey, overlays.filter(o => map.hasLayer(o.layer)).map(o => encodeURIComponent(o.name)).join(","));
+        }
+
+        const hash = "#" + Array.from(params, ([key, value]) => key + "=" + value).join("&");
+        if (hash !== window.location.hash) {
+            // replaced instead of pushed, so that moving the map does not fill the browser history
+            window.history.replaceState(window.history.state, "", hash);
+        }
+    }
+});
+
+// the parameters of the hash, values are kept encoded
+function readHash() {
+    const params = new Map();
+    for (const part of window.location.hash.replace(/^#/, "").split("&")) {
+        const index = part.indexOf("=");
+        if (index > 0) {
+            params.set(part.substring(0, index), part.substring(index + 1));
+        }
+    }
+    return params;
+}
@@ -0,0 +1,545 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+import { MbTilesSource } from "/_content/ACO.Blazor.Leaflet/leafletBlazorMbTiles.js";
+
+/*
+ * Tile layer drawing Mapbox Vector Tiles (protocol buffers, .pbf or .mvt) on canvas. The tiles are downloaded
+ * from a URL template or read from an MBTiles file holding vector tiles, their features are styled by the name
+ * of the layer of the tile they belong to (the source layer).
+ */
+
+const textDecoder = new TextDecoder();
+
+// Reads the protocol buffer encoding, as far as vector tiles need it.
+class ProtobufReader {
+
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.position = 0;
+    }
+
+    // varints of more than 53 bits lose precision, which only affects huge feature ids
+    readVarint() {
+        let value = 0;
+        let factor = 1;
+        let byte;
+        do {
+            byte = this.bytes[this.position++];
+            value += (byte & 0x7f) * factor;
+            factor *= 128;
+        } while (byte >= 0x80);
+        return value;
+    }
+
+    readSVarint() {
+        const value = this.readVarint();
+        return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+    }
+
+    readInt64() {
+        const value = this.readVarint();
+        return value >= Math.pow(2, 63) ? value - Math.pow(2, 64) : value;
+    }
+
+    readFloat() {
+        const value = this.view.getFloat32(this.position, true);
+        this.position += 4;
+        return value;
+    }
+
+    readDouble() {
+        const value = this.view.getFloat64(this.position, true);
+        this.position += 8;
+        return value;
+    }
+
+    readString() {
+        const end = this.readVarint() + this.position;
+        const value = textDecoder.decode(this.bytes.subarray(this.position, end));
+        this.position = end;
+        return value;
+    }
+
+    readPackedVarints() {
+        const end = this.readVarint() + this.position;
+        const values = [];
+        while (this.position < end) {
+            values.push(this.readVarint());
+        }
+        return values;
+    }
+
+    // Calls readField(tag, target, reader) for each field up to the end, fields it does not read are skipped.
+    readFields(readField, target, end) {
+        while (this.position < end) {
+            const key = this.readVarint();
+            const start = this.position;
+            readField(key >> 3, target, this);
+            if (this.position === start) {
+                this.skip(key & 7);
+            }
+        }
+        return target;
+    }
+
+    readMessage(readField, target) {
+        return this.readFields(readField, target, this.readVarint() + this.position);
+    }
+
+    skip(wireType) {
+        switch (wireType) {
+            case 0:
+                while (this.bytes[this.position++] >= 0x80) {
+                }
+                break;
+            case 1:
+                this.position += 8;
+                break;
+            case 2:
+                this.position = this.readVarint() + this.position;
+                break;
+            case 5:
+                this.position += 4;
+                break;
+            default:
+                throw new Error("Unsupported protocol buffer wire type " + wireType);
+        }
+    }
+}
+
+const geometryTypes = {
+    1: "point",
+    2: "line",
+    3: "polygon"
+};
+
+// Decodes a vector tile into its layers, with the geometry of the features in tile units (0 to the extent).
+function decodeVectorTile(bytes) {
+    const reader = new ProtobufReader(bytes);
+    return reader.readFields(readTileField, [], bytes.length);
+}
+
+function readTileField(tag, layers, reader) {
+    if (tag === 3) {
+        const layer = reader.readMessage(readLayerField, { name: "", extent: 4096, keys: [], values: [], features: [] });
+        layers.push({
+            name: layer.name,
+            extent: layer.extent,
+            features: layer.features.map(feature => ({
+                id: feature.id,
+                type: geometryTypes[feature.type],
+                properties: readProperties(feature.tags, layer.keys, layer.values),
+                rings: readGeometry(feature.geometry)
+            })).filter(feature => feature.type !== undefined)
+        });
+    }
+}
+
+function readLayerField(tag, layer, reader) {
+    switch (tag) {
+        case 1:
+            layer.name = reader.readString();
+            break;
+        case 2:
+            layer.features.push(reader.readMessage(readFeatureField, { id: null, type: 0, tags: [], geometry: [] }));
+            break;
+        case 3:
+            layer.keys.push(reader.readString());
+            break;
+        case 4:
+            layer.values.push(reader.readMessage(readValueField, { value: null }).value);
+            break;
+        case 5:
+            layer.extent = reader.readVarint();
+            break;
+    }
+}
+
+function readFeatureField(tag, feature, reader) {
+    switch (tag) {
+        case 1:
+            feature.id = reader.readVarint();
+            break;
+        case 2:
+            feature.tags = reader.readPackedVarints();
+            break;
+        case 3:
+            feature.type = reader.readVarint();
+            break;
+        case 4:
+            feature.geometry = reader.readPackedVarints();
+            break;
+    }
+}
+
+function readValueField(tag, value, reader) {
+    switch (tag) {
+        case 1:
+            value.value = reader.readString();
+            break;
+        case 2:
+            value.value = reader.readFloat();
+            break;
+        case 3:
+            value.value = reader.readDouble();
+            break;
+        case 4:
+            value.value = reader.readInt64();
+            break;
+        case 5:
+            value.value = reader.readVarint();
+            break;
+        case 6:
+            value.value = reader.readSVarint();
+            break;
+        case 7:
+            value.value = reader.readVarint() !== 0;
+            break;
+    }
+}
+
+function readProperties(tags, keys, values) {
+    const properties = {};
+    for (let i = 0; i + 1 < tags.length; i += 2) {
+        properties[keys[tags[i]]] = values[tags[i + 1]];
+    }
+    return properties;
+}
+
+// The rings of polygons, the parts of lines or the single points of a feature, as arrays of [x, y].
+function readGeometry(commands) {
+    const rings = [];
+    let ring = null;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < commands.length;) {
+        const command = commands[i] & 0x7;
+        const count = commands[i] >> 3;
+        i++;
+        if (command === 1 || command === 2) {
+            for (let j = 0; j < count; j++) {
+                x += zigzag(commands[i++]);
+                y += zigzag(commands[i++]);
+                if (command === 1) {
+                    ring = [];
+                    rings.push(ring);
+                }
+                ring.push([x, y]);
+            }
+        }
+        // ClosePath (7) is implied when drawing polygons
+    }
+    return rings;
+}
+
+function zigzag(value) {
+    return (value >>> 1) ^ -(value & 1);
+}
+
+function inflate(bytes) {
+    if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+        return Promise.resolve(bytes);
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
+
+const defaultStyle = {
+    stroke: true,
+    color: "#3388ff",
+    weight: 1,
+    opacity: 1,
+    fill: true,
+    fillOpacity: 0.2,
+    radius: 3
+};
+
+// clicks this many pixels next to a line or point still hit it
+const clickTolerance = 3;
+
+/*
+ * Options besides those of tile layers: layerStyles, Leaflet path options by source layer name, defaultStyle
+ * for the source layers without one and radius for point features. A style with visible set to false hides the
+ * source layer. Fires "featureclick" with the source layer, id and properties of a clicked feature, as well as
+ * "databaseloaded" and "databaseerror" when reading tiles from an MBTiles file. Tiles are decompressed if they
+ * are gzipped, as they usually are in MBTiles files.
+ */
+export const VectorTileLayer = L.TileLayer.extend({
+
+    includes: MbTilesSource,
+
+    options: {
+        layerStyles: {},
+        defaultStyle: {}
+    },
+
+    initialize: function (url, options) {
+        L.TileLayer.prototype.initialize.call(this, url, options);
+        this._database = null;
+        this._statement = null;
+        this._data = null;
+        this._databaseLoad = null;
+    },
+
+    onAdd: function (map) {
+        L.TileLayer.prototype.onAdd.call(this, map);
+        map.on("click", this._onMapClick, this);
+        this._attachDatabase();
+    },
+
+    onRemove: function (map) {
+        this._detachDatabase();
+        map.off("click", this._onMapClick, this);
+        L.TileLayer.prototype.onRemove.call(this, map);
+    },
+
+    setStyles: function (layerStyles, defaultStyle) {
+        this.options.layerStyles = layerStyles || {};
+        this.options.defaultStyle = defaultStyle || {};
+        for (const key in this._tiles) {
+            this._drawTile(this._tiles[key].el);
+        }
+        return this;
+    },
+
+    createTile: function (coords, done) {
+        const tile = document.createElement("canvas");
+        const size = this.getTileSize();
+        const ratio = window.devicePixelRatio || 1;
+        tile.width = size.x * ratio;
+        tile.height = size.y * ratio;
+        tile.abortController = new AbortController();
+
+        this._readTile(coords, tile.abortController.signal)
+            .then(bytes => {
+                tile.vectorTile = bytes === null ? [] : decodeVectorTile(bytes);
+                this._drawTile(tile);
+                done(null, tile);
+            })
+            .catch(error => {
+                if (error.name !== "AbortError") {
+                    done(error, tile);
+                }
+            });
+        return tile;
+    },
+
+    _readTile: function (coords, signal) {
+        // MBTiles number their rows from the south
+        if (this.hasDatabase()) {
+            const data = this._readDatabaseTile(coords, true);
+            return data === null ? Promise.resolve(null) : inflate(data);
+        }
+        if (!this._url) {
+            return Promise.resolve(null);
+        }
+
+        const url = this.getTileUrl(coords);
+        return fetch(url, { signal: signal })
+            .then(function (response) {
+                // tile servers answer with 404 or 204 for tiles without features
+                if (response.status === 404 || response.status === 204) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error("Could not download " + url + ": " + response.status + " " + response.statusText);
+                }
+                return response.arrayBuffer().then(buffer => inflate(new Uint8Array(buffer)));
+            });
+    },
+
+    _acceptsFormat: function (format) {
+        return format && format !== "pbf"
+            ? "Tiles of the format " + format + " are not vector tiles, show them with an MBTiles layer."
+            : null;
+    },
+
+    // stops downloading the tiles of other zoom levels, tiles that are already drawn stay until replaced
+    _abortLoading: function () {
+        for (const key in this._tiles) {
+            const tile = this._tiles[key];
+            if (tile.coords.z !== this._tileZoom && !tile.loaded) {
+                tile.el.abortController.abort();
+                L.DomUtil.remove(tile.el);
+                delete this._tiles[key];
+                this.fire("tileabort", { tile: tile.el, coords: tile.coords });
+            }
+        }
+    },
+
+    _removeTile: function (key) {
+        const tile = this._tiles[key];
+        if (tile) {
+            tile.el.abortController.abort();
+        }
+        return L.GridLayer.prototype._removeTile.call(this, key);
+    },
+
+    _getStyle: function (layerName) {
+        const style = {
+            ...defaultStyle,
+            ...this.options.defaultStyle,
+            ...this.options.layerStyles[layerName]
+        };
+        return style.visible === false ? null : style;
+    },
+
+    _drawTile: function (tile) {
+        if (!tile.vectorTile) {
+            return;
+        }
+
+        const size = this.getTileSize();
+        const context = tile.getContext("2d");
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, tile.width, tile.height);
+
+        for (const layer of tile.vectorTile) {
+            const style = this._getStyle(layer.name);
+            if (style === null) {
+                continue;
+            }
+            const scale = size.x / layer.extent;
+            context.setTransform(tile.width / size.x * scale, 0, 0, tile.height / size.y * scale, 0, 0);
+            for (const feature of layer.features) {
+                drawFeature(context, feature, style, scale);
+            }
+        }
+    },
+
+    _onMapClick: function (e) {
+        if (!this.listens("featureclick") || this._tileZoom === undefined) {
+            return;
+        }
+
+        const size = this.getTileSize();
+        const pixel = this._map.project(e.latlng, this._tileZoom);
+        const coords = pixel.unscaleBy(size).floor();
+        coords.z = this._tileZoom;
+        const tile = this._tiles[this._tileCoordsToKey(coords)];
+        if (!tile || !tile.el.vectorTile) {
+            return;
+        }
+
+        const point = pixel.subtract(coords.scaleBy(size));
+        const hit = this._findFeature(tile.el.vectorTile, point.x / size.x, point.y / size.y, size.x);
+        if (hit !== null) {
+            this.fire("featureclick", {
+                latlng: e.latlng,
+                layerPoint: e.layerPoint,
+                containerPoint: e.containerPoint,
+                originalEvent: e.originalEvent,
+                sourceLayer: hit.layer.name,
+                featureId: hit.feature.id === null ? null : String(hit.feature.id),
+                properties: hit.feature.properties
+            });
+        }
+    },
+
+    // the topmost feature at a position given as fractions of the tile size
+    _findFeature: function (vectorTile, x, y, tileSize) {
+        for (let i = vectorTile.length - 1; i >= 0; i--) {
+            const layer = vectorTile[i];
+            const style = this._getStyle(layer.name);
+            if (style === null) {
+                continue;
+            }
+            const scale = layer.extent / tileSize;
+            const point = [x * layer.extent, y * layer.extent];
+            for (let j = layer.features.length - 1; j >= 0; j--) {
+                if (hitsFeature(layer.features[j], point, style, scale)) {
+                    return { layer: layer, feature: layer.features[j] };
+                }
+            }
+        }
+        return null;
+    }
+});
+
+// the context is scaled to tile units, line widths and radii given in pixels are scaled back
+function drawFeature(context, feature, style, scale) {
+    context.beginPath();
+    for (const ring of feature.rings) {
+        if (feature.type === "point") {
+            const [x, y] = ring[0];
+            context.moveTo(x + style.radius / scale, y);
+            context.arc(x, y, style.radius / scale, 0, Math.PI * 2);
+            continue;
+        }
+        context.moveTo(ring[0][0], ring[0][1]);
+        for (let i = 1; i < ring.length; i++) {
+            context.lineTo(ring[i][0], ring[i][1]);
+        }
+        if (feature.type === "polygon") {
+            context.closePath();
+        }
+    }
+
+    if (style.fill && feature.type !== "line") {
+        context.globalAlpha = style.fillOpacity;
+        context.fillStyle = style.fillColor || style.color;
+        context.fill("evenodd");
+    }
+    if (style.stroke && style.weight > 0) {
+        context.globalAlpha = style.opacity;
+        context.strokeStyle = style.color;
+        context.lineWidth = style.weight / scale;
+        context.lineCap = "round";
+        context.lineJoin = "round";
+        context.setLineDash(style.dashArray
+            ? String(style.dashArray).split(/[ ,]+/).map(value => Number(value) / scale)
+            : []);
+        context.stroke();
+    }
+    context.globalAlpha = 1;
+}
+
+// scale is the number of tile units per pixel
+function hitsFeature(feature, point, style, scale) {
+    const tolerance = ((style.stroke ? style.weight / 2 : 0) + clickTolerance) * scale;
+    if (feature.type === "point") {
+        return feature.rings.some(ring => distance(point, ring[0]) <= style.radius * scale + tolerance);
+    }
+    if (feature.type === "polygon" && style.fill && isInside(point, feature.rings)) {
+        return true;
+    }
+    return feature.rings.some(ring => {
+        const closed = feature.type === "polygon" ? ring.concat([ring[0]]) : ring;
+        for (let i = 1; i < closed.length; i++) {
+            if (distanceToSegment(point, closed[i - 1], closed[i]) <= tolerance) {
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+// even-odd rule, like the polygons are filled
+function isInside(point, rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > point[1]) !== (yj > point[1])
+                && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function distanceToSegment(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared));
+    return distance(point, [start[0] + t * dx, start[1] + t * dy]);
+}
@@ -0,0 +1,207 @@
+import "/_content/ACO.Blazor.Leaflet/leaflet/leaflet.js";
+
+/*
+ * Tile layers of OGC web services: WMS, rendering a map image for each tile, and WMTS, serving pre-rendered
+ * tiles of a tile matrix set.
+ */
+
+// The Leaflet CRS of an EPSG code, null for the CRS of the map.
+export function getCrs(code) {
+    if (!code) {
+        return null;
+    }
+    const crs = L.CRS[code.replace(":", "").toUpperCase()];
+    if (crs === undefined) {
+        throw new Error("The CRS " + code + " is not supported, use EPSG:3857, EPSG:4326 or EPSG:3395.");
+    }
+    return crs;
+}
+
+/*
+ * WMS layer whose request parameters can be changed while it is shown. Options besides those of L.TileLayer.WMS:
+ * params, vendor specific or dimension parameters like TIME, featureInfoFormat, featureInfoCount and
+ * queryLayers. Queries the features at a clicked position with GetFeatureInfo while there are listeners for
+ * "featureinfo", which is fired with the response or "featureinfoerror" with a message.
+ */
+export const WmsLayer = L.TileLayer.WMS.extend({
+
+    options: {
+        params: {},
+        featureInfoFormat: "application/json",
+        featureInfoCount: 10,
+        queryLayers: null
+    },
+
+    initialize: function (url, options) {
+        L.TileLayer.WMS.prototype.initialize.call(this, url, options);
+        this._setCustomParams(this.options.params);
+    },
+
+    onAdd: function (map) {
+        L.TileLayer.WMS.prototype.onAdd.call(this, map);
+        map.on("click", this._onMapClick, this);
+    },
+
+    onRemove: function (map) {
+        map.off("click", this._onMapClick, this);
+        L.TileLayer.WMS.prototype.onRemove.call(this, map);
+    },
+
+    // Changes the standard parameters given by name (layers, styles, format, transparent, version), the custom
+    // params, the crs or uppercase, and reloads the tiles once.
+    setWmsOptions: function (options) {
+        const { params, crs, uppercase, ...wmsParams } = options;
+        if (params !== undefined) {
+            this._setCustomParams(params);
+        }
+        if (uppercase !== undefined) {
+            this.options.uppercase = uppercase;
+        }
+        if (crs !== undefined) {
+            this.options.crs = crs;
+        }
+        L.extend(this.wmsParams, wmsParams);
+        if (this._map) {
+            this._setProjection(this._map);
+        }
+        return this.redraw();
+    },
+
+    getFeatureInfo: function (latlng) {
+        const map = this._map;
+        const size = map.getSize();
+        const point = map.latLngToContainerPoint(latlng).round();
+        const bounds = L.bounds(
+            this._crs.project(map.getBounds().getNorthWest()),
+            this._crs.project(map.getBounds().getSouthEast()));
+        const axesSwapped = this._wmsVersion >= 1.3 && this._crs === L.CRS.EPSG4326;
+        const bbox = (axesSwapped
+            ? [bounds.min.y, bounds.min.x, bounds.max.y, bounds.max.x]
+            : [bounds.min.x, bounds.min.y, bounds.max.x, bounds.max.y]).join(",");
+
+        const params = {
+            ...this.wmsParams,
+            service: "WMS",
+            request: "GetFeatureInfo",
+            query_layers: this.options.queryLayers || this.wmsParams.layers,
+            info_format: this.options.featureInfoFormat,
+            feature_count: this.options.featureInfoCount,
+            bbox: bbox,
+            width: size.x,
+            height: size.y,
+            [this._wmsVersion >= 1.3 ? "i" : "x"]: point.x,
+            [this._wmsVersion >= 1.3 ? "j" : "y"]: point.y
+        };
+        const url = this._url + L.Util.getParamString(params, this._url, this.options.uppercase);
+
+        return fetch(url)
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error("GetFeatureInfo failed: " + response.status + " " + response.statusText);
+                }
+                return response.text().then(text => readFeatureInfo(response.headers.get("Content-Type") || "", text));
+            });
+    },
+
+    _setCustomParams: function (params) {
+        for (const key of this._customParamKeys || []) {
+            delete this.wmsParams[key];
+        }
+        this._customParamKeys = Object.keys(params || {});
+        L.extend(this.wmsParams, params);
+    },
+
+    // what L.TileLayer.WMS does when added to a map, the version decides the name of the CRS parameter
+    _setProjection: function (map) {
+        delete this.wmsParams.srs;
+        delete this.wmsParams.crs;
+        this._crs = this.options.crs || map.options.crs;
+        this._wmsVersion = parseFloat(this.wmsParams.version);
+        this.wmsParams[this._wmsVersion >= 1.3 ? "crs" : "srs"] = this._crs.code;
+    },
+
+    _onMapClick: function (e) {
+        if (!this.listens("featureinfo")) {
+            return;
+        }
+        this.getFeatureInfo(e.latlng)
+            .then(info => this.fire("featureinfo", {
+                latlng: e.latlng,
+                layerPoint: e.layerPoint,
+                containerPoint: e.containerPoint,
+                ...info
+            }))
+            .catch(error => this.fire("featureinfoerror", {
+                message: error && error.message ? error.message : String(error)
+            }));
+    }
+});
+
+// JSON responses, like the GeoJSON of GeoServer, are parsed, other formats are passed on as text.
+function readFeatureInfo(contentType, text) {
+    if (contentType.includes("vnd.ogc.se_xml") || /<(\w+:)?ServiceException[\s>]/.test(text)) {
+        const report = new DOMParser().parseFromString(text, "application/xml");
+        throw new Error("The server reported an error: " + report.documentElement.textContent.trim());
+    }
+    if (contentType.includes("json")) {
+        return { contentType: contentType, content: null, data: JSON.parse(text) };
+    }
+    return { contentType: contentType, content: text, data: null };
+}
+
+/*
+ * WMTS layer requesting tiles with key-value pairs from the service URL, or from a RESTful URL template with the
+ * placeholders {TileMatrix}, {TileRow} and {TileCol} as well as {TileMatrixSet}, {Layer}, {Style} and the
+ * custom params. Options: layer, style, tileMatrixSet, tileMatrixPrefix put before the zoom level to get the
+ * identifier of a tile matrix (like "EPSG:900913:" for GeoServer), format and params like TIME.
+ */
+export const WmtsLayer = L.TileLayer.extend({
+
+    options: {
+        layer: "",
+        style: "default",
+        tileMatrixSet: "",
+        tileMatrixPrefix: "",
+        format: "image/png",
+        params: {}
+    },
+
+    setWmtsOptions: function (options) {
+        L.setOptions(this, options);
+        return this.redraw();
+    },
+
+    getTileUrl: function (coords) {
+        const options = this.options;
+        const tile = {
+            TileMatrixSet: options.tileMatrixSet,
+            TileMatrix: options.tileMatrixPrefix + this._getZoomForUrl(),
+            TileRow: coords.y,
+            TileCol: coords.x,
+            Layer: options.layer,
+            Style: options.style
+        };
+        if (this._url.includes("{TileMatrix}")) {
+            return L.Util.template(this._url, {
+                s: this._getSubdomain(coords),
+                ...options.params,
+                ...tile
+            });
+        }
+
+        const params = {
+            SERVICE: "WMTS",
+            REQUEST: "GetTile",
+            VERSION: "1.0.0",
+            LAYER: tile.Layer,
+            STYLE: tile.Style,
+            TILEMATRIXSET: tile.TileMatrixSet,
+            TILEMATRIX: tile.TileMatrix,
+            TILEROW: tile.TileRow,
+            TILECOL: tile.TileCol,
+            FORMAT: options.format,
+            ...options.params
+        };
+        return this._url + L.Util.getParamString(params, this._url);
+    }
+});